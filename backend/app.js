@@ -1,113 +1,251 @@
 require("dotenv").config();
 const express = require("express");
+const mongoose = require("mongoose");
 const { connectDB, disconnectDB } = require("./src/db");
-const { ethers, NonceManager } = require("ethers");
+const { ethers } = require("ethers");
 const {
   buildLeaves,
   merkleRoot,
   wrapDocument,
+  unsaltDocument,
+  readDocumentId,
+  obfuscateDocument,
+  wrapDocumentBatch,
 } = require("./src/helpers/merkle-root");
-const { verifyWrappedMerkle } = require("./src/helpers/verify-merkle-root");
+const { verifyWrappedMerkle, batchRootFromProof } = require("./src/helpers/verify-merkle-root");
+const { checkOutboundUrl } = require("./src/utils/outbound-http");
 const User = require("./src/models/User");
+const { STORE_ROLES, NOTIFICATION_TYPES } = User;
+const Organisation = require("./src/models/Organisation");
+const RolePermission = require("./src/models/RolePermission");
+const {
+  PERMISSIONS,
+  ROLES,
+  hasPermission,
+  isValidPermission,
+  getRolePermissions,
+  getPermissionMapping,
+  requirePermission,
+} = require("./src/utils/permissions");
 const Documents = require("./src/models/Documents");
-const { generateToken, authenticateToken } = require("./src/utils/jwt");
+const {
+  authenticateToken,
+  issueTokenPair,
+  refreshTokenPair,
+  revokeUserAccess,
+} = require("./src/utils/jwt");
+const Session = require("./src/models/Session");
+const Job = require("./src/models/Job");
+const { createCustodialWallet, decryptPrivateKey } = require("./src/utils/wallet");
+const { createNetworks } = require("./src/chain");
+const { createDocumentIndexer, REVOKE_REASONS } = require("./src/services/document-indexer");
+const { createRegistryState } = require("./src/services/registry-state");
+const { createJobQueue, hashRequest } = require("./src/services/job-queue");
+const { createWebhookService, newWebhookSecret, WEBHOOK_EVENTS } = require("./src/services/webhooks");
+const { createMailTransport, createNotificationService } = require("./src/services/notifications");
+const Webhook = require("./src/models/Webhook");
+const WebhookDelivery = require("./src/models/WebhookDelivery");
+const { createDocumentJobHandlers } = require("./src/services/document-jobs");
+const { auditRequests, auditJob } = require("./src/services/audit-log");
+const AuditLog = require("./src/models/AuditLog");
+const { resolveTradeParent, getTradeChain } = require("./src/helpers/trade-chain");
+const { validateDocument, getDocumentSchema, DOCUMENT_TYPES } = require("./src/schemas");
+const { renderDocumentPdf } = require("./src/helpers/document-pdf");
+const { parseDocumentQuery, findDocumentPage } = require("./src/helpers/document-query");
+const {
+  buildIssueTypedData,
+  buildSignTypedData,
+  isValidTypedSignature,
+  walletLinkMessage,
+} = require("./src/utils/eip712");
+const spec = require("./src/openapi");
+const { createOpenApiValidator } = require("./src/utils/openapi-validator");
+const { errorDetails, standardErrors, notFound, errorHandler } = require("./src/utils/errors");
 
 const app = express();
 app.use(express.json());
 
+// Every mutating request leaves an entry in the hash-chained audit log
+app.use(auditRequests);
+
 // CORS configuration
 const cors = require('cors');
 app.use(cors({
   origin: ['http://localhost:3001', 'http://localhost:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
 }));
 
+// Requests are checked against the OpenAPI spec before any route runs, and every
+// error response gets the { error, code, details } shape
+const { validateRequests, validateResponses } = createOpenApiValidator(spec, {
+  responses: process.env.OPENAPI_RESPONSE_VALIDATION || "warn",
+});
+app.use(validateResponses);
+app.use(standardErrors);
+app.use(validateRequests);
+
 const PORT = process.env.PORT || 3000;
 
-const {
-  RPC_URL,
-  DocumentRegistryAddress,
-  DocumentStoreFactoryAddress,
-  DocumentRegistryABI,
-  DocumentStoreFactoryABI,
-  DocumentStoreABI,
-} = process.env;
-const admin = process.env.PRIVATE_KEY_1;
-const deployer = process.env.PRIVATE_KEY_2;
-const salesAdmin = process.env.PRIVATE_KEY_3;
-const purchaseAdmin = process.env.PRIVATE_KEY_4;
-const invoiceAdmin = process.env.PRIVATE_KEY_5;
-
-if (!salesAdmin || !purchaseAdmin || !invoiceAdmin) {
-  throw new Error(
-    "Missing salesAdmin, purchaseAdmin, or invoiceAdmin private keys in .env"
-  );
+// Gas money a custodial wallet is topped up to by the platform wallet, in the job that sends
+// its transactions; capped so a misconfiguration cannot drain the platform wallet
+const WALLET_FUNDING_ETH = process.env.WALLET_FUNDING_ETH || "0.01";
+const WALLET_FUNDING_MAX_ETH = "0.1";
+if (ethers.parseEther(WALLET_FUNDING_ETH) > ethers.parseEther(WALLET_FUNDING_MAX_ETH)) {
+  throw new Error(`WALLET_FUNDING_ETH must not exceed ${WALLET_FUNDING_MAX_ETH}`);
 }
+// Most documents accepted by one /document/issue/batch request
+const BATCH_MAX_SIZE = Number(process.env.BATCH_MAX_SIZE || 500);
 
-if (!RPC_URL || !DocumentRegistryAddress || !DocumentStoreFactoryAddress) {
-  throw new Error(
-    "Missing RPC_URL or DocumentRegistryAddress or DocumentStoreFactoryAddress in .env"
-  );
+if (!process.env.WALLET_ENCRYPTION_KEY) {
+  throw new Error("Missing WALLET_ENCRYPTION_KEY in .env");
 }
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-
-const registry = DocumentRegistryAddress
-  ? new ethers.Contract(DocumentRegistryAddress, DocumentRegistryABI, provider)
-  : null;
-const factory = DocumentStoreFactoryAddress
-  ? new ethers.Contract(
-      DocumentStoreFactoryAddress,
-      DocumentStoreFactoryABI,
-      provider
-    )
-  : null;
-
-const factoryAdmin = new NonceManager(new ethers.Wallet(admin, provider));
-
-// Create NonceManager instances for each user type (reused across requests)
-const salesAdminWallet = new NonceManager(new ethers.Wallet(salesAdmin, provider));
-const purchaseAdminWallet = new NonceManager(new ethers.Wallet(purchaseAdmin, provider));
-const invoiceAdminWallet = new NonceManager(new ethers.Wallet(invoiceAdmin, provider));
-
-const factoryWrite = new ethers.Contract(
-  DocumentStoreFactoryAddress,
-  DocumentStoreFactoryABI,
-  factoryAdmin
-);
+// Every network in NETWORKS, or the single one of CHAIN_MODE/RPC_URL; each is reached over RPC
+// or runs as an in-process simulated ledger. Records carry the chainId they are anchored on.
+const networks = createNetworks(process.env);
+for (const network of networks.list.filter((n) => n.mode === "simulated")) {
+  console.warn(`⚠️  Network ${network.name} is simulated: its ledger lives in memory and starts empty on every restart; use a database of its own`);
+}
 
-const registryWrite = new ethers.Contract(
-  DocumentRegistryAddress,
-  DocumentRegistryABI,
-  factoryAdmin
-);
+// Signed outbound events for organisations' webhooks, delivered with retries by their own queue
+// Webhook endpoints must be public addresses, unless a local receiver is used in development
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+const webhooks = createWebhookService({
+  provider: networks.defaultNetwork.provider,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+  pollIntervalMs: Number(process.env.JOB_POLL_INTERVAL_MS || 1000),
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS || 30000),
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+  allowPrivateAddresses: WEBHOOK_ALLOW_PRIVATE_URLS,
+});
+
+// Email notifications, sent through the transport chosen by EMAIL_TRANSPORT
+const notifications = createNotificationService({
+  provider: networks.defaultNetwork.provider,
+  transport: createMailTransport(process.env),
+  from: process.env.EMAIL_FROM || "TradeChain <no-reply@tradechain.local>",
+  appUrl: process.env.APP_URL || "http://localhost:3001",
+  pollIntervalMs: Number(process.env.JOB_POLL_INTERVAL_MS || 1000),
+  retryBaseMs: Number(process.env.EMAIL_RETRY_BASE_MS || 60000),
+  maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS || 5),
+});
+
+/**
+ * Creates the background indexer mirroring a network's DocumentStore events into the
+ * Documents collection. Needs the network's chainId, known once networks.connect() ran.
+ * @param {Object} network - Network to follow
+ * @returns {Object} Document indexer
+ */
+function createNetworkIndexer(network) {
+  return createDocumentIndexer({
+    chainId: network.chainId,
+    // The indexer of a single-network setup kept its cursor under the old name
+    adoptLegacyCursor: network === networks.defaultNetwork,
+    provider: network.provider,
+    factory: network.factory,
+    storeAbi: network.storeAbi,
+    startBlock: Number(network.startBlock ?? process.env.INDEXER_START_BLOCK ?? network.deployBlock ?? 0),
+    batchSize: Number(process.env.INDEXER_BLOCK_BATCH_SIZE || 2000),
+    confirmations: Number(network.confirmations ?? process.env.INDEXER_CONFIRMATIONS ?? 0),
+    pollIntervalMs: Number(process.env.INDEXER_POLL_INTERVAL_MS || 5000),
+    // Webhooks and emails go out once the matching DocumentStore event is indexed
+    onEvent: async (event) => {
+      await webhooks.publishDocumentEvent(event);
+      await notifications.notifyDocumentEvent(event);
+    },
+  });
+}
+let documentIndexers = [];
+
+// DocumentRegistry configuration of each network, rebuilt from its events on first use
+const registryStates = new Map();
+
+/**
+ * Registry state reader of a network
+ * @param {Object} network - Network whose registry is read
+ * @returns {Object} Registry state, see createRegistryState
+ */
+function registryStateOf(network) {
+  if (!registryStates.has(network.chainId)) {
+    registryStates.set(
+      network.chainId,
+      createRegistryState({
+        network,
+        startBlock: Number(network.deployBlock ?? network.startBlock ?? process.env.INDEXER_START_BLOCK ?? 0),
+        batchSize: Number(process.env.INDEXER_BLOCK_BATCH_SIZE || 2000),
+        confirmations: Number(network.confirmations ?? process.env.INDEXER_CONFIRMATIONS ?? 0),
+      })
+    );
+  }
+  return registryStates.get(network.chainId);
+}
+
+/**
+ * Network a job's transactions are sent on
+ * @param {Object} job - Job with its chainId
+ * @returns {Object} Network
+ * @throws {Error} If that network is no longer configured
+ */
+function networkOfJob(job) {
+  const network = networks.get(job.chainId);
+  if (!network) {
+    throw new Error(`Network with chainId ${job.chainId} is not configured`);
+  }
+  return network;
+}
+
+// Persistent queue running the issue/sign/revoke transactions off the request path
+const { handlers: documentJobHandlers, onFailure: documentJobFailureHandlers } =
+  createDocumentJobHandlers({
+    networkOf: networkOfJob,
+    getUserSigner,
+    resetNonceManager,
+    walletFunding: ethers.parseEther(WALLET_FUNDING_ETH),
+  });
+const jobQueue = createJobQueue({
+  provider: (job) => networkOfJob(job).provider,
+  handlers: documentJobHandlers,
+  onFailure: documentJobFailureHandlers,
+  onSettled: auditJob,
+  pollIntervalMs: Number(process.env.JOB_POLL_INTERVAL_MS || 1000),
+  lockTimeoutMs: Number(process.env.JOB_LOCK_TIMEOUT_MS || 5 * 60 * 1000),
+  txTimeoutMs: Number(process.env.JOB_TX_TIMEOUT_MS || 2 * 60 * 1000),
+  retryBaseMs: Number(process.env.JOB_RETRY_BASE_MS || 2000),
+  maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS || 5),
+});
+
+// NonceManager instances for each custodial wallet and network (reused across requests)
+const userSigners = new Map();
 
 // helper functions
 const toBytes32 = (s) => ethers.id(s);
 
 /**
- * Selects the correct signer wallet based on userType.
- * @param {string} userType - e.g. "admin", "sales", "purchase", or "invoice"
- * @returns {ethers.Wallet} Corresponding signer wallet
- * @throws {Error} If userType is invalid
+ * Returns the signer for a user's own custodial wallet on a network.
+ * @param {Object} user - User document (must have a walletAddress)
+ * @param {Object} network - Network the signer sends transactions on
+ * @returns {Promise<NonceManager>} Signer bound to the user's wallet
+ * @throws {Error} If the user has no custodial wallet
  */
-function getSignerByUserType(userType) {
-  switch (userType?.toLowerCase()) {
-    case "admin":
-      return factoryAdmin;
-    case "sales":
-      return salesAdminWallet;
-    case "purchase":
-      return purchaseAdminWallet;
-    case "invoice":
-      return invoiceAdminWallet;
-    default:
-      throw new Error(
-        `❌ Invalid userType: ${userType}. Must be one of "admin", "sales", "purchase", "invoice".`
-      );
+async function getUserSigner(user, network) {
+  if (!user?.walletAddress) {
+    throw new Error(`❌ User ${user?.email} has no custodial wallet`);
+  }
+
+  const key = `${network.chainId}:${user.walletAddress}`;
+  const cached = userSigners.get(key);
+  if (cached) return cached;
+
+  const record = await User.findByIdWithWallet(user._id);
+  if (!record?.encryptedPrivateKey) {
+    throw new Error(`❌ Wallet key for ${user.email} not found`);
   }
+
+  const signer = network.connectWallet(decryptPrivateKey(record.encryptedPrivateKey));
+  userSigners.set(key, signer);
+  return signer;
 }
 
 /**
@@ -123,41 +261,546 @@ async function resetNonceManager(nonceManager) {
 }
 
 /**
- * Selects the correct signer wallet address based on userType.
- * Note: Admin user maps to WALLET_ADDR_1 (same as DocumentStoreFactory admin)
- * @param {string} userType - e.g. "admin", "sales", "purchase", or "invoice"
- * @returns {string} Corresponding wallet address
- * @throws {Error} If userType is invalid
+ * Reads every signer's on-chain signature and the document's execution status.
+ * @param {ethers.Contract} documentStoreRead - DocumentStore the document was issued in
+ * @param {string} documentIdHash - bytes32 document id
+ * @param {Object} document - Documents record
+ * @returns {Promise<Object>} signers with signedAt, requiredSignerCount and fullyExecuted
  */
-function getSignerAddressByUserType(userType) {
-  switch (userType?.toLowerCase()) {
-    case "admin":
-      return process.env.WALLET_ADDR_1;
-    case "sales":
-      return process.env.WALLET_ADDR_3;
-    case "purchase":
-      return process.env.WALLET_ADDR_4;
-    case "invoice":
-      return process.env.WALLET_ADDR_5;
-    default:
-      throw new Error(
-        `❌ Invalid userType: ${userType}. Must be one of "admin", "sales", "purchase", "invoice".`
-      );
+async function readSignerStatus(documentStoreRead, documentIdHash, document) {
+  const signers = document.signers?.length
+    ? document.signers
+    : document.signerAddress
+    ? [{ walletAddress: document.signerAddress }]
+    : [];
+
+  const signerStatus = await Promise.all(
+    signers.map(async (s) => ({
+      email: s.email,
+      walletAddress: s.walletAddress,
+      signedAt: (await documentStoreRead.signedAt(documentIdHash, s.walletAddress)).toString(),
+    }))
+  );
+
+  return {
+    signers: signerStatus,
+    requiredSignerCount: Number(await documentStoreRead.requiredSigners(documentIdHash)),
+    fullyExecuted: await documentStoreRead.isFullyExecuted(documentIdHash),
+  };
+}
+
+/**
+ * Reads whether a document hash is anchored in its store, directly or through its batch.
+ * A batched document only gets an on-chain record of its own once it is revoked.
+ * @param {ethers.Contract} documentStoreRead - Store the document was issued in
+ * @param {string} documentId - Plain document id
+ * @param {string} documentHash - 0x-prefixed Merkle root of the document
+ * @param {Object} [batch] - { batchRoot, proof } when the document was issued in a batch
+ * @returns {Promise<Object>} { isIssued, hashMatches, issuedAt, revokedAt, anchoredIn }
+ */
+async function readAnchorStatus(documentStoreRead, documentId, documentHash, batch) {
+  const documentIdHash = ethers.id(documentId);
+  const meta = await documentStoreRead.meta(documentIdHash);
+
+  if (Number(meta.state) === 0 && batch?.batchRoot) {
+    const { issuedAt } = await documentStoreRead.batches(batch.batchRoot);
+    const included =
+      batchRootFromProof(documentIdHash, documentHash, batch.proof).toLowerCase() ===
+      batch.batchRoot.toLowerCase();
+    return {
+      isIssued: issuedAt > 0n && included,
+      hashMatches: included,
+      issuedAt: issuedAt.toString(),
+      revokedAt: "0",
+      anchoredIn: "batch",
+    };
+  }
+
+  return {
+    isIssued: await documentStoreRead.isIssued(documentIdHash),
+    hashMatches: meta.documentHash.toLowerCase() === documentHash.toLowerCase(),
+    issuedAt: meta.issuedAt.toString(),
+    revokedAt: meta.revokedAt.toString(),
+    anchoredIn: Number(meta.state) === 0 ? null : "store",
+  };
+}
+
+/**
+ * Returns the network a record (document, organisation or user) is anchored on,
+ * or answers 503 when that network is no longer configured.
+ * @param {Object} res - Express response
+ * @param {number} chainId - chainId stored on the record
+ * @returns {Object|null} The network, or null once the response is sent
+ */
+function requireNetwork(res, chainId) {
+  const network = networks.get(chainId);
+  if (!network) {
+    res.status(503).json({
+      error: "Network unavailable",
+      code: "NETWORK_UNAVAILABLE",
+      details: `No network with chainId ${chainId} is configured`,
+    });
+  }
+  return network;
+}
+
+/**
+ * Checks the registry whitelists the contracts enforce, so a transaction they would revert
+ * is refused before it costs gas: the organisation's store must be whitelisted to issue the
+ * document type, and every signer to sign it. Answers 403 on the first failure.
+ * @param {Object} res - Express response
+ * @param {Object} network - Network the document is anchored on
+ * @param {Object} options
+ * @param {string} options.documentType - Document type name, e.g. INVOICE
+ * @param {string} [options.issuerDocStore] - Issuing organisation's store, when issuing
+ * @param {Array<{ address: string, email?: string }>} [options.signers=[]] - Accounts that will sign
+ * @returns {Promise<boolean>} Whether every check passed; false once the response is sent
+ */
+async function requireWhitelisted(res, network, { documentType, issuerDocStore, signers = [] }) {
+  const documentTypeHash = ethers.id(documentType);
+
+  if (issuerDocStore && !(await network.registry.allowedIssuer(documentTypeHash, issuerDocStore))) {
+    res.status(403).json({
+      error: `Organisation not whitelisted to issue ${documentType}`,
+      code: "ISSUER_NOT_WHITELISTED",
+      details: `The registry on ${network.name} does not allow store ${issuerDocStore} to issue ${documentType}`,
+    });
+    return false;
+  }
+  for (const { address, email } of signers) {
+    if (!(await network.registry.allowedSigner(documentTypeHash, address))) {
+      res.status(403).json({
+        error: `Signer not whitelisted to sign ${documentType}`,
+        code: "SIGNER_NOT_WHITELISTED",
+        details: `The registry on ${network.name} does not allow ${address} to sign ${documentType}`,
+        ...(email && { email }),
+      });
+      return false;
+    }
+  }
+  return true;
+}
+
+// Batch of a stored document, in the shape readAnchorStatus expects
+const storedBatch = (document) =>
+  document.batchRoot ? { batchRoot: document.batchRoot, proof: document.batchProof } : null;
+
+/**
+ * Answers a retried request with the job its Idempotency-Key already created.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} type - Job type the route queues
+ * @returns {Promise<boolean>} true when a response was sent
+ */
+async function replayIdempotentRequest(req, res, type) {
+  const idempotencyKey = req.get("Idempotency-Key");
+  if (!idempotencyKey) return false;
+
+  const job = await Job.findOneByIdempotencyKey(req.user.userId, idempotencyKey);
+  if (!job) return false;
+
+  if (job.type !== type || job.requestHash !== hashRequest(req.body)) {
+    res.status(422).json({
+      error: "Idempotency-Key already used",
+      code: "IDEMPOTENCY_KEY_REUSED",
+      details: "The key was already sent with a different request",
+    });
+    return true;
+  }
+
+  res.status(202).json({ ...job.response, status: job.status, replayed: true });
+  return true;
+}
+
+/**
+ * Queues a blockchain job for the request, honouring its Idempotency-Key.
+ * @param {Object} req - Express request
+ * @param {Object} params
+ * @param {string} params.type - Job type (issue, issueBatch, sign, revoke or setStoreRoles)
+ * @param {string} [params.documentId] - Document the job acts on
+ * @param {number} params.chainId - Chain the job's transactions are sent on
+ * @param {Object} [params.payload] - Handler input
+ * @param {string} params.message - Message of the 202 response
+ * @param {Object} [params.extra] - Additional fields of the 202 response
+ * @param {string} [params.jobId] - Id for the new job, when it is needed up front
+ * @returns {Promise<{ job: Object, created: boolean }>} The job and whether it is new
+ */
+async function queueJob(req, { type, documentId, chainId, payload, message, extra, jobId }) {
+  const id = jobId || new mongoose.Types.ObjectId().toString();
+  const idempotencyKey = req.get("Idempotency-Key");
+
+  // The audit entry of the request points at the job; the job gets its own once it settles
+  req.res.locals.audit = {
+    ...req.res.locals.audit,
+    ...(documentId && { targetId: documentId }),
+    details: { ...req.res.locals.audit?.details, jobId: id },
+  };
+
+  return jobQueue.enqueue({
+    jobId: id,
+    type,
+    userId: req.user.userId,
+    documentId,
+    chainId,
+    payload,
+    idempotencyKey,
+    requestHash: idempotencyKey ? hashRequest(req.body) : undefined,
+    response: {
+      message,
+      jobId: id,
+      statusUrl: `/jobs/${id}`,
+      documentId,
+      chainId,
+      ...extra,
+    },
+  });
+}
+
+/**
+ * Deletes a draft whose issuer never signed the issue typed data in time,
+ * so the documentId can be used again.
+ * @param {Object} document - Documents record
+ * @returns {Promise<boolean>} true if the draft was discarded
+ */
+async function discardExpiredDraft(document) {
+  const expired =
+    document.onChainState === "None" &&
+    !document.pendingJobId &&
+    document.awaitingSignatureUntil &&
+    document.awaitingSignatureUntil <= new Date();
+  if (!expired) return false;
+
+  await Documents.deleteOne({ _id: document._id });
+  if (document.parentDocumentId) {
+    await Documents.updateOne(
+      { documentId: document.parentDocumentId },
+      { $pull: { childDocumentIds: document.documentId } }
+    );
+  }
+  return true;
+}
+
+/**
+ * Finds the document an amendment replaces and checks that it can still be reissued.
+ * @param {Object} user - Issuer amending the document
+ * @param {string} previousDocumentId - documentId of the version being replaced
+ * @returns {Promise<{ previous?: Object, status?: number, error?: string }>} The document, or why it cannot be amended
+ */
+async function resolveAmendedDocument(user, previousDocumentId) {
+  if (!previousDocumentId) {
+    return { status: 400, error: "Missing previousDocumentId" };
+  }
+
+  const previous = await Documents.findOneByDocumentId(previousDocumentId);
+  if (!previous || previous.issuerDocStore !== user.documentStoreAddress) {
+    return { status: 404, error: "Document not found" };
+  }
+  if (previous.supersededByDocumentId) {
+    return {
+      status: 409,
+      error: `Document was already amended by ${previous.supersededByDocumentId}; amend the latest version`,
+    };
+  }
+  if (previous.onChainState !== "Issued" && previous.onChainState !== "Signed") {
+    return { status: 409, error: "Only issued documents can be amended" };
+  }
+  if (previous.batchRoot) {
+    return {
+      status: 409,
+      error: "Documents issued in a batch cannot be amended; revoke it and issue the new version",
+    };
+  }
+
+  // One amendment at a time: the contract only lets a document be reissued once
+  const pending = await Documents.findOne({
+    previousDocumentId: previous.documentId,
+    onChainState: "None",
+  });
+  if (pending && !(await discardExpiredDraft(pending))) {
+    return { status: 409, error: `Amendment ${pending.documentId} is already in progress` };
+  }
+
+  return { previous };
+}
+
+// Permission to issue the document type of a /document/issue or /document/amend body
+const issuePermission = (req) => {
+  const documentType = req.body?.docDetails?.documentType;
+  return documentType && `document:issue:${documentType}`;
+};
+
+// A batch holds a single document type, that of its first document
+const batchIssuePermission = (req) => issuePermission({ body: req.body?.documents?.[0] });
+
+/**
+ * Rejects requests from users whose organisation membership is not active,
+ * since their wallets hold no roles in the organisation's store.
+ */
+async function requireActiveMember(req, res, next) {
+  try {
+    const user = await User.findById(req.user.userId).select("membershipStatus");
+    if (user && user.membershipStatus !== "active") {
+      return res.status(403).json({
+        error: "Organisation membership is not active",
+        code: "MEMBERSHIP_NOT_ACTIVE",
+        details: `Membership is ${user.membershipStatus}; an organisation admin must approve it`,
+      });
+    }
+    next();
+  } catch (err) {
+    console.error("❌ Error checking organisation membership:", err);
+    res.status(500).json({ error: "Failed to check organisation membership", details: err.message });
+  }
+}
+
+/**
+ * Deploys the DocumentStore of a new organisation through the factory.
+ * @param {Object} network - Network the store is deployed on
+ * @param {string} organisationId - Plain organisation identifier
+ * @param {string} storeAdmin - Wallet that administers the store
+ * @returns {Promise<{ storeAddress: string, transactionHash: string }>}
+ * @throws {Error} If the StoreCreated event cannot be found
+ */
+async function createOrganisationStore(network, organisationId, storeAdmin) {
+  const { provider, factory, factoryWrite } = network;
+  // Convert to bytes32
+  const bytes32OrganisationId = ethers.id(organisationId);
+
+  // Create document store on blockchain
+  const tx1 = await factoryWrite.createStore(
+    bytes32OrganisationId,
+    storeAdmin
+  );
+  const rc1 = await tx1.wait();
+
+  // Find the StoreCreated event in the receipt logs with retry mechanism
+  let event = null;
+  let storeAddress = null;
+  let retryCount = 0;
+  const maxRetries = 5;
+  const retryInterval = 5000; // 2 seconds
+
+  while (!event && retryCount < maxRetries) {
+    console.log(`Attempting to find StoreCreated event (attempt ${retryCount + 1}/${maxRetries})`);
+    
+    // Try to find the event in the current receipt logs
+    event = rc1.logs
+      .map((log) => {
+        try {
+          return factory.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((parsed) => parsed && parsed.name === "StoreCreated");
+
+    if (event) {
+      storeAddress = event.args.store;
+      console.log(`✅ StoreCreated event found on attempt ${retryCount + 1}: ${storeAddress}`);
+      break;
+    }
+
+    // If event not found and we haven't reached max retries, wait and try again
+    if (retryCount < maxRetries - 1) {
+      console.log(`StoreCreated event not found, waiting ${retryInterval}ms before retry...`);
+      await new Promise(resolve => setTimeout(resolve, retryInterval));
+      
+      // Try to get updated transaction receipt
+      try {
+        const updatedReceipt = await provider.getTransactionReceipt(tx1.hash);
+        if (updatedReceipt && updatedReceipt.logs) {
+          rc1.logs = updatedReceipt.logs;
+          console.log(`Updated receipt with ${updatedReceipt.logs.length} logs`);
+        }
+      } catch (receiptError) {
+        console.log(`Failed to get updated receipt: ${receiptError.message}`);
+      }
+    }
+    
+    retryCount++;
+  }
+
+  // If still no event found after all retries
+  if (!event) {
+    console.error(`❌ StoreCreated event not found after ${maxRetries} attempts`);
+    console.error("Available logs:", rc1.logs.map(log => ({
+      address: log.address,
+      topics: log.topics,
+      data: log.data
+    })));
+    throw new Error(`Failed to find StoreCreated event after ${maxRetries} attempts`);
+  }
+
+  return { storeAddress, transactionHash: rc1.hash };
+}
+
+/**
+ * Queues the job that gives a member's wallets exactly the listed roles in the organisation's store.
+ * @param {Object} req - Express request
+ * @param {Object} member - User whose roles change
+ * @param {Object} organisation - Organisation the member belongs to
+ * @param {string} message - Message of the 202 response
+ * @param {string[]} [roles] - Roles to hold; defaults to the member's recorded storeRoles
+ * @returns {Promise<{ job: Object, created: boolean }>}
+ */
+function queueStoreRoles(req, member, organisation, message, roles = member.storeRoles) {
+  return queueJob(req, {
+    type: "setStoreRoles",
+    chainId: organisation.chainId,
+    payload: {
+      memberId: String(member._id),
+      store: organisation.documentStoreAddress,
+      accounts: member.storeAccounts(),
+      roles: [...roles],
+    },
+    message,
+    extra: { member: member.toSafeObject() },
+  });
+}
+
+/**
+ * Loads the organisation admin making the request and their organisation.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { admin, organisation }, or { status, error } when not allowed
+ */
+async function resolveOrganisationAdmin(req) {
+  const admin = await User.findById(req.user.userId);
+  if (!admin) {
+    return { status: 404, error: "User not found" };
+  }
+  if (admin.organisationRole !== "admin" || admin.membershipStatus !== "active") {
+    return { status: 403, error: "Access denied. Organisation admin privileges required." };
+  }
+
+  const organisation = await Organisation.findOneByOrganisationId(admin.organisationId);
+  if (!organisation) {
+    return { status: 404, error: "Organisation not found" };
+  }
+
+  return { admin, organisation };
+}
+
+/**
+ * Loads the organisation admin making the request and the member (req.params.userId) they act on.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { admin, organisation, member }, or { status, error } when not allowed
+ */
+async function resolveMemberAction(req) {
+  const resolved = await resolveOrganisationAdmin(req);
+  if (resolved.error) return resolved;
+  const { admin, organisation } = resolved;
+
+  const member = mongoose.isValidObjectId(req.params.userId)
+    ? await User.findById(req.params.userId)
+    : null;
+  if (!member || member.organisationId !== organisation.organisationId) {
+    return { status: 404, error: "Member not found" };
+  }
+
+  return { admin, organisation, member };
+}
+
+/**
+ * Loads a webhook (req.params.webhookId) of the requesting organisation admin's organisation.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { organisation, webhook }, or { status, error } when not allowed
+ */
+async function resolveWebhook(req) {
+  const resolved = await resolveOrganisationAdmin(req);
+  if (resolved.error) return resolved;
+
+  const webhook = mongoose.isValidObjectId(req.params.webhookId)
+    ? await Webhook.findById(req.params.webhookId)
+    : null;
+  if (!webhook || webhook.organisationId !== resolved.organisation.organisationId) {
+    return { status: 404, error: "Webhook not found" };
   }
+  return { organisation: resolved.organisation, webhook };
+}
+
+/**
+ * Publishes user.approved / user.rejected to the user's organisation and emails the user.
+ * A webhook or email failure is logged and never fails the admin action.
+ * @param {string} type - Event type
+ * @param {Object} user - User that was approved or rejected
+ */
+async function publishUserEvent(type, user) {
+  try {
+    await webhooks.publish({
+      id: `${type}:${user._id}:${user.updatedAt.getTime()}`,
+      type,
+      organisationIds: [user.organisationId],
+      data: {
+        userId: user._id.toString(),
+        name: user.name,
+        email: user.email,
+        userType: user.userType,
+        organisationId: user.organisationId,
+        status: user.status,
+      },
+    });
+  } catch (err) {
+    console.error(`❌ Failed to publish ${type} webhook event:`, err.message);
+  }
+
+  try {
+    await notifications.notifyAccountStatus(user);
+  } catch (err) {
+    console.error(`❌ Failed to queue ${type} email:`, err.message);
+  }
+}
+
+/**
+ * Checks a list of store role names
+ * @param {*} roles - Value from the request body
+ * @returns {string|null} Error message, or null if every role is known
+ */
+function invalidStoreRoles(roles) {
+  if (!Array.isArray(roles)) return "roles must be an array";
+  const unknown = roles.filter((role) => !STORE_ROLES.includes(role));
+  return unknown.length > 0
+    ? `Unknown roles: ${unknown.join(", ")}. Must be among: ${STORE_ROLES.join(", ")}`
+    : null;
+}
+
+/**
+ * Whether the organisation keeps an active admin other than the given member
+ * @param {Object} member - Member being demoted or removed
+ * @returns {Promise<boolean>}
+ */
+async function hasOtherAdmin(member) {
+  const count = await User.countDocuments({
+    organisationId: member.organisationId,
+    organisationRole: "admin",
+    membershipStatus: "active",
+    _id: { $ne: member._id },
+  });
+  return count > 0;
 }
 
 // health check
 app.get("/health", async (req, res) => {
-  const net = await provider.getNetwork();
+  const { defaultNetwork } = networks;
+  const net = await defaultNetwork.provider.getNetwork();
   res.status(200).json({
     status: "ok",
     chainId: Number(net.chainId),
-    contract: registry.address,
-    factory: factory.address,
+    chain: defaultNetwork.mode,
+    contract: defaultNetwork.registry.target,
+    factory: defaultNetwork.factory.target,
+    // New organisations get their store on the default network
+    networks: networks.list.map((network) => ({
+      name: network.name,
+      chainId: network.chainId,
+      chain: network.mode,
+      contract: network.registry.target,
+      factory: network.factory.target,
+      default: network === defaultNetwork,
+    })),
   });
 });
 
-// create a user and document store
+// create a user, joining their organisation or creating it together with its document store
 app.post("/user/new", async (req, res) => {
   try {
     const {
@@ -165,8 +808,9 @@ app.post("/user/new", async (req, res) => {
       email,
       password,
       organisationId,
-      documentStoreAdmin,
+      organisationName,
       userType,
+      network: networkName,
     } = req.body;
 
     // Validate required fields
@@ -193,83 +837,40 @@ app.post("/user/new", async (req, res) => {
       });
     }
 
-    // Validate admin address if provided
-    if (documentStoreAdmin && !ethers.isAddress(documentStoreAdmin)) {
-      return res.status(400).json({
-        error: "Invalid documentStoreAdmin address",
-      });
-    }
-
-    // Convert to bytes32
-    const bytes32OrganisationId = ethers.id(organisationId);
-
-    // Reset nonce manager before creating store
-    await resetNonceManager(factoryAdmin);
-
-    // Create document store on blockchain
-    const tx1 = await factoryWrite.createStore(
-      bytes32OrganisationId,
-      documentStoreAdmin || ethers.ZeroAddress
-    );
-    const rc1 = await tx1.wait();
-
-    // Find the StoreCreated event in the receipt logs with retry mechanism
-    let event = null;
-    let storeAddress = null;
-    let retryCount = 0;
-    const maxRetries = 5;
-    const retryInterval = 5000; // 2 seconds
-
-    while (!event && retryCount < maxRetries) {
-      console.log(`Attempting to find StoreCreated event (attempt ${retryCount + 1}/${maxRetries})`);
-      
-      // Try to find the event in the current receipt logs
-      event = rc1.logs
-        .map((log) => {
-          try {
-            return factory.interface.parseLog(log);
-          } catch {
-            return null;
-          }
-        })
-        .find((parsed) => parsed && parsed.name === "StoreCreated");
-
-      if (event) {
-        storeAddress = event.args.store;
-        console.log(`✅ StoreCreated event found on attempt ${retryCount + 1}: ${storeAddress}`);
-        break;
+    // Every user gets their own custodial wallet, which acts for them in their organisation's store
+    const wallet = createCustodialWallet();
+
+    // An organisation has a single store; later users join it instead of deploying another
+    const organisation = await Organisation.findOneByOrganisationId(organisationId);
+
+    // The wallet transacts on the organisation's network; a new one picks it, or gets the default
+    let network;
+    if (organisation) {
+      network = requireNetwork(res, organisation.chainId);
+      if (!network) return;
+      if (networkName && networkName !== network.name) {
+        return res.status(409).json({
+          error: "Organisation is on another network",
+          code: "NETWORK_MISMATCH",
+          details: `${organisationId} is on network ${network.name}`,
+        });
       }
-
-      // If event not found and we haven't reached max retries, wait and try again
-      if (retryCount < maxRetries - 1) {
-        console.log(`StoreCreated event not found, waiting ${retryInterval}ms before retry...`);
-        await new Promise(resolve => setTimeout(resolve, retryInterval));
-        
-        // Try to get updated transaction receipt
-        try {
-          const updatedReceipt = await provider.getTransactionReceipt(tx1.hash);
-          if (updatedReceipt && updatedReceipt.logs) {
-            rc1.logs = updatedReceipt.logs;
-            console.log(`Updated receipt with ${updatedReceipt.logs.length} logs`);
-          }
-        } catch (receiptError) {
-          console.log(`Failed to get updated receipt: ${receiptError.message}`);
-        }
+    } else {
+      network = networkName ? networks.byName(networkName) : networks.defaultNetwork;
+      if (!network) {
+        return res.status(400).json({
+          error: "Unknown network",
+          details: `Must be one of: ${networks.list.map((n) => n.name).join(", ")}`,
+        });
       }
-      
-      retryCount++;
     }
 
-    // If still no event found after all retries
-    if (!event) {
-      console.error(`❌ StoreCreated event not found after ${maxRetries} attempts`);
-      console.error("Available logs:", rc1.logs.map(log => ({
-        address: log.address,
-        topics: log.topics,
-        data: log.data
-      })));
-      throw new Error(`Failed to find StoreCreated event after ${maxRetries} attempts`);
-    }
+    // Reset nonce manager before creating the store; the wallet gets gas money in its first job
+    await resetNonceManager(network.platformSigner);
+
+    const { storeAddress, transactionHash } = organisation
+      ? { storeAddress: organisation.documentStoreAddress, transactionHash: null }
+      : await createOrganisationStore(network, organisationId, wallet.address);
 
     // Create user in MongoDB (password will be automatically hashed by pre-save hook)
     const newUser = new User({
@@ -277,18 +878,50 @@ app.post("/user/new", async (req, res) => {
       email,
       password, // Will be automatically hashed using bcrypt
       organisationId,
-      documentStoreAddress: storeAddress,
+      // A joining user reaches the store, and its documents, once an admin approves them
+      documentStoreAddress: organisation ? undefined : storeAddress,
+      chainId: network.chainId,
+      walletAddress: wallet.address,
+      encryptedPrivateKey: wallet.encryptedPrivateKey,
       userType,
+      // The founder administers the organisation and holds every role in its store;
+      // joining users get roles once an organisation admin approves them
+      organisationRole: organisation ? "member" : "admin",
+      membershipStatus: organisation ? "pending" : "active",
+      storeRoles: organisation ? [] : STORE_ROLES,
     });
 
     await newUser.save();
 
+    const userOrganisation =
+      organisation ||
+      (await Organisation.create({
+        organisationId,
+        name: organisationName || organisationId,
+        documentStoreAddress: storeAddress,
+        chainId: network.chainId,
+        storeAdminAddress: wallet.address,
+        createdBy: newUser._id,
+      }));
+
+    res.locals.audit = {
+      targetId: String(newUser._id),
+      transactionHash: transactionHash ?? undefined,
+      details: { chainId: network.chainId },
+    };
+
     // Success response
     res.status(201).json({
-      message: "✅ User and document store created successfully",
+      message: organisation
+        ? "✅ User created; an organisation admin must approve the membership"
+        : "✅ User, organisation and document store created successfully",
       user: newUser.toSafeObject(),
-      transactionHash: rc1.hash,
+      organisation: userOrganisation,
+      transactionHash,
       storeAddress,
+      walletAddress: wallet.address,
+      network: network.name,
+      chainId: network.chainId,
     });
   } catch (err) {
     console.error("❌ Error creating user and document store:", err);
@@ -316,8 +949,7 @@ app.post("/user/new", async (req, res) => {
     }
 
     // Check if it's a contract revert
-    const errorMsg =
-      err.shortMessage || err.info?.error?.message || err.reason || err.message;
+    const errorMsg = errorDetails(err);
 
     res.status(500).json({
       error: "Failed to create user and document store",
@@ -372,10 +1004,6 @@ app.post("/user/login", async (req, res) => {
       });
     }
 
-    // Add walletAddress to the userRecord without losing Mongoose methods
-    const userType = userRecord.userType;
-    userRecord.walletAddress = getSignerAddressByUserType(userType);
-
     // In production, use bcrypt to compare hashed passwords
     const isPasswordValid = await userRecord.comparePassword(password);
     if (!isPasswordValid) {
@@ -388,19 +1016,35 @@ app.post("/user/login", async (req, res) => {
     if (userRecord.status !== 'approved') {
       return res.status(403).json({
         error: "Account not approved. Please contact administrator.",
+        code: "ACCOUNT_NOT_APPROVED",
         status: userRecord.status
       });
     }
 
-    // Generate JWT token
-    const apiToken = generateToken(userRecord);
+    // Generate a short-lived JWT and a rotating refresh token
+    const tokens = await issueTokenPair(userRecord, {
+      userAgent: req.headers["user-agent"],
+      ip: req.ip,
+    });
+
+    // The request carried no token, so name the actor for the audit log
+    res.locals.audit = {
+      actor: {
+        userId: String(userRecord._id),
+        email: userRecord.email,
+        userType: userRecord.userType,
+        organisationId: userRecord.organisationId,
+      },
+    };
 
     res.status(200).json({
       message: "✅ Login successful",
-      user: {...userRecord.toSafeObject(), walletAddress: userRecord.walletAddress},
-      apiToken: apiToken,
+      user: userRecord.toSafeObject(),
+      apiToken: tokens.apiToken,
+      refreshToken: tokens.refreshToken,
       tokenType: "Bearer",
-      expiresIn: "24h",
+      expiresIn: tokens.expiresIn,
+      refreshExpiresAt: tokens.refreshExpiresAt,
     });
   } catch (err) {
     console.error("❌ Error during login:", err);
@@ -411,98 +1055,496 @@ app.post("/user/login", async (req, res) => {
   }
 });
 
-// Get current user info using API token (protected endpoint)
-app.get("/user/me", authenticateToken, async (req, res) => {
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+app.post("/auth/refresh", async (req, res) => {
   try {
-    // Find user by ID from token
-    const user = await User.findById(req.user.userId);
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Missing refreshToken" });
+    }
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    let tokens;
+    try {
+      tokens = await refreshTokenPair(refreshToken);
+    } catch (refreshError) {
+      return res.status(401).json({
+        error: "Invalid refresh token",
+        details: refreshError.message,
+      });
     }
 
     res.status(200).json({
-      message: "✅ User info retrieved",
-      user: user.toSafeObject(),
+      message: "✅ Token refreshed",
+      apiToken: tokens.apiToken,
+      refreshToken: tokens.refreshToken,
+      tokenType: "Bearer",
+      expiresIn: tokens.expiresIn,
+      refreshExpiresAt: tokens.refreshExpiresAt,
     });
   } catch (err) {
-    console.error("❌ Error getting user info:", err);
+    console.error("❌ Error refreshing token:", err);
     res.status(500).json({
-      error: "Failed to get user info",
+      error: "Failed to refresh token",
       details: err.message,
     });
   }
 });
 
-// Verify token endpoint (useful for frontend to check if token is still valid)
-app.get("/auth/verify", authenticateToken, async (req, res) => {
+// Log out: revoke the current session, or every session with allSessions: true
+app.post("/user/logout", authenticateToken, async (req, res) => {
   try {
+    const { allSessions } = req.body || {};
+
+    if (allSessions) {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      await revokeUserAccess(user, "logout from all sessions");
+    } else {
+      const session = await Session.findById(req.user.sid);
+      if (session && !session.revokedAt) {
+        await session.revoke("logout");
+      }
+    }
+
     res.status(200).json({
-      message: "✅ Token is valid",
-      user: req.user,
-      valid: true,
+      message: "✅ Logged out successfully",
+      allSessions: !!allSessions,
     });
   } catch (err) {
-    res.status(401).json({
-      error: "Invalid token",
-      valid: false,
+    console.error("❌ Error logging out:", err);
+    res.status(500).json({
+      error: "Logout failed",
+      details: err.message,
     });
   }
 });
 
-// issue a document and allow a signer
-app.post("/document/issue", authenticateToken, async (req, res) => {
+// Change password: every existing token is revoked and a fresh session is started
+app.put("/user/password", authenticateToken, async (req, res) => {
   try {
-    // Get current user from token
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: "currentPassword and newPassword are required",
+      });
+    }
+
     const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const { docDetails, recipient, quoteNumber, documentId } = req.body;
-    const issuerDocStore = user.documentStoreAddress;
-    const issuerSigner = getSignerByUserType(user.userType);
-    
-    // Reset nonce manager to sync with blockchain state
-    await resetNonceManager(issuerSigner);
-
-    const signer = await User.findOneByEmail(recipient.emailAddress);
-    if (!signer) {
-      return res.status(404).json({ error: "Signer not found" });
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ error: "Current password is incorrect" });
     }
 
-    const documentSignerAddress = getSignerAddressByUserType(signer.userType);
-
-    const { documentType } = docDetails;
+    // The pre-save hook bumps tokenVersion when the password changes
+    user.password = newPassword;
+    await user.save();
+    await Session.revokeAllForUser(user._id, "password changed");
 
-    if (!documentId || !documentType)
-      return res
-        .status(400)
-        .json({ error: "Missing documentId or documentType" });
-    if (!ethers.isAddress(issuerDocStore))
-      return res.status(400).json({ error: "Invalid documentStoreAddress" });
-    if (documentSignerAddress && !ethers.isAddress(documentSignerAddress))
-      return res.status(400).json({ error: "Invalid signer address" });
+    const tokens = await issueTokenPair(user, {
+      userAgent: req.headers["user-agent"],
+      ip: req.ip,
+    });
 
-    if (await Documents.findOneByDocumentId(documentId)) {
+    res.status(200).json({
+      message: "✅ Password changed successfully",
+      apiToken: tokens.apiToken,
+      refreshToken: tokens.refreshToken,
+      tokenType: "Bearer",
+      expiresIn: tokens.expiresIn,
+      refreshExpiresAt: tokens.refreshExpiresAt,
+    });
+  } catch (err) {
+    console.error("❌ Error changing password:", err);
+    res.status(500).json({
+      error: "Failed to change password",
+      details: err.message,
+    });
+  }
+});
+
+// Email notification preferences of the current user
+app.get("/user/notifications", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.status(200).json({
+      message: "✅ Notification preferences retrieved successfully",
+      preferences: user.notificationPreferences,
+    });
+  } catch (err) {
+    console.error("❌ Error getting notification preferences:", err);
+    res.status(500).json({
+      error: "Failed to get notification preferences",
+      details: err.message,
+    });
+  }
+});
+
+// Turn email notification types on or off, e.g. { "documentSigned": false }
+app.put("/user/notifications", authenticateToken, async (req, res) => {
+  try {
+    const updates = req.body || {};
+    const invalid = Object.entries(updates).find(
+      ([type, enabled]) => !NOTIFICATION_TYPES.includes(type) || typeof enabled !== "boolean"
+    );
+    if (invalid || Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: "Invalid notification preferences",
+        details: `Expected boolean values for: ${NOTIFICATION_TYPES.join(", ")}`,
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    for (const [type, enabled] of Object.entries(updates)) {
+      user.notificationPreferences[type] = enabled;
+    }
+    await user.save();
+
+    res.status(200).json({
+      message: "✅ Notification preferences updated",
+      preferences: user.notificationPreferences,
+    });
+  } catch (err) {
+    console.error("❌ Error updating notification preferences:", err);
+    res.status(500).json({
+      error: "Failed to update notification preferences",
+      details: err.message,
+    });
+  }
+});
+
+// Message to sign with personal_sign before linking a browser wallet
+app.get("/user/wallet/link-message", authenticateToken, async (req, res) => {
+  try {
+    const { address } = req.query;
+    if (!address || !ethers.isAddress(address)) {
+      return res.status(400).json({ error: "Missing or invalid address" });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.status(200).json({
+      message: "✅ Sign this message with the wallet to link",
+      linkMessage: walletLinkMessage(address, user),
+    });
+  } catch (err) {
+    console.error("❌ Error building wallet link message:", err);
+    res.status(500).json({ error: "Failed to build wallet link message", details: err.message });
+  }
+});
+
+// Link a browser wallet: issue and sign then return EIP-712 typed data instead of
+// using the custodial wallet
+app.put("/user/wallet", authenticateToken, async (req, res) => {
+  try {
+    const { address, signature } = req.body;
+    if (!address || !ethers.isAddress(address) || !signature) {
+      return res.status(400).json({ error: "Missing or invalid address or signature" });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(walletLinkMessage(address, user), signature);
+    } catch {
+      recovered = null;
+    }
+    if (!recovered || recovered.toLowerCase() !== address.toLowerCase()) {
+      return res.status(400).json({ error: "Invalid signature", details: "Sign the message from /user/wallet/link-message" });
+    }
+
+    user.externalWalletAddress = ethers.getAddress(address);
+    user.signingMode = "external";
+    await user.save();
+
+    // The wallet gets the roles the user holds in their organisation's store; members who
+    // are not active yet hold none, and have no store address of their own
+    const organisation = await Organisation.findOneByOrganisationId(user.organisationId);
+    const { job } = await queueJob(req, {
+      type: "setStoreRoles",
+      chainId: user.chainId,
+      payload: {
+        memberId: String(user._id),
+        store: user.documentStoreAddress || organisation?.documentStoreAddress,
+        accounts: [user.externalWalletAddress],
+        roles: [...user.storeRoles],
+      },
+      message: "✅ Wallet linked",
+      extra: { walletAddress: user.externalWalletAddress, signingMode: user.signingMode },
+    });
+
+    res.status(202).json({ ...job.response, status: job.status });
+  } catch (err) {
+    console.error("❌ Error linking wallet:", err);
+    res.status(500).json({ error: "Failed to link wallet", details: err.message });
+  }
+});
+
+// Go back to signing with the custodial wallet; the unlinked wallet loses its store roles
+app.delete("/user/wallet", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const unlinkedAddress = user.externalWalletAddress;
+    if (!unlinkedAddress) {
+      user.signingMode = "custodial";
+      await user.save();
+      return res.status(200).json({
+        message: "✅ Signing with the custodial wallet again",
+        signingMode: user.signingMode,
+        walletAddress: user.walletAddress,
+      });
+    }
+
+    // Queued before the address is cleared, so a failure leaves the wallet linked to retry
+    const organisation = await Organisation.findOneByOrganisationId(user.organisationId);
+    const { job } = await queueJob(req, {
+      type: "setStoreRoles",
+      chainId: user.chainId,
+      payload: {
+        memberId: String(user._id),
+        store: user.documentStoreAddress || organisation?.documentStoreAddress,
+        accounts: [unlinkedAddress],
+        roles: [],
+      },
+      message: "✅ Signing with the custodial wallet again",
+      extra: { walletAddress: user.walletAddress, signingMode: "custodial" },
+    });
+
+    user.externalWalletAddress = undefined;
+    user.signingMode = "custodial";
+    await user.save();
+
+    res.status(202).json({ ...job.response, status: job.status });
+  } catch (err) {
+    console.error("❌ Error unlinking wallet:", err);
+    res.status(500).json({ error: "Failed to unlink wallet", details: err.message });
+  }
+});
+
+// Get current user info using API token (protected endpoint)
+app.get("/user/me", authenticateToken, async (req, res) => {
+  try {
+    // Find user by ID from token
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.status(200).json({
+      message: "✅ User info retrieved",
+      user: user.toSafeObject(),
+    });
+  } catch (err) {
+    console.error("❌ Error getting user info:", err);
+    res.status(500).json({
+      error: "Failed to get user info",
+      details: err.message,
+    });
+  }
+});
+
+// Verify token endpoint (useful for frontend to check if token is still valid)
+app.get("/auth/verify", authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json({
+      message: "✅ Token is valid",
+      user: req.user,
+      valid: true,
+    });
+  } catch (err) {
+    res.status(401).json({
+      error: "Invalid token",
+      valid: false,
+    });
+  }
+});
+
+/**
+ * Issues a document and allows its signers. With `amend`, the document is a new version
+ * of an issued one, which is revoked as REISSUED and linked to it in the same transaction.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [options]
+ * @param {boolean} [options.amend=false] - Reissue req.body.previousDocumentId
+ */
+async function issueDocument(req, res, { amend = false } = {}) {
+  try {
+    // Get current user from token
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // A retried request gets the job it already created
+    if (await replayIdempotentRequest(req, res, "issue")) return;
+
+    // --- Validate the document against its type's schema before anything is anchored ---
+    const validation = validateDocument(req.body?.docDetails?.documentType, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: "Document failed schema validation",
+        code: "DOCUMENT_INVALID",
+        details: validation.errors,
+      });
+    }
+
+    const { docDetails, recipient, quoteNumber } = req.body;
+    let { documentId } = req.body;
+    const issuerDocStore = user.documentStoreAddress;
+    // Documents are anchored on the network of the issuer's organisation
+    const network = requireNetwork(res, user.chainId);
+    if (!network) return;
+
+    // --- Amendment: the new version keeps the type and trade of the document it replaces ---
+    let previous = null;
+    if (amend) {
+      const amendment = await resolveAmendedDocument(user, req.body.previousDocumentId);
+      if (amendment.error) {
+        return res.status(amendment.status).json({ error: amendment.error });
+      }
+      previous = amendment.previous;
+
+      if (docDetails.documentType !== previous.documentType || quoteNumber !== previous.quoteNumber) {
+        return res.status(400).json({
+          error: "Invalid amendment",
+          details: "An amendment must keep the documentType and quoteNumber of the document it replaces",
+        });
+      }
+      // Every version needs its own on-chain id; reusing the old one names the next version
+      if (documentId === previous.documentId) {
+        documentId = `${previous.originalDocumentId || previous.documentId}-v${(previous.version || 1) + 1}`;
+      }
+    }
+
+    const recipientUser = await User.findOneByEmail(recipient.emailAddress);
+    if (!recipientUser) {
+      return res.status(404).json({ error: "Signer not found" });
+    }
+
+    // Signers are either listed explicitly or default to a signable recipient
+    const signerEmails = Array.isArray(req.body.signers) && req.body.signers.length > 0
+      ? req.body.signers.map((s) => (typeof s === "string" ? s : s?.emailAddress))
+      : recipient.isSignable
+      ? [recipient.emailAddress]
+      : [];
+
+    const signerUsers = [];
+    for (const email of signerEmails) {
+      const signerUser = email && (await User.findOneByEmail(email));
+      if (!signerUser) {
+        return res.status(404).json({ error: "Signer not found", email });
+      }
+      // Signers using their own browser wallet are whitelisted with that address
+      const signingAddress = signerUser.signingAddress();
+      if (!signingAddress || !ethers.isAddress(signingAddress)) {
+        return res.status(400).json({ error: "Invalid signer address", email });
+      }
+      // Signers send their transactions to the issuer's store, so their wallet must be on its network
+      if (signerUser.chainId !== network.chainId) {
+        return res.status(409).json({
+          error: "Signer is on another network",
+          code: "NETWORK_MISMATCH",
+          details: `${email} belongs to an organisation on another network than ${network.name}`,
+          email,
+        });
+      }
+      if (!signerUsers.some((u) => u._id.equals(signerUser._id))) {
+        signerUsers.push(signerUser);
+      }
+    }
+
+    const isSignable = signerUsers.length > 0;
+    const documentSignerAddress = isSignable
+      ? signerUsers[0].signingAddress()
+      : recipientUser.signingAddress();
+
+    const { documentType } = docDetails;
+
+    if (!documentId || !documentType)
+      return res
+        .status(400)
+        .json({ error: "Missing documentId or documentType" });
+    if (!ethers.isAddress(issuerDocStore))
+      return res.status(400).json({ error: "Invalid documentStoreAddress" });
+
+    const existingDocument = await Documents.findOneByDocumentId(documentId);
+    if (existingDocument && !(await discardExpiredDraft(existingDocument))) {
       return res.status(400).json({ error: "Document already exists" });
     }
 
+    // --- Enforce trade chain ordering before anything is sent on-chain ---
+    // (an amendment takes the place of its predecessor and keeps its parent)
+    const { parent, error: chainError } = previous
+      ? {
+          parent: previous.parentDocumentId
+            ? await Documents.findOneByDocumentId(previous.parentDocumentId)
+            : null,
+        }
+      : await resolveTradeParent({
+          documentType,
+          quoteNumber,
+          docStore: issuerDocStore,
+          parentDocumentId: req.body.parentDocumentId,
+        });
+    if (chainError) {
+      return res.status(400).json({ error: "Invalid trade chain step", details: chainError });
+    }
+
+    // --- Registry whitelists, checked before the document is saved ---
+    const whitelisted = await requireWhitelisted(res, network, {
+      documentType,
+      issuerDocStore,
+      signers: signerUsers.map((signerUser) => ({ address: signerUser.signingAddress(), email: signerUser.email })),
+    });
+    if (!whitelisted) return;
+
     const bytes32DocumentId = ethers.id(documentId);
     const bytes32DocumentType = ethers.id(documentType);
 
-    const wrappedDocument = wrapDocument(req.body);
+    // The contract snapshots the registry's signer count at issuance (0 counts as 1)
+    const requiredSignerCount =
+      Number(await network.registry.requiredSignerCount(bytes32DocumentType)) || 1;
+    if (isSignable && signerUsers.length < requiredSignerCount) {
+      return res.status(400).json({
+        error: "Not enough signers",
+        details: `${documentType} requires ${requiredSignerCount} signers, got ${signerUsers.length}`,
+      });
+    }
+
+    // The wrapped document carries the id the version is issued under
+    const docInfo = { ...req.body, documentId };
+    const wrappedDocument = wrapDocument(docInfo);
     const leaves = buildLeaves(wrappedDocument.data);
     const documentHash = `0x${merkleRoot(leaves).root}`;
 
-    const documentStoreWrite = new ethers.Contract(
-      issuerDocStore,
-      DocumentStoreABI,
-      issuerSigner
-    );
+    const documentStoreRead = network.connectStore(issuerDocStore);
 
     // --- Check if already issued ---
-    const isAlreadyIssued = await documentStoreWrite.isIssued(
+    const isAlreadyIssued = await documentStoreRead.isIssued(
       bytes32DocumentId
     );
     if (isAlreadyIssued) {
@@ -512,77 +1554,427 @@ app.post("/document/issue", authenticateToken, async (req, res) => {
       });
     }
 
-    // --- Issue document ---
-    const transactionHashes = [];
-    const tx = await documentStoreWrite.issue(
-      bytes32DocumentId,
-      documentHash,
-      bytes32DocumentType
-    );
-    await tx.wait();
-    
-    const issuedHash = { transactionHash: tx.hash, event: "DocumentIssued"}
-    transactionHashes.push(issuedHash);
-
-    // --- Whitelist signer for this document ---
-    const isSignable = recipient.isSignable;
-    if (documentSignerAddress && isSignable) {
-      const SIGNER_ROLE = await documentStoreWrite.SIGNER_ROLE();
-      const grantTx = await documentStoreWrite.grantRole(
-        SIGNER_ROLE,
-        documentSignerAddress
-      );
-      await grantTx.wait();
-      transactionHashes.push({ transactionHash: grantTx.hash, event: "GrantRole"});
-
-      const tx2 = await registryWrite.setSignerForDocument(
-        bytes32DocumentId,
-        documentSignerAddress,
-        true
-      );
-      await tx2.wait();
-      transactionHashes.push({ transactionHash: tx2.hash, event: "SetSignerForDocument"});
-    }
-
-    const isNowIssued = await documentStoreWrite.isIssued(bytes32DocumentId);
-
+    // --- Save the document first, then send the transactions from the job queue ---
+    const jobId = new mongoose.Types.ObjectId().toString();
     const newDocument = new Documents({
       documentId,
+      documentIdHash: bytes32DocumentId,
       documentType,
       quoteNumber,
       documentHash,
-      transactionHash: transactionHashes,
+      transactionHash: [],
+      chainId: network.chainId,
       issuerDocStore,
-      signerDocStore: signer.documentStoreAddress,
-      rawDocInfo: JSON.stringify(req.body),
+      issuedBy: req.user.userId,
+      signerDocStore: isSignable
+        ? signerUsers[0].documentStoreAddress
+        : recipientUser.documentStoreAddress,
+      signerAddress: documentSignerAddress,
+      signers: signerUsers.map((signerUser) => ({
+        userId: signerUser._id.toString(),
+        email: signerUser.email,
+        walletAddress: signerUser.signingAddress(),
+        docStore: signerUser.documentStoreAddress,
+      })),
+      requiredSignerCount,
+      parentDocumentId: parent?.documentId,
+      version: previous ? (previous.version || 1) + 1 : 1,
+      originalDocumentId: previous ? previous.originalDocumentId || previous.documentId : undefined,
+      previousDocumentId: previous?.documentId,
+      rawDocInfo: JSON.stringify(docInfo),
       wrappedDocInfo: JSON.stringify(wrappedDocument),
       isSignable,
+      // The job and the indexer move this to Issued once the transaction is mined
+      onChainState: "None",
     });
+
+    // --- Browser wallet: hand back typed data; /document/issue/relay queues the job ---
+    if (user.signingMode === "external") {
+      const typedData = await buildIssueTypedData({
+        store: documentStoreRead,
+        documentId,
+        documentHash,
+        documentType,
+        issuer: user.externalWalletAddress,
+        previousDocumentId: previous?.documentId,
+      });
+      newDocument.awaitingSignatureUntil = new Date(Number(typedData.message.deadline) * 1000);
+      await newDocument.save();
+
+      if (parent) {
+        await Documents.updateOne(
+          { documentId: parent.documentId },
+          { $addToSet: { childDocumentIds: documentId } }
+        );
+      }
+
+      return res.status(200).json({
+        message: "✅ Sign the typed data with your wallet, then submit it to /document/issue/relay",
+        documentId,
+        typedData,
+        relayUrl: "/document/issue/relay",
+        documentSignerAddress,
+        signers: signerUsers.map((signerUser) => signerUser.signingAddress()),
+        requiredSignerCount,
+        parentDocumentId: parent?.documentId ?? null,
+        version: newDocument.version,
+        previousDocumentId: previous?.documentId ?? null,
+        documentHash,
+        wrappedDocument,
+      });
+    }
+
+    newDocument.pendingJobId = jobId;
     await newDocument.save();
 
-    return res.status(200).json({
-      message: "✅ Document issued successfully",
-      issued: isNowIssued,
-      transactionHash: tx.hash,
-      documentSignerAddress,
-      documentHash,
-      wrappedDocument,
-    });
+    let queued;
+    try {
+      queued = await queueJob(req, {
+        jobId,
+        type: "issue",
+        documentId,
+        chainId: network.chainId,
+        payload: previous ? { previousDocumentId: previous.documentId } : {},
+        message: previous ? "✅ Document amendment queued" : "✅ Document issue queued",
+        extra: {
+          documentSignerAddress,
+          signers: signerUsers.map((signerUser) => signerUser.signingAddress()),
+          requiredSignerCount,
+          parentDocumentId: parent?.documentId ?? null,
+          version: newDocument.version,
+          previousDocumentId: previous?.documentId ?? null,
+          documentHash,
+          wrappedDocument,
+        },
+      });
+    } catch (queueError) {
+      await Documents.deleteOne({ _id: newDocument._id });
+      throw queueError;
+    }
+
+    // Lost a race with a retry carrying the same Idempotency-Key
+    if (!queued.created) {
+      await Documents.deleteOne({ _id: newDocument._id });
+      return res.status(202).json({ ...queued.job.response, status: queued.job.status, replayed: true });
+    }
+
+    if (parent) {
+      await Documents.updateOne(
+        { documentId: parent.documentId },
+        { $addToSet: { childDocumentIds: documentId } }
+      );
+    }
+
+    return res.status(202).json({ ...queued.job.response, status: queued.job.status });
   } catch (err) {
     console.error("❌ Error issuing document:", err);
-    const msg =
-      err.shortMessage || err.info?.error?.message || err.reason || err.message;
+    const msg = errorDetails(err);
+    res.status(500).json({ error: "Failed to issue document", details: msg });
+  }
+}
+
+app.post("/document/issue", authenticateToken, requirePermission(issuePermission), requireActiveMember, (req, res) => issueDocument(req, res));
+
+// Amend an issued document: revoke it as REISSUED and issue the next version
+app.post("/document/amend", authenticateToken, requirePermission(issuePermission, "document:revoke"), requireActiveMember, (req, res) =>
+  issueDocument(req, res, { amend: true })
+);
+
+// Relay an issue authorised with the issuer's browser wallet (EIP-712)
+app.post("/document/issue/relay", authenticateToken, requireActiveMember, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // A retried request gets the job it already created
+    if (await replayIdempotentRequest(req, res, "issue")) return;
+
+    const { documentId, signature } = req.body;
+    if (!documentId || !signature) {
+      return res.status(400).json({ error: "Missing documentId or signature" });
+    }
+    if (user.signingMode !== "external") {
+      return res.status(400).json({ error: "No browser wallet linked to this account" });
+    }
+
+    const document = await Documents.findOneByDocumentId(documentId);
+    if (!document || document.issuerDocStore !== user.documentStoreAddress) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    // The same permissions as /document/issue and /document/amend, for the draft's type;
+    // the relay body does not carry it, so requirePermission cannot check it up front
+    const required = [
+      `document:issue:${document.documentType}`,
+      ...(document.previousDocumentId ? ["document:revoke"] : []),
+    ];
+    const granted = await getRolePermissions(req.user.userType);
+    const missing = required.find((permission) => !hasPermission(granted, permission));
+    if (missing) {
+      return res.status(403).json({
+        error: "Access denied. Missing permission.",
+        code: "PERMISSION_DENIED",
+        details: `${req.user.userType} users do not have ${missing}`,
+      });
+    }
+
+    if (document.onChainState !== "None" || document.pendingJobId || !document.awaitingSignatureUntil) {
+      return res.status(409).json({ error: "Document is not waiting for a signature" });
+    }
+    if (document.awaitingSignatureUntil <= new Date()) {
+      await discardExpiredDraft(document);
+      return res.status(410).json({ error: "Signature window expired, issue the document again" });
+    }
+
+    const network = requireNetwork(res, document.chainId);
+    if (!network) return;
+
+    // The whitelists may have changed since the typed data was handed out
+    const whitelisted = await requireWhitelisted(res, network, {
+      documentType: document.documentType,
+      issuerDocStore: document.issuerDocStore,
+      signers: (document.signers || []).map(({ walletAddress, email }) => ({ address: walletAddress, email })),
+    });
+    if (!whitelisted) return;
+
+    const documentStoreRead = network.connectStore(document.issuerDocStore);
+    const typedData = await buildIssueTypedData({
+      store: documentStoreRead,
+      documentId,
+      documentHash: document.documentHash,
+      documentType: document.documentType,
+      issuer: user.externalWalletAddress,
+      deadline: Math.floor(document.awaitingSignatureUntil.getTime() / 1000),
+      previousDocumentId: document.previousDocumentId,
+    });
+
+    // Checked here so a bad signature never costs gas
+    if (!isValidTypedSignature(typedData, signature, user.externalWalletAddress)) {
+      return res.status(400).json({
+        error: "Invalid signature",
+        details: "The signature does not match the current typed data; sign it again",
+        typedData,
+      });
+    }
+
+    const jobId = new mongoose.Types.ObjectId().toString();
+    await Documents.updateOne({ _id: document._id }, { $set: { pendingJobId: jobId } });
+
+    let queued;
+    try {
+      queued = await queueJob(req, {
+        jobId,
+        type: "issue",
+        documentId,
+        chainId: network.chainId,
+        payload: {
+          signature,
+          deadline: typedData.message.deadline,
+          issuer: typedData.message.issuer,
+          previousDocumentId: document.previousDocumentId,
+        },
+        message: document.previousDocumentId ? "✅ Document amendment queued" : "✅ Document issue queued",
+        extra: { documentHash: document.documentHash },
+      });
+    } catch (queueError) {
+      await Documents.updateOne({ _id: document._id }, { $unset: { pendingJobId: "" } });
+      throw queueError;
+    }
+
+    res.status(202).json({ ...queued.job.response, status: queued.job.status });
+  } catch (err) {
+    console.error("❌ Error relaying document issue:", err);
+    const msg = errorDetails(err);
     res.status(500).json({ error: "Failed to issue document", details: msg });
   }
 });
 
-app.post("/document/sign", authenticateToken, async (req, res) => {
+// Issue many documents of one type with a single transaction anchoring their batch root
+app.post("/document/issue/batch", authenticateToken, requirePermission(batchIssuePermission), requireActiveMember, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
+    // A retried request gets the job it already created
+    if (await replayIdempotentRequest(req, res, "issueBatch")) return;
+
+    const { documents } = req.body;
+    if (!Array.isArray(documents) || documents.length === 0) {
+      return res.status(400).json({ error: "Missing documents" });
+    }
+    if (documents.length > BATCH_MAX_SIZE) {
+      return res.status(400).json({
+        error: "Batch too large",
+        details: `A batch holds at most ${BATCH_MAX_SIZE} documents`,
+      });
+    }
+    if (user.signingMode === "external") {
+      return res.status(400).json({
+        error: "Batch issuance is not available with a browser wallet",
+        details: "Issue the documents individually, or unlink the wallet to issue from the custodial wallet",
+      });
+    }
+
+    const issuerDocStore = user.documentStoreAddress;
+    if (!ethers.isAddress(issuerDocStore))
+      return res.status(400).json({ error: "Invalid documentStoreAddress" });
+    const network = requireNetwork(res, user.chainId);
+    if (!network) return;
+
+    // --- Check every document before anything is saved; the batch is all or nothing ---
+    const documentType = documents[0]?.docDetails?.documentType;
+    const errors = [];
+    const prepared = [];
+    const seenIds = new Set();
+    for (const [index, doc] of documents.entries()) {
+      const fail = (error, details) => errors.push({ index, documentId: doc?.documentId, error, details });
+
+      const validation = validateDocument(doc?.docDetails?.documentType, doc);
+      if (!validation.valid) {
+        fail("Document failed schema validation", validation.errors);
+        continue;
+      }
+      if (doc.docDetails.documentType !== documentType) {
+        fail("Mixed document types", `Every document of a batch must be a ${documentType}`);
+        continue;
+      }
+      if ((Array.isArray(doc.signers) && doc.signers.length > 0) || doc.recipient.isSignable) {
+        fail("Documents issued in a batch cannot be signed", "Issue signable documents individually");
+        continue;
+      }
+      if (seenIds.has(doc.documentId)) {
+        fail("Duplicate documentId in batch");
+        continue;
+      }
+      seenIds.add(doc.documentId);
+
+      const existingDocument = await Documents.findOneByDocumentId(doc.documentId);
+      if (existingDocument && !(await discardExpiredDraft(existingDocument))) {
+        fail("Document already exists");
+        continue;
+      }
+
+      const recipientUser = await User.findOneByEmail(doc.recipient.emailAddress);
+      if (!recipientUser) {
+        fail("Recipient not found", doc.recipient.emailAddress);
+        continue;
+      }
+
+      const { parent, error: chainError } = await resolveTradeParent({
+        documentType,
+        quoteNumber: doc.quoteNumber,
+        docStore: issuerDocStore,
+        parentDocumentId: doc.parentDocumentId,
+      });
+      if (chainError) {
+        fail("Invalid trade chain step", chainError);
+        continue;
+      }
+
+      prepared.push({ doc, recipientUser, parent });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Batch rejected", details: errors });
+    }
+    if (!(await requireWhitelisted(res, network, { documentType, issuerDocStore }))) return;
+
+    // --- Wrap every document and build the batch tree over their own roots ---
+    const { batchRoot: root, documents: wrappedDocuments } = wrapDocumentBatch(
+      prepared.map(({ doc }) => doc)
+    );
+    const batchRoot = `0x${root}`;
+    res.locals.audit = { targetId: batchRoot };
+
+    const jobId = new mongoose.Types.ObjectId().toString();
+    const records = prepared.map(({ doc, recipientUser, parent }, i) => ({
+      documentId: doc.documentId,
+      documentIdHash: ethers.id(doc.documentId),
+      documentType,
+      quoteNumber: doc.quoteNumber,
+      documentHash: `0x${wrappedDocuments[i].signature.targetHash}`,
+      transactionHash: [],
+      chainId: network.chainId,
+      issuerDocStore,
+      issuedBy: req.user.userId,
+      signerDocStore: recipientUser.documentStoreAddress,
+      signerAddress: recipientUser.signingAddress(),
+      requiredSignerCount: 0,
+      parentDocumentId: parent?.documentId,
+      batchRoot,
+      batchProof: wrappedDocuments[i].signature.proof,
+      rawDocInfo: JSON.stringify(doc),
+      wrappedDocInfo: JSON.stringify(wrappedDocuments[i]),
+      isSignable: false,
+      // The job and the indexer move these to Issued once the batch root is mined
+      onChainState: "None",
+      pendingJobId: jobId,
+    }));
+    await Documents.insertMany(records);
+
+    let queued;
+    try {
+      queued = await queueJob(req, {
+        jobId,
+        type: "issueBatch",
+        chainId: network.chainId,
+        payload: { batchRoot, documentType, size: records.length },
+        message: "✅ Batch issue queued",
+        extra: {
+          batchRoot,
+          documentType,
+          size: records.length,
+          documents: records.map((record) => ({
+            documentId: record.documentId,
+            documentHash: record.documentHash,
+            proof: record.batchProof,
+          })),
+        },
+      });
+    } catch (queueError) {
+      await Documents.deleteMany({ batchRoot, issuerDocStore });
+      throw queueError;
+    }
+
+    // Lost a race with a retry carrying the same Idempotency-Key
+    if (!queued.created) {
+      await Documents.deleteMany({ batchRoot, issuerDocStore });
+      return res.status(202).json({ ...queued.job.response, status: queued.job.status, replayed: true });
+    }
+
+    for (const { doc, parent } of prepared.filter(({ parent }) => parent)) {
+      await Documents.updateOne(
+        { documentId: parent.documentId },
+        { $addToSet: { childDocumentIds: doc.documentId } }
+      );
+    }
+
+    // Wrapped documents are only returned here; they are too large to keep in the job
+    return res.status(202).json({
+      ...queued.job.response,
+      status: queued.job.status,
+      wrappedDocuments,
+    });
+  } catch (err) {
+    console.error("❌ Error issuing document batch:", err);
+    const msg = errorDetails(err);
+    res.status(500).json({ error: "Failed to issue document batch", details: msg });
+  }
+});
+
+app.post("/document/sign", authenticateToken, requirePermission("document:sign"), requireActiveMember, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // A retried request gets the job it already created
+    if (await replayIdempotentRequest(req, res, "sign")) return;
+
     const { documentId } = req.body;
     if (!documentId) {
       return res.status(400).json({
@@ -594,19 +1986,24 @@ app.post("/document/sign", authenticateToken, async (req, res) => {
     if (!document) {
       return res.status(404).json({ error: "Document not found" });
     }
+    if (document.batchRoot) {
+      return res.status(400).json({ error: "Documents issued in a batch cannot be signed" });
+    }
 
-    const signer = getSignerByUserType(user.userType);
-    await resetNonceManager(signer);
-    
-    const documentStoreWrite = new ethers.Contract(
-      document.issuerDocStore,
-      DocumentStoreABI,
-      signer
-    );
+    const network = requireNetwork(res, document.chainId);
+    if (!network) return;
+    if (user.chainId !== network.chainId) {
+      return res.status(409).json({
+        error: "Document is on another network",
+        code: "NETWORK_MISMATCH",
+        details: `The document is anchored on ${network.name}, your organisation is not`,
+      });
+    }
+    const documentStoreRead = network.connectStore(document.issuerDocStore);
     const documentIdHash = toBytes32(documentId);
 
     // --- Check issuance before signing ---
-    const isIssued = await documentStoreWrite.isIssued(documentIdHash);
+    const isIssued = await documentStoreRead.isIssued(documentIdHash);
     if (!isIssued) {
       return res
         .status(400)
@@ -614,45 +2011,134 @@ app.post("/document/sign", authenticateToken, async (req, res) => {
     }
 
     // --- Check if already signed ---
-    const isAlreadySigned = await documentStoreWrite.isSigned(documentIdHash);
+    const signingAddress = user.signingAddress();
+    const isAlreadySigned = (await documentStoreRead.signedAt(documentIdHash, signingAddress)) > 0n;
     if (isAlreadySigned) {
       return res.status(400).json({ error: "Document already signed" });
     }
 
-    // --- Sign the document ---
-    const tx = await documentStoreWrite.sign(documentIdHash);
-    await tx.wait();
-    
-    await Documents.findOneAndUpdate(
-      { documentId },
-      { $push: { transactionHash: { transactionHash: tx.hash, event: "DocumentSigned" } } }
-    );
+    // --- Check the signer is whitelisted for the document type ---
+    const whitelisted = await requireWhitelisted(res, network, {
+      documentType: document.documentType,
+      signers: [{ address: signingAddress }],
+    });
+    if (!whitelisted) return;
 
-    const isNowSigned = await documentStoreWrite.signedAt(
-      documentIdHash,
-      signer
-    );
+    // --- Browser wallet: hand back typed data; /document/sign/relay queues the job ---
+    if (user.signingMode === "external") {
+      const typedData = await buildSignTypedData({
+        store: documentStoreRead,
+        documentId,
+        signer: signingAddress,
+      });
+      return res.status(200).json({
+        message: "✅ Sign the typed data with your wallet, then submit it to /document/sign/relay",
+        documentId,
+        typedData,
+        relayUrl: "/document/sign/relay",
+      });
+    }
 
-    res.status(200).json({
-      message: "✅ Document signed successfully",
+    // --- Sign the document from the job queue ---
+    const { job } = await queueJob(req, {
+      type: "sign",
       documentId,
-      signedAt: isNowSigned.toString(),
-      transactionHash: tx.hash,
+      chainId: network.chainId,
+      message: "✅ Document signing queued",
     });
+
+    res.status(202).json({ ...job.response, status: job.status });
   } catch (err) {
-    const msg = err.reason;
+    const msg = errorDetails(err);
     console.error("❌ Error signing document:", msg);
     res.status(500).json({ error: "Failed to sign document", details: msg });
   }
 });
 
-app.post("/document/revoke", authenticateToken, async (req, res) => {
+// Relay a signature made with the signer's browser wallet (EIP-712)
+app.post("/document/sign/relay", authenticateToken, requirePermission("document:sign"), requireActiveMember, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
+    // A retried request gets the job it already created
+    if (await replayIdempotentRequest(req, res, "sign")) return;
+
+    const { documentId, signature, deadline } = req.body;
+    if (!documentId || !signature || !deadline) {
+      return res.status(400).json({ error: "Missing documentId, signature or deadline" });
+    }
+    if (user.signingMode !== "external") {
+      return res.status(400).json({ error: "No browser wallet linked to this account" });
+    }
+
+    const document = await Documents.findOneByDocumentId(documentId);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    const network = requireNetwork(res, document.chainId);
+    if (!network) return;
+    if (user.chainId !== network.chainId) {
+      return res.status(409).json({
+        error: "Document is on another network",
+        code: "NETWORK_MISMATCH",
+        details: `The document is anchored on ${network.name}, your organisation is not`,
+      });
+    }
+    const documentStoreRead = network.connectStore(document.issuerDocStore);
+    const typedData = await buildSignTypedData({
+      store: documentStoreRead,
+      documentId,
+      signer: user.externalWalletAddress,
+      deadline,
+    });
+
+    // Checked here so a bad or expired signature never costs gas
+    if (!isValidTypedSignature(typedData, signature, user.externalWalletAddress)) {
+      return res.status(400).json({
+        error: "Invalid signature",
+        details: "The signature is expired or does not match the current typed data; request new typed data from /document/sign",
+      });
+    }
+    const whitelisted = await requireWhitelisted(res, network, {
+      documentType: document.documentType,
+      signers: [{ address: typedData.message.signer }],
+    });
+    if (!whitelisted) return;
+
+    const { job } = await queueJob(req, {
+      type: "sign",
+      documentId,
+      chainId: network.chainId,
+      payload: {
+        signature,
+        deadline: typedData.message.deadline,
+        signer: typedData.message.signer,
+      },
+      message: "✅ Document signing queued",
+    });
+
+    res.status(202).json({ ...job.response, status: job.status });
+  } catch (err) {
+    const msg = errorDetails(err);
+    console.error("❌ Error relaying document signature:", msg);
+    res.status(500).json({ error: "Failed to sign document", details: msg });
+  }
+});
+
+app.post("/document/revoke", authenticateToken, requirePermission("document:revoke"), requireActiveMember, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // A retried request gets the job it already created
+    if (await replayIdempotentRequest(req, res, "revoke")) return;
+
     const { documentId, reason } = req.body;
     if (!documentId) {
       return res.status(400).json({
@@ -661,39 +2147,31 @@ app.post("/document/revoke", authenticateToken, async (req, res) => {
     }
 
     // Validate reason parameter (optional, defaults to USER_REQUEST)
-    const revokeReasons = {
-      USER_REQUEST: 0,
-      FRAUD: 1,
-      REISSUED: 2,
-      OTHER: 3
-    };
-    
-    const revokeReason = reason ? revokeReasons[reason.toUpperCase()] : revokeReasons.USER_REQUEST;
-    if (revokeReason === undefined) {
+    const revokeReason = reason ? reason.toUpperCase() : "USER_REQUEST";
+    if (!REVOKE_REASONS.includes(revokeReason)) {
       return res.status(400).json({
         error: "Invalid revoke reason",
-        details: "Must be one of: USER_REQUEST, FRAUD, REISSUED, OTHER"
+        details: `Must be one of: ${REVOKE_REASONS.join(", ")}`
       });
     }
 
+    // Only the issuing organisation's store can revoke; anything else would revert on-chain
     const document = await Documents.findOneByDocumentId(documentId);
-    if (!document) {
+    if (!document || document.issuerDocStore !== user.documentStoreAddress) {
       return res.status(404).json({ error: "Document not found" });
     }
 
-    // Get the revoker signer (should have REVOKER_ROLE)
-    const revokerSigner = getSignerByUserType(user.userType);
-    await resetNonceManager(revokerSigner);
-    
-    const documentStoreWrite = new ethers.Contract(
-      document.issuerDocStore,
-      DocumentStoreABI,
-      revokerSigner
-    );
-    const documentIdHash = toBytes32(documentId);
+    const network = requireNetwork(res, document.chainId);
+    if (!network) return;
+    const documentStoreRead = network.connectStore(document.issuerDocStore);
 
-    // --- Check current document state before revoking ---
-    const isIssued = await documentStoreWrite.isIssued(documentIdHash);
+    // --- Check current document state before revoking (batch members through their batch) ---
+    const { isIssued } = await readAnchorStatus(
+      documentStoreRead,
+      documentId,
+      document.documentHash,
+      storedBatch(document)
+    );
     if (!isIssued) {
       return res
         .status(400)
@@ -703,46 +2181,65 @@ app.post("/document/revoke", authenticateToken, async (req, res) => {
         });
     }
 
-    // --- Revoke the document ---
-    const tx = await documentStoreWrite.revoke(documentIdHash, revokeReason);
-    await tx.wait();
-    await Documents.findOneAndUpdate(
-      { documentId },
-      { $push: { transactionHash: { transactionHash: tx.hash, event: "DocumentRevoked" } } }
-    );
+    // --- Revoke the document from the job queue (needs REVOKER_ROLE) ---
+    const { job } = await queueJob(req, {
+      type: "revoke",
+      documentId,
+      chainId: network.chainId,
+      payload: { reason: revokeReason },
+      message: "✅ Document revocation queued",
+      extra: { reason: revokeReason },
+    });
 
-    // --- Verify revocation ---
-    const isStillIssued = await documentStoreWrite.isIssued(documentIdHash);
-    if (isStillIssued) {
-      return res.status(500).json({ 
-        error: "Revocation failed", 
-        details: "Document is still in Issued state after revocation attempt" 
-      });
+    res.status(202).json({ ...job.response, status: job.status });
+  } catch (err) {
+    const msg = errorDetails(err);
+    console.error("❌ Error revoking document:", msg);
+    res.status(500).json({ error: "Failed to revoke document", details: msg });
+  }
+});
+
+// Status of a queued issue/sign/revoke job
+app.get("/jobs/:jobId", authenticateToken, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = mongoose.isValidObjectId(jobId) ? await Job.findById(jobId) : null;
+
+    // Jobs are only visible to the user who queued them and to admins
+    const isOwnJob = job && job.userId.toString() === req.user.userId;
+    if (!job || (!isOwnJob && !hasPermission(await getRolePermissions(req.user.userType), "admin:documents:read"))) {
+      return res.status(404).json({ error: "Job not found" });
     }
 
     res.status(200).json({
-      message: "✅ Document revoked successfully",
-      documentId,
-      reason: Object.keys(revokeReasons)[revokeReason],
-      revokedAt: Math.floor(Date.now() / 1000).toString(),
-      transactionHash: tx.hash,
+      message: "✅ Job retrieved successfully",
+      job: job.toStatus(),
     });
   } catch (err) {
-    const msg = err.reason;
-    console.error("❌ Error signing document:", msg);
-    res.status(500).json({ error: "Failed to sign document", details: msg });
+    console.error("❌ Error getting job:", err);
+    res.status(500).json({
+      error: "Failed to get job",
+      details: err.message,
+    });
   }
 });
 
+// Accepts either the wrapped document or the payload of a PDF's QR code
+// ({ documentId, documentHash, documentStore })
 app.post("/document/verify", async (req, res) => {
   try {
-    const { documentId, wrappedDocument } = req.body;
+    const { documentId, wrappedDocument, documentHash, documentStore, chainId } = req.body;
 
     if (!documentId) {
       return res
         .status(400)
         .json({ error: "Missing documentId" });
     }
+    if (!wrappedDocument && !documentHash) {
+      return res
+        .status(400)
+        .json({ error: "Missing wrappedDocument or documentHash" });
+    }
 
     const document = await Documents.findOneByDocumentId(documentId);
     if (!document) {
@@ -755,111 +2252,288 @@ app.post("/document/verify", async (req, res) => {
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
-    const signer = getSignerByUserType(user.userType);
+    const signer = document.signerAddress || user.walletAddress;
 
     if (!ethers.isAddress(documentStoreAddress)) {
       return res.status(400).json({ error: "Invalid documentStoreAddress" });
     }
+    if (documentStore && documentStore.toLowerCase() !== documentStoreAddress.toLowerCase()) {
+      return res.status(400).json({
+        error: "Failed to verify document",
+        details: "documentStore is not the store this document was issued in",
+      });
+    }
+    if (chainId !== undefined && Number(chainId) !== document.chainId) {
+      return res.status(400).json({
+        error: "Failed to verify document",
+        details: "chainId is not the chain this document was anchored on",
+      });
+    }
 
-    const local = verifyWrappedMerkle(wrappedDocument);
-    if (!local.ok) {
-      return res
-        .status(400)
-        .json({ error: "Failed to verify document", details: local.reason });
+    // The document is checked on the network it was anchored on
+    const network = requireNetwork(res, document.chainId);
+    if (!network) return;
+
+    // A wrapped document is checked against its Merkle root; a QR payload only carries the root
+    let local = null;
+    let computedHex32;
+    if (wrappedDocument) {
+      local = verifyWrappedMerkle(wrappedDocument);
+      if (!local.ok) {
+        return res
+          .status(400)
+          .json({ error: "Failed to verify document", details: local.reason });
+      }
+      computedHex32 = "0x" + local.computedRoot.toLowerCase();
+
+      // The copy must be the one recorded for documentId; a batch member's proof only verifies
+      // under the documentId it discloses, and it has no on-chain record of its own
+      const disclosedId = readDocumentId(wrappedDocument);
+      if (disclosedId !== null && disclosedId !== documentId) {
+        return res.status(400).json({
+          error: "Failed to verify document",
+          details: "The wrapped document was issued under another documentId",
+        });
+      }
+      if (local.batchRoot) {
+        const sameBatch = document.batchRoot?.toLowerCase() === local.batchRoot.toLowerCase();
+        if (!sameBatch || document.documentHash?.toLowerCase() !== computedHex32) {
+          return res.status(400).json({
+            error: "Failed to verify document",
+            details: "The wrapped document is not the batch member recorded for documentId",
+          });
+        }
+      }
+    } else {
+      if (!ethers.isHexString(documentHash, 32)) {
+        return res.status(400).json({ error: "Invalid documentHash" });
+      }
+      computedHex32 = documentHash.toLowerCase();
     }
 
-    // On-chain checks
+    // On-chain checks: a batched document is anchored through its batch root and
+    // inclusion proof, taken from the wrapped document or, for a QR payload, from the record
     const documentIdHash = toBytes32(documentId);
-    const documentStoreRead = new ethers.Contract(
-      documentStoreAddress,
-      DocumentStoreABI,
-      provider
+    const documentStoreRead = network.connectStore(documentStoreAddress);
+    const batch = local
+      ? local.batchRoot && { batchRoot: local.batchRoot, proof: local.proof }
+      : storedBatch(document);
+    const { isIssued, hashMatches, issuedAt, revokedAt, anchoredIn } = await readAnchorStatus(
+      documentStoreRead,
+      documentId,
+      computedHex32,
+      batch
     );
-    const bytes32DocumentId = ethers.id(documentId);
-    const meta = await documentStoreRead.meta(bytes32DocumentId);
-    
-    const computedHex32 = "0x" + local.computedRoot.toLowerCase();
-    const hashMatches = meta.documentHash.toLowerCase() === computedHex32;
-
-    const isIssued = await documentStoreRead.isIssued(documentIdHash);
-    const issuedAt = meta.issuedAt.toString();
     const signedAt = await documentStoreRead.signedAt(documentIdHash, signer);
-    const revokedAt = meta.revokedAt.toString();
+    const signerStatus = await readSignerStatus(documentStoreRead, documentIdHash, document);
+
+    // Only the fields of the submitted copy are returned, once it is shown to be the anchored
+    // one; the stored document is never disclosed, or redaction would hide nothing.
+    // Documents wrapped before leaves committed to their field paths only prove their values,
+    // which could have been moved between fields, so their fields are not returned.
+    // A QR payload proves nothing about the holder (its id and hash are printed on the paper
+    // copy and readable on-chain), so it only gets the anchor, signer and revocation status.
+    const disclosure = local
+      ? {
+          rawDocument: hashMatches && local.pathBound ? unsaltDocument(wrappedDocument.data) : null,
+          redacted: local.obfuscatedCount > 0,
+          pathBound: local.pathBound,
+          disclosedFields: local.pathBound ? local.disclosedFields : null,
+          obfuscatedFieldCount: local.obfuscatedCount,
+        }
+      : {};
 
     return res.status(200).json({
       message: "✅ Document verification result",
       documentId,
-      rawDocument: JSON.parse(document.rawDocInfo),
+      network: network.name,
+      chainId: network.chainId,
+      verifiedBy: local ? "wrappedDocument" : "documentHash",
+      ...disclosure,
       issuedAt: issuedAt,
       signedAt: signedAt.toString(),
       revokedAt: revokedAt,
+      anchoredIn,
+      batchRoot: batch ? batch.batchRoot : null,
+      ...signerStatus,
       verified: (isIssued && hashMatches) || (revokedAt > 0 && hashMatches),
     });
   } catch (err) {
     console.error("❌ Error verifying document:", err);
-    const msg =
-      err.shortMessage || err.info?.error?.message || err.reason || err.message;
+    const msg = errorDetails(err);
     res.status(500).json({ error: "Failed to verify document", details: msg });
   }
 });
 
-app.get("/documents/all", authenticateToken, async (req, res) => {
+// Produce a copy of the wrapped document with chosen fields redacted
+app.post("/document/redact", authenticateToken, requireActiveMember, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // Get Documents issued by user and assigned to user
-    const issuedDocuments = await Documents.find({ issuerDocStore: user.documentStoreAddress }).select('-wrappedDocInfo');;
-    const signedDocuments = await Documents.find({ signerDocStore: user.documentStoreAddress }).select('-wrappedDocInfo');
+    const { documentId, fields } = req.body;
+    if (!documentId || !Array.isArray(fields) || fields.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "Missing documentId or fields to redact" });
+    }
 
-    const issuedDocumentsWithStatus = await Promise.all(issuedDocuments.map(async (document) => {
-      const documentStoreRead = new ethers.Contract(
-        document.issuerDocStore,
-        DocumentStoreABI,
-        provider
-      );
-      const signer = await User.findOneByDocStore(document.signerDocStore);
-      const isIssued = await documentStoreRead.isIssued(ethers.id(document.documentId));
-      const meta = await documentStoreRead.meta(ethers.id(document.documentId));
-      const signedAt = await documentStoreRead.signedAt(ethers.id(document.documentId), getSignerByUserType(signer.userType));
-      return {
-        ...document.toObject(),
-        isIssued,
-        signedAt: signedAt.toString(),
-        revokedAt: meta.revokedAt.toString(),
-      };
-    }));
+    const document = await Documents.findOneByDocumentId(documentId);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    // Only the issuer, the recipient or a signer may share a redacted copy
+    const parties = [
+      document.issuerDocStore,
+      document.signerDocStore,
+      ...document.signers.map((s) => s.docStore),
+    ];
+    if (!parties.includes(user.documentStoreAddress)) {
+      return res.status(403).json({
+        error: "Access denied. Only the issuer, recipient or signers can redact this document.",
+      });
+    }
 
-    const signedDocumentsWithStatus = await Promise.all(signedDocuments.map(async (document) => {
-      const documentStoreRead = new ethers.Contract(
-        document.issuerDocStore,
-        DocumentStoreABI,
-        provider
+    let redactedDocument;
+    try {
+      redactedDocument = obfuscateDocument(
+        JSON.parse(document.wrappedDocInfo),
+        fields
       );
-      const signer = await User.findOneByDocStore(document.signerDocStore);
-      const isIssued = await documentStoreRead.isIssued(ethers.id(document.documentId));
-      const meta = await documentStoreRead.meta(ethers.id(document.documentId));
-      const signedAt = await documentStoreRead.signedAt(ethers.id(document.documentId), getSignerByUserType(signer.userType));
-      return {
-        ...document.toObject(),
-        isIssued,
-        signedAt: signedAt.toString(),
-        revokedAt: meta.revokedAt.toString(),
-      };
-    }));
+    } catch (redactError) {
+      return res
+        .status(400)
+        .json({ error: "Failed to redact document", details: redactError.message });
+    }
+    // A batch member's leaf commits to its documentId, so a copy without it never verifies
+    if (document.batchRoot && readDocumentId(redactedDocument) === null) {
+      return res.status(400).json({
+        error: "Failed to redact document",
+        details: "The documentId of a document issued in a batch cannot be redacted",
+      });
+    }
+
+    const local = verifyWrappedMerkle(redactedDocument);
+    if (!local.ok) {
+      return res
+        .status(500)
+        .json({ error: "Redacted document does not verify", details: local.reason });
+    }
+
+    res.status(200).json({
+      message: "✅ Document redacted successfully",
+      documentId,
+      disclosedFields: local.disclosedFields,
+      obfuscatedFieldCount: local.obfuscatedCount,
+      wrappedDocument: redactedDocument,
+    });
+  } catch (err) {
+    console.error("❌ Error redacting document:", err);
+    res.status(500).json({ error: "Failed to redact document", details: err.message });
+  }
+});
+
+// Documents issued by or assigned to the user's organisation, one page at a time.
+// ?party=issuer|signer keeps one side only; see parseDocumentQuery for the filters.
+app.get("/documents/all", authenticateToken, requireActiveMember, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const { party } = req.query;
+    if (party && !["issuer", "signer"].includes(party)) {
+      return res.status(400).json({
+        error: "Invalid query",
+        details: [{ param: "party", message: "must be issuer or signer" }],
+      });
+    }
+    const params = await parseDocumentQuery(req.query);
+    if (params.errors) {
+      return res.status(400).json({ error: "Invalid query", details: params.errors });
+    }
 
-    const allDocuments = { issued: issuedDocumentsWithStatus,  signed: signedDocumentsWithStatus }
+    const issuerScope = { issuerDocStore: user.documentStoreAddress };
+    const signerScope = Documents.signerStoreFilter(user.documentStoreAddress);
+    const scope =
+      party === "issuer"
+        ? issuerScope
+        : party === "signer"
+        ? signerScope
+        : { $or: [issuerScope, ...signerScope.$or] };
 
-    res.status(200).json(allDocuments);
+    // On-chain status comes from the indexer instead of per-document RPC calls
+    const { documents, pagination } = await findDocumentPage(Documents, scope, params, "-wrappedDocInfo");
+
+    res.status(200).json({
+      message: "✅ Documents retrieved successfully",
+      documents: documents.map((document) => document.withChainStatus()),
+      pagination,
+    });
   } catch (err) {
     console.error("❌ Error getting all documents:", err);
     res.status(500).json({ error: "Failed to get all documents", details: err.message });
   }
 });
 
-app.get("/document/single", authenticateToken, async (req, res) => {
+// Printable PDF of an issued document, with a QR code for verification
+app.get("/document/pdf", authenticateToken, requireActiveMember, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const { documentId } = req.query;
+    if (!documentId) {
+      return res.status(400).json({ error: "Missing documentId" });
+    }
+
+    const document = await Documents.findOneByDocumentId(documentId);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    // Only the issuer, the recipient, a signer or an admin may print the document
+    const parties = [
+      document.issuerDocStore,
+      document.signerDocStore,
+      ...document.signers.map((s) => s.docStore),
+    ];
+    if (
+      !parties.includes(user.documentStoreAddress) &&
+      !hasPermission(await getRolePermissions(user.userType), "admin:documents:read")
+    ) {
+      return res.status(403).json({
+        error: "Access denied. Only the issuer, recipient or signers can print this document.",
+      });
+    }
+
+    if (document.onChainState === "None") {
+      return res.status(409).json({
+        error: "Document has not been issued yet",
+        details: document.pendingJobId ? `Issue job ${document.pendingJobId} is still running` : undefined,
+      });
+    }
+
+    // Members share their organisation's store, so the organisation is the issuer
+    const issuer = await Organisation.findOneByDocStore(document.issuerDocStore);
+    const pdf = await renderDocumentPdf(document, { issuerName: issuer?.name });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${encodeURIComponent(documentId)}.pdf"`);
+    res.status(200).send(pdf);
+  } catch (err) {
+    console.error("❌ Error rendering document PDF:", err);
+    res.status(500).json({ error: "Failed to render document PDF", details: err.message });
+  }
+});
+
+app.get("/document/single", authenticateToken, requireActiveMember, async (req, res) => {
   try {
     const { documentId } = req.query;    
     if (!documentId) {
@@ -884,16 +2558,12 @@ app.get("/document/single", authenticateToken, async (req, res) => {
     if (!signer) {
       return res.status(404).json({ error: "Signer not found" });
     }
-    const signerRecord = getSignerByUserType(signer.userType);
+    const signerRecord = document.signerAddress || signer.walletAddress;
 
+    const network = requireNetwork(res, document.chainId);
+    if (!network) return;
     const documentIdHash = toBytes32(documentId);
-    const documentStoreRead = new ethers.Contract(
-      issuerDocStore,
-      DocumentStoreABI,
-      provider
-    );
-    const bytes32DocumentId = ethers.id(documentId);
-    const meta = await documentStoreRead.meta(bytes32DocumentId);
+    const documentStoreRead = network.connectStore(issuerDocStore);
 
     const wrappedDocument = document.wrappedDocInfo;
     const local = verifyWrappedMerkle(JSON.parse(wrappedDocument));
@@ -904,13 +2574,30 @@ app.get("/document/single", authenticateToken, async (req, res) => {
     }
 
     const computedHex32 = "0x" + local.computedRoot.toLowerCase();
-    const hashMatches = meta.documentHash.toLowerCase() === computedHex32;
-
-    const isIssued = await documentStoreRead.isIssued(documentIdHash);
+    // revokedAt is 0 if not revoked
+    const { isIssued, hashMatches, revokedAt } = await readAnchorStatus(
+      documentStoreRead,
+      documentId,
+      computedHex32,
+      storedBatch(document)
+    );
     const signedAt = await documentStoreRead.signedAt(documentIdHash, signerRecord);
-    
-    // Extract revokedAt from meta (0 if not revoked)
-    const revokedAt = meta.revokedAt.toString();
+    const signerStatus = await readSignerStatus(documentStoreRead, documentIdHash, document);
+
+    // --- Version lineage, oldest first; a superseded version was amended by a newer one ---
+    const versions = (await Documents.findVersions(document)).map((version) => ({
+      documentId: version.documentId,
+      version: version.version,
+      documentHash: version.documentHash,
+      onChainState: version.onChainState,
+      issuedAt: version.issuedAt ?? null,
+      revokedAt: version.revokedAt ?? null,
+      revokeReason: version.revokeReason ?? null,
+      previousDocumentId: version.previousDocumentId ?? null,
+      supersededByDocumentId: version.supersededByDocumentId ?? null,
+      superseded: !!version.supersededByDocumentId,
+    }));
+    const latestVersion = versions.filter((version) => version.onChainState !== "None").at(-1);
 
     res.status(200).json({
       message: "✅ Document found",
@@ -920,8 +2607,12 @@ app.get("/document/single", authenticateToken, async (req, res) => {
         issued: isIssued,
         signedAt: signedAt.toString(),
         revokedAt: revokedAt,
+        ...signerStatus,
         verified: isIssued && hashMatches,
+        superseded: !!document.supersededByDocumentId,
+        latestDocumentId: latestVersion?.documentId ?? document.documentId,
       },
+      versions,
     });
   } catch (err) {
     console.error("❌ Error getting document:", err);
@@ -929,17 +2620,314 @@ app.get("/document/single", authenticateToken, async (req, res) => {
   }
 });
 
+// Get the whole trade chain (quote → invoice → payment order → delivery order) of a quoteNumber
+app.get("/trade-chain/:quoteNumber", authenticateToken, requireActiveMember, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const { quoteNumber } = req.params;
+
+    // Only the documents of the trade the user's organisation is a party to
+    const chain = await getTradeChain(quoteNumber, user.documentStoreAddress);
+    if (chain.steps.every((step) => step.documents.length === 0)) {
+      return res.status(404).json({ error: "Trade chain not found" });
+    }
+
+    res.status(200).json({
+      message: "✅ Trade chain retrieved successfully",
+      ...chain,
+    });
+  } catch (err) {
+    console.error("❌ Error getting trade chain:", err);
+    res.status(500).json({ error: "Failed to get trade chain", details: err.message });
+  }
+});
+
 // Admin endpoints for user management
-// Get all pending users (admin only)
-app.get("/admin/pending-users", authenticateToken, async (req, res) => {
+// Get the current user's organisation and its members
+app.get("/organisation", authenticateToken, async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.userType !== 'admin') {
-      return res.status(403).json({
-        error: "Access denied. Admin privileges required."
+    const organisation = await Organisation.findOneByOrganisationId(req.user.organisationId);
+    if (!organisation) {
+      return res.status(404).json({ error: "Organisation not found" });
+    }
+
+    const members = await User.findByOrganisation(organisation.organisationId);
+
+    res.status(200).json({
+      message: "✅ Organisation retrieved successfully",
+      organisation,
+      members,
+    });
+  } catch (err) {
+    console.error("❌ Error getting organisation:", err);
+    res.status(500).json({ error: "Failed to get organisation", details: err.message });
+  }
+});
+
+// Approve a pending member (organisation admin only); their wallets get the given store roles
+app.put("/organisation/members/:userId/approve", authenticateToken, async (req, res) => {
+  try {
+    const { organisation, member, status, error } = await resolveMemberAction(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (member.membershipStatus !== "pending") {
+      return res.status(409).json({ error: `Membership is ${member.membershipStatus}, not pending` });
+    }
+
+    const roles = req.body?.roles ?? STORE_ROLES;
+    const rolesError = invalidStoreRoles(roles);
+    if (rolesError) {
+      return res.status(400).json({ error: "Invalid roles", details: rolesError });
+    }
+
+    member.membershipStatus = "active";
+    member.storeRoles = roles;
+    member.documentStoreAddress = organisation.documentStoreAddress;
+    await member.save();
+
+    const { job } = await queueStoreRoles(req, member, organisation, "✅ Member approved");
+    res.status(202).json({ ...job.response, status: job.status });
+  } catch (err) {
+    console.error("❌ Error approving member:", err);
+    res.status(500).json({ error: "Failed to approve member", details: err.message });
+  }
+});
+
+// Change a member's store roles and/or organisation role (organisation admin only)
+app.put("/organisation/members/:userId/roles", authenticateToken, async (req, res) => {
+  try {
+    const { organisation, member, status, error } = await resolveMemberAction(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (member.membershipStatus !== "active") {
+      return res.status(409).json({ error: `Membership is ${member.membershipStatus}, not active` });
+    }
+
+    const { roles, organisationRole } = req.body || {};
+    if (roles === undefined && organisationRole === undefined) {
+      return res.status(400).json({ error: "Missing roles or organisationRole" });
+    }
+    if (roles !== undefined) {
+      const rolesError = invalidStoreRoles(roles);
+      if (rolesError) {
+        return res.status(400).json({ error: "Invalid roles", details: rolesError });
+      }
+    }
+    if (organisationRole !== undefined && !["admin", "member"].includes(organisationRole)) {
+      return res.status(400).json({ error: "Invalid organisationRole. Must be one of: admin, member" });
+    }
+    if (organisationRole === "member" && member.organisationRole === "admin" && !(await hasOtherAdmin(member))) {
+      return res.status(409).json({ error: "An organisation needs at least one admin" });
+    }
+
+    if (organisationRole !== undefined) member.organisationRole = organisationRole;
+    if (roles !== undefined) member.storeRoles = roles;
+    await member.save();
+
+    if (roles === undefined) {
+      return res.status(200).json({ message: "✅ Member updated", member: member.toSafeObject() });
+    }
+
+    const { job } = await queueStoreRoles(req, member, organisation, "✅ Member roles updated");
+    res.status(202).json({ ...job.response, status: job.status });
+  } catch (err) {
+    console.error("❌ Error updating member roles:", err);
+    res.status(500).json({ error: "Failed to update member roles", details: err.message });
+  }
+});
+
+// Remove a member (organisation admin only): their store roles are revoked and their sessions ended
+app.delete("/organisation/members/:userId", authenticateToken, async (req, res) => {
+  try {
+    const { organisation, member, status, error } = await resolveMemberAction(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (member.membershipStatus === "removed") {
+      return res.status(409).json({ error: "Member already removed" });
+    }
+    if (member.organisationRole === "admin" && !(await hasOtherAdmin(member))) {
+      return res.status(409).json({ error: "An organisation needs at least one admin" });
+    }
+
+    member.membershipStatus = "removed";
+    member.organisationRole = "member";
+    member.storeRoles = [];
+    // Documents are scoped by store address, so a removed member must not keep it
+    member.documentStoreAddress = undefined;
+    await member.save();
+    await revokeUserAccess(member, "removed from organisation");
+
+    const { job } = await queueStoreRoles(req, member, organisation, "✅ Member removed");
+    res.status(202).json({ ...job.response, status: job.status });
+  } catch (err) {
+    console.error("❌ Error removing member:", err);
+    res.status(500).json({ error: "Failed to remove member", details: err.message });
+  }
+});
+
+// List the organisation's webhooks (organisation admin only)
+app.get("/organisation/webhooks", authenticateToken, async (req, res) => {
+  try {
+    const { organisation, status, error } = await resolveOrganisationAdmin(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const organisationWebhooks = await Webhook.find({ organisationId: organisation.organisationId }).sort({
+      createdAt: -1,
+    });
+    res.status(200).json({
+      message: "✅ Webhooks retrieved successfully",
+      webhooks: organisationWebhooks,
+      events: WEBHOOK_EVENTS,
+    });
+  } catch (err) {
+    console.error("❌ Error getting webhooks:", err);
+    res.status(500).json({ error: "Failed to get webhooks", details: err.message });
+  }
+});
+
+// Register a webhook (organisation admin only); its signing secret is only returned here
+app.post("/organisation/webhooks", authenticateToken, async (req, res) => {
+  try {
+    const { admin, organisation, status, error } = await resolveOrganisationAdmin(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    // Loopback, private and metadata addresses are refused, so the server cannot be
+    // used to probe its own network; deliveries check the address again
+    const { url, description } = req.body || {};
+    const urlError = await checkOutboundUrl(url, { allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS });
+    if (urlError) {
+      return res.status(400).json({ error: "Missing or invalid url", details: urlError });
+    }
+    const parsedUrl = new URL(url);
+
+    const events = req.body?.events ?? WEBHOOK_EVENTS;
+    const unknownEvents = Array.isArray(events) ? events.filter((event) => !WEBHOOK_EVENTS.includes(event)) : null;
+    if (!unknownEvents || unknownEvents.length > 0 || events.length === 0) {
+      return res.status(400).json({
+        error: "Invalid events",
+        details: `events must be a non-empty list among: ${WEBHOOK_EVENTS.join(", ")}`,
       });
     }
 
+    const secret = newWebhookSecret();
+    const webhook = await Webhook.create({
+      organisationId: organisation.organisationId,
+      url: parsedUrl.toString(),
+      description,
+      events: [...new Set(events)],
+      secret,
+      createdBy: admin._id,
+    });
+    res.locals.audit = { targetId: webhook._id.toString() };
+
+    const { secret: _secret, ...stored } = webhook.toObject();
+    res.status(201).json({
+      message: "✅ Webhook created; store the secret, it is not shown again",
+      webhook: stored,
+      secret,
+    });
+  } catch (err) {
+    console.error("❌ Error creating webhook:", err);
+    res.status(500).json({ error: "Failed to create webhook", details: err.message });
+  }
+});
+
+// Delete a webhook (organisation admin only); pending deliveries are dropped
+app.delete("/organisation/webhooks/:webhookId", authenticateToken, async (req, res) => {
+  try {
+    const { webhook, status, error } = await resolveWebhook(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.locals.audit = { targetId: webhook._id.toString() };
+
+    await Webhook.deleteOne({ _id: webhook._id });
+    res.status(200).json({ message: "✅ Webhook deleted", webhookId: webhook._id });
+  } catch (err) {
+    console.error("❌ Error deleting webhook:", err);
+    res.status(500).json({ error: "Failed to delete webhook", details: err.message });
+  }
+});
+
+// Delivery log of a webhook, newest first (organisation admin only); filter with status, page with page and limit
+app.get("/organisation/webhooks/:webhookId/deliveries", authenticateToken, async (req, res) => {
+  try {
+    const { webhook, status, error } = await resolveWebhook(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) filter.status = String(req.query.status);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "✅ Webhook deliveries retrieved successfully",
+      deliveries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error("❌ Error getting webhook deliveries:", err);
+    res.status(500).json({ error: "Failed to get webhook deliveries", details: err.message });
+  }
+});
+
+// Send a failed delivery again with the same event id and body (organisation admin only)
+app.post("/organisation/webhooks/:webhookId/deliveries/:deliveryId/replay", authenticateToken, async (req, res) => {
+  try {
+    const { webhook, status, error } = await resolveWebhook(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id })
+      : null;
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    if (delivery.status !== "failed") {
+      return res.status(409).json({ error: `Delivery is ${delivery.status}; only failed deliveries can be replayed` });
+    }
+    if (!webhook.active) {
+      return res.status(409).json({ error: "Webhook is disabled" });
+    }
+    res.locals.audit = { targetId: delivery._id.toString() };
+
+    await webhooks.replay(delivery);
+    res.status(202).json({
+      message: "✅ Delivery queued again",
+      delivery,
+      statusUrl: `/jobs/${delivery.jobId}`,
+    });
+  } catch (err) {
+    console.error("❌ Error replaying webhook delivery:", err);
+    res.status(500).json({ error: "Failed to replay webhook delivery", details: err.message });
+  }
+});
+
+// Get all pending users (admin only)
+app.get("/admin/pending-users", authenticateToken, requirePermission("admin:users:read"), async (req, res) => {
+  try {
     const pendingUsers = await User.find({ status: 'pending' }).select('-password');
     
     res.status(200).json({
@@ -956,15 +2944,8 @@ app.get("/admin/pending-users", authenticateToken, async (req, res) => {
 });
 
 // Get all users (admin only)
-app.get("/admin/users", authenticateToken, async (req, res) => {
+app.get("/admin/users", authenticateToken, requirePermission("admin:users:read"), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.userType !== 'admin') {
-      return res.status(403).json({
-        error: "Access denied. Admin privileges required."
-      });
-    }
-
     const users = await User.find({}).select('-password').sort({ createdAt: -1 });
     
     res.status(200).json({
@@ -981,15 +2962,8 @@ app.get("/admin/users", authenticateToken, async (req, res) => {
 });
 
 // Approve user account (admin only)
-app.put("/admin/users/:userId/approve", authenticateToken, async (req, res) => {
+app.put("/admin/users/:userId/approve", authenticateToken, requirePermission("admin:users:approve"), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.userType !== 'admin') {
-      return res.status(403).json({
-        error: "Access denied. Admin privileges required."
-      });
-    }
-
     const { userId } = req.params;
 
     const user = await User.findById(userId);
@@ -1001,6 +2975,7 @@ app.put("/admin/users/:userId/approve", authenticateToken, async (req, res) => {
 
     user.status = 'approved';
     await user.save();
+    await publishUserEvent("user.approved", user);
 
     res.status(200).json({
       message: "✅ User approved successfully",
@@ -1016,15 +2991,8 @@ app.put("/admin/users/:userId/approve", authenticateToken, async (req, res) => {
 });
 
 // Reject user account (admin only)
-app.put("/admin/users/:userId/reject", authenticateToken, async (req, res) => {
+app.put("/admin/users/:userId/reject", authenticateToken, requirePermission("admin:users:approve"), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.userType !== 'admin') {
-      return res.status(403).json({
-        error: "Access denied. Admin privileges required."
-      });
-    }
-
     const { userId } = req.params;
 
     const user = await User.findById(userId);
@@ -1037,6 +3005,10 @@ app.put("/admin/users/:userId/reject", authenticateToken, async (req, res) => {
     user.status = 'rejected';
     await user.save();
 
+    // A rejected account loses access right away
+    await revokeUserAccess(user, "account rejected");
+    await publishUserEvent("user.rejected", user);
+
     res.status(200).json({
       message: "✅ User rejected successfully",
       user: user.toSafeObject()
@@ -1050,21 +3022,62 @@ app.put("/admin/users/:userId/reject", authenticateToken, async (req, res) => {
   }
 });
 
-// Get all documents (admin only - read-only access)
-app.get("/admin/documents", authenticateToken, async (req, res) => {
+// Get the JSON Schemas used to validate issued documents (admin only)
+app.get("/admin/schemas", authenticateToken, requirePermission("admin:schemas:read"), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.userType !== 'admin') {
-      return res.status(403).json({
-        error: "Access denied. Admin privileges required."
+    res.status(200).json({
+      message: "✅ Document schemas retrieved successfully",
+      schemas: getDocumentSchema()
+    });
+  } catch (err) {
+    console.error("❌ Error getting document schemas:", err);
+    res.status(500).json({
+      error: "Failed to get document schemas",
+      details: err.message
+    });
+  }
+});
+
+// Get the JSON Schema of one document type (admin only)
+app.get("/admin/schemas/:documentType", authenticateToken, requirePermission("admin:schemas:read"), async (req, res) => {
+  try {
+    const schema = getDocumentSchema(req.params.documentType.toUpperCase());
+    if (!schema) {
+      return res.status(404).json({
+        error: "Schema not found"
       });
     }
 
-    const documents = await Documents.find({}).sort({ createdAt: -1 });
-    
+    res.status(200).json({
+      message: "✅ Document schema retrieved successfully",
+      schema
+    });
+  } catch (err) {
+    console.error("❌ Error getting document schema:", err);
+    res.status(500).json({
+      error: "Failed to get document schema",
+      details: err.message
+    });
+  }
+});
+
+// Get all documents, one page at a time (admin only - read-only access)
+app.get("/admin/documents", authenticateToken, requirePermission("admin:documents:read"), async (req, res) => {
+  try {
+    const params = await parseDocumentQuery(req.query);
+    if (params.errors) {
+      return res.status(400).json({
+        error: "Invalid query",
+        details: params.errors
+      });
+    }
+
+    const { documents, pagination } = await findDocumentPage(Documents, {}, params);
+
     res.status(200).json({
       message: "✅ All documents retrieved successfully",
-      documents: documents
+      documents: documents.map((document) => document.withChainStatus()),
+      pagination
     });
   } catch (err) {
     console.error("❌ Error getting all documents:", err);
@@ -1075,26 +3088,587 @@ app.get("/admin/documents", authenticateToken, async (req, res) => {
   }
 });
 
-(async () => {
+// Get the permissions of every role, and every permission that can be granted
+app.get("/admin/permissions", authenticateToken, requirePermission("admin:permissions:read"), async (req, res) => {
   try {
-    await connectDB(process.env.MONGODB_URI);
-    const server = app.listen(PORT, () => {
-      console.log(`🚀 Server running at http://localhost:${PORT}`);
+    res.status(200).json({
+      message: "✅ Role permissions retrieved successfully",
+      roles: await getPermissionMapping(),
+      permissions: PERMISSIONS
+    });
+  } catch (err) {
+    console.error("❌ Error getting role permissions:", err);
+    res.status(500).json({
+      error: "Failed to get role permissions",
+      details: err.message
     });
+  }
+});
 
-    // Graceful shutdown
-    const shutdown = async (sig) => {
-      console.log(`\nReceived ${sig}. Shutting down...`);
-      server.close(async () => {
-        await disconnectDB();
-        process.exit(0);
+// Replace the permissions of a role
+app.put("/admin/permissions/:role", authenticateToken, requirePermission("admin:permissions:write"), async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        error: `Unknown role. Must be one of: ${ROLES.join(", ")}`
       });
-    };
-    ["SIGINT", "SIGTERM"].forEach((sig) =>
-      process.on(sig, () => shutdown(sig))
+    }
+
+    const { permissions } = req.body || {};
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        error: "permissions must be an array"
+      });
+    }
+    const unknown = permissions.filter((permission) => !isValidPermission(permission));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: "Unknown permissions",
+        details: unknown
+      });
+    }
+    // Admins editing their own role must not lock everyone out of this endpoint
+    if (role === req.user.userType && !hasPermission(permissions, "admin:permissions:write")) {
+      return res.status(409).json({
+        error: "Cannot remove admin:permissions:write from your own role"
+      });
+    }
+
+    const record = await RolePermission.findOneAndReplace(
+      { role },
+      { role, permissions: [...new Set(permissions)], updatedBy: req.user.userId, updatedAt: new Date() },
+      { upsert: true, new: true }
+    );
+    res.locals.audit = { targetId: role, details: { permissions: record.permissions } };
+
+    res.status(200).json({
+      message: "✅ Role permissions updated successfully",
+      role,
+      permissions: record.permissions
+    });
+  } catch (err) {
+    console.error("❌ Error updating role permissions:", err);
+    res.status(500).json({
+      error: "Failed to update role permissions",
+      details: err.message
+    });
+  }
+});
+
+/**
+ * Network a platform admin request acts on: the one named by "network" in the body or
+ * query, or the default network. Answers 400 itself when the name is unknown.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} Network, or null when the response was sent
+ */
+function resolveAdminNetwork(req, res) {
+  const name = req.body?.network ?? req.query.network;
+  const network = name === undefined ? networks.defaultNetwork : networks.byName(name);
+  if (!network) {
+    res.status(400).json({
+      error: "Unknown network",
+      details: `Must be one of: ${networks.list.map((n) => n.name).join(", ")}`,
+    });
+    return null;
+  }
+  return network;
+}
+
+/**
+ * Queues the job sending one registry change from the platform wallet and answers 202.
+ * The audit entry of the request records the change and the admin who asked for it.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} network - Network whose registry changes
+ * @param {Object} change - updateRegistry payload: setting and its arguments
+ * @param {string} message - Message of the 202 response
+ */
+async function queueRegistryChange(req, res, network, change, message) {
+  res.locals.audit = { targetId: change.setting, details: { chainId: network.chainId, ...change } };
+  const { job } = await queueJob(req, {
+    type: "updateRegistry",
+    chainId: network.chainId,
+    payload: change,
+    message,
+    extra: { network: network.name, change },
+  });
+  res.status(202).json({ ...job.response, status: job.status });
+}
+
+// Checks an issuer or signer whitelist change; returns an error message or null
+function invalidWhitelistChange({ documentType, account, active }) {
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    return `documentType must be one of: ${DOCUMENT_TYPES.join(", ")}`;
+  }
+  if (!ethers.isAddress(account)) {
+    return "account must be an address";
+  }
+  if (typeof active !== "boolean") {
+    return "active must be a boolean";
+  }
+  return null;
+}
+
+// Get a network's registry configuration, rebuilt from the registry's events (admin only):
+// issuer and signer whitelists and required signer counts per document type, and interop
+app.get("/admin/registry", authenticateToken, requirePermission("admin:registry:read"), async (req, res) => {
+  try {
+    const network = resolveAdminNetwork(req, res);
+    if (!network) return;
+
+    const { block, documentTypes, interop } = await registryStateOf(network).read();
+
+    res.status(200).json({
+      message: "✅ Registry configuration retrieved successfully",
+      network: network.name,
+      chainId: network.chainId,
+      registryAddress: network.registry.target,
+      block,
+      documentTypes,
+      interop
+    });
+  } catch (err) {
+    console.error("❌ Error getting registry configuration:", err);
+    res.status(500).json({
+      error: "Failed to get registry configuration",
+      details: err.message
+    });
+  }
+});
+
+// Every change made to a network's registry, newest first (admin only), with the
+// platform admin who requested it when it was sent by this backend; paged with page and limit
+app.get("/admin/registry/changes", authenticateToken, requirePermission("admin:registry:read"), async (req, res) => {
+  try {
+    const network = resolveAdminNetwork(req, res);
+    if (!network) return;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { changes } = await registryStateOf(network).read();
+    const total = changes.length;
+    const pageChanges = changes.reverse().slice((page - 1) * limit, page * limit);
+
+    // Changes sent by an updateRegistry job are attributed to the admin who queued it
+    const hashes = pageChanges.map((change) => change.transactionHash);
+    const jobs = await Job.find({
+      type: "updateRegistry",
+      chainId: network.chainId,
+      "steps.transactionHash": { $in: hashes }
+    }).select("userId steps");
+    const users = await User.find({ _id: { $in: jobs.map((job) => job.userId) } }).select("email");
+    const emails = new Map(users.map((user) => [String(user._id), user.email]));
+    const requesters = new Map();
+    for (const job of jobs) {
+      for (const step of job.steps) {
+        if (step.transactionHash) {
+          requesters.set(step.transactionHash, {
+            userId: String(job.userId),
+            email: emails.get(String(job.userId)) ?? null,
+            jobId: String(job._id)
+          });
+        }
+      }
+    }
+
+    res.status(200).json({
+      message: "✅ Registry changes retrieved successfully",
+      network: network.name,
+      chainId: network.chainId,
+      changes: pageChanges.map((change) => ({
+        ...change,
+        requestedBy: requesters.get(change.transactionHash) ?? null
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error("❌ Error getting registry changes:", err);
+    res.status(500).json({
+      error: "Failed to get registry changes",
+      details: err.message
+    });
+  }
+});
+
+// Add an account to, or remove it from, the issuer whitelist of a document type (admin only)
+app.put("/admin/registry/issuers", authenticateToken, requirePermission("admin:registry:write"), async (req, res) => {
+  try {
+    const network = resolveAdminNetwork(req, res);
+    if (!network) return;
+
+    const { documentType, account, active } = req.body || {};
+    const invalid = invalidWhitelistChange({ documentType, account, active });
+    if (invalid) {
+      return res.status(400).json({ error: "Invalid issuer change", details: invalid });
+    }
+
+    await queueRegistryChange(
+      req,
+      res,
+      network,
+      { setting: "issuer", documentType, account: ethers.getAddress(account), active },
+      active ? "✅ Issuer whitelisting queued" : "✅ Issuer removal queued"
+    );
+  } catch (err) {
+    console.error("❌ Error changing registry issuers:", err);
+    res.status(500).json({ error: "Failed to change registry issuers", details: err.message });
+  }
+});
+
+// Add an account to, or remove it from, the signer whitelist of a document type (admin only)
+app.put("/admin/registry/signers", authenticateToken, requirePermission("admin:registry:write"), async (req, res) => {
+  try {
+    const network = resolveAdminNetwork(req, res);
+    if (!network) return;
+
+    const { documentType, account, active } = req.body || {};
+    const invalid = invalidWhitelistChange({ documentType, account, active });
+    if (invalid) {
+      return res.status(400).json({ error: "Invalid signer change", details: invalid });
+    }
+
+    await queueRegistryChange(
+      req,
+      res,
+      network,
+      { setting: "signer", documentType, account: ethers.getAddress(account), active },
+      active ? "✅ Signer whitelisting queued" : "✅ Signer removal queued"
+    );
+  } catch (err) {
+    console.error("❌ Error changing registry signers:", err);
+    res.status(500).json({ error: "Failed to change registry signers", details: err.message });
+  }
+});
+
+// Set how many signers documents of a type need once issued (admin only); documents
+// already issued keep the count they were issued with
+app.put("/admin/registry/signer-counts", authenticateToken, requirePermission("admin:registry:write"), async (req, res) => {
+  try {
+    const network = resolveAdminNetwork(req, res);
+    if (!network) return;
+
+    const { documentType, count } = req.body || {};
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({
+        error: "Invalid signer count change",
+        details: `documentType must be one of: ${DOCUMENT_TYPES.join(", ")}`
+      });
+    }
+    if (!Number.isInteger(count) || count < 0 || count > 255) {
+      return res.status(400).json({
+        error: "Invalid signer count change",
+        details: "count must be an integer from 0 to 255"
+      });
+    }
+
+    await queueRegistryChange(
+      req,
+      res,
+      network,
+      { setting: "requiredSignerCount", documentType, count },
+      "✅ Signer count change queued"
+    );
+  } catch (err) {
+    console.error("❌ Error changing registry signer count:", err);
+    res.status(500).json({ error: "Failed to change registry signer count", details: err.message });
+  }
+});
+
+// Allow or forbid a contract to call another in the registry's interop table (admin only)
+app.put("/admin/registry/interop", authenticateToken, requirePermission("admin:registry:write"), async (req, res) => {
+  try {
+    const network = resolveAdminNetwork(req, res);
+    if (!network) return;
+
+    const { fromContract, toContract, allowed } = req.body || {};
+    if (!ethers.isAddress(fromContract) || !ethers.isAddress(toContract)) {
+      return res.status(400).json({
+        error: "Invalid interop change",
+        details: "fromContract and toContract must be addresses"
+      });
+    }
+    if (typeof allowed !== "boolean") {
+      return res.status(400).json({
+        error: "Invalid interop change",
+        details: "allowed must be a boolean"
+      });
+    }
+
+    await queueRegistryChange(
+      req,
+      res,
+      network,
+      {
+        setting: "interop",
+        fromContract: ethers.getAddress(fromContract),
+        toContract: ethers.getAddress(toContract),
+        allowed
+      },
+      "✅ Interop change queued"
     );
   } catch (err) {
-    console.error("Failed to start:", err);
-    process.exit(1);
+    console.error("❌ Error changing registry interop:", err);
+    res.status(500).json({ error: "Failed to change registry interop", details: err.message });
+  }
+});
+
+// Grant the standard roles of a factory-deployed store through DocumentStoreFactory.grantStandardRoles
+// (admin only); each of issuer, revoker and signer is optional. Organisation members get their
+// roles through /organisation/members instead
+app.post("/admin/stores/:store/roles", authenticateToken, requirePermission("admin:registry:write"), async (req, res) => {
+  try {
+    const network = resolveAdminNetwork(req, res);
+    if (!network) return;
+
+    if (!ethers.isAddress(req.params.store)) {
+      return res.status(400).json({ error: "Invalid store address" });
+    }
+    const store = ethers.getAddress(req.params.store);
+
+    const { issuer, revoker, signer } = req.body || {};
+    const accounts = { issuer, revoker, signer };
+    const invalid = Object.entries(accounts).filter(([, account]) => account !== undefined && !ethers.isAddress(account));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: "Invalid store roles",
+        details: `${invalid.map(([name]) => name).join(", ")} must be addresses`
+      });
+    }
+    if (!issuer && !revoker && !signer) {
+      return res.status(400).json({
+        error: "Invalid store roles",
+        details: "Provide at least one of issuer, revoker and signer"
+      });
+    }
+    if ((await network.factory.organisationStore(store)) === ethers.ZeroHash) {
+      return res.status(404).json({
+        error: "Store not found",
+        details: `${store} was not deployed by the DocumentStoreFactory of network ${network.name}`
+      });
+    }
+
+    const payload = { store };
+    for (const [name, account] of Object.entries(accounts)) {
+      if (account) payload[name] = ethers.getAddress(account);
+    }
+    res.locals.audit = { targetId: store, details: { chainId: network.chainId, ...payload } };
+    const { job } = await queueJob(req, {
+      type: "grantStoreRoles",
+      chainId: network.chainId,
+      payload,
+      message: "✅ Store role grant queued",
+      extra: { network: network.name, change: payload },
+    });
+    res.status(202).json({ ...job.response, status: job.status });
+  } catch (err) {
+    console.error("❌ Error granting store roles:", err);
+    res.status(500).json({ error: "Failed to grant store roles", details: err.message });
+  }
+});
+
+// Query the audit log (admin only), newest first.
+// Filters: actorId, actorEmail, organisationId, action, targetId, result, from, to; paged with page and limit
+app.get("/admin/audit", authenticateToken, requirePermission("admin:audit:read"), async (req, res) => {
+  try {
+    const filter = {};
+    for (const field of ["actorId", "actorEmail", "organisationId", "action", "targetId", "result"]) {
+      if (req.query[field]) filter[field] = String(req.query[field]);
+    }
+    for (const [param, operator] of [["from", "$gte"], ["to", "$lte"]]) {
+      if (!req.query[param]) continue;
+      const date = new Date(req.query[param]);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({
+          error: `Invalid ${param} date`
+        });
+      }
+      filter.createdAt = { ...filter.createdAt, [operator]: date };
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ sequence: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      message: "✅ Audit log retrieved successfully",
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error("❌ Error getting audit log:", err);
+    res.status(500).json({
+      error: "Failed to get audit log",
+      details: err.message
+    });
+  }
+});
+
+// Recompute the audit log hash chain to detect altered or removed entries (admin only)
+app.get("/admin/audit/verify", authenticateToken, requirePermission("admin:audit:read"), async (req, res) => {
+  try {
+    const verification = await AuditLog.verifyChain();
+
+    res.status(200).json({
+      message: verification.valid
+        ? "✅ Audit log chain is intact"
+        : "❌ Audit log chain is broken",
+      ...verification
+    });
+  } catch (err) {
+    console.error("❌ Error verifying audit log:", err);
+    res.status(500).json({
+      error: "Failed to verify audit log",
+      details: err.message
+    });
+  }
+});
+
+// Machine-readable description of this API
+app.get("/openapi.json", (req, res) => {
+  res.json(spec);
+});
+
+app.use(notFound);
+app.use(errorHandler);
+
+/**
+ * Records created before networks were configurable carry no chainId; they belong to
+ * the one network there was, which is assumed to be the default network.
+ * @param {Object} network - Network to assign them to
+ */
+async function adoptLegacyRecords(network) {
+  const missing = { chainId: { $exists: false } };
+  const update = { $set: { chainId: network.chainId } };
+  const results = await Promise.all([
+    Organisation.updateMany(missing, update),
+    User.updateMany({ ...missing, documentStoreAddress: { $exists: true } }, update),
+    Documents.updateMany(missing, update),
+    Job.updateMany(missing, update),
+  ]);
+  const adopted = results.reduce((sum, result) => sum + result.modifiedCount, 0);
+  if (adopted > 0) {
+    console.log(`🌐 Assigned ${adopted} records without a chainId to network ${network.name}`);
+  }
+}
+
+/**
+ * Members used to get their organisation's store address on sign-up and keep it when
+ * removed; only active members may hold it now, since documents are scoped by it.
+ */
+async function detachInactiveMembers() {
+  const { modifiedCount } = await User.updateMany(
+    { membershipStatus: { $in: ["pending", "removed"] }, documentStoreAddress: { $exists: true } },
+    { $unset: { documentStoreAddress: "" } }
+  );
+  if (modifiedCount > 0) {
+    console.log(`👥 Detached ${modifiedCount} pending or removed members from their organisation's store`);
+  }
+}
+
+// Listening server, once started
+let server = null;
+
+/**
+ * Connects the database and the networks, starts listening and starts the background
+ * services (each unless its *_ENABLED is "false").
+ * @param {Object} [options]
+ * @param {number} [options.port=PORT] - Port to listen on; 0 picks a free one
+ * @returns {Promise<import("http").Server>} The listening server
+ */
+async function start({ port = PORT } = {}) {
+  await connectDB(process.env.MONGODB_URI);
+  await networks.connect();
+  await adoptLegacyRecords(networks.defaultNetwork);
+  await detachInactiveMembers();
+  for (const network of networks.list) {
+    console.log(`🌐 Network ${network.name}: chainId ${network.chainId}, ${network.mode}${network === networks.defaultNetwork ? " (default)" : ""}`);
+  }
+
+  server = await new Promise((resolve, reject) => {
+    const listening = app.listen(port, (err) => (err ? reject(err) : resolve(listening)));
+  });
+  console.log(`🚀 Server running at http://localhost:${server.address().port}`);
+
+  if (process.env.INDEXER_ENABLED !== "false") {
+    documentIndexers = networks.list.map(createNetworkIndexer);
+    for (const documentIndexer of documentIndexers) {
+      await documentIndexer.start();
+    }
+  }
+
+  if (process.env.JOB_QUEUE_ENABLED !== "false") {
+    await jobQueue.start();
+  }
+
+  if (process.env.WEBHOOKS_ENABLED !== "false") {
+    await webhooks.start();
+  }
+
+  if (process.env.EMAIL_ENABLED !== "false") {
+    await notifications.start();
   }
-})();
+
+  return server;
+}
+
+/**
+ * Stops accepting requests, stops the background services and closes the database
+ */
+async function stop() {
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+    server = null;
+  }
+  await jobQueue.stop();
+  await webhooks.stop();
+  await notifications.stop();
+  for (const documentIndexer of documentIndexers) {
+    await documentIndexer.stop();
+  }
+  documentIndexers = [];
+  await disconnectDB();
+}
+
+// Tests require the app and start it on a port of their own
+if (require.main === module) {
+  (async () => {
+    try {
+      await start();
+
+      // Graceful shutdown
+      const shutdown = async (sig) => {
+        console.log(`\nReceived ${sig}. Shutting down...`);
+        await stop();
+        process.exit(0);
+      };
+      ["SIGINT", "SIGTERM"].forEach((sig) =>
+        process.on(sig, () => shutdown(sig))
+      );
+    } catch (err) {
+      console.error("Failed to start:", err);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { app, start, stop, networks };
@@ -12,7 +12,6 @@ const users = [
     email: "admin@gmail.com",
     password: "password",
     organisationId: "admin-org",
-    documentStoreAdmin: process.env.WALLET_ADDR_1,
     userType: "admin"
   },
   {
@@ -20,7 +19,6 @@ const users = [
     email: "sales@gmail.com",
     password: "password",
     organisationId: "sales-business",
-    documentStoreAdmin: process.env.WALLET_ADDR_3,
     userType: "sales"
   },
   {
@@ -28,7 +26,6 @@ const users = [
     email: "purchase@gmail.com",
     password: "password",
     organisationId: "purchase-business",
-    documentStoreAdmin: process.env.WALLET_ADDR_4,
     userType: "purchase"
   },
   {
@@ -36,7 +33,6 @@ const users = [
     email: "invoice@gmail.com",
     password: "password",
     organisationId: "invoice-business",
-    documentStoreAdmin: process.env.WALLET_ADDR_5,
     userType: "invoice"
   }
 ];
@@ -59,6 +55,7 @@ async function createUser(userData) {
       console.log(`✅ Successfully created user: ${userData.name}`);
       console.log(`   User ID: ${result.user._id}`);
       console.log(`   Document Store: ${result.user.documentStoreAddress}`);
+      console.log(`   Wallet: ${result.user.walletAddress}`);
       console.log('');
     } else {
       console.log(`❌ Failed to create user: ${userData.name}`);
@@ -80,25 +77,6 @@ async function seedUsers() {
   console.log('=====================================');
   console.log('');
 
-  // Check if environment variables are set
-  const requiredEnvVars = ['WALLET_ADDR_1', 'WALLET_ADDR_3', 'WALLET_ADDR_4', 'WALLET_ADDR_5'];
-  const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
-  
-  if (missingEnvVars.length > 0) {
-    console.log('❌ Missing required environment variables:');
-    missingEnvVars.forEach(envVar => console.log(`   - ${envVar}`));
-    console.log('');
-    console.log('Please set these environment variables in your .env file');
-    process.exit(1);
-  }
-
-  console.log('Environment variables found:');
-  console.log(`   WALLET_ADDR_1: ${process.env.WALLET_ADDR_1}`);
-  console.log(`   WALLET_ADDR_3: ${process.env.WALLET_ADDR_3}`);
-  console.log(`   WALLET_ADDR_4: ${process.env.WALLET_ADDR_4}`);
-  console.log(`   WALLET_ADDR_5: ${process.env.WALLET_ADDR_5}`);
-  console.log('');
-
   // Create users sequentially
   for (const user of users) {
     await createUser(user);
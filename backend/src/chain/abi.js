@@ -0,0 +1,100 @@
+// Interfaces of the contracts in smart-contract/contracts, used by the simulated ledger to
+// encode calls, results and events exactly as the deployed contracts would.
+// Keep them in sync with the Solidity sources (ERC-165 and EIP-5267 introspection is left
+// out); enums are uint8 in the ABI.
+
+const ACCESS_CONTROL_ABI = [
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "function renounceRole(bytes32 role, address callerConfirmation)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+];
+
+const DOCUMENT_REGISTRY_ABI = [
+  ...ACCESS_CONTROL_ABI,
+  "function REGISTRY_ADMIN_ROLE() view returns (bytes32)",
+  "function allowedIssuer(bytes32, address) view returns (bool)",
+  "function allowedSigner(bytes32, address) view returns (bool)",
+  "function allowedSignerForDocument(bytes32, address) view returns (bool)",
+  "function allowCall(address, address) view returns (bool)",
+  "function requiredSignerCount(bytes32) view returns (uint8)",
+  "function setIssuer(bytes32 documentType, address issuer, bool active)",
+  "function setSigner(bytes32 documentType, address signer, bool active)",
+  "function setSignerForDocument(bytes32 documentId, address signer, bool active)",
+  "function setInterop(address fromContract, address toContract, bool allowed)",
+  "function setRequiredSignerCount(bytes32 documentType, uint8 count)",
+  "event IssuerWhiteListed(bytes32 indexed documentType, address indexed issuer, bool active)",
+  "event SignerWhiteListed(bytes32 indexed documentType, address indexed signer, bool active)",
+  "event DocumentSignerWhiteListed(bytes32 indexed documentId, address indexed signer, bool active)",
+  "event InteropAllowed(address indexed fromContract, address indexed toContract, bool allowed)",
+  "event RequiredSignerCountSet(bytes32 indexed documentType, uint8 count)",
+];
+
+const DOCUMENT_STORE_FACTORY_ABI = [
+  ...ACCESS_CONTROL_ABI,
+  "function FACTORY_ADMIN_ROLE() view returns (bytes32)",
+  "function registry() view returns (address)",
+  "function organisationAddress(bytes32) view returns (address)",
+  "function allStores(uint256) view returns (address)",
+  "function organisationStore(address) view returns (bytes32)",
+  "function createStore(bytes32 organisationId, address storeAdmin) returns (address store)",
+  "function storesLength() view returns (uint256 count)",
+  "function storeAt(uint256 index) view returns (address store)",
+  "function setStoreRole(address store, bytes32 role, address account, bool grant)",
+  "function grantStandardRoles(address store, address issuer, address revoker, address signer)",
+  "function setInterop(address fromContract, address toContract, bool allowed)",
+  "function orgIdOf(address store) view returns (bytes32 orgId)",
+  "event StoreCreated(bytes32 indexed orgId, address indexed store, address indexed admin)",
+  "event StoreRoleUpdated(address indexed store, bytes32 indexed role, address indexed account, bool granted)",
+  "event InteropConfigured(address indexed fromContract, address indexed toContract, bool allowed)",
+];
+
+const DOCUMENT_STORE_ABI = [
+  ...ACCESS_CONTROL_ABI,
+  "function ISSUER_ROLE() view returns (bytes32)",
+  "function SIGNER_ROLE() view returns (bytes32)",
+  "function REVOKER_ROLE() view returns (bytes32)",
+  "function ISSUE_TYPEHASH() view returns (bytes32)",
+  "function SIGN_TYPEHASH() view returns (bytes32)",
+  "function REISSUE_TYPEHASH() view returns (bytes32)",
+  "function registry() view returns (address)",
+  "function meta(bytes32) view returns (bytes32 documentHash, bytes32 documentType, address issuer, uint64 issuedAt, uint64 revokedAt, uint8 state)",
+  "function signedAt(bytes32, address) view returns (uint64)",
+  "function requiredSigners(bytes32) view returns (uint8)",
+  "function signatureCount(bytes32) view returns (uint8)",
+  "function executedAt(bytes32) view returns (uint64)",
+  "function predecessorOf(bytes32) view returns (bytes32)",
+  "function successorOf(bytes32) view returns (bytes32)",
+  "function batches(bytes32) view returns (bytes32 documentType, address issuer, uint64 issuedAt, uint32 size)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function issue(bytes32 documentId, bytes32 documentHash, bytes32 documentType)",
+  "function issueWithSig(bytes32 documentId, bytes32 documentHash, bytes32 documentType, address issuer, uint256 deadline, bytes signature)",
+  "function issueBatch(bytes32 batchRoot, bytes32 documentType, uint32 size)",
+  "function isIssuedInBatch(bytes32 batchRoot, bytes32 documentId, bytes32 documentHash, bytes32[] proof) view returns (bool)",
+  "function revokeBatchMember(bytes32 batchRoot, bytes32 documentId, bytes32 documentHash, bytes32[] proof, uint8 reason)",
+  "function sign(bytes32 documentId)",
+  "function signWithSig(bytes32 documentId, address signer, uint256 deadline, bytes signature)",
+  "function revoke(bytes32 documentId, uint8 reason)",
+  "function reissue(bytes32 previousDocumentId, bytes32 documentId, bytes32 documentHash)",
+  "function reissueWithSig(bytes32 previousDocumentId, bytes32 documentId, bytes32 documentHash, address issuer, uint256 deadline, bytes signature)",
+  "function isIssued(bytes32 documentId) view returns (bool)",
+  "function isSigned(bytes32 documentId) view returns (bool)",
+  "function isFullyExecuted(bytes32 documentId) view returns (bool)",
+  "event DocumentIssued(bytes32 indexed documentId, bytes32 indexed documentType, address issuer, bytes32 documentHash)",
+  "event DocumentSigned(bytes32 indexed documentId, address indexed signer)",
+  "event DocumentFullyExecuted(bytes32 indexed documentId, uint8 signatureCount)",
+  "event DocumentRevoked(bytes32 indexed documentId, address indexed revoker, uint8 reason)",
+  "event BatchIssued(bytes32 indexed batchRoot, bytes32 indexed documentType, address issuer, uint32 size)",
+  "event DocumentReissued(bytes32 indexed previousDocumentId, bytes32 indexed documentId, address issuer)",
+];
+
+module.exports = {
+  DOCUMENT_REGISTRY_ABI,
+  DOCUMENT_STORE_FACTORY_ABI,
+  DOCUMENT_STORE_ABI,
+};
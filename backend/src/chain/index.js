@@ -0,0 +1,261 @@
+const { ethers } = require("ethers");
+const { createRpcChain } = require("./rpc");
+const { createSimulatedChain } = require("./simulated");
+const { loadDeploymentManifest } = require("./manifest");
+
+// Time a node has to report its chain id at startup
+const CONNECT_TIMEOUT_MS = 10000;
+
+/**
+ * Everything the backend does on-chain goes through a chain adapter, selected by its mode:
+ * - "rpc" (default) talks to the deployed contracts through a JSON-RPC node
+ * - "simulated" runs the contracts' state machine in process, so the API runs without a node
+ *
+ * @typedef {Object} ChainAdapter
+ * @property {string} mode - "rpc" or "simulated"
+ * @property {ethers.Provider} provider - Network, blocks, logs and receipts
+ * @property {Object} platformSigner - Platform wallet (NonceManager), funds custodial wallets
+ * @property {ethers.Contract} registry - DocumentRegistry (read-only)
+ * @property {ethers.Contract} factory - DocumentStoreFactory (read-only)
+ * @property {ethers.Contract} registryWrite - DocumentRegistry connected to the platform wallet
+ * @property {ethers.Contract} factoryWrite - DocumentStoreFactory connected to the platform wallet
+ * @property {string|Array} storeAbi - DocumentStore ABI, to decode its events
+ * @property {Function} connectStore - (address, runner?) => DocumentStore, read-only without a runner
+ * @property {Function} connectWallet - (privateKey) => signer (NonceManager) for a wallet
+ */
+
+/**
+ * A configured network: its chain adapter plus what identifies it.
+ * @typedef {ChainAdapter} Network
+ * @property {string} name - Name used in configuration and by clients
+ * @property {number} chainId - Chain id, reported by the node once connected
+ * @property {number} [startBlock] - First block its indexer reads on a fresh database
+ * @property {number} [confirmations] - Blocks its indexer stays behind the head
+ * @property {number} [deployBlock] - Block its contracts were deployed in, from the deployment manifest
+ */
+
+/**
+ * Creates the chain adapter of one network. The platform wallet (PRIVATE_KEY_1) is shared
+ * by every network; contract ABIs come from the network's deployment manifest, or from the
+ * DocumentRegistryABI, DocumentStoreFactoryABI and DocumentStoreABI strings of older setups.
+ * @param {Object} config - { mode, chainId, rpcUrl, registryAddress, factoryAddress, registryAbi, factoryAbi, storeAbi }
+ * @param {Object} env - Environment variables
+ * @returns {ChainAdapter}
+ */
+function createChainAdapter(config, env = process.env) {
+  const mode = config.mode || "rpc";
+  switch (mode) {
+    case "rpc":
+      return createRpcChain({
+        rpcUrl: config.rpcUrl,
+        adminPrivateKey: env.PRIVATE_KEY_1,
+        registryAddress: config.registryAddress,
+        factoryAddress: config.factoryAddress,
+        registryAbi: config.registryAbi || env.DocumentRegistryABI,
+        factoryAbi: config.factoryAbi || env.DocumentStoreFactoryABI,
+        storeAbi: config.storeAbi || env.DocumentStoreABI,
+      });
+    case "simulated":
+      return createSimulatedChain({
+        // Any key will do: the ledger starts empty, with this wallet as its deployer
+        adminPrivateKey: env.PRIVATE_KEY_1 || ethers.Wallet.createRandom().privateKey,
+        chainId: Number(config.chainId || 31337),
+      });
+    default:
+      throw new Error(`Unknown CHAIN_MODE ${mode}`);
+  }
+}
+
+/**
+ * Fills a network configuration from its deployment manifest: contract addresses and
+ * ABIs, chainId and deploy block. Values also set by hand must agree with the manifest.
+ * @param {Object} config - Network configuration
+ * @param {string} [file] - Manifest path
+ * @returns {Object} Network configuration
+ */
+function applyManifest(config, file) {
+  if (!file) {
+    return config;
+  }
+  if ((config.mode || "rpc") !== "rpc") {
+    throw new Error(`Network ${config.name}: a deployment manifest only applies to rpc networks`);
+  }
+
+  const deployment = loadDeploymentManifest(file);
+  for (const key of ["chainId", "registryAddress", "factoryAddress"]) {
+    if (config[key] !== undefined && String(config[key]).toLowerCase() !== String(deployment[key]).toLowerCase()) {
+      throw new Error(
+        `Network ${config.name}: ${key} ${config[key]} differs from ${deployment[key]} in the deployment manifest ${file}`
+      );
+    }
+  }
+  return { ...config, ...deployment };
+}
+
+/**
+ * Network configuration from the environment. NETWORKS is a JSON array of
+ * { name, chainId, mode, rpcUrl, manifest, registryAddress, factoryAddress, startBlock, confirmations };
+ * without it, the single network described by CHAIN_MODE, RPC_URL and DEPLOYMENT_MANIFEST
+ * (or the contract address variables) is used, named NETWORK_NAME or "default".
+ * @param {Object} env - Environment variables
+ * @returns {Object[]} Network configurations
+ */
+function readNetworkConfig(env) {
+  if (!env.NETWORKS) {
+    const mode = env.CHAIN_MODE || "rpc";
+    const config = {
+      name: env.NETWORK_NAME || "default",
+      mode,
+      chainId: mode === "simulated" ? Number(env.SIMULATED_CHAIN_ID || 31337) : undefined,
+      rpcUrl: env.RPC_URL,
+    };
+    if (mode === "rpc" && env.DEPLOYMENT_MANIFEST) {
+      return [applyManifest(config, env.DEPLOYMENT_MANIFEST)];
+    }
+    return [
+      {
+        ...config,
+        registryAddress: env.DocumentRegistryAddress,
+        factoryAddress: env.DocumentStoreFactoryAddress,
+      },
+    ];
+  }
+
+  let configs;
+  try {
+    configs = JSON.parse(env.NETWORKS);
+  } catch (err) {
+    throw new Error(`NETWORKS in .env is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(configs) || configs.length === 0) {
+    throw new Error("NETWORKS in .env must be a non-empty JSON array");
+  }
+
+  return configs.map((entry, index) => {
+    const name = entry?.name;
+    if (!name || typeof name !== "string") {
+      throw new Error(`NETWORKS[${index}] has no name`);
+    }
+    if (entry.chainId !== undefined && !Number.isInteger(entry.chainId)) {
+      throw new Error(`Network ${name}: chainId must be an integer`);
+    }
+    const config = applyManifest(entry, entry.manifest);
+    if ((config.mode || "rpc") === "rpc" && (!config.rpcUrl || !config.registryAddress || !config.factoryAddress)) {
+      throw new Error(`Network ${name}: rpcUrl and a manifest (or registryAddress and factoryAddress) are required`);
+    }
+    return config;
+  });
+}
+
+const withTimeout = (promise, ms, message) =>
+  Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(message)), ms).unref()),
+  ]);
+
+/**
+ * Creates every configured network. New organisations get their store on the network
+ * named by DEFAULT_NETWORK (the first one by default) unless they ask for another;
+ * an organisation, its members' wallets and its documents then stay on that network,
+ * so records carry the chainId they were anchored on and are routed by it.
+ *
+ * Stores are looked up by address across networks, so no two networks may share a
+ * DocumentStoreFactory address (the same deployer at the same nonce on two chains).
+ *
+ * @param {Object} env - Environment variables
+ * @returns {{ list: Network[], defaultNetwork: Network, get: Function, byName: Function, connect: Function }}
+ */
+function createNetworks(env = process.env) {
+  const list = readNetworkConfig(env).map((config) => ({
+    ...createChainAdapter(config, env),
+    name: config.name,
+    chainId: config.chainId,
+    startBlock: config.startBlock,
+    confirmations: config.confirmations,
+    deployBlock: config.deployBlock,
+  }));
+
+  for (const [i, network] of list.entries()) {
+    for (const other of list.slice(i + 1)) {
+      if (network.name === other.name) {
+        throw new Error(`Network name ${network.name} is used twice in NETWORKS`);
+      }
+      if (network.factory.target.toLowerCase() === other.factory.target.toLowerCase()) {
+        throw new Error(
+          `Networks ${network.name} and ${other.name} share the DocumentStoreFactory address ${network.factory.target}; ` +
+            "deploy one of them from another wallet or nonce so their store addresses cannot collide"
+        );
+      }
+    }
+  }
+
+  const byName = (name) => list.find((network) => network.name === name) || null;
+
+  const defaultName = env.DEFAULT_NETWORK || list[0].name;
+  const defaultNetwork = byName(defaultName);
+  if (!defaultNetwork) {
+    throw new Error(`DEFAULT_NETWORK ${defaultName} is not among the configured networks`);
+  }
+
+  /**
+   * Network a record was anchored on
+   * @param {number} chainId - chainId stored on the record
+   * @returns {Network|null} null when that network is no longer configured
+   */
+  const get = (chainId) =>
+    (chainId !== undefined && chainId !== null && list.find((network) => network.chainId === Number(chainId))) || null;
+
+  /**
+   * Asks every node for its chain id, which must match the configured one, and checks that
+   * the registry and factory are deployed there. A network with a configured chainId that
+   * cannot be reached is only reported, so one node being down does not stop the others
+   * from being served.
+   */
+  async function connect() {
+    for (const network of list) {
+      let chainId;
+      try {
+        const reported = await withTimeout(
+          network.provider.getNetwork(),
+          CONNECT_TIMEOUT_MS,
+          `no answer within ${CONNECT_TIMEOUT_MS}ms`
+        );
+        chainId = Number(reported.chainId);
+      } catch (err) {
+        if (network.chainId === undefined) {
+          throw new Error(`Network ${network.name} is unreachable and has no chainId configured: ${err.message}`);
+        }
+        console.warn(`⚠️  Network ${network.name} (chainId ${network.chainId}) is unreachable: ${err.message}`);
+        continue;
+      }
+
+      if (network.chainId !== undefined && network.chainId !== chainId) {
+        throw new Error(`Network ${network.name} is configured with chainId ${network.chainId} but its node reports ${chainId}`);
+      }
+      network.chainId = chainId;
+
+      for (const [name, contract] of [
+        ["DocumentRegistry", network.registry],
+        ["DocumentStoreFactory", network.factory],
+      ]) {
+        const code = await network.provider.getCode(contract.target);
+        if (code === "0x") {
+          throw new Error(
+            `Network ${network.name}: no ${name} deployed at ${contract.target}; ` +
+              "redeploy the contracts or point the configuration at the current deployment"
+          );
+        }
+      }
+    }
+
+    const chainIds = list.map((network) => network.chainId);
+    const duplicate = chainIds.find((chainId, i) => chainIds.indexOf(chainId) !== i);
+    if (duplicate !== undefined) {
+      throw new Error(`Several networks have chainId ${duplicate}`);
+    }
+  }
+
+  return { list, defaultNetwork, get, byName, connect };
+}
+
+module.exports = { createChainAdapter, createNetworks };
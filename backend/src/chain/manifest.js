@@ -0,0 +1,56 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Manifest layouts this backend understands, written by smart-contract/scripts/deploy.js
+const SUPPORTED_MANIFEST_VERSIONS = [1];
+
+/**
+ * Reads a deployment manifest and returns the network configuration it describes:
+ * contract addresses and ABIs, the chain they were deployed to and the deploy block.
+ * @param {string} file - Manifest path, relative paths resolve from the working directory
+ * @returns {{ chainId: number, registryAddress: string, factoryAddress: string, registryAbi: Array, factoryAbi: Array, storeAbi: Array, deployBlock: number }}
+ * @throws {Error} If the manifest cannot be read or is incomplete
+ */
+function loadDeploymentManifest(file) {
+  const manifestPath = path.resolve(file);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read deployment manifest ${manifestPath}: ${err.message}`);
+  }
+
+  if (!SUPPORTED_MANIFEST_VERSIONS.includes(manifest.manifestVersion)) {
+    throw new Error(
+      `Deployment manifest ${manifestPath} has version ${manifest.manifestVersion}, ` +
+        `this backend reads version ${SUPPORTED_MANIFEST_VERSIONS.join(", ")}`
+    );
+  }
+
+  const { DocumentRegistry, DocumentStoreFactory, DocumentStore } = manifest.contracts || {};
+  for (const [name, contract, needsAddress] of [
+    ["DocumentRegistry", DocumentRegistry, true],
+    ["DocumentStoreFactory", DocumentStoreFactory, true],
+    ["DocumentStore", DocumentStore, false],
+  ]) {
+    if (!Array.isArray(contract?.abi) || (needsAddress && !ethers.isAddress(contract.address))) {
+      throw new Error(`Deployment manifest ${manifestPath} has no ${needsAddress ? "address and " : ""}ABI for ${name}`);
+    }
+  }
+  if (!Number.isInteger(manifest.network?.chainId)) {
+    throw new Error(`Deployment manifest ${manifestPath} has no network chainId`);
+  }
+
+  return {
+    chainId: manifest.network.chainId,
+    registryAddress: DocumentRegistry.address,
+    factoryAddress: DocumentStoreFactory.address,
+    registryAbi: DocumentRegistry.abi,
+    factoryAbi: DocumentStoreFactory.abi,
+    storeAbi: DocumentStore.abi,
+    deployBlock: manifest.deployBlock,
+  };
+}
+
+module.exports = { loadDeploymentManifest };
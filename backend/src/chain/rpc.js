@@ -0,0 +1,58 @@
+const { ethers, NonceManager } = require("ethers");
+
+/**
+ * Creates the chain adapter for deployed contracts reached through a JSON-RPC node
+ * (Hardhat in development). Transactions from the platform wallet and from custodial
+ * wallets go through NonceManager so concurrent jobs do not reuse a nonce.
+ *
+ * @param {Object} options
+ * @param {string} options.rpcUrl - JSON-RPC endpoint
+ * @param {string} options.adminPrivateKey - Platform wallet (registry and factory admin)
+ * @param {string} options.registryAddress - DocumentRegistry address
+ * @param {string} options.factoryAddress - DocumentStoreFactory address
+ * @param {string|Array} options.registryAbi - DocumentRegistry ABI
+ * @param {string|Array} options.factoryAbi - DocumentStoreFactory ABI
+ * @param {string|Array} options.storeAbi - DocumentStore ABI
+ * @returns {Object} Chain adapter, see createChainAdapter
+ */
+function createRpcChain({
+  rpcUrl,
+  adminPrivateKey,
+  registryAddress,
+  factoryAddress,
+  registryAbi,
+  factoryAbi,
+  storeAbi,
+}) {
+  if (!adminPrivateKey) {
+    throw new Error("Missing PRIVATE_KEY_1 (platform admin private key) in .env");
+  }
+  if (!rpcUrl || !registryAddress || !factoryAddress) {
+    throw new Error(
+      "Missing RPC_URL, or DEPLOYMENT_MANIFEST (or DocumentRegistryAddress and DocumentStoreFactoryAddress) in .env"
+    );
+  }
+  if (!registryAbi || !factoryAbi || !storeAbi) {
+    throw new Error(
+      "Missing contract ABIs: set DEPLOYMENT_MANIFEST (or DocumentRegistryABI, DocumentStoreFactoryABI and DocumentStoreABI) in .env"
+    );
+  }
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const platformSigner = new NonceManager(new ethers.Wallet(adminPrivateKey, provider));
+
+  return {
+    mode: "rpc",
+    provider,
+    platformSigner,
+    registry: new ethers.Contract(registryAddress, registryAbi, provider),
+    factory: new ethers.Contract(factoryAddress, factoryAbi, provider),
+    registryWrite: new ethers.Contract(registryAddress, registryAbi, platformSigner),
+    factoryWrite: new ethers.Contract(factoryAddress, factoryAbi, platformSigner),
+    storeAbi,
+    connectStore: (address, runner = provider) => new ethers.Contract(address, storeAbi, runner),
+    connectWallet: (privateKey) => new NonceManager(new ethers.Wallet(privateKey, provider)),
+  };
+}
+
+module.exports = { createRpcChain };
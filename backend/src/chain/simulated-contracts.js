@@ -0,0 +1,494 @@
+const { ethers } = require("ethers");
+const { ISSUE_TYPES, SIGN_TYPES, REISSUE_TYPES } = require("../utils/eip712");
+const { batchRootFromProof } = require("../helpers/verify-merkle-root");
+const {
+  DOCUMENT_REGISTRY_ABI,
+  DOCUMENT_STORE_FACTORY_ABI,
+  DOCUMENT_STORE_ABI,
+} = require("./abi");
+
+// JavaScript versions of the contracts in smart-contract/contracts, run by the simulated ledger.
+// Every function receives (self, ctx, ...args): self is { address, state } of the contract,
+// ctx carries msg.sender, block.timestamp, emit() and calls to other contracts, and args are
+// already ABI-decoded (bigint uints, checksummed addresses, lowercase bytes32).
+// Views and writes return the list of their outputs; revert() aborts the whole transaction.
+
+const { ZeroAddress, ZeroHash } = ethers;
+const DEFAULT_ADMIN_ROLE = ZeroHash;
+const REGISTRY_ADMIN_ROLE = ethers.id("REGISTRY_ADMIN_ROLE");
+const FACTORY_ADMIN_ROLE = ethers.id("FACTORY_ADMIN_ROLE");
+const ISSUER_ROLE = ethers.id("ISSUER_ROLE");
+const SIGNER_ROLE = ethers.id("SIGNER_ROLE");
+const REVOKER_ROLE = ethers.id("REVOKER_ROLE");
+
+const typeHash = (types) =>
+  ethers.id(ethers.TypedDataEncoder.from(types).encodeType(Object.keys(types)[0]));
+
+// DocumentStore.State and DocumentStore.RevokeReason
+const State = { None: 0n, Issued: 1n, Signed: 2n, Revoked: 3n };
+const REISSUED = 2n;
+const REVOKE_REASON_COUNT = 4n;
+
+/**
+ * Aborts the current transaction, like a Solidity require or revert
+ * @param {string|null} reason - Revert string, or null for a revert without data
+ */
+function revert(reason) {
+  throw Object.assign(new Error(reason || "execution reverted"), { revertReason: reason });
+}
+
+const key = (...parts) => parts.join(":");
+
+// --- AccessControl (OpenZeppelin 5); every role is administered by DEFAULT_ADMIN_ROLE ---
+
+const hasRole = (self, role, account) => !!self.state.roles.get(role)?.has(account);
+
+function checkRole(self, role, account) {
+  if (!hasRole(self, role, account)) {
+    revert(`AccessControlUnauthorizedAccount(${account}, ${role})`);
+  }
+}
+
+function grantRole(self, ctx, role, account) {
+  if (hasRole(self, role, account)) return;
+  if (!self.state.roles.has(role)) self.state.roles.set(role, new Set());
+  self.state.roles.get(role).add(account);
+  ctx.emit("RoleGranted", [role, account, ctx.sender]);
+}
+
+function revokeRole(self, ctx, role, account) {
+  if (!hasRole(self, role, account)) return;
+  self.state.roles.get(role).delete(account);
+  ctx.emit("RoleRevoked", [role, account, ctx.sender]);
+}
+
+const accessControl = {
+  views: {
+    DEFAULT_ADMIN_ROLE: () => [DEFAULT_ADMIN_ROLE],
+    hasRole: (self, ctx, role, account) => [hasRole(self, role, account)],
+    getRoleAdmin: () => [DEFAULT_ADMIN_ROLE],
+  },
+  writes: {
+    grantRole(self, ctx, role, account) {
+      checkRole(self, DEFAULT_ADMIN_ROLE, ctx.sender);
+      grantRole(self, ctx, role, account);
+      return [];
+    },
+    revokeRole(self, ctx, role, account) {
+      checkRole(self, DEFAULT_ADMIN_ROLE, ctx.sender);
+      revokeRole(self, ctx, role, account);
+      return [];
+    },
+    renounceRole(self, ctx, role, callerConfirmation) {
+      if (callerConfirmation !== ctx.sender) revert("AccessControlBadConfirmation()");
+      revokeRole(self, ctx, role, callerConfirmation);
+      return [];
+    },
+  },
+};
+
+// --- DocumentRegistry ---
+
+const DocumentRegistry = {
+  abi: DOCUMENT_REGISTRY_ABI,
+  init(self, ctx, admin) {
+    Object.assign(self.state, {
+      roles: new Map(),
+      allowedIssuer: new Map(),
+      allowedSigner: new Map(),
+      allowedSignerForDocument: new Map(),
+      allowCall: new Map(),
+      requiredSignerCount: new Map(),
+    });
+    grantRole(self, ctx, DEFAULT_ADMIN_ROLE, admin);
+    grantRole(self, ctx, REGISTRY_ADMIN_ROLE, admin);
+  },
+  views: {
+    ...accessControl.views,
+    REGISTRY_ADMIN_ROLE: () => [REGISTRY_ADMIN_ROLE],
+    allowedIssuer: (self, ctx, type, account) => [!!self.state.allowedIssuer.get(key(type, account))],
+    allowedSigner: (self, ctx, type, account) => [!!self.state.allowedSigner.get(key(type, account))],
+    allowedSignerForDocument: (self, ctx, documentId, account) => [
+      !!self.state.allowedSignerForDocument.get(key(documentId, account)),
+    ],
+    allowCall: (self, ctx, from, to) => [!!self.state.allowCall.get(key(from, to))],
+    requiredSignerCount: (self, ctx, type) => [self.state.requiredSignerCount.get(type) ?? 0n],
+  },
+  writes: {
+    ...accessControl.writes,
+    setIssuer(self, ctx, documentType, issuer, active) {
+      checkRole(self, REGISTRY_ADMIN_ROLE, ctx.sender);
+      self.state.allowedIssuer.set(key(documentType, issuer), active);
+      ctx.emit("IssuerWhiteListed", [documentType, issuer, active]);
+      return [];
+    },
+    setSigner(self, ctx, documentType, signer, active) {
+      checkRole(self, REGISTRY_ADMIN_ROLE, ctx.sender);
+      self.state.allowedSigner.set(key(documentType, signer), active);
+      ctx.emit("SignerWhiteListed", [documentType, signer, active]);
+      return [];
+    },
+    setSignerForDocument(self, ctx, documentId, signer, active) {
+      checkRole(self, REGISTRY_ADMIN_ROLE, ctx.sender);
+      self.state.allowedSignerForDocument.set(key(documentId, signer), active);
+      ctx.emit("DocumentSignerWhiteListed", [documentId, signer, active]);
+      return [];
+    },
+    setInterop(self, ctx, fromContract, toContract, allowed) {
+      checkRole(self, REGISTRY_ADMIN_ROLE, ctx.sender);
+      self.state.allowCall.set(key(fromContract, toContract), allowed);
+      ctx.emit("InteropAllowed", [fromContract, toContract, allowed]);
+      return [];
+    },
+    setRequiredSignerCount(self, ctx, documentType, count) {
+      checkRole(self, REGISTRY_ADMIN_ROLE, ctx.sender);
+      self.state.requiredSignerCount.set(documentType, count);
+      ctx.emit("RequiredSignerCountSet", [documentType, count]);
+      return [];
+    },
+  },
+};
+
+// --- DocumentStoreFactory ---
+
+const DocumentStoreFactory = {
+  abi: DOCUMENT_STORE_FACTORY_ABI,
+  init(self, ctx, admin, registry) {
+    if (admin === ZeroAddress) revert("Admin cannot create their own document store factory");
+    if (registry === ZeroAddress) revert("Registry cannot create their own document store factory");
+    Object.assign(self.state, {
+      roles: new Map(),
+      registry,
+      organisationAddress: new Map(),
+      allStores: [],
+      organisationStore: new Map(),
+    });
+    grantRole(self, ctx, DEFAULT_ADMIN_ROLE, admin);
+    grantRole(self, ctx, FACTORY_ADMIN_ROLE, admin);
+  },
+  views: {
+    ...accessControl.views,
+    FACTORY_ADMIN_ROLE: () => [FACTORY_ADMIN_ROLE],
+    registry: (self) => [self.state.registry],
+    organisationAddress: (self, ctx, organisationId) => [
+      self.state.organisationAddress.get(organisationId) ?? ZeroAddress,
+    ],
+    allStores(self, ctx, index) {
+      // Out of bounds array access panics
+      if (index >= BigInt(self.state.allStores.length)) revert(null);
+      return [self.state.allStores[Number(index)]];
+    },
+    organisationStore: (self, ctx, store) => [self.state.organisationStore.get(store) ?? ZeroHash],
+    storesLength: (self) => [BigInt(self.state.allStores.length)],
+    storeAt(self, ctx, index) {
+      if (index >= BigInt(self.state.allStores.length)) revert("Store does not exist");
+      return [self.state.allStores[Number(index)]];
+    },
+    orgIdOf: (self, ctx, store) => [self.state.organisationStore.get(store) ?? ZeroHash],
+  },
+  writes: {
+    ...accessControl.writes,
+    createStore(self, ctx, organisationId, storeAdmin) {
+      checkRole(self, FACTORY_ADMIN_ROLE, ctx.sender);
+      if (organisationId === ZeroHash) revert("Invalid Organisation ID");
+      if (storeAdmin === ZeroAddress) revert("Invalid Admin Address");
+      if (self.state.organisationAddress.has(organisationId)) revert("Document Store already exists");
+
+      const store = ctx.deploy("DocumentStore", [storeAdmin, self.state.registry]);
+      self.state.organisationAddress.set(organisationId, store);
+      self.state.organisationStore.set(store, organisationId);
+      self.state.allStores.push(store);
+
+      ctx.emit("StoreCreated", [organisationId, store, storeAdmin]);
+      return [store];
+    },
+    setStoreRole(self, ctx, store, role, account, grant) {
+      checkRole(self, FACTORY_ADMIN_ROLE, ctx.sender);
+      if (store === ZeroAddress) revert("store=0");
+      if (account === ZeroAddress) revert("account=0");
+
+      ctx.call(store, grant ? "grantRole" : "revokeRole", [role, account]);
+      ctx.emit("StoreRoleUpdated", [store, role, account, grant]);
+      return [];
+    },
+    grantStandardRoles(self, ctx, store, issuer, revoker, signer) {
+      checkRole(self, FACTORY_ADMIN_ROLE, ctx.sender);
+      if (store === ZeroAddress) revert("store=0");
+
+      for (const [role, account] of [[ISSUER_ROLE, issuer], [REVOKER_ROLE, revoker], [SIGNER_ROLE, signer]]) {
+        if (account === ZeroAddress) continue;
+        ctx.call(store, "grantRole", [role, account]);
+        ctx.emit("StoreRoleUpdated", [store, role, account, true]);
+      }
+      return [];
+    },
+    setInterop(self, ctx, fromContract, toContract, allowed) {
+      checkRole(self, FACTORY_ADMIN_ROLE, ctx.sender);
+      ctx.call(self.state.registry, "setInterop", [fromContract, toContract, allowed]);
+      ctx.emit("InteropConfigured", [fromContract, toContract, allowed]);
+      return [];
+    },
+  },
+};
+
+// --- DocumentStore ---
+
+const EMPTY_META = {
+  documentHash: ZeroHash,
+  documentType: ZeroHash,
+  issuer: ZeroAddress,
+  issuedAt: 0n,
+  revokedAt: 0n,
+  state: State.None,
+};
+const EMPTY_BATCH = { documentType: ZeroHash, issuer: ZeroAddress, issuedAt: 0n, size: 0n };
+
+const metaOf = (self, documentId) => self.state.meta.get(documentId) ?? EMPTY_META;
+const batchOf = (self, batchRoot) => self.state.batches.get(batchRoot) ?? EMPTY_BATCH;
+const isProofValid = (proof, batchRoot, documentId, documentHash) =>
+  batchRootFromProof(documentId, documentHash, [...proof]).toLowerCase() === batchRoot.toLowerCase();
+
+function useNonce(self, account) {
+  const nonce = self.state.nonces.get(account) ?? 0n;
+  self.state.nonces.set(account, nonce + 1n);
+  return nonce;
+}
+
+// _checkTypedSignature: the EIP712("DocumentStore", "1") domain of this store
+function checkTypedSignature(self, ctx, types, message, expectedSigner, deadline, signature) {
+  if (ctx.timestamp > deadline) revert("Signature expired");
+  const domain = {
+    name: "DocumentStore",
+    version: "1",
+    chainId: ctx.chainId,
+    verifyingContract: self.address,
+  };
+  let recovered;
+  try {
+    recovered = ethers.verifyTypedData(domain, types, message, signature);
+  } catch {
+    revert("ECDSAInvalidSignature()");
+  }
+  if (recovered !== expectedSigner) revert("Invalid signature");
+}
+
+// The registry whitelists the store itself, not the account issuing through it
+function checkIssuerAllowed(self, ctx, documentType) {
+  const [allowed] = ctx.read(self.state.registry, "allowedIssuer", [documentType, self.address]);
+  if (!allowed) revert("Issuer not allowed for type");
+}
+
+function issueDocument(self, ctx, documentId, documentHash, documentType, issuer) {
+  if (metaOf(self, documentId).state !== State.None) revert("Document Already Exists");
+  checkIssuerAllowed(self, ctx, documentType);
+
+  self.state.meta.set(documentId, {
+    documentHash,
+    documentType,
+    issuer,
+    issuedAt: ctx.timestamp,
+    revokedAt: 0n,
+    state: State.Issued,
+  });
+
+  const [required] = ctx.read(self.state.registry, "requiredSignerCount", [documentType]);
+  self.state.requiredSigners.set(documentId, required === 0n ? 1n : required);
+
+  ctx.emit("DocumentIssued", [documentId, documentType, issuer, documentHash]);
+}
+
+function signDocument(self, ctx, documentId, signer) {
+  const meta = metaOf(self, documentId);
+  if (meta.state !== State.Issued && meta.state !== State.Signed) revert("Document not signable");
+
+  const [allowedForType] = ctx.read(self.state.registry, "allowedSigner", [meta.documentType, signer]);
+  if (!allowedForType) revert("Signer not allowed for type");
+  const [allowed] = ctx.read(self.state.registry, "allowedSignerForDocument", [documentId, signer]);
+  if (!allowed) revert("Signer not allowed");
+  if (self.state.signedAt.has(key(documentId, signer))) revert("Document already signed");
+
+  self.state.signedAt.set(key(documentId, signer), ctx.timestamp);
+  ctx.emit("DocumentSigned", [documentId, signer]);
+
+  const count = (self.state.signatureCount.get(documentId) ?? 0n) + 1n;
+  self.state.signatureCount.set(documentId, count);
+  if (!self.state.executedAt.has(documentId) && count >= (self.state.requiredSigners.get(documentId) ?? 0n)) {
+    self.state.executedAt.set(documentId, ctx.timestamp);
+    ctx.emit("DocumentFullyExecuted", [documentId, count]);
+  }
+}
+
+function revokeDocument(self, ctx, documentId, revoker, reason) {
+  if (reason >= REVOKE_REASON_COUNT) revert(null);
+  const meta = metaOf(self, documentId);
+  if (meta.state !== State.Issued && meta.state !== State.Signed) revert("Document not revocable");
+
+  self.state.meta.set(documentId, { ...meta, state: State.Revoked, revokedAt: ctx.timestamp });
+  ctx.emit("DocumentRevoked", [documentId, revoker, reason]);
+}
+
+function reissueDocument(self, ctx, previousDocumentId, documentId, documentHash, issuer) {
+  if (previousDocumentId === documentId) revert("Same document id");
+
+  revokeDocument(self, ctx, previousDocumentId, issuer, REISSUED);
+  issueDocument(self, ctx, documentId, documentHash, metaOf(self, previousDocumentId).documentType, issuer);
+
+  self.state.predecessorOf.set(documentId, previousDocumentId);
+  self.state.successorOf.set(previousDocumentId, documentId);
+  ctx.emit("DocumentReissued", [previousDocumentId, documentId, issuer]);
+}
+
+const DocumentStore = {
+  abi: DOCUMENT_STORE_ABI,
+  init(self, ctx, admin, registry) {
+    Object.assign(self.state, {
+      roles: new Map(),
+      registry,
+      meta: new Map(),
+      signedAt: new Map(),
+      requiredSigners: new Map(),
+      signatureCount: new Map(),
+      executedAt: new Map(),
+      predecessorOf: new Map(),
+      successorOf: new Map(),
+      batches: new Map(),
+      nonces: new Map(),
+    });
+    grantRole(self, ctx, DEFAULT_ADMIN_ROLE, admin);
+    grantRole(self, ctx, ISSUER_ROLE, admin);
+    grantRole(self, ctx, REVOKER_ROLE, admin);
+    grantRole(self, ctx, SIGNER_ROLE, admin);
+    // The deploying factory stays an admin so it can manage member roles (setStoreRole)
+    grantRole(self, ctx, DEFAULT_ADMIN_ROLE, ctx.sender);
+  },
+  views: {
+    ...accessControl.views,
+    ISSUER_ROLE: () => [ISSUER_ROLE],
+    SIGNER_ROLE: () => [SIGNER_ROLE],
+    REVOKER_ROLE: () => [REVOKER_ROLE],
+    ISSUE_TYPEHASH: () => [typeHash(ISSUE_TYPES)],
+    SIGN_TYPEHASH: () => [typeHash(SIGN_TYPES)],
+    REISSUE_TYPEHASH: () => [typeHash(REISSUE_TYPES)],
+    registry: (self) => [self.state.registry],
+    meta(self, ctx, documentId) {
+      const { documentHash, documentType, issuer, issuedAt, revokedAt, state } = metaOf(self, documentId);
+      return [documentHash, documentType, issuer, issuedAt, revokedAt, state];
+    },
+    signedAt: (self, ctx, documentId, signer) => [self.state.signedAt.get(key(documentId, signer)) ?? 0n],
+    requiredSigners: (self, ctx, documentId) => [self.state.requiredSigners.get(documentId) ?? 0n],
+    signatureCount: (self, ctx, documentId) => [self.state.signatureCount.get(documentId) ?? 0n],
+    executedAt: (self, ctx, documentId) => [self.state.executedAt.get(documentId) ?? 0n],
+    predecessorOf: (self, ctx, documentId) => [self.state.predecessorOf.get(documentId) ?? ZeroHash],
+    successorOf: (self, ctx, documentId) => [self.state.successorOf.get(documentId) ?? ZeroHash],
+    batches(self, ctx, batchRoot) {
+      const { documentType, issuer, issuedAt, size } = batchOf(self, batchRoot);
+      return [documentType, issuer, issuedAt, size];
+    },
+    nonces: (self, ctx, owner) => [self.state.nonces.get(owner) ?? 0n],
+    DOMAIN_SEPARATOR: (self, ctx) => [
+      ethers.TypedDataEncoder.hashDomain({
+        name: "DocumentStore",
+        version: "1",
+        chainId: ctx.chainId,
+        verifyingContract: self.address,
+      }),
+    ],
+    isIssuedInBatch: (self, ctx, batchRoot, documentId, documentHash, proof) => [
+      batchOf(self, batchRoot).issuedAt !== 0n &&
+        metaOf(self, documentId).state === State.None &&
+        isProofValid(proof, batchRoot, documentId, documentHash),
+    ],
+    isIssued: (self, ctx, documentId) => [metaOf(self, documentId).state === State.Issued],
+    isSigned: (self, ctx, documentId) => [self.state.signedAt.has(key(documentId, ctx.sender))],
+    isFullyExecuted: (self, ctx, documentId) => [
+      self.state.executedAt.has(documentId) && metaOf(self, documentId).state !== State.Revoked,
+    ],
+  },
+  writes: {
+    ...accessControl.writes,
+    issue(self, ctx, documentId, documentHash, documentType) {
+      checkRole(self, ISSUER_ROLE, ctx.sender);
+      issueDocument(self, ctx, documentId, documentHash, documentType, ctx.sender);
+      return [];
+    },
+    issueWithSig(self, ctx, documentId, documentHash, documentType, issuer, deadline, signature) {
+      const message = { documentId, documentHash, documentType, issuer, nonce: useNonce(self, issuer), deadline };
+      checkTypedSignature(self, ctx, ISSUE_TYPES, message, issuer, deadline, signature);
+      checkRole(self, ISSUER_ROLE, issuer);
+      issueDocument(self, ctx, documentId, documentHash, documentType, issuer);
+      return [];
+    },
+    issueBatch(self, ctx, batchRoot, documentType, size) {
+      checkRole(self, ISSUER_ROLE, ctx.sender);
+      if (size === 0n) revert("Empty batch");
+      if (batchOf(self, batchRoot).issuedAt !== 0n) revert("Batch Already Exists");
+      checkIssuerAllowed(self, ctx, documentType);
+
+      self.state.batches.set(batchRoot, { documentType, issuer: ctx.sender, issuedAt: ctx.timestamp, size });
+      ctx.emit("BatchIssued", [batchRoot, documentType, ctx.sender, size]);
+      return [];
+    },
+    revokeBatchMember(self, ctx, batchRoot, documentId, documentHash, proof, reason) {
+      checkRole(self, REVOKER_ROLE, ctx.sender);
+      if (reason >= REVOKE_REASON_COUNT) revert(null);
+      const batch = batchOf(self, batchRoot);
+      if (batch.issuedAt === 0n) revert("Batch not found");
+      if (metaOf(self, documentId).state !== State.None) revert("Document not revocable");
+      if (!isProofValid(proof, batchRoot, documentId, documentHash)) revert("Invalid batch proof");
+
+      self.state.meta.set(documentId, {
+        documentHash,
+        documentType: batch.documentType,
+        issuer: batch.issuer,
+        issuedAt: batch.issuedAt,
+        revokedAt: ctx.timestamp,
+        state: State.Revoked,
+      });
+      ctx.emit("DocumentRevoked", [documentId, ctx.sender, reason]);
+      return [];
+    },
+    sign(self, ctx, documentId) {
+      checkRole(self, SIGNER_ROLE, ctx.sender);
+      signDocument(self, ctx, documentId, ctx.sender);
+      return [];
+    },
+    signWithSig(self, ctx, documentId, signer, deadline, signature) {
+      const message = { documentId, signer, nonce: useNonce(self, signer), deadline };
+      checkTypedSignature(self, ctx, SIGN_TYPES, message, signer, deadline, signature);
+      checkRole(self, SIGNER_ROLE, signer);
+      signDocument(self, ctx, documentId, signer);
+      return [];
+    },
+    revoke(self, ctx, documentId, reason) {
+      checkRole(self, REVOKER_ROLE, ctx.sender);
+      revokeDocument(self, ctx, documentId, ctx.sender, reason);
+      return [];
+    },
+    reissue(self, ctx, previousDocumentId, documentId, documentHash) {
+      checkRole(self, ISSUER_ROLE, ctx.sender);
+      checkRole(self, REVOKER_ROLE, ctx.sender);
+      reissueDocument(self, ctx, previousDocumentId, documentId, documentHash, ctx.sender);
+      return [];
+    },
+    reissueWithSig(self, ctx, previousDocumentId, documentId, documentHash, issuer, deadline, signature) {
+      const message = {
+        previousDocumentId,
+        documentId,
+        documentHash,
+        issuer,
+        nonce: useNonce(self, issuer),
+        deadline,
+      };
+      checkTypedSignature(self, ctx, REISSUE_TYPES, message, issuer, deadline, signature);
+      checkRole(self, ISSUER_ROLE, issuer);
+      checkRole(self, REVOKER_ROLE, issuer);
+      reissueDocument(self, ctx, previousDocumentId, documentId, documentHash, issuer);
+      return [];
+    },
+  },
+};
+
+module.exports = {
+  SIMULATED_CONTRACTS: { DocumentRegistry, DocumentStoreFactory, DocumentStore },
+  revert,
+};
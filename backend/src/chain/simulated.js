@@ -0,0 +1,351 @@
+const { ethers } = require("ethers");
+const { SIMULATED_CONTRACTS } = require("./simulated-contracts");
+
+// Balance of the platform wallet at genesis, used to fund custodial wallets
+const GENESIS_BALANCE = ethers.parseEther("1000000");
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Errors shaped like the ones ethers throws, so callers handle both chains the same way
+function callException(reason, transaction) {
+  return ethers.makeError(
+    reason ? `execution reverted: ${JSON.stringify(reason)}` : "execution reverted (no data)",
+    "CALL_EXCEPTION",
+    {
+      action: "estimateGas",
+      data: null,
+      reason: reason ?? null,
+      transaction,
+      invocation: null,
+      revert: reason ? { signature: "Error(string)", name: "Error", args: [reason] } : null,
+    }
+  );
+}
+
+/**
+ * Creates an in-process ledger running the DocumentRegistry, DocumentStoreFactory and
+ * DocumentStore state machines, for development and integration tests without a node.
+ * It exposes the same objects as the RPC adapter: a provider (blocks, receipts, logs),
+ * signers, and contracts with the ABI of the real ones. Calls are ABI-encoded and decoded
+ * like ethers does, reverts throw CALL_EXCEPTION errors, and events are emitted as real
+ * logs, so the indexer, job queue and routes run unchanged.
+ * Every transaction is mined in a block of its own as soon as it is sent, and rolled back
+ * entirely when it reverts. The registry and factory are deployed at genesis by the
+ * platform wallet, as scripts/deploy.js does. State lives in memory and is lost on restart.
+ *
+ * @param {Object} options
+ * @param {string} options.adminPrivateKey - Platform wallet (registry and factory admin)
+ * @param {number} [options.chainId=31337] - Chain id reported to clients and used in EIP-712 domains
+ * @returns {Object} Chain adapter, see createChainAdapter
+ */
+function createSimulatedChain({ adminPrivateKey, chainId = 31337 }) {
+  const admin = new ethers.Wallet(adminPrivateKey);
+
+  // Everything a reverted transaction must leave untouched
+  let world = {
+    balances: new Map([[admin.address, GENESIS_BALANCE]]),
+    nonces: new Map(),
+    contracts: new Map(),
+  };
+  const blocks = [
+    {
+      number: 0,
+      hash: ethers.id(`simulated:${chainId}:genesis`),
+      parentHash: ethers.ZeroHash,
+      timestamp: nowSeconds(),
+    },
+  ];
+  const receipts = new Map();
+  const logs = [];
+  const latestBlock = () => blocks[blocks.length - 1];
+
+  const contractAt = (address) => world.contracts.get(address);
+  const interfaces = Object.fromEntries(
+    Object.entries(SIMULATED_CONTRACTS).map(([kind, definition]) => [kind, new ethers.Interface(definition.abi)])
+  );
+
+  /**
+   * Runs a contract function. Writes need a frame: the logs of the transaction being mined.
+   * Calls to an address without the function revert, as a contract without fallback does.
+   */
+  function invoke(address, name, args, { sender, timestamp, frame }) {
+    const contract = contractAt(address);
+    const definition = contract && SIMULATED_CONTRACTS[contract.kind];
+    const fn = definition?.views[name] || (frame && definition?.writes[name]);
+    if (!fn) {
+      const err = new Error(`${name} is not callable on ${address}`);
+      err.revertReason = null;
+      throw err;
+    }
+    const self = { address, state: contract.state };
+    return fn(self, createContext(address, contract.kind, { sender, timestamp, frame }), ...args);
+  }
+
+  function createContext(address, kind, { sender, timestamp, frame }) {
+    return {
+      sender,
+      timestamp: BigInt(timestamp),
+      chainId: BigInt(chainId),
+      read: (target, name, args) => invoke(target, name, args, { sender: address, timestamp }),
+      call: (target, name, args) => invoke(target, name, args, { sender: address, timestamp, frame }),
+      emit(event, args) {
+        const { topics, data } = interfaces[kind].encodeEventLog(event, args);
+        frame.logs.push({ address, topics, data });
+      },
+      deploy: (childKind, args) => deploy(address, childKind, args, { timestamp, frame }),
+    };
+  }
+
+  // Contract addresses are derived like CREATE does: from the deployer and its nonce
+  function deploy(deployer, kind, args, { timestamp, frame }) {
+    const nonce = world.nonces.get(deployer) ?? 0;
+    world.nonces.set(deployer, nonce + 1);
+    const address = ethers.getCreateAddress({ from: deployer, nonce });
+    world.contracts.set(address, { kind, state: {} });
+    // Contracts start at nonce 1 (EIP-161)
+    world.nonces.set(address, 1);
+    SIMULATED_CONTRACTS[kind].init(
+      { address, state: contractAt(address).state },
+      createContext(address, kind, { sender: deployer, timestamp, frame }),
+      ...args
+    );
+    return address;
+  }
+
+  /**
+   * Mines one transaction in a new block
+   * @param {string} from - Sender
+   * @param {string|null} to - Recipient, null for a deployment
+   * @param {Function} execute - (frame, timestamp) => contract address for deployments
+   * @returns {Object} Receipt
+   */
+  function mine(from, to, execute) {
+    const snapshot = structuredClone(world);
+    const parent = latestBlock();
+    const number = parent.number + 1;
+    const timestamp = Math.max(nowSeconds(), parent.timestamp + 1);
+    const nonce = world.nonces.get(from) ?? 0;
+    const frame = { logs: [] };
+
+    let contractAddress = null;
+    try {
+      contractAddress = execute(frame, timestamp) ?? null;
+      // Deployments bump the sender's nonce themselves
+      if (to !== null) world.nonces.set(from, nonce + 1);
+    } catch (err) {
+      world = snapshot;
+      throw err.revertReason !== undefined ? callException(err.revertReason, { from, to }) : err;
+    }
+
+    const hash = ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "address", "uint256"], [chainId, from, nonce])
+    );
+    const blockHash = ethers.keccak256(ethers.concat([parent.hash, hash]));
+    const blockLogs = frame.logs.map((log, index) => ({
+      ...log,
+      blockNumber: number,
+      blockHash,
+      transactionHash: hash,
+      transactionIndex: 0,
+      index,
+      removed: false,
+    }));
+    const receipt = {
+      hash,
+      from,
+      to,
+      contractAddress,
+      blockNumber: number,
+      blockHash,
+      index: 0,
+      status: 1,
+      logs: blockLogs,
+    };
+
+    blocks.push({ number, hash: blockHash, parentHash: parent.hash, timestamp });
+    logs.push(...blockLogs);
+    receipts.set(hash, receipt);
+    return receipt;
+  }
+
+  const transactionResponse = (receipt, nonce, value = 0n) => ({
+    hash: receipt.hash,
+    from: receipt.from,
+    to: receipt.to,
+    nonce,
+    value,
+    chainId: BigInt(chainId),
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    wait: async () => receipt,
+  });
+
+  const matchesTopics = (log, topics = []) =>
+    topics.every((topic, i) => {
+      if (topic === null || topic === undefined) return true;
+      const accepted = (Array.isArray(topic) ? topic : [topic]).map((t) => t.toLowerCase());
+      return accepted.includes(log.topics[i]?.toLowerCase());
+    });
+
+  const blockNumberOf = (tag, fallback) =>
+    tag === undefined || tag === "latest" ? fallback : tag === "earliest" ? 0 : Number(tag);
+
+  // Subset of ethers' Provider used by the backend
+  const provider = {
+    get provider() {
+      return this;
+    },
+    async getNetwork() {
+      return { chainId: BigInt(chainId), name: "simulated" };
+    },
+    async getBlockNumber() {
+      return latestBlock().number;
+    },
+    async getBlock(tag) {
+      return blocks[blockNumberOf(tag, latestBlock().number)] ?? null;
+    },
+    async getBalance(address) {
+      return world.balances.get(ethers.getAddress(address)) ?? 0n;
+    },
+    async getCode(address) {
+      return contractAt(ethers.getAddress(address)) ? "0x01" : "0x";
+    },
+    async getTransactionReceipt(hash) {
+      return receipts.get(hash) ?? null;
+    },
+    // Transactions are mined when sent, so there is never anything to wait for
+    async waitForTransaction(hash) {
+      return receipts.get(hash) ?? null;
+    },
+    async getLogs({ address, topics, fromBlock, toBlock } = {}) {
+      const addresses = address
+        ? (Array.isArray(address) ? address : [address]).map((a) => ethers.getAddress(a))
+        : null;
+      const from = blockNumberOf(fromBlock, latestBlock().number);
+      const to = blockNumberOf(toBlock, latestBlock().number);
+      return logs.filter(
+        (log) =>
+          log.blockNumber >= from &&
+          log.blockNumber <= to &&
+          (!addresses || addresses.includes(log.address)) &&
+          matchesTopics(log, topics)
+      );
+    },
+  };
+
+  /**
+   * Signer for a private key, with the parts of ethers' NonceManager the backend uses.
+   * Nonces are assigned when a transaction is mined, so reset() has nothing to do.
+   */
+  function connectWallet(privateKey) {
+    const wallet = new ethers.Wallet(privateKey);
+    return {
+      address: wallet.address,
+      provider,
+      getAddress: async () => wallet.address,
+      reset() {},
+      signMessage: (message) => wallet.signMessage(message),
+      signTypedData: (domain, types, value) => wallet.signTypedData(domain, types, value),
+      async sendTransaction({ to, value = 0n, data }) {
+        if (data && data !== "0x") {
+          throw new Error("The simulated ledger only sends value transfers; call the contract instead");
+        }
+        const recipient = ethers.getAddress(to);
+        const amount = BigInt(value);
+        const balance = world.balances.get(wallet.address) ?? 0n;
+        if (balance < amount) {
+          throw ethers.makeError("insufficient funds for intrinsic transaction cost", "INSUFFICIENT_FUNDS", {
+            transaction: { from: wallet.address, to: recipient, value: amount },
+          });
+        }
+        const nonce = world.nonces.get(wallet.address) ?? 0;
+        const receipt = mine(wallet.address, recipient, () => {
+          world.balances.set(wallet.address, balance - amount);
+          world.balances.set(recipient, (world.balances.get(recipient) ?? 0n) + amount);
+        });
+        return transactionResponse(receipt, nonce, amount);
+      },
+    };
+  }
+
+  /**
+   * Contract object shaped like an ethers Contract: a method per ABI function, where
+   * views resolve to their decoded result and other functions send a transaction.
+   */
+  function connectContract(kind, address, runner = provider) {
+    const iface = interfaces[kind];
+    const target = ethers.getAddress(address);
+    const contract = {
+      target,
+      interface: iface,
+      runner,
+      getAddress: async () => target,
+      connect: (nextRunner) => connectContract(kind, target, nextRunner),
+    };
+
+    iface.forEachFunction((fragment) => {
+      contract[fragment.name] = async (...args) => {
+        // Round-trip the arguments through the ABI: ethers rejects and normalises them this way
+        const params = [...iface.decodeFunctionData(fragment, iface.encodeFunctionData(fragment, args))];
+        const sender = runner.address ?? ethers.ZeroAddress;
+
+        if (fragment.constant) {
+          if (!contractAt(target)) {
+            throw ethers.makeError("could not decode result data", "BAD_DATA", {
+              value: "0x",
+              info: { method: fragment.name, signature: fragment.format() },
+            });
+          }
+          let outputs;
+          try {
+            outputs = invoke(target, fragment.name, params, {
+              sender,
+              timestamp: Math.max(nowSeconds(), latestBlock().timestamp),
+            });
+          } catch (err) {
+            throw err.revertReason !== undefined ? callException(err.revertReason, { from: sender, to: target }) : err;
+          }
+          const result = iface.decodeFunctionResult(fragment, iface.encodeFunctionResult(fragment, outputs));
+          return fragment.outputs.length === 1 ? result[0] : result;
+        }
+
+        if (runner === provider) {
+          throw ethers.makeError("contract runner does not support sending transactions", "UNSUPPORTED_OPERATION", {
+            operation: fragment.name,
+          });
+        }
+        const nonce = world.nonces.get(sender) ?? 0;
+        const receipt = mine(sender, target, (frame, timestamp) => {
+          // A transaction to an address without code succeeds and does nothing
+          if (contractAt(target)) invoke(target, fragment.name, params, { sender, timestamp, frame });
+        });
+        return transactionResponse(receipt, nonce);
+      };
+    });
+    return contract;
+  }
+
+  // Genesis: the platform wallet deploys the registry, then the factory bound to it
+  const deployAtGenesis = (kind, args) =>
+    mine(admin.address, null, (frame, timestamp) => deploy(admin.address, kind, args, { timestamp, frame }))
+      .contractAddress;
+  const registryAddress = deployAtGenesis("DocumentRegistry", [admin.address]);
+  const factoryAddress = deployAtGenesis("DocumentStoreFactory", [admin.address, registryAddress]);
+
+  const platformSigner = connectWallet(adminPrivateKey);
+
+  return {
+    mode: "simulated",
+    provider,
+    platformSigner,
+    registry: connectContract("DocumentRegistry", registryAddress),
+    factory: connectContract("DocumentStoreFactory", factoryAddress),
+    registryWrite: connectContract("DocumentRegistry", registryAddress, platformSigner),
+    factoryWrite: connectContract("DocumentStoreFactory", factoryAddress, platformSigner),
+    storeAbi: SIMULATED_CONTRACTS.DocumentStore.abi,
+    connectStore: (address, runner) => connectContract("DocumentStore", address, runner),
+    connectWallet,
+  };
+}
+
+module.exports = { createSimulatedChain };
@@ -0,0 +1,271 @@
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+
+// Formatting helpers for the values found in docDetails
+const formatDate = (value) => {
+  if (value === undefined || value === null || value === "") return "-";
+  // Unix timestamps (seconds) and ISO date strings both occur in the samples
+  const date = typeof value === "number" ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+};
+
+const formatAmount = (value) =>
+  typeof value === "number"
+    ? value.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+    : value ?? "-";
+
+const formatText = (value) => (value === undefined || value === null ? "-" : String(value));
+
+// One layout per documentType: header fields, the line item table and the totals
+const LAYOUTS = {
+  "SALES-QUOTE": {
+    title: "Sales Quotation",
+    fields: [
+      ["Quote Date", "quoteDate", formatDate],
+      ["Validity Period", "validityPeriod", formatText],
+    ],
+    items: "orderInfo",
+    columns: [
+      ["Description", "itemDesc", formatText, 4],
+      ["Amount", "itemAmt", formatAmount, 1.5],
+    ],
+    totals: [["Total", "finalAmt"]],
+    notes: [["Comments", "comments"]],
+  },
+  INVOICE: {
+    title: "Tax Invoice",
+    fields: [
+      ["Invoice Date", "date", formatDate],
+      ["Terms (days)", "terms", formatText],
+    ],
+    items: "invoiceInfo",
+    columns: [
+      ["No.", "serialNo", formatText, 0.6],
+      ["Description", "invDesc", formatText, 3.4],
+      ["Qty", "invQty", formatText, 0.6],
+      ["Unit Price", "unitPrice", formatAmount, 1.2],
+      ["Amount", "productAmt", formatAmount, 1.2],
+    ],
+    totals: [
+      ["Subtotal", "totalAmt"],
+      ["GST", "gst"],
+      ["Total", "finalAmt"],
+    ],
+    notes: [],
+  },
+  "PAYMENT-ORDER": {
+    title: "Payment Order",
+    fields: [
+      ["Issue Date", "issueDate", formatDate],
+      ["Claim Date", "claimDate", formatDate],
+      ["Payment Term", "paymentTerm", formatText],
+    ],
+    items: "claimSummary",
+    columns: [
+      ["No.", "serialNo", formatText, 0.5],
+      ["Description", "claimDesc", formatText, 2.5],
+      ["Contract", "contAmt", formatAmount, 1],
+      ["Previous", "prevClaim", formatAmount, 1],
+      ["Current", "currClaim", formatAmount, 1],
+      ["Accumulated", "accumClaim", formatAmount, 1],
+      ["Balance", "balanceAmt", formatAmount, 1],
+    ],
+    totals: [["Total", "finalAmt"]],
+    notes: [],
+  },
+  "DELIVERY-ORDER": {
+    title: "Delivery Order",
+    fields: [
+      ["Issue Date", "issueDate", formatDate],
+      ["Term", "term", formatText],
+      ["Attention", "attention", formatText],
+      ["Payment Order", "certNo", formatText],
+    ],
+    items: "deliveryInfo",
+    columns: [
+      ["Description", "deliveryDesc", formatText, 4],
+      ["Qty", "deliveryQty", formatText, 0.8],
+      ["UOM", "deliveryUOM", formatText, 0.8],
+    ],
+    totals: [],
+    notes: [
+      ["Explanation", "explanation"],
+      ["Others", "others"],
+    ],
+  },
+};
+
+/**
+ * Builds the payload encoded in a document's QR code. It is a valid
+ * /document/verify request body, so a paper copy can be checked against the chain.
+ * @param {Object} document - Documents record
+ * @returns {{ documentId: string, documentHash: string, documentStore: string, chainId?: number }} Verification payload
+ */
+function buildVerificationPayload(document) {
+  return {
+    documentId: document.documentId,
+    documentHash: document.documentHash,
+    documentStore: document.issuerDocStore,
+    ...(document.chainId !== undefined && { chainId: document.chainId }),
+  };
+}
+
+/** Adds a page when fewer than `height` points are left on the current one */
+function ensureSpace(pdf, height) {
+  if (pdf.y + height > pdf.page.height - pdf.page.margins.bottom) {
+    pdf.addPage();
+  }
+}
+
+function drawTable(pdf, columns, rows) {
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+  const totalWeight = columns.reduce((sum, [, , , weight]) => sum + weight, 0);
+  const widths = columns.map(([, , , weight]) => (width * weight) / totalWeight);
+
+  const drawRow = (cells, font) => {
+    pdf.font(font).fontSize(9);
+    const height =
+      Math.max(...cells.map((cell, i) => pdf.heightOfString(cell, { width: widths[i] - 6 }))) + 6;
+    ensureSpace(pdf, height);
+
+    const y = pdf.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      pdf.text(cell, x + 3, y + 3, { width: widths[i] - 6 });
+      x += widths[i];
+    });
+    pdf.moveTo(left, y + height).lineTo(left + width, y + height).strokeColor("#cccccc").stroke();
+    pdf.x = left;
+    pdf.y = y + height;
+  };
+
+  drawRow(columns.map(([label]) => label), "Helvetica-Bold");
+  for (const row of rows) {
+    drawRow(columns.map(([, key, format]) => format(row[key])), "Helvetica");
+  }
+}
+
+function drawLabelled(pdf, label, value, options = {}) {
+  pdf.font("Helvetica-Bold").fontSize(9).text(`${label}: `, { ...options, continued: true });
+  pdf.font("Helvetica").text(value, options);
+}
+
+/**
+ * Renders a stored document to a printable PDF, laid out according to its documentType.
+ * The last section lists the on-chain references and a QR code holding the
+ * verification payload accepted by /document/verify.
+ * @param {Object} document - Documents record (rawDocInfo, documentHash, issuerDocStore, ...)
+ * @param {Object} [options]
+ * @param {string} [options.issuerName] - Name printed as the issuer
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+async function renderDocumentPdf(document, { issuerName } = {}) {
+  const layout = LAYOUTS[document.documentType];
+  if (!layout) {
+    throw new Error(`No PDF layout for documentType ${document.documentType}`);
+  }
+
+  const raw = JSON.parse(document.rawDocInfo);
+  const details = raw.docDetails || {};
+  const recipient = raw.recipient || {};
+  const issuedTx = (document.transactionHash || []).find((t) => t.event === "DocumentIssued");
+
+  const qrPayload = JSON.stringify(buildVerificationPayload(document));
+  const qrImage = await QRCode.toBuffer(qrPayload, { errorCorrectionLevel: "M", margin: 1, width: 300 });
+
+  const pdf = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    info: { Title: `${layout.title} ${document.documentId}`, Author: issuerName || "" },
+  });
+  const chunks = [];
+  pdf.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+  });
+
+  // --- Header ---
+  pdf.font("Helvetica-Bold").fontSize(20).text(layout.title);
+  pdf.font("Helvetica").fontSize(10).text(`${document.documentId}  ·  Trade ${document.quoteNumber}`);
+  if (issuerName) pdf.text(`Issued by ${issuerName}`);
+  pdf.moveDown();
+
+  // --- Recipient ---
+  pdf.font("Helvetica-Bold").fontSize(11).text("Recipient");
+  const address = recipient.fullAddress || {};
+  [
+    recipient.companyName,
+    recipient.name,
+    address.address,
+    [address.city, address.state, address.zipcode].filter(Boolean).join(" "),
+    recipient.emailAddress,
+    recipient.phoneNumber,
+  ]
+    .filter(Boolean)
+    .forEach((line) => pdf.font("Helvetica").fontSize(9).text(line));
+  pdf.moveDown();
+
+  // --- Document fields ---
+  for (const [label, key, format] of layout.fields) {
+    if (details[key] !== undefined) drawLabelled(pdf, label, format(details[key]));
+  }
+  pdf.moveDown();
+
+  // --- Line items ---
+  drawTable(pdf, layout.columns, details[layout.items] || []);
+  pdf.moveDown();
+
+  for (const [label, key] of layout.totals) {
+    if (details[key] === undefined) continue;
+    pdf
+      .font(label === "Total" ? "Helvetica-Bold" : "Helvetica")
+      .fontSize(10)
+      .text(`${label}: ${details.currency || ""} ${formatAmount(details[key])}`.trim(), {
+        align: "right",
+      });
+  }
+  for (const [label, key] of layout.notes) {
+    if (details[key]) {
+      pdf.moveDown(0.5);
+      drawLabelled(pdf, label, details[key]);
+    }
+  }
+
+  // --- Blockchain verification ---
+  pdf.moveDown(2);
+  ensureSpace(pdf, 185);
+  const top = pdf.y;
+  const left = pdf.page.margins.left;
+  const qrSize = 130;
+  const textWidth = pdf.page.width - left - pdf.page.margins.right - qrSize - 20;
+
+  pdf.font("Helvetica-Bold").fontSize(11).text("Blockchain verification", left, top, { width: textWidth });
+  pdf.moveDown(0.5);
+  drawLabelled(pdf, "Document hash", document.documentHash, { width: textWidth });
+  drawLabelled(pdf, "Issuer store", document.issuerDocStore, { width: textWidth });
+  if (document.chainId !== undefined) {
+    drawLabelled(pdf, "Chain ID", String(document.chainId), { width: textWidth });
+  }
+  drawLabelled(pdf, "Issuance tx", issuedTx?.transactionHash || "pending", { width: textWidth });
+  drawLabelled(pdf, "Issued at", document.issuedAt ? document.issuedAt.toISOString() : "pending", { width: textWidth });
+  pdf
+    .font("Helvetica")
+    .fontSize(8)
+    .fillColor("#555555")
+    .text("Scan the QR code and submit its contents to /document/verify to check this copy against the chain.", {
+      width: textWidth,
+    })
+    .fillColor("black");
+
+  pdf.image(qrImage, left + textWidth + 20, top, { fit: [qrSize, qrSize] });
+
+  pdf.end();
+  return done;
+}
+
+module.exports = {
+  buildVerificationPayload,
+  renderDocumentPdf,
+};
@@ -0,0 +1,185 @@
+const mongoose = require("mongoose");
+const Organisation = require("../models/Organisation");
+const { DOCUMENT_TYPES } = require("../schemas");
+
+// Lifecycle states accepted by ?state=, mapped to the indexed onChainState
+const DOCUMENT_STATES = {
+  pending: "None",
+  issued: "Issued",
+  signed: "Signed",
+  revoked: "Revoked",
+};
+
+// Fields a listing can be sorted by; all of them are set on every document
+const SORT_FIELDS = ["createdAt", "updatedAt", "documentId", "documentType", "quoteNumber"];
+const DATE_SORT_FIELDS = ["createdAt", "updatedAt"];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const listParam = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Opaque cursor holding the sort value and _id of the last document of a page
+const encodeCursor = (document, sort) =>
+  Buffer.from(JSON.stringify({ v: document[sort], id: document._id })).toString("base64url");
+
+function decodeCursor(cursor, sort) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (v === undefined || !mongoose.isValidObjectId(id)) return null;
+    const value = DATE_SORT_FIELDS.includes(sort) ? new Date(v) : v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) return null;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn listing query parameters into a Mongo filter, sort and page size.
+ * Supported: documentType and state (comma separated), quoteNumber, from/to (createdAt range),
+ * counterparty (organisationId of another party of the document), chainId, sort, order, limit and cursor.
+ * @param {Object} query - req.query
+ * @returns {Promise<Object>} { filter, sort, order, limit, cursor } or { errors } when a parameter is invalid
+ */
+async function parseDocumentQuery(query) {
+  const errors = [];
+  const filter = {};
+
+  if (query.documentType) {
+    const documentTypes = listParam(query.documentType);
+    const unknown = documentTypes.filter((type) => !DOCUMENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      errors.push({ param: "documentType", message: `must be among: ${DOCUMENT_TYPES.join(", ")}` });
+    }
+    filter.documentType = { $in: documentTypes };
+  }
+
+  if (query.state) {
+    const states = listParam(query.state);
+    const unknown = states.filter((state) => !(state in DOCUMENT_STATES));
+    if (unknown.length > 0) {
+      errors.push({ param: "state", message: `must be among: ${Object.keys(DOCUMENT_STATES).join(", ")}` });
+    }
+    filter.onChainState = { $in: states.map((state) => DOCUMENT_STATES[state]) };
+  }
+
+  if (query.quoteNumber) {
+    filter.quoteNumber = String(query.quoteNumber).trim();
+  }
+
+  for (const [param, operator] of [["from", "$gte"], ["to", "$lte"]]) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ param, message: "must be a date" });
+      continue;
+    }
+    filter.createdAt = { ...filter.createdAt, [operator]: date };
+  }
+
+  if (query.chainId !== undefined) {
+    const chainId = Number(query.chainId);
+    if (!Number.isInteger(chainId) || chainId < 1) {
+      errors.push({ param: "chainId", message: "must be a positive integer" });
+    }
+    filter.chainId = chainId;
+  }
+
+  if (query.counterparty) {
+    const organisation = await Organisation.findOneByOrganisationId(String(query.counterparty));
+    const store = organisation?.documentStoreAddress;
+    // An unknown organisation, or one without a store, simply has no documents
+    filter.$or = store
+      ? [{ issuerDocStore: store }, { signerDocStore: store }, { "signers.docStore": store }]
+      : [{ _id: null }];
+  }
+
+  const sort = query.sort ? String(query.sort) : "createdAt";
+  if (!SORT_FIELDS.includes(sort)) {
+    errors.push({ param: "sort", message: `must be among: ${SORT_FIELDS.join(", ")}` });
+  }
+  const order = query.order ? String(query.order) : "desc";
+  if (!["asc", "desc"].includes(order)) {
+    errors.push({ param: "order", message: "must be asc or desc" });
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push({ param: "limit", message: `must be an integer from 1 to ${MAX_LIMIT}` });
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor, sort);
+    if (!cursor) {
+      errors.push({ param: "cursor", message: "is invalid for this sort" });
+    }
+  }
+
+  if (errors.length > 0) return { errors };
+  return { filter, sort, order, limit, cursor };
+}
+
+/**
+ * Fetch one page of documents, ordered by the sort field then _id so pages never overlap
+ * @param {mongoose.Model} Documents - Documents model
+ * @param {Object} scope - Filter restricting what the caller may see ({} for everything)
+ * @param {Object} params - Result of parseDocumentQuery
+ * @param {string} [projection] - Fields to select
+ * @returns {Promise<{ documents: Object[], pagination: Object }>} The page and its pagination envelope
+ */
+async function findDocumentPage(Documents, scope, { filter, sort, order, limit, cursor }, projection = "") {
+  const conditions = [scope, filter].filter((condition) => Object.keys(condition).length > 0);
+  const query = conditions.length > 0 ? { $and: conditions } : {};
+
+  const direction = order === "asc" ? 1 : -1;
+  const after = direction === 1 ? "$gt" : "$lt";
+  // Resume strictly after the last document of the previous page
+  const pageQuery = cursor
+    ? {
+        $and: [
+          ...conditions,
+          {
+            $or: [
+              { [sort]: { [after]: cursor.value } },
+              { [sort]: cursor.value, _id: { [after]: cursor.id } },
+            ],
+          },
+        ],
+      }
+    : query;
+
+  const [documents, total] = await Promise.all([
+    Documents.find(pageQuery)
+      .select(projection)
+      .sort({ [sort]: direction, _id: direction })
+      .limit(limit + 1),
+    Documents.countDocuments(query),
+  ]);
+
+  const hasMore = documents.length > limit;
+  const page = documents.slice(0, limit);
+  return {
+    documents: page,
+    pagination: {
+      limit,
+      total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+      sort,
+      order,
+    },
+  };
+}
+
+module.exports = {
+  DOCUMENT_STATES,
+  SORT_FIELDS,
+  parseDocumentQuery,
+  findDocumentPage,
+};
@@ -0,0 +1,96 @@
+// Titles used in email subjects, by documentType
+const DOCUMENT_TITLES = {
+  "SALES-QUOTE": "Sales Quote",
+  INVOICE: "Invoice",
+  "PAYMENT-ORDER": "Payment Order",
+  "DELIVERY-ORDER": "Delivery Order",
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const documentTitle = (data) =>
+  `${DOCUMENT_TITLES[data.documentType] || data.documentType} ${data.documentId}`;
+
+// Each template returns the subject, the paragraphs of the body and an optional call to action
+const TEMPLATES = {
+  documentAwaitingSignature: (data) => ({
+    subject: `${documentTitle(data)} is awaiting your signature`,
+    paragraphs: [
+      `${data.issuerName} issued ${documentTitle(data)} (quote ${data.quoteNumber}) and listed you as a signer.`,
+      "Review the document and sign it from your dashboard.",
+    ],
+    action: { label: "Review and sign", url: data.documentUrl },
+  }),
+  documentSigned: (data) => ({
+    subject: `${documentTitle(data)} was signed`,
+    paragraphs: [
+      `${data.signerName} signed ${documentTitle(data)} (quote ${data.quoteNumber}) on ${data.signedAt}.`,
+      data.fullyExecuted
+        ? "Every required signer has now signed the document."
+        : "The document is still waiting for other signers.",
+      `Transaction: ${data.transactionHash}`,
+    ],
+    action: { label: "View document", url: data.documentUrl },
+  }),
+  documentRevoked: (data) => ({
+    subject: `${documentTitle(data)} was revoked`,
+    paragraphs: [
+      `${documentTitle(data)} (quote ${data.quoteNumber}) was revoked on ${data.revokedAt} with reason ${data.reason}.`,
+      "It no longer verifies and should not be relied upon.",
+      `Transaction: ${data.transactionHash}`,
+    ],
+    action: { label: "View document", url: data.documentUrl },
+  }),
+  accountApproved: (data) => ({
+    subject: "Your account was approved",
+    paragraphs: [
+      `Hello ${data.name},`,
+      "An administrator approved your account. You can now sign in and start working with documents.",
+    ],
+    action: { label: "Sign in", url: data.loginUrl },
+  }),
+  accountRejected: (data) => ({
+    subject: "Your account request was rejected",
+    paragraphs: [
+      `Hello ${data.name},`,
+      "An administrator rejected your account request. Contact your organisation's administrator if you think this is a mistake.",
+    ],
+  }),
+};
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+/**
+ * Render a notification email as plain text and HTML
+ * @param {string} template - One of TEMPLATE_NAMES
+ * @param {Object} data - Values used by the template
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderEmail(template, data) {
+  if (!TEMPLATES[template]) {
+    throw new Error(`Unknown email template ${template}`);
+  }
+  const { subject, paragraphs, action } = TEMPLATES[template](data);
+  const footer = "You receive this email because of your notification preferences. Change them in your account settings.";
+
+  const text = [
+    ...paragraphs,
+    ...(action?.url ? [`${action.label}: ${action.url}`] : []),
+    "--",
+    footer,
+  ].join("\n\n");
+
+  const html = [
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+    ...(action?.url ? [`<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`] : []),
+    `<hr><p style="color:#666;font-size:12px">${escapeHtml(footer)}</p>`,
+  ].join("\n");
+
+  return { subject, text, html };
+}
+
+module.exports = {
+  TEMPLATE_NAMES,
+  renderEmail,
+};
@@ -1,5 +1,16 @@
 const { ethers } = require("ethers");
 const { randomUUID } = require("crypto");
+// Leaf encoding and decoding are shared with the offline verifier so the two cannot drift apart
+const {
+  PATH_BOUND_PROOF_TYPE,
+  collectWrappedLeaves,
+  leafHash,
+  isPathBound,
+  hashBatchPair,
+  batchLeaf,
+  unsaltValue,
+  readDocumentId,
+} = require("verifier");
 
 const isPlainObject = (v) =>
   v && typeof v === "object" && !Array.isArray(v);
@@ -40,28 +51,11 @@ function saltDocument(input) {
   return transform(input);
 }
 
-// --- 2) Build Merkle leaves from ALL salted primitive strings (no paths) ---
+// --- 2) Build Merkle leaves from ALL salted primitive strings, each bound to its field path ---
 function buildLeaves(saltedDoc) {
-  const leaves = [];
-
-  const visit = (node) => {
-    if (Array.isArray(node)) {
-      for (const item of node) visit(item);
-      return;
-    }
-    if (isPlainObject(node)) {
-      for (const k of Object.keys(node)) visit(node[k]);
-      return;
-    }
-    // Primitive (already salted as "uuid:type:value")
-    const salted = String(node);
-    const leafHash = ethers.keccak256(ethers.toUtf8Bytes(salted));
-    leaves.push(leafHash);
-  };
-
-  visit(saltedDoc);
-  leaves.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
-  return leaves;
+  return collectWrappedLeaves(saltedDoc)
+    .map(({ path, value }) => leafHash(value, path))
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
 }
 
 // --- 3) Compute Merkle root (keccak256 concat of sibling nodes) ---
@@ -96,6 +90,80 @@ function merkleRoot(input) {
   return { root, leaves: layers[0], layers };
 }
 
+// --- 4) Reverse of saltDocument: "uuid:type:value" leaves back to typed primitives ---
+function unsaltDocument(saltedDoc) {
+  // A redacted array element stays as a null placeholder
+  if (saltedDoc === null) return null;
+  if (Array.isArray(saltedDoc)) return saltedDoc.map(unsaltDocument);
+  if (isPlainObject(saltedDoc)) {
+    const out = {};
+    for (const k of Object.keys(saltedDoc)) out[k] = unsaltDocument(saltedDoc[k]);
+    return out;
+  }
+  return unsaltValue(saltedDoc);
+}
+
+// --- 5) Selective disclosure: redact fields into obfuscated leaf hashes ---
+// Paths are dot separated ("docDetails.invoiceInfo.0.unitPrice"); "*" matches
+// any key or array index, so "docDetails.invoiceInfo.*.unitPrice" hides every price.
+const splitPath = (path) => String(path).split(".").filter((s) => s.length > 0);
+
+const matchesPath = (pattern, segments) =>
+  pattern.length === segments.length &&
+  pattern.every((p, i) => p === "*" || p === segments[i]);
+
+function obfuscateDocument(wrapped, paths) {
+  if (!wrapped?.data) throw new Error("Wrapped document has no data");
+  const patterns = (paths || []).map(splitPath).filter((p) => p.length > 0);
+  if (patterns.length === 0) throw new Error("No fields to redact");
+
+  // Leaves are hashed the way the document was wrapped: with their path, or legacy without
+  const pathBound = isPathBound(wrapped);
+  const obfuscated = [];
+  const hashLeaves = (node, path) => {
+    for (const leaf of collectWrappedLeaves(node, path)) {
+      obfuscated.push(strip0x(leafHash(leaf.value, pathBound ? leaf.path : undefined)));
+    }
+  };
+
+  // segments are matched against the patterns; path keeps array indices as numbers
+  const redact = (node, segments, path) => {
+    if (segments.length > 0 && patterns.some((p) => matchesPath(p, segments))) {
+      hashLeaves(node, path);
+      return undefined;
+    }
+    if (Array.isArray(node)) {
+      // A redacted element leaves a null in its place, so later elements keep their index
+      return node.map((item, i) => redact(item, [...segments, String(i)], [...path, i]) ?? null);
+    }
+    if (isPlainObject(node)) {
+      const out = {};
+      for (const k of Object.keys(node)) {
+        const child = redact(node[k], [...segments, k], [...path, k]);
+        if (child !== undefined) out[k] = child;
+      }
+      return out;
+    }
+    return node;
+  };
+
+  const data = redact(wrapped.data, [], []);
+  if (obfuscated.length === 0) {
+    throw new Error("None of the requested fields exist in the document");
+  }
+
+  return {
+    ...wrapped,
+    data,
+    privacy: {
+      obfuscatedData: [
+        ...(wrapped.privacy?.obfuscatedData || []),
+        ...obfuscated,
+      ].sort(),
+    },
+  };
+}
+
 function wrapDocument(rawDoc) {
   const salted = saltDocument(rawDoc);
   const { root } = merkleRoot(salted);
@@ -103,7 +171,7 @@ function wrapDocument(rawDoc) {
   return {
     data: salted,
     signature: {
-      type: "SHA3MerkleProof",
+      type: PATH_BOUND_PROOF_TYPE,
       targetHash: root,
       proof: [],           // can be populated if you generate selective proofs
       merkleRoot: root
@@ -111,9 +179,64 @@ function wrapDocument(rawDoc) {
   };
 }
 
+// --- 6) Batch: one Merkle root over many documents' leaves ---
+// A document's leaf is batchLeaf(documentIdHash, documentHash), as DocumentStore computes it.
+// Pairs are hashed in sorted order (OpenZeppelin MerkleProof), an odd node is carried
+// up unchanged, and each document gets the sibling path from its leaf to the batch root.
+function buildBatchTree(leaves) {
+  if (leaves.length === 0) throw new Error("Empty batch");
+
+  const proofs = leaves.map(() => []);
+  // Every node remembers which documents sit below it
+  let level = leaves.map((hash, i) => ({ hash: `0x${strip0x(hash)}`, members: [i] }));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const left = level[i];
+      const right = level[i + 1];
+      if (!right) {
+        next.push(left);
+        continue;
+      }
+      for (const m of left.members) proofs[m].push(strip0x(right.hash));
+      for (const m of right.members) proofs[m].push(strip0x(left.hash));
+      next.push({
+        hash: hashBatchPair(left.hash, right.hash),
+        members: [...left.members, ...right.members],
+      });
+    }
+    level = next;
+  }
+
+  return { root: strip0x(level[0].hash), proofs };
+}
+
+function wrapDocumentBatch(rawDocs) {
+  const wrapped = rawDocs.map(wrapDocument);
+  const leaves = wrapped.map((w) => {
+    const documentId = readDocumentId(w);
+    if (documentId === null) throw new Error("Every document of a batch needs a documentId");
+    return batchLeaf(ethers.id(documentId), w.signature.targetHash);
+  });
+  const { root, proofs } = buildBatchTree(leaves);
+
+  return {
+    batchRoot: root,
+    documents: wrapped.map((w, i) => ({
+      ...w,
+      signature: { ...w.signature, proof: proofs[i], merkleRoot: root },
+    })),
+  };
+}
+
 module.exports = {
   saltDocument,
   buildLeaves,
   merkleRoot,
   wrapDocument,
+  unsaltDocument,
+  readDocumentId,
+  obfuscateDocument,
+  buildBatchTree,
+  wrapDocumentBatch,
 };
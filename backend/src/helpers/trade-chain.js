@@ -0,0 +1,127 @@
+const Documents = require("../models/Documents");
+
+// Order in which the documents of one trade (one quoteNumber) are issued
+const TRADE_CHAIN = ["SALES-QUOTE", "INVOICE", "PAYMENT-ORDER", "DELIVERY-ORDER"];
+
+// What each step needs from its parent before it may be issued
+const PARENT_RULES = {
+  INVOICE: { parentType: "SALES-QUOTE", requireSigned: true },
+  "PAYMENT-ORDER": { parentType: "INVOICE", requireSigned: false },
+  "DELIVERY-ORDER": { parentType: "PAYMENT-ORDER", requireSigned: false },
+};
+
+const isRevoked = (doc) => doc.onChainState === "Revoked";
+
+// Signed means the signer threshold was reached (or, for documents indexed
+// before the threshold event existed, enough signatures were recorded)
+const isSigned = (doc) =>
+  !!doc.fullyExecutedAt ||
+  (doc.signatures?.length ?? 0) >= (doc.requiredSignerCount || 1);
+
+/**
+ * Finds and checks the parent a new document must link to. Quote numbers are chosen by
+ * each organisation, so a trade is made of the documents the issuing store is a party to.
+ * @param {Object} params
+ * @param {string} params.documentType - Type of the document being issued
+ * @param {string} params.quoteNumber - Trade the document belongs to
+ * @param {string} params.docStore - Store issuing the document
+ * @param {string} [params.parentDocumentId] - Explicit parent; defaults to the latest valid one
+ * @returns {Promise<{ parent: Object|null, error?: string }>} Parent document or a reason it cannot be issued
+ */
+async function resolveTradeParent({ documentType, quoteNumber, docStore, parentDocumentId }) {
+  if (!TRADE_CHAIN.includes(documentType)) {
+    return { parent: null, error: `Unknown documentType ${documentType}` };
+  }
+  if (!quoteNumber) {
+    return { parent: null, error: "Missing quoteNumber" };
+  }
+
+  if (documentType === "SALES-QUOTE") {
+    if (parentDocumentId) {
+      return { parent: null, error: "A SALES-QUOTE starts a trade chain and cannot have a parent" };
+    }
+    const existing = await Documents.find({ quoteNumber, documentType, ...Documents.partyStoreFilter(docStore) });
+    if (existing.some((doc) => !isRevoked(doc))) {
+      return { parent: null, error: `Trade ${quoteNumber} already has an active SALES-QUOTE` };
+    }
+    return { parent: null };
+  }
+
+  const { parentType, requireSigned } = PARENT_RULES[documentType];
+  let parent;
+  if (parentDocumentId) {
+    parent = await Documents.findOne({ documentId: parentDocumentId, ...Documents.partyStoreFilter(docStore) });
+    if (!parent) {
+      return { parent: null, error: `Parent document ${parentDocumentId} not found` };
+    }
+    if (parent.documentType !== parentType || parent.quoteNumber !== quoteNumber) {
+      return {
+        parent: null,
+        error: `A ${documentType} must follow a ${parentType} of trade ${quoteNumber}`,
+      };
+    }
+  } else {
+    const candidates = await Documents.find({
+      quoteNumber,
+      documentType: parentType,
+      ...Documents.partyStoreFilter(docStore),
+    }).sort({ createdAt: -1 });
+    parent = candidates.find((doc) => !isRevoked(doc));
+    if (!parent) {
+      return {
+        parent: null,
+        error: `Cannot issue ${documentType} before a ${parentType} for trade ${quoteNumber}`,
+      };
+    }
+  }
+
+  if (isRevoked(parent)) {
+    return { parent: null, error: `Parent ${parent.documentId} has been revoked` };
+  }
+  if (requireSigned && !isSigned(parent)) {
+    return {
+      parent: null,
+      error: `Cannot issue ${documentType} before ${parentType} ${parent.documentId} is signed`,
+    };
+  }
+
+  return { parent };
+}
+
+/**
+ * Builds the whole trade chain for a quoteNumber, one step per document type.
+ * @param {string} quoteNumber - Trade identifier shared by all documents of the chain
+ * @param {string} docStore - Store whose trade it is; only documents it is a party to are read
+ * @returns {Promise<Object>} Steps with their documents and indexed on-chain status
+ */
+async function getTradeChain(quoteNumber, docStore) {
+  const documents = await Documents.find({ quoteNumber, ...Documents.partyStoreFilter(docStore) })
+    .select("-rawDocInfo -wrappedDocInfo")
+    .sort({ createdAt: 1 });
+
+  const steps = TRADE_CHAIN.map((documentType) => {
+    const stepDocuments = documents
+      .filter((doc) => doc.documentType === documentType)
+      .map((doc) => doc.withChainStatus());
+    const current = [...stepDocuments].reverse().find((doc) => !isRevoked(doc)) || null;
+
+    return {
+      documentType,
+      status: !current ? "missing" : isSigned(current) ? "signed" : "issued",
+      currentDocumentId: current?.documentId ?? null,
+      documents: stepDocuments,
+    };
+  });
+
+  return {
+    quoteNumber,
+    complete: steps.every((step) => step.status !== "missing"),
+    steps,
+  };
+}
+
+module.exports = {
+  TRADE_CHAIN,
+  resolveTradeParent,
+  getTradeChain,
+};
@@ -0,0 +1,172 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Hash the first entry of the chain points to
+const GENESIS_HASH = "0".repeat(64);
+
+// Fields covered by an entry's hash, in the order they are hashed
+const HASHED_FIELDS = [
+  "sequence",
+  "previousHash",
+  "createdAt",
+  "actorId",
+  "actorEmail",
+  "actorType",
+  "organisationId",
+  "action",
+  "targetType",
+  "targetId",
+  "ip",
+  "result",
+  "statusCode",
+  "transactionHash",
+  "details",
+];
+
+// Append-only trail of the actions taken through the API. Every entry carries the
+// hash of the one before it, so editing or deleting an entry breaks the chain.
+const auditLogSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  previousHash: {
+    type: String,
+    required: true,
+  },
+  hash: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+    index: true,
+  },
+  // User the action was taken by; empty for anonymous requests such as a failed login
+  actorId: {
+    type: String,
+    index: true,
+  },
+  actorEmail: {
+    type: String,
+  },
+  actorType: {
+    type: String,
+  },
+  organisationId: {
+    type: String,
+    index: true,
+  },
+  // e.g. "document.issue", "user.approve", "job.revoke"
+  action: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  targetType: {
+    type: String,
+  },
+  targetId: {
+    type: String,
+    index: true,
+  },
+  ip: {
+    type: String,
+  },
+  result: {
+    type: String,
+    enum: ["success", "failure"],
+    required: true,
+  },
+  statusCode: {
+    type: Number,
+  },
+  transactionHash: {
+    type: String,
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+});
+
+// JSON with sorted keys, so an entry hashes the same after a round trip through MongoDB
+function canonicalJson(value) {
+  // Dates and ObjectIds hash as their JSON strings
+  if (value && typeof value.toJSON === "function") return canonicalJson(value.toJSON());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of an audit entry
+ * @param {Object} entry - Entry with every field of HASHED_FIELDS set
+ * @returns {string} sha256 hex digest
+ */
+function hashEntry(entry) {
+  const fields = Object.fromEntries(HASHED_FIELDS.map((field) => [field, entry[field] ?? null]));
+  return crypto.createHash("sha256").update(canonicalJson(fields)).digest("hex");
+}
+
+// Static method to add an entry at the end of the chain.
+// Concurrent writers race for the next sequence; the loser retries on top of the winner.
+auditLogSchema.statics.append = async function (entry, maxAttempts = 5) {
+  for (let attempt = 1; ; attempt++) {
+    const last = await this.findOne().sort({ sequence: -1 }).select("sequence hash").lean();
+    const record = new this({
+      ...Object.fromEntries(HASHED_FIELDS.map((field) => [field, entry[field]])),
+      sequence: (last?.sequence ?? 0) + 1,
+      previousHash: last?.hash ?? GENESIS_HASH,
+      createdAt: new Date(),
+    });
+    // Hash the values as cast by the schema, i.e. as they will be read back
+    record.hash = hashEntry(record.toObject());
+
+    try {
+      return await record.save();
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= maxAttempts) throw err;
+    }
+  }
+};
+
+// Static method to check that no entry was changed, removed or inserted.
+// Returns the first broken sequence number, if any.
+auditLogSchema.statics.verifyChain = async function () {
+  let previous = { sequence: 0, hash: GENESIS_HASH };
+  let checked = 0;
+
+  for await (const entry of this.find().sort({ sequence: 1 }).lean().cursor()) {
+    const broken = (reason) => ({ valid: false, checked, brokenAt: entry.sequence, reason });
+
+    if (entry.sequence !== previous.sequence + 1) {
+      return broken(`expected sequence ${previous.sequence + 1}`);
+    }
+    if (entry.previousHash !== previous.hash) {
+      return broken("previousHash does not match the previous entry");
+    }
+    if (entry.hash !== hashEntry(entry)) {
+      return broken("entry hash does not match its contents");
+    }
+    previous = entry;
+    checked++;
+  }
+
+  return { valid: true, checked, brokenAt: null, reason: null, headHash: previous.hash };
+};
+
+// Entries are never updated in place
+auditLogSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], function () {
+  throw new Error("Audit log entries are immutable");
+});
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = AuditLog;
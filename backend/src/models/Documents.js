@@ -19,10 +19,24 @@ const documentSchema = new mongoose.Schema({
     type: Array,
     required: true,
   },
+  // Chain the document is anchored on, that of its issuer's store; every transaction
+  // in transactionHash and signatures was sent there
+  chainId: {
+    type: Number,
+    index: true,
+  },
   quoteNumber: {
     type: String,
     required: true,
   },
+  // Trade chain links: quote → invoice → payment order → delivery order
+  parentDocumentId: {
+    type: String,
+  },
+  childDocumentIds: {
+    type: [String],
+    default: [],
+  },
   rawDocInfo: {
     type: String,
     required: true,
@@ -35,14 +49,103 @@ const documentSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // User who issued the document; told by email when it is signed or revoked
+  issuedBy: {
+    type: String,
+  },
   signerDocStore: {
     type: String,
     required: true,
   },
+  signerAddress: {
+    type: String,
+    required: false, // Wallet of the user allowed to sign this document
+  },
   isSignable: {
     type: Boolean,
     default: false,
   },
+  // Everyone who must sign the document (signerDocStore/signerAddress hold the first one)
+  signers: [
+    {
+      _id: false,
+      userId: String,
+      email: String,
+      walletAddress: String,
+      docStore: String,
+    },
+  ],
+  requiredSignerCount: {
+    type: Number,
+    default: 1,
+  },
+  fullyExecutedAt: {
+    type: Date,
+  },
+  // --- On-chain state mirrored by the document indexer ---
+  documentIdHash: {
+    type: String,
+    index: true,
+  },
+  onChainState: {
+    type: String,
+    enum: ["None", "Issued", "Signed", "Revoked"],
+    default: "None",
+  },
+  issuedAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokeReason: {
+    type: String,
+  },
+  signatures: [
+    {
+      _id: false,
+      signer: String,
+      signedAt: Date,
+      transactionHash: String,
+    },
+  ],
+  lastIndexedBlock: {
+    type: Number,
+  },
+  // --- Versions: an amended document is reissued on-chain under a new documentId ---
+  version: {
+    type: Number,
+    default: 1,
+  },
+  // documentId of version 1, shared by every later version
+  originalDocumentId: {
+    type: String,
+    index: true,
+  },
+  previousDocumentId: {
+    type: String,
+  },
+  supersededByDocumentId: {
+    type: String,
+  },
+  // --- Batch issuance: only the batch root is anchored on-chain ---
+  batchRoot: {
+    type: String,
+    index: true,
+  },
+  // Sibling hashes from documentHash up to batchRoot (no 0x prefix, as in the wrapped document)
+  batchProof: {
+    type: [String],
+    default: undefined,
+  },
+  // Job still sending this document's issue transactions
+  pendingJobId: {
+    type: String,
+  },
+  // Issue waiting for the issuer's EIP-712 signature; the draft is discarded after this time
+  awaitingSignatureUntil: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -63,6 +166,12 @@ documentSchema.pre("save", async function (next) {
   next();
 });
 
+// Listings filter by the issuer's or a signer's store and page by creation date
+documentSchema.index({ issuerDocStore: 1, createdAt: -1 });
+documentSchema.index({ signerDocStore: 1, createdAt: -1 });
+documentSchema.index({ "signers.docStore": 1, createdAt: -1 });
+documentSchema.index({ quoteNumber: 1 });
+
 documentSchema.statics.findOneByDocumentId = async function (documentId) {
   try {
     const document = await this.findOne({
@@ -83,6 +192,57 @@ documentSchema.statics.getAllDocuments = async function () {
   }
 };
 
+// Every version of a document, oldest first
+documentSchema.statics.findVersions = async function (document) {
+  const originalDocumentId = document.originalDocumentId || document.documentId;
+  return this.find({
+    $or: [{ documentId: originalDocumentId }, { originalDocumentId }],
+  })
+    .select("-rawDocInfo -wrappedDocInfo")
+    .sort({ version: 1 });
+};
+
+const toUnixString = (date) =>
+  date ? Math.floor(new Date(date).getTime() / 1000).toString() : "0";
+
+// Instance method returning the document with its indexed on-chain status,
+// in the same shape the list endpoints used to read from the chain
+documentSchema.methods.withChainStatus = function () {
+  const signatureOf = (address) =>
+    (this.signatures || []).find(
+      (s) => s.signer?.toLowerCase() === address?.toLowerCase()
+    );
+
+  const signers = this.signers?.length
+    ? this.signers.map((s) => s.toObject())
+    : this.signerAddress
+    ? [{ walletAddress: this.signerAddress, docStore: this.signerDocStore }]
+    : [];
+
+  return {
+    ...this.toObject(),
+    isIssued: this.onChainState === "Issued",
+    signedAt: toUnixString(signatureOf(this.signerAddress)?.signedAt),
+    revokedAt: toUnixString(this.revokedAt),
+    signers: signers.map((s) => ({
+      ...s,
+      signedAt: toUnixString(signatureOf(s.walletAddress)?.signedAt),
+    })),
+    fullyExecuted: !!this.fullyExecutedAt && this.onChainState !== "Revoked",
+    superseded: !!this.supersededByDocumentId,
+  };
+};
+
+// Query matching documents a store has to sign (as the recipient or any listed signer)
+documentSchema.statics.signerStoreFilter = function (docStore) {
+  return { $or: [{ signerDocStore: docStore }, { "signers.docStore": docStore }] };
+};
+
+// Query matching documents a store is a party to, as the issuer or a signer
+documentSchema.statics.partyStoreFilter = function (docStore) {
+  return { $or: [{ issuerDocStore: docStore }, ...this.signerStoreFilter(docStore).$or] };
+};
+
 const Documents = mongoose.model("Documents", documentSchema);
 
 module.exports = Documents;
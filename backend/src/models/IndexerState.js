@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// Persistent cursor for background chain indexers, so they resume after a restart
+const indexerStateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  lastProcessedBlock: {
+    type: Number,
+    default: -1,
+  },
+  stores: {
+    type: [String],
+    default: [],
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+indexerStateSchema.statics.findOrCreate = async function (name, startBlock = 0) {
+  try {
+    const state = await this.findOneAndUpdate(
+      { name },
+      { $setOnInsert: { name, lastProcessedBlock: startBlock - 1, stores: [] } },
+      { new: true, upsert: true }
+    );
+    return state;
+  } catch (error) {
+    throw new Error(`Error loading indexer state: ${error.message}`);
+  }
+};
+
+indexerStateSchema.statics.saveCursor = async function (name, lastProcessedBlock, stores) {
+  try {
+    await this.updateOne(
+      { name },
+      { $set: { lastProcessedBlock, stores, updatedAt: Date.now() } }
+    );
+  } catch (error) {
+    throw new Error(`Error saving indexer cursor: ${error.message}`);
+  }
+};
+
+// Static method to move a cursor to a new name, unless a cursor already has that name
+indexerStateSchema.statics.rename = async function (name, newName) {
+  try {
+    if (await this.exists({ name: newName })) return;
+    await this.updateOne({ name }, { $set: { name: newName, updatedAt: Date.now() } });
+  } catch (error) {
+    throw new Error(`Error renaming indexer cursor: ${error.message}`);
+  }
+};
+
+const IndexerState = mongoose.model("IndexerState", indexerStateSchema);
+
+module.exports = IndexerState;
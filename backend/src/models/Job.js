@@ -0,0 +1,171 @@
+const mongoose = require("mongoose");
+
+// Persistent queue entry for work that sends blockchain transactions.
+// Every completed step is recorded, so a job resumed after a crash skips it.
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ["queued", "running", "succeeded", "failed"],
+    default: "queued",
+    index: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Client supplied Idempotency-Key, unique per user
+  idempotencyKey: {
+    type: String,
+    trim: true,
+  },
+  // Hash of the request the key was first used with
+  requestHash: {
+    type: String,
+  },
+  documentId: {
+    type: String,
+    index: true,
+  },
+  // Chain the job's transactions are sent on
+  chainId: {
+    type: Number,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  steps: [
+    {
+      _id: false,
+      name: String,
+      status: {
+        type: String,
+        enum: ["pending", "completed", "skipped"],
+      },
+      transactionHash: String,
+      completedAt: Date,
+    },
+  ],
+  // Accepted response, replayed when the same Idempotency-Key is sent again
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  error: {
+    type: String,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: {
+    type: Date,
+  },
+  lockedBy: {
+    type: String,
+  },
+  completedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+jobSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: "string" } } }
+);
+jobSchema.index({ status: 1, nextRunAt: 1 });
+
+// Static method to lock the next runnable job of the given types. Running jobs whose
+// lock is older than lockTimeoutMs belong to a worker that died and are picked up again.
+jobSchema.statics.claimNext = async function (workerId, lockTimeoutMs, types) {
+  try {
+    const now = new Date();
+    return await this.findOneAndUpdate(
+      {
+        ...(types && { type: { $in: types } }),
+        $or: [
+          { status: "queued", nextRunAt: { $lte: now } },
+          { status: "running", lockedAt: { $lt: new Date(now.getTime() - lockTimeoutMs) } },
+        ],
+      },
+      {
+        $set: { status: "running", lockedAt: now, lockedBy: workerId, updatedAt: now },
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { nextRunAt: 1 } }
+    );
+  } catch (error) {
+    throw new Error(`Error claiming job: ${error.message}`);
+  }
+};
+
+jobSchema.statics.findOneByIdempotencyKey = async function (userId, idempotencyKey) {
+  try {
+    return await this.findOne({ userId, idempotencyKey });
+  } catch (error) {
+    throw new Error(`Error finding job by idempotency key: ${error.message}`);
+  }
+};
+
+// Instance method returning the step record with the given name, creating it if needed
+jobSchema.methods.getStep = function (name) {
+  let step = this.steps.find((s) => s.name === name);
+  if (!step) {
+    this.steps.push({ name, status: "pending" });
+    step = this.steps[this.steps.length - 1];
+  }
+  return step;
+};
+
+// Instance method returning the public status of the job
+jobSchema.methods.toStatus = function () {
+  return {
+    jobId: this._id.toString(),
+    type: this.type,
+    status: this.status,
+    documentId: this.documentId,
+    chainId: this.chainId ?? null,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    steps: this.steps.map((s) => s.toObject()),
+    result: this.result ?? null,
+    error: this.error ?? null,
+    nextRunAt: this.status === "queued" ? this.nextRunAt : null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+    completedAt: this.completedAt ?? null,
+  };
+};
+
+jobSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Job = mongoose.model("Job", jobSchema);
+
+module.exports = Job;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A company on the platform. It owns the single DocumentStore deployed for its
+// organisationId by DocumentStoreFactory; every member issues and signs through it.
+const organisationSchema = new mongoose.Schema({
+  // Plain identifier; the factory maps ethers.id(organisationId) to the store
+  organisationId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  documentStoreAddress: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Chain the store was deployed on (see createNetworks); its documents are anchored there
+  chainId: {
+    type: Number,
+    index: true
+  },
+  // Custodial wallet of the founding member, which the store was created for
+  storeAdminAddress: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Static method to find an organisation by its plain identifier
+organisationSchema.statics.findOneByOrganisationId = async function(organisationId) {
+  try {
+    return await this.findOne({ organisationId: String(organisationId).trim() });
+  } catch (error) {
+    throw new Error(`Error finding organisation: ${error.message}`);
+  }
+};
+
+// Static method to find the organisation owning a document store
+organisationSchema.statics.findOneByDocStore = async function(docStore) {
+  try {
+    return await this.findOne({ documentStoreAddress: docStore.trim() });
+  } catch (error) {
+    throw new Error(`Error finding organisation by document store: ${error.message}`);
+  }
+};
+
+const Organisation = mongoose.model('Organisation', organisationSchema);
+
+module.exports = Organisation;
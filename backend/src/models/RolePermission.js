@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Permissions granted to every user of a userType. Roles without a record
+// use the defaults in src/utils/permissions.js.
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['admin', 'sales', 'purchase', 'invoice'],
+    required: true,
+    unique: true
+  },
+  // e.g. "document:issue:INVOICE", "document:revoke", "admin:users:read";
+  // a trailing "*" grants every permission with that prefix
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Static method to find the permissions record of a role
+rolePermissionSchema.statics.findOneByRole = async function(role) {
+  try {
+    return await this.findOne({ role });
+  } catch (error) {
+    throw new Error(`Error finding role permissions: ${error.message}`);
+  }
+};
+
+const RolePermission = mongoose.model('RolePermission', rolePermissionSchema);
+
+module.exports = RolePermission;
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Refresh tokens live for REFRESH_TOKEN_TTL_DAYS and are rotated on every use
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 7);
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Only hashes of refresh tokens are stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Kept to detect reuse of an already rotated refresh token
+  previousRefreshTokenHash: {
+    type: String,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB clean up expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const newExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Static method to start a session and hand out its first refresh token
+sessionSchema.statics.createForUser = async function(userId, meta = {}) {
+  try {
+    const refreshToken = newRefreshToken();
+    const session = await this.create({
+      userId,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: newExpiry(),
+      userAgent: meta.userAgent,
+      ip: meta.ip
+    });
+    return { session, refreshToken };
+  } catch (error) {
+    throw new Error(`Error creating session: ${error.message}`);
+  }
+};
+
+// Static method to exchange a refresh token for a new one.
+// Presenting an already rotated token revokes the whole session (likely theft).
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+  const session = await this.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await this.findOne({ previousRefreshTokenHash: tokenHash });
+    if (reused && !reused.revokedAt) {
+      await reused.revoke('refresh token reuse detected');
+    }
+    throw new Error('Invalid refresh token');
+  }
+  if (session.revokedAt) {
+    throw new Error('Session has been revoked');
+  }
+  if (session.expiresAt <= new Date()) {
+    throw new Error('Refresh token expired');
+  }
+
+  const nextToken = newRefreshToken();
+  session.previousRefreshTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(nextToken);
+  session.expiresAt = newExpiry();
+  session.lastUsedAt = Date.now();
+  await session.save();
+
+  return { session, refreshToken: nextToken };
+};
+
+// Static method to find the session a refresh token belongs to
+sessionSchema.statics.findOneByRefreshToken = async function(refreshToken) {
+  try {
+    return await this.findOne({ refreshTokenHash: hashToken(refreshToken) });
+  } catch (error) {
+    throw new Error(`Error finding session: ${error.message}`);
+  }
+};
+
+// Static method to revoke every session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason) {
+  try {
+    await this.updateMany(
+      { userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: Date.now(), revokedReason: reason } }
+    );
+  } catch (error) {
+    throw new Error(`Error revoking sessions: ${error.message}`);
+  }
+};
+
+// Instance method to revoke this session
+sessionSchema.methods.revoke = async function(reason) {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
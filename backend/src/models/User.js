@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ethers } = require('ethers');
+
+// DocumentStore roles an organisation admin can give to members
+const STORE_ROLES = ['ISSUER_ROLE', 'REVOKER_ROLE', 'SIGNER_ROLE'];
+
+// Email notifications a user can turn off, all on by default
+const NOTIFICATION_TYPES = ['documentAwaitingSignature', 'documentSigned', 'documentRevoked', 'accountStatus'];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -22,11 +29,52 @@ const userSchema = new mongoose.Schema({
   },
   organisationId: {
     type: String,
-    required: true
+    required: true,
+    index: true
   },
   documentStoreAddress: {
     type: String,
-    required: false // Will be set after document store creation
+    required: false // The organisation's store, shared by all of its members
+  },
+  // Chain the organisation's store is on; the wallet only transacts there
+  chainId: {
+    type: Number
+  },
+  // Organisation admins manage members and their store roles
+  organisationRole: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  // Users joining an existing organisation stay pending until one of its admins approves them
+  membershipStatus: {
+    type: String,
+    enum: ['pending', 'active', 'removed'],
+    default: 'active'
+  },
+  // Roles the user's wallets hold in the organisation's store
+  storeRoles: [{
+    type: String,
+    enum: STORE_ROLES
+  }],
+  walletAddress: {
+    type: String,
+    required: false // Custodial wallet used to sign this user's transactions
+  },
+  encryptedPrivateKey: {
+    type: String,
+    required: false,
+    select: false // Never loaded unless explicitly requested
+  },
+  // Browser wallet the user signs with when signingMode is 'external'
+  externalWalletAddress: {
+    type: String,
+    required: false
+  },
+  signingMode: {
+    type: String,
+    enum: ['custodial', 'external'],
+    default: 'custodial'
   },
   userType: {
     type: String,
@@ -38,6 +86,14 @@ const userSchema = new mongoose.Schema({
     enum: ['pending', 'approved', 'rejected'],
     default: 'pending'
   },
+  notificationPreferences: Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [type, { type: Boolean, default: true }])
+  ),
+  // Bumped to invalidate every access token issued so far (password change, rejection, logout everywhere)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -61,6 +117,10 @@ userSchema.pre('save', async function(next) {
     // Cost 12 is recommended for production (takes ~300ms to hash)
     const saltRounds = 12;
     this.password = await bcrypt.hash(this.password, saltRounds);
+    // A changed password invalidates tokens issued with the old one
+    if (!this.isNew) {
+      this.tokenVersion += 1;
+    }
     this.updatedAt = Date.now();
     next();
   } catch (error) {
@@ -88,6 +148,52 @@ userSchema.statics.findOneByDocStore = async function(docStore) {
     }
   };
 
+// Static method to find user by wallet address
+userSchema.statics.findOneByWalletAddress = async function(walletAddress) {
+  try {
+    const user = await this.findOne({ walletAddress: ethers.getAddress(walletAddress) });
+    return user;
+  } catch (error) {
+    throw new Error(`Error finding user by wallet address: ${error.message}`);
+  }
+};
+
+// Static method to load a user together with their encrypted wallet key
+userSchema.statics.findByIdWithWallet = async function(userId) {
+  try {
+    const user = await this.findById(userId).select('+encryptedPrivateKey');
+    return user;
+  } catch (error) {
+    throw new Error(`Error finding user wallet: ${error.message}`);
+  }
+};
+
+// Static method to list the members of an organisation
+userSchema.statics.findByOrganisation = async function(organisationId) {
+  try {
+    return await this.find({ organisationId }).select('-password').sort({ createdAt: 1 });
+  } catch (error) {
+    throw new Error(`Error finding organisation members: ${error.message}`);
+  }
+};
+
+// Instance method returning every wallet that acts for this user in the organisation's store
+userSchema.methods.storeAccounts = function() {
+  return [this.walletAddress, this.externalWalletAddress].filter(Boolean);
+};
+
+// Instance method returning the address that signs this user's documents on-chain
+userSchema.methods.signingAddress = function() {
+  return this.signingMode === 'external' && this.externalWalletAddress
+    ? this.externalWalletAddress
+    : this.walletAddress;
+};
+
+// Instance method telling whether the user wants emails of a notification type
+userSchema.methods.wantsNotification = function(type) {
+  return this.notificationPreferences?.[type] !== false;
+};
+
 // Instance method to update document store address
 userSchema.methods.updateDocumentStoreAddress = async function(address) {
   this.documentStoreAddress = address;
@@ -103,13 +209,22 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Instance method to invalidate every access token issued so far
+userSchema.methods.invalidateTokens = async function() {
+  this.tokenVersion += 1;
+  return await this.save();
+};
+
 // Instance method to get user without sensitive data
 userSchema.methods.toSafeObject = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.encryptedPrivateKey;
   return userObject;
 };
 
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
+module.exports.STORE_ROLES = STORE_ROLES;
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Endpoint an organisation registered to receive lifecycle events.
+// Deliveries are signed with an HMAC of the body under the endpoint's secret.
+const webhookSchema = new mongoose.Schema({
+  organisationId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  // Event types the endpoint subscribes to, e.g. "document.signed"
+  events: [
+    {
+      type: String,
+    },
+  ],
+  // Shown once when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Static method to find the active webhooks of some organisations subscribed to an event
+webhookSchema.statics.findSubscribers = async function (organisationIds, eventType) {
+  try {
+    return await this.find({
+      organisationId: { $in: organisationIds },
+      events: eventType,
+      active: true,
+    });
+  } catch (error) {
+    throw new Error(`Error finding webhooks: ${error.message}`);
+  }
+};
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+
+module.exports = Webhook;
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+// One event sent to one webhook, with the outcome of its latest attempt
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Webhook",
+    required: true,
+  },
+  organisationId: {
+    type: String,
+    required: true,
+  },
+  // Stable id of the event, so an event replayed by the indexer is delivered once
+  eventId: {
+    type: String,
+    required: true,
+  },
+  eventType: {
+    type: String,
+    required: true,
+  },
+  // Exact JSON body that is signed and posted
+  payload: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "succeeded", "failed"],
+    default: "pending",
+    index: true,
+  },
+  jobId: {
+    type: String,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  responseStatus: {
+    type: Number,
+  },
+  error: {
+    type: String,
+  },
+  lastAttemptAt: {
+    type: Date,
+  },
+  deliveredAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+webhookDeliverySchema.index({ webhookId: 1, eventId: 1 }, { unique: true });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
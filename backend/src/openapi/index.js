@@ -0,0 +1,1301 @@
+const { getDocumentSchema, DOCUMENT_TYPES } = require("../schemas");
+const { PERMISSIONS, ROLES } = require("../utils/permissions");
+const { WEBHOOK_EVENTS } = require("../services/webhooks");
+const { DOCUMENT_STATES, SORT_FIELDS } = require("../helpers/document-query");
+const { STORE_ROLES, NOTIFICATION_TYPES } = require("../models/User");
+
+// OpenAPI 3.1 description of the whole API, served at GET /openapi.json.
+// Requests are validated against it before they reach a route, and responses after
+// (see src/utils/openapi-validator.js), so a route change must be reflected here.
+
+const REVOKE_REASONS = ["USER_REQUEST", "FRAUD", "REISSUED", "OTHER"];
+
+// --- Helpers keeping the operations short ---
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const string = (description) => ({ type: "string", ...(description && { description }) });
+const nullable = (schema) => ({ anyOf: [schema, { type: "null" }] });
+const arrayOf = (items) => ({ type: "array", items });
+const object = (properties, required = []) => ({
+  type: "object",
+  properties,
+  ...(required.length > 0 && { required }),
+});
+
+const json = (description, schema) => ({ description, content: { "application/json": { schema } } });
+const body = (schema, required = true) => ({ required, content: { "application/json": { schema } } });
+
+// Success body carrying a message, as every route answers
+const message = (properties = {}, required = []) => object({ message: string(), ...properties }, ["message", ...required]);
+
+const pathParam = (name, description) => ({ name, in: "path", required: true, schema: string(), description });
+const queryParam = (name, schema, description) => ({ name, in: "query", required: false, schema, description });
+const idempotencyKey = {
+  name: "Idempotency-Key",
+  in: "header",
+  required: false,
+  schema: string(),
+  description: "Retrying with the same key returns the job created by the first request",
+};
+
+/**
+ * Operation with the shared error response and, unless public, bearer authentication
+ * @param {Object} options
+ * @param {string} options.tag - Group of the operation
+ * @param {string} options.summary - One line description
+ * @param {Object<string, Object>} options.responses - Success responses by status
+ * @param {boolean} [options.public=false] - No access token required
+ * @returns {Object} OpenAPI operation
+ */
+function operation({ tag, summary, description, parameters, requestBody, responses, public: isPublic = false }) {
+  return {
+    tags: [tag],
+    summary,
+    ...(description && { description }),
+    ...(parameters && { parameters }),
+    ...(requestBody && { requestBody }),
+    ...(!isPublic && { security: [{ bearerAuth: [] }] }),
+    responses: { ...responses, default: { $ref: "#/components/responses/Error" } },
+  };
+}
+
+// --- Trade document schemas, converted from src/schemas ---
+// common.schema.json definitions become "TradeDocument.<name>" components
+const tradeDocumentRef = ($ref) =>
+  $ref.replace(/^(common\.schema\.json)?#\/definitions\//, "#/components/schemas/TradeDocument.");
+
+function toComponentSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toComponentSchema);
+  if (!schema || typeof schema !== "object") return schema;
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => key !== "$schema" && key !== "$id")
+      .map(([key, value]) => [key, key === "$ref" ? tradeDocumentRef(value) : toComponentSchema(value)])
+  );
+}
+
+const documentSchemas = getDocumentSchema();
+const DOCUMENT_COMPONENTS = {
+  "SALES-QUOTE": "SalesQuoteDocument",
+  INVOICE: "InvoiceDocument",
+  "PAYMENT-ORDER": "PaymentOrderDocument",
+  "DELIVERY-ORDER": "DeliveryOrderDocument",
+};
+
+const tradeDocumentComponents = {
+  ...Object.fromEntries(
+    Object.entries(documentSchemas.common.definitions).map(([name, schema]) => [
+      `TradeDocument.${name}`,
+      toComponentSchema(schema),
+    ])
+  ),
+  ...Object.fromEntries(
+    DOCUMENT_TYPES.map((documentType) => [
+      DOCUMENT_COMPONENTS[documentType],
+      toComponentSchema(documentSchemas[documentType]),
+    ])
+  ),
+};
+
+// --- Shared schemas ---
+const schemas = {
+  Error: {
+    type: "object",
+    description: "Every 4xx/5xx response. Routes may add fields of their own.",
+    required: ["error", "code"],
+    properties: {
+      error: string("Human readable message"),
+      code: string(
+        "Machine readable code: VALIDATION_ERROR, INVALID_JSON, ROUTE_NOT_FOUND, TOKEN_MISSING, TOKEN_INVALID, TOKEN_REVOKED, PERMISSION_DENIED, MEMBERSHIP_NOT_ACTIVE, ACCOUNT_NOT_APPROVED, DOCUMENT_INVALID, IDEMPOTENCY_KEY_REUSED, NETWORK_MISMATCH, NETWORK_UNAVAILABLE, ISSUER_NOT_WHITELISTED, SIGNER_NOT_WHITELISTED, or a code derived from the status (BAD_REQUEST, UNAUTHORIZED, FORBIDDEN, NOT_FOUND, CONFLICT, GONE, UNPROCESSABLE_ENTITY, INTERNAL_ERROR, ...)"
+      ),
+      details: { description: "More about the error; a list of { in, path, message } for VALIDATION_ERROR" },
+    },
+  },
+  ValidationError: object(
+    {
+      in: { enum: ["path", "query", "header", "body"] },
+      path: string("JSON pointer to the invalid value"),
+      message: string(),
+    },
+    ["path", "message"]
+  ),
+  Address: string("0x-prefixed Ethereum address"),
+  Bytes32: string("0x-prefixed 32 byte hex string"),
+  ObjectId: string("Database id"),
+  ChainId: { type: "integer", description: "Chain id of the network a record is anchored on" },
+  User: object(
+    {
+      _id: ref("ObjectId"),
+      name: string(),
+      email: string(),
+      organisationId: string(),
+      documentStoreAddress: ref("Address"),
+      chainId: ref("ChainId"),
+      organisationRole: { enum: ["admin", "member"] },
+      membershipStatus: { enum: ["pending", "active", "removed"] },
+      storeRoles: arrayOf({ enum: STORE_ROLES }),
+      walletAddress: ref("Address"),
+      externalWalletAddress: ref("Address"),
+      signingMode: { enum: ["custodial", "external"] },
+      userType: { enum: ROLES },
+      status: { enum: ["pending", "approved", "rejected"] },
+      notificationPreferences: ref("NotificationPreferences"),
+      createdAt: string(),
+      updatedAt: string(),
+    },
+    ["_id", "name", "email", "organisationId", "userType", "status"]
+  ),
+  Organisation: object(
+    {
+      _id: ref("ObjectId"),
+      organisationId: string(),
+      name: string(),
+      documentStoreAddress: ref("Address"),
+      chainId: ref("ChainId"),
+      storeAdminAddress: ref("Address"),
+      createdBy: ref("ObjectId"),
+      createdAt: string(),
+    },
+    ["organisationId", "name", "documentStoreAddress"]
+  ),
+  NotificationPreferences: {
+    type: "object",
+    properties: Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, { type: "boolean" }])),
+    additionalProperties: false,
+  },
+  TokenPair: message(
+    {
+      apiToken: string("Short-lived access token"),
+      refreshToken: string("Single-use refresh token"),
+      tokenType: { const: "Bearer" },
+      expiresIn: string(),
+      refreshExpiresAt: string(),
+    },
+    ["apiToken", "refreshToken", "tokenType"]
+  ),
+  QueuedJob: message(
+    {
+      jobId: ref("ObjectId"),
+      statusUrl: string("GET it for the job's progress"),
+      documentId: string(),
+      chainId: ref("ChainId"),
+      status: { enum: ["queued", "running", "succeeded", "failed"] },
+      replayed: { type: "boolean", description: "Answer of an earlier request with the same Idempotency-Key" },
+    },
+    ["jobId", "statusUrl", "status"]
+  ),
+  Job: object(
+    {
+      jobId: ref("ObjectId"),
+      type: string(),
+      status: { enum: ["queued", "running", "succeeded", "failed"] },
+      documentId: nullable(string()),
+      chainId: nullable(ref("ChainId")),
+      attempts: { type: "integer" },
+      maxAttempts: { type: "integer" },
+      steps: arrayOf(
+        object({
+          name: string(),
+          status: { enum: ["pending", "completed", "skipped"] },
+          transactionHash: ref("Bytes32"),
+          completedAt: string(),
+        })
+      ),
+      result: {},
+      error: nullable(string()),
+      nextRunAt: nullable(string()),
+      createdAt: string(),
+      updatedAt: string(),
+      completedAt: nullable(string()),
+    },
+    ["jobId", "type", "status", "steps"]
+  ),
+  Document: object(
+    {
+      documentId: string(),
+      documentType: { enum: DOCUMENT_TYPES },
+      quoteNumber: string(),
+      documentHash: ref("Bytes32"),
+      chainId: ref("ChainId"),
+      issuerDocStore: ref("Address"),
+      signerDocStore: ref("Address"),
+      signerAddress: ref("Address"),
+      signers: arrayOf(
+        object({
+          userId: string(),
+          email: string(),
+          walletAddress: ref("Address"),
+          docStore: ref("Address"),
+          signedAt: string("Unix seconds, \"0\" when not signed"),
+        })
+      ),
+      requiredSignerCount: { type: "integer" },
+      onChainState: { enum: ["None", "Issued", "Signed", "Revoked"] },
+      isIssued: { type: "boolean" },
+      signedAt: string("Unix seconds, \"0\" when not signed"),
+      revokedAt: string("Unix seconds, \"0\" when not revoked"),
+      fullyExecuted: { type: "boolean" },
+      superseded: { type: "boolean" },
+      version: { type: "integer" },
+      parentDocumentId: string(),
+      previousDocumentId: string(),
+      batchRoot: ref("Bytes32"),
+      rawDocInfo: string("JSON of the issued document"),
+      createdAt: string(),
+    },
+    ["documentId", "documentType", "quoteNumber", "documentHash", "issuerDocStore", "onChainState"]
+  ),
+  DocumentVersion: object(
+    {
+      documentId: string(),
+      version: { type: "integer" },
+      documentHash: ref("Bytes32"),
+      onChainState: { enum: ["None", "Issued", "Signed", "Revoked"] },
+      issuedAt: nullable(string()),
+      revokedAt: nullable(string()),
+      revokeReason: nullable(string()),
+      previousDocumentId: nullable(string()),
+      supersededByDocumentId: nullable(string()),
+      superseded: { type: "boolean" },
+    },
+    ["documentId", "onChainState"]
+  ),
+  CursorPagination: object(
+    {
+      limit: { type: "integer" },
+      total: { type: "integer", description: "Documents matching the filters, across every page" },
+      hasMore: { type: "boolean" },
+      nextCursor: nullable(string("Pass as cursor to get the next page")),
+      sort: { enum: SORT_FIELDS },
+      order: { enum: ["asc", "desc"] },
+    },
+    ["limit", "total", "hasMore", "nextCursor", "sort", "order"]
+  ),
+  PagePagination: object(
+    {
+      page: { type: "integer" },
+      limit: { type: "integer" },
+      total: { type: "integer" },
+      pages: { type: "integer" },
+    },
+    ["page", "limit", "total", "pages"]
+  ),
+  WrappedDocument: object(
+    {
+      version: string(),
+      data: { type: "object", description: "Salted document fields" },
+      signature: object({
+        type: string(),
+        targetHash: string("Merkle root of the document, without 0x"),
+        proof: arrayOf(string()),
+        merkleRoot: string("Root anchored on-chain: the document's own, or its batch root"),
+      }),
+      privacy: object({ obfuscatedData: arrayOf(string()) }),
+    },
+    ["data", "signature"]
+  ),
+  TypedData: object(
+    {
+      domain: { type: "object" },
+      types: { type: "object" },
+      primaryType: string(),
+      message: { type: "object" },
+    },
+    ["domain", "types", "primaryType", "message"]
+  ),
+  IssueDocumentRequest: {
+    type: "object",
+    description: `Validated in full against the schema of docDetails.documentType: ${DOCUMENT_TYPES.map(
+      (documentType) => `${DOCUMENT_COMPONENTS[documentType]} (${documentType})`
+    ).join(", ")}; invalid fields are listed with code DOCUMENT_INVALID.`,
+    required: ["documentId", "quoteNumber", "recipient", "docDetails"],
+    properties: {
+      documentId: string(),
+      quoteNumber: string(),
+      parentDocumentId: string("Previous document of the trade chain, when not found from quoteNumber"),
+      recipient: ref("TradeDocument.recipient"),
+      signers: ref("TradeDocument.signers"),
+      docDetails: object({ documentType: { enum: DOCUMENT_TYPES } }, ["documentType"]),
+    },
+  },
+  IssuedDocument: message(
+    {
+      documentId: string(),
+      documentSignerAddress: nullable(ref("Address")),
+      signers: arrayOf(ref("Address")),
+      requiredSignerCount: { type: "integer" },
+      parentDocumentId: nullable(string()),
+      version: { type: "integer" },
+      previousDocumentId: nullable(string()),
+      documentHash: ref("Bytes32"),
+      wrappedDocument: ref("WrappedDocument"),
+    },
+    ["documentId"]
+  ),
+  TypedDataToSign: message(
+    {
+      documentId: string(),
+      typedData: ref("TypedData"),
+      relayUrl: string("Endpoint to submit the signature to"),
+    },
+    ["documentId", "typedData", "relayUrl"]
+  ),
+  Webhook: object(
+    {
+      _id: ref("ObjectId"),
+      organisationId: string(),
+      url: string(),
+      description: string(),
+      events: arrayOf({ enum: WEBHOOK_EVENTS }),
+      active: { type: "boolean" },
+      createdBy: ref("ObjectId"),
+      createdAt: string(),
+    },
+    ["_id", "url", "events", "active"]
+  ),
+  WebhookDelivery: object(
+    {
+      _id: ref("ObjectId"),
+      webhookId: ref("ObjectId"),
+      eventId: string(),
+      eventType: { enum: WEBHOOK_EVENTS },
+      payload: string("Exact JSON body that is signed and posted"),
+      status: { enum: ["pending", "succeeded", "failed"] },
+      jobId: string(),
+      attempts: { type: "integer" },
+      responseStatus: { type: "integer" },
+      error: string(),
+      lastAttemptAt: string(),
+      deliveredAt: string(),
+      createdAt: string(),
+    },
+    ["_id", "eventId", "eventType", "status"]
+  ),
+  AuditLogEntry: object(
+    {
+      sequence: { type: "integer" },
+      previousHash: string(),
+      hash: string(),
+      createdAt: string(),
+      actorId: nullable(string()),
+      actorEmail: nullable(string()),
+      actorType: nullable(string()),
+      organisationId: nullable(string()),
+      action: string(),
+      targetType: nullable(string()),
+      targetId: nullable(string()),
+      result: string(),
+      statusCode: { type: "integer" },
+      transactionHash: nullable(string()),
+    },
+    ["sequence", "hash", "action"]
+  ),
+  RegistryDocumentType: object(
+    {
+      documentType: nullable({ enum: DOCUMENT_TYPES, description: "null for a type hash this backend does not know" }),
+      documentTypeHash: ref("Bytes32"),
+      issuers: arrayOf(ref("Address")),
+      signers: arrayOf(ref("Address")),
+      requiredSignerCount: { type: "integer" },
+    },
+    ["documentTypeHash", "issuers", "signers", "requiredSignerCount"]
+  ),
+  RegistryChange: object(
+    {
+      event: { enum: ["IssuerWhiteListed", "SignerWhiteListed", "RequiredSignerCountSet", "InteropAllowed"] },
+      blockNumber: { type: "integer" },
+      transactionHash: ref("Bytes32"),
+      sender: nullable(ref("Address")),
+      documentType: nullable(string()),
+      documentTypeHash: ref("Bytes32"),
+      account: ref("Address"),
+      active: { type: "boolean" },
+      count: { type: "integer" },
+      fromContract: ref("Address"),
+      toContract: ref("Address"),
+      allowed: { type: "boolean" },
+      requestedBy: nullable(
+        object({ userId: ref("ObjectId"), email: nullable(string()), jobId: ref("ObjectId") }, ["userId", "jobId"])
+      ),
+    },
+    ["event", "blockNumber", "transactionHash"]
+  ),
+  ...tradeDocumentComponents,
+};
+
+// --- Reusable parameters ---
+const documentListParameters = [
+  queryParam("documentType", string(`Comma separated, among ${DOCUMENT_TYPES.join(", ")}`)),
+  queryParam("state", string(`Comma separated, among ${Object.keys(DOCUMENT_STATES).join(", ")}`)),
+  queryParam("quoteNumber", string()),
+  queryParam("from", string("Created at or after (ISO date)")),
+  queryParam("to", string("Created at or before (ISO date)")),
+  queryParam("counterparty", string("organisationId of another party of the document")),
+  queryParam("chainId", { type: "integer", minimum: 1 }, "Only documents anchored on this chain"),
+  queryParam("sort", { enum: SORT_FIELDS, default: "createdAt" }),
+  queryParam("order", { enum: ["asc", "desc"], default: "desc" }),
+  queryParam("limit", { type: "integer", minimum: 1, maximum: 200, default: 50 }),
+  queryParam("cursor", string("nextCursor of the previous page")),
+];
+const networkParameter = queryParam("network", string(), "Network name, the default network when omitted");
+const registryWhitelistChange = object(
+  {
+    documentType: { enum: DOCUMENT_TYPES },
+    account: ref("Address"),
+    active: { type: "boolean", description: "false removes the account" },
+    network: string("Network name, the default network when omitted"),
+  },
+  ["documentType", "account", "active"]
+);
+const pageParameters = [
+  queryParam("page", { type: "integer", minimum: 1, default: 1 }),
+  queryParam("limit", { type: "integer", minimum: 1, maximum: 200, default: 50 }),
+];
+
+const documentIdBody = (properties = {}, required = []) =>
+  body(object({ documentId: string(), ...properties }, ["documentId", ...required]));
+
+// --- Operations ---
+const paths = {
+  "/health": {
+    get: operation({
+      tag: "System",
+      summary: "Service and chain status",
+      public: true,
+      responses: {
+        200: json(
+          "Healthy",
+          object(
+            {
+              status: { const: "ok" },
+              chainId: { type: "integer", description: "Chain id of the default network" },
+              chain: { enum: ["rpc", "simulated"] },
+              contract: {},
+              factory: {},
+              networks: arrayOf(
+                object(
+                  {
+                    name: string(),
+                    chainId: ref("ChainId"),
+                    chain: { enum: ["rpc", "simulated"] },
+                    contract: ref("Address"),
+                    factory: ref("Address"),
+                    default: { type: "boolean", description: "New organisations get their store here" },
+                  },
+                  ["name", "chainId", "default"]
+                )
+              ),
+            },
+            ["status", "chainId"]
+          )
+        ),
+      },
+    }),
+  },
+  "/openapi.json": {
+    get: operation({
+      tag: "System",
+      summary: "This specification",
+      public: true,
+      responses: { 200: json("OpenAPI document", { type: "object" }) },
+    }),
+  },
+
+  // Users and authentication
+  "/user/new": {
+    post: operation({
+      tag: "Users",
+      summary: "Register, joining an organisation or creating it with its document store",
+      public: true,
+      requestBody: body(
+        object(
+          {
+            name: { type: "string", minLength: 1 },
+            email: { type: "string", format: "email" },
+            password: { type: "string", minLength: 6 },
+            organisationId: { type: "string", minLength: 1 },
+            organisationName: string("Name of a new organisation"),
+            network: string("Network of a new organisation's store; defaults to the default network"),
+            userType: { enum: ROLES },
+          },
+          ["name", "email", "password", "organisationId", "userType"]
+        )
+      ),
+      responses: {
+        201: json(
+          "User created",
+          message(
+            {
+              user: ref("User"),
+              organisation: ref("Organisation"),
+              transactionHash: nullable(ref("Bytes32")),
+              storeAddress: nullable(ref("Address")),
+              walletAddress: ref("Address"),
+              network: string("Network of the organisation's store"),
+              chainId: ref("ChainId"),
+            },
+            ["user", "walletAddress"]
+          )
+        ),
+      },
+    }),
+  },
+  "/user/email/{email}": {
+    get: operation({
+      tag: "Users",
+      summary: "Find a user by email",
+      public: true,
+      parameters: [pathParam("email")],
+      responses: { 200: json("User found", message({ user: ref("User") }, ["user"])) },
+    }),
+  },
+  "/user/login": {
+    post: operation({
+      tag: "Users",
+      summary: "Log in and start a session",
+      public: true,
+      requestBody: body(object({ email: string(), password: string() }, ["email", "password"])),
+      responses: {
+        200: json("Logged in", { allOf: [ref("TokenPair"), object({ user: ref("User") }, ["user"])] }),
+      },
+    }),
+  },
+  "/auth/refresh": {
+    post: operation({
+      tag: "Users",
+      summary: "Exchange a refresh token for a new token pair",
+      public: true,
+      requestBody: body(object({ refreshToken: string() }, ["refreshToken"])),
+      responses: { 200: json("New tokens", ref("TokenPair")) },
+    }),
+  },
+  "/user/logout": {
+    post: operation({
+      tag: "Users",
+      summary: "Revoke the current session, or every session",
+      requestBody: body(object({ allSessions: { type: "boolean" } }), false),
+      responses: { 200: json("Logged out", message({ allSessions: { type: "boolean" } })) },
+    }),
+  },
+  "/user/password": {
+    put: operation({
+      tag: "Users",
+      summary: "Change password, revoking every token",
+      requestBody: body(
+        object({ currentPassword: string(), newPassword: { type: "string", minLength: 6 } }, [
+          "currentPassword",
+          "newPassword",
+        ])
+      ),
+      responses: { 200: json("Password changed", ref("TokenPair")) },
+    }),
+  },
+  "/user/notifications": {
+    get: operation({
+      tag: "Users",
+      summary: "Email notification preferences",
+      responses: {
+        200: json("Preferences", message({ preferences: ref("NotificationPreferences") }, ["preferences"])),
+      },
+    }),
+    put: operation({
+      tag: "Users",
+      summary: "Turn email notification types on or off",
+      requestBody: body({ ...ref("NotificationPreferences"), minProperties: 1 }),
+      responses: {
+        200: json("Preferences updated", message({ preferences: ref("NotificationPreferences") }, ["preferences"])),
+      },
+    }),
+  },
+  "/user/wallet/link-message": {
+    get: operation({
+      tag: "Users",
+      summary: "Message to sign with a browser wallet before linking it",
+      parameters: [{ ...queryParam("address", ref("Address")), required: true }],
+      responses: { 200: json("Message to sign", message({ linkMessage: string() }, ["linkMessage"])) },
+    }),
+  },
+  "/user/wallet": {
+    put: operation({
+      tag: "Users",
+      summary: "Link a browser wallet; its store roles are granted by a job",
+      requestBody: body(object({ address: ref("Address"), signature: string() }, ["address", "signature"])),
+      responses: {
+        202: json(
+          "Role grants queued",
+          { allOf: [ref("QueuedJob"), object({ walletAddress: ref("Address"), signingMode: { const: "external" } })] }
+        ),
+      },
+    }),
+    delete: operation({
+      tag: "Users",
+      summary: "Sign with the custodial wallet again; a linked wallet's store roles are revoked by a job",
+      responses: {
+        200: json(
+          "Custodial signing, no wallet was linked",
+          message({ signingMode: { const: "custodial" }, walletAddress: ref("Address") }, ["signingMode"])
+        ),
+        202: json(
+          "Role revocations queued",
+          { allOf: [ref("QueuedJob"), object({ walletAddress: ref("Address"), signingMode: { const: "custodial" } })] }
+        ),
+      },
+    }),
+  },
+  "/user/me": {
+    get: operation({
+      tag: "Users",
+      summary: "Current user",
+      responses: { 200: json("User", message({ user: ref("User") }, ["user"])) },
+    }),
+  },
+  "/auth/verify": {
+    get: operation({
+      tag: "Users",
+      summary: "Check an access token",
+      responses: { 200: json("Token valid", message({ user: { type: "object" }, valid: { const: true } }, ["valid"])) },
+    }),
+  },
+
+  // Documents
+  "/document/issue": {
+    post: operation({
+      tag: "Documents",
+      summary: "Issue a document",
+      description:
+        "Queues the issue transactions and answers 202 with a job. With a linked browser wallet, answers 200 with typed data to sign and submit to /document/issue/relay.",
+      parameters: [idempotencyKey],
+      requestBody: body(ref("IssueDocumentRequest")),
+      responses: {
+        200: json("Typed data to sign", { allOf: [ref("TypedDataToSign"), ref("IssuedDocument")] }),
+        202: json("Issue queued", { allOf: [ref("QueuedJob"), ref("IssuedDocument")] }),
+      },
+    }),
+  },
+  "/document/amend": {
+    post: operation({
+      tag: "Documents",
+      summary: "Reissue a corrected version of an issued document",
+      parameters: [idempotencyKey],
+      requestBody: body({
+        allOf: [ref("IssueDocumentRequest"), object({ previousDocumentId: string() }, ["previousDocumentId"])],
+      }),
+      responses: {
+        200: json("Typed data to sign", { allOf: [ref("TypedDataToSign"), ref("IssuedDocument")] }),
+        202: json("Amendment queued", { allOf: [ref("QueuedJob"), ref("IssuedDocument")] }),
+      },
+    }),
+  },
+  "/document/issue/relay": {
+    post: operation({
+      tag: "Documents",
+      summary: "Relay an issue signed with the browser wallet",
+      parameters: [idempotencyKey],
+      requestBody: documentIdBody({ signature: string() }, ["signature"]),
+      responses: { 202: json("Issue queued", ref("QueuedJob")) },
+    }),
+  },
+  "/document/issue/batch": {
+    post: operation({
+      tag: "Documents",
+      summary: "Issue documents of one type under a single Merkle root",
+      parameters: [idempotencyKey],
+      requestBody: body(object({ documents: { ...arrayOf(ref("IssueDocumentRequest")), minItems: 1 } }, ["documents"])),
+      responses: {
+        202: json(
+          "Batch queued",
+          {
+            allOf: [
+              ref("QueuedJob"),
+              object({
+                batchRoot: ref("Bytes32"),
+                documentType: { enum: DOCUMENT_TYPES },
+                size: { type: "integer" },
+                documents: arrayOf(
+                  object({ documentId: string(), documentHash: ref("Bytes32"), proof: arrayOf(string()) })
+                ),
+                wrappedDocuments: arrayOf(ref("WrappedDocument")),
+              }),
+            ],
+          }
+        ),
+      },
+    }),
+  },
+  "/document/sign": {
+    post: operation({
+      tag: "Documents",
+      summary: "Sign a document",
+      description: "With a linked browser wallet, answers 200 with typed data to submit to /document/sign/relay.",
+      parameters: [idempotencyKey],
+      requestBody: documentIdBody(),
+      responses: {
+        200: json("Typed data to sign", ref("TypedDataToSign")),
+        202: json("Signing queued", ref("QueuedJob")),
+      },
+    }),
+  },
+  "/document/sign/relay": {
+    post: operation({
+      tag: "Documents",
+      summary: "Relay a signature made with the browser wallet",
+      parameters: [idempotencyKey],
+      requestBody: documentIdBody({ signature: string(), deadline: { type: ["integer", "string"] } }, [
+        "signature",
+        "deadline",
+      ]),
+      responses: { 202: json("Signing queued", ref("QueuedJob")) },
+    }),
+  },
+  "/document/revoke": {
+    post: operation({
+      tag: "Documents",
+      summary: "Revoke a document",
+      parameters: [idempotencyKey],
+      requestBody: documentIdBody({
+        reason: string(`One of ${REVOKE_REASONS.join(", ")} (case insensitive); defaults to USER_REQUEST`),
+      }),
+      responses: {
+        202: json("Revocation queued", { allOf: [ref("QueuedJob"), object({ reason: { enum: REVOKE_REASONS } })] }),
+      },
+    }),
+  },
+  "/jobs/{jobId}": {
+    get: operation({
+      tag: "Documents",
+      summary: "Progress of a queued job",
+      parameters: [pathParam("jobId")],
+      responses: { 200: json("Job", message({ job: ref("Job") }, ["job"])) },
+    }),
+  },
+  "/document/verify": {
+    post: operation({
+      tag: "Documents",
+      summary: "Verify a wrapped (possibly redacted) document or a QR code payload against the chain",
+      public: true,
+      requestBody: documentIdBody({
+        wrappedDocument: ref("WrappedDocument"),
+        documentHash: ref("Bytes32"),
+        documentStore: ref("Address"),
+        chainId: ref("ChainId"),
+      }),
+      responses: {
+        200: json(
+          "Verification result",
+          message(
+            {
+              documentId: string(),
+              network: string("Network the document was checked on"),
+              chainId: ref("ChainId"),
+              verifiedBy: { enum: ["wrappedDocument", "documentHash"] },
+              rawDocument: nullable({
+                type: "object",
+                description:
+                  "Fields disclosed by the submitted wrapped document, once its hash matches the anchored one and its leaves are bound to their paths",
+              }),
+              redacted: { type: "boolean" },
+              pathBound: {
+                type: "boolean",
+                description:
+                  "Whether the document's leaves commit to their field paths; fields of older documents are not returned",
+              },
+              disclosedFields: nullable(arrayOf(string())),
+              obfuscatedFieldCount: { type: "integer" },
+              issuedAt: string("Unix seconds"),
+              signedAt: string("Unix seconds"),
+              revokedAt: string("Unix seconds"),
+              anchoredIn: nullable({ enum: ["store", "batch"] }),
+              batchRoot: nullable(string()),
+              signers: arrayOf(object({ email: string(), walletAddress: ref("Address"), signedAt: string() })),
+              requiredSignerCount: { type: "integer" },
+              fullyExecuted: { type: "boolean" },
+              verified: { type: "boolean" },
+            },
+            ["documentId", "verified"]
+          )
+        ),
+      },
+    }),
+  },
+  "/document/redact": {
+    post: operation({
+      tag: "Documents",
+      summary: "Redact fields of a document for selective disclosure",
+      requestBody: documentIdBody({ fields: { ...arrayOf(string()), minItems: 1 } }, ["fields"]),
+      responses: {
+        200: json(
+          "Redacted document",
+          message(
+            {
+              documentId: string(),
+              disclosedFields: arrayOf(string()),
+              obfuscatedFieldCount: { type: "integer" },
+              wrappedDocument: ref("WrappedDocument"),
+            },
+            ["wrappedDocument"]
+          )
+        ),
+      },
+    }),
+  },
+  "/documents/all": {
+    get: operation({
+      tag: "Documents",
+      summary: "Documents issued by or assigned to the user's organisation",
+      parameters: [queryParam("party", { enum: ["issuer", "signer"] }), ...documentListParameters],
+      responses: {
+        200: json(
+          "One page of documents",
+          message({ documents: arrayOf(ref("Document")), pagination: ref("CursorPagination") }, [
+            "documents",
+            "pagination",
+          ])
+        ),
+      },
+    }),
+  },
+  "/document/pdf": {
+    get: operation({
+      tag: "Documents",
+      summary: "Printable PDF with a verification QR code",
+      parameters: [{ ...queryParam("documentId", string()), required: true }],
+      responses: {
+        200: { description: "PDF", content: { "application/pdf": { schema: { type: "string", format: "binary" } } } },
+      },
+    }),
+  },
+  "/document/single": {
+    get: operation({
+      tag: "Documents",
+      summary: "A document with its on-chain status and version lineage",
+      parameters: [{ ...queryParam("documentId", string()), required: true }],
+      responses: {
+        200: json(
+          "Document",
+          message({ document: ref("Document"), versions: arrayOf(ref("DocumentVersion")) }, ["document", "versions"])
+        ),
+      },
+    }),
+  },
+  "/trade-chain/{quoteNumber}": {
+    get: operation({
+      tag: "Documents",
+      summary: "Quote → invoice → payment order → delivery order chain of a quoteNumber",
+      parameters: [pathParam("quoteNumber")],
+      responses: {
+        200: json(
+          "Trade chain",
+          message(
+            {
+              quoteNumber: string(),
+              complete: { type: "boolean" },
+              steps: arrayOf(
+                object({
+                  documentType: { enum: DOCUMENT_TYPES },
+                  status: { enum: ["missing", "issued", "signed"] },
+                  currentDocumentId: nullable(string()),
+                  documents: arrayOf(ref("Document")),
+                })
+              ),
+            },
+            ["quoteNumber", "complete", "steps"]
+          )
+        ),
+      },
+    }),
+  },
+
+  // Organisations
+  "/organisation": {
+    get: operation({
+      tag: "Organisations",
+      summary: "The user's organisation and its members",
+      responses: {
+        200: json(
+          "Organisation",
+          message({ organisation: ref("Organisation"), members: arrayOf(ref("User")) }, ["organisation", "members"])
+        ),
+      },
+    }),
+  },
+  "/organisation/members/{userId}/approve": {
+    put: operation({
+      tag: "Organisations",
+      summary: "Approve a pending member (organisation admin)",
+      parameters: [pathParam("userId")],
+      requestBody: body(object({ roles: arrayOf({ enum: STORE_ROLES }) }), false),
+      responses: { 202: json("Role grants queued", ref("QueuedJob")) },
+    }),
+  },
+  "/organisation/members/{userId}/roles": {
+    put: operation({
+      tag: "Organisations",
+      summary: "Set a member's store roles and/or organisation role (organisation admin)",
+      parameters: [pathParam("userId")],
+      requestBody: body({
+        ...object({ roles: arrayOf({ enum: STORE_ROLES }), organisationRole: { enum: ["admin", "member"] } }),
+        minProperties: 1,
+      }),
+      responses: {
+        200: json("Member updated, no store role change", message({ member: ref("User") }, ["member"])),
+        202: json("Role changes queued", ref("QueuedJob")),
+      },
+    }),
+  },
+  "/organisation/members/{userId}": {
+    delete: operation({
+      tag: "Organisations",
+      summary: "Remove a member, revoking their store roles and sessions (organisation admin)",
+      parameters: [pathParam("userId")],
+      responses: { 202: json("Role revocations queued", ref("QueuedJob")) },
+    }),
+  },
+  "/organisation/webhooks": {
+    get: operation({
+      tag: "Webhooks",
+      summary: "The organisation's webhooks (organisation admin)",
+      responses: {
+        200: json(
+          "Webhooks",
+          message({ webhooks: arrayOf(ref("Webhook")), events: arrayOf({ enum: WEBHOOK_EVENTS }) }, ["webhooks"])
+        ),
+      },
+    }),
+    post: operation({
+      tag: "Webhooks",
+      summary: "Register a webhook (organisation admin); the signing secret is only returned here",
+      requestBody: body(
+        object(
+          {
+            url: { type: "string", format: "uri" },
+            events: { ...arrayOf({ enum: WEBHOOK_EVENTS }), minItems: 1 },
+            description: string(),
+          },
+          ["url"]
+        )
+      ),
+      responses: {
+        201: json("Webhook created", message({ webhook: ref("Webhook"), secret: string() }, ["webhook", "secret"])),
+      },
+    }),
+  },
+  "/organisation/webhooks/{webhookId}": {
+    delete: operation({
+      tag: "Webhooks",
+      summary: "Delete a webhook (organisation admin)",
+      parameters: [pathParam("webhookId")],
+      responses: { 200: json("Webhook deleted", message({ webhookId: ref("ObjectId") }, ["webhookId"])) },
+    }),
+  },
+  "/organisation/webhooks/{webhookId}/deliveries": {
+    get: operation({
+      tag: "Webhooks",
+      summary: "Delivery log of a webhook, newest first (organisation admin)",
+      parameters: [
+        pathParam("webhookId"),
+        queryParam("status", { enum: ["pending", "succeeded", "failed"] }),
+        ...pageParameters,
+      ],
+      responses: {
+        200: json(
+          "Deliveries",
+          message({ deliveries: arrayOf(ref("WebhookDelivery")), pagination: ref("PagePagination") }, [
+            "deliveries",
+            "pagination",
+          ])
+        ),
+      },
+    }),
+  },
+  "/organisation/webhooks/{webhookId}/deliveries/{deliveryId}/replay": {
+    post: operation({
+      tag: "Webhooks",
+      summary: "Send a failed delivery again (organisation admin)",
+      parameters: [pathParam("webhookId"), pathParam("deliveryId")],
+      responses: {
+        202: json("Delivery queued", message({ delivery: ref("WebhookDelivery"), statusUrl: string() }, ["delivery"])),
+      },
+    }),
+  },
+
+  // Administration
+  "/admin/pending-users": {
+    get: operation({
+      tag: "Admin",
+      summary: "Users waiting for approval (admin:users:read)",
+      responses: { 200: json("Users", message({ users: arrayOf(ref("User")) }, ["users"])) },
+    }),
+  },
+  "/admin/users": {
+    get: operation({
+      tag: "Admin",
+      summary: "Every user (admin:users:read)",
+      responses: { 200: json("Users", message({ users: arrayOf(ref("User")) }, ["users"])) },
+    }),
+  },
+  "/admin/users/{userId}/approve": {
+    put: operation({
+      tag: "Admin",
+      summary: "Approve an account (admin:users:approve)",
+      parameters: [pathParam("userId")],
+      responses: { 200: json("User approved", message({ user: ref("User") }, ["user"])) },
+    }),
+  },
+  "/admin/users/{userId}/reject": {
+    put: operation({
+      tag: "Admin",
+      summary: "Reject an account, revoking its tokens (admin:users:approve)",
+      parameters: [pathParam("userId")],
+      responses: { 200: json("User rejected", message({ user: ref("User") }, ["user"])) },
+    }),
+  },
+  "/admin/schemas": {
+    get: operation({
+      tag: "Admin",
+      summary: "JSON Schema of every document type (admin:schemas:read)",
+      responses: { 200: json("Schemas", message({ schemas: { type: "object" } }, ["schemas"])) },
+    }),
+  },
+  "/admin/schemas/{documentType}": {
+    get: operation({
+      tag: "Admin",
+      summary: "JSON Schema of one document type (admin:schemas:read)",
+      parameters: [pathParam("documentType")],
+      responses: { 200: json("Schema", message({ schema: { type: "object" } }, ["schema"])) },
+    }),
+  },
+  "/admin/documents": {
+    get: operation({
+      tag: "Admin",
+      summary: "Every document (admin:documents:read)",
+      parameters: documentListParameters,
+      responses: {
+        200: json(
+          "One page of documents",
+          message({ documents: arrayOf(ref("Document")), pagination: ref("CursorPagination") }, [
+            "documents",
+            "pagination",
+          ])
+        ),
+      },
+    }),
+  },
+  "/admin/permissions": {
+    get: operation({
+      tag: "Admin",
+      summary: "Permissions of every role (admin:permissions:read)",
+      responses: {
+        200: json(
+          "Permissions",
+          message(
+            {
+              roles: { type: "object", additionalProperties: arrayOf(string()) },
+              permissions: arrayOf({ enum: PERMISSIONS }),
+            },
+            ["roles", "permissions"]
+          )
+        ),
+      },
+    }),
+  },
+  "/admin/permissions/{role}": {
+    put: operation({
+      tag: "Admin",
+      summary: "Replace the permissions of a role (admin:permissions:write)",
+      parameters: [{ ...pathParam("role"), schema: { enum: ROLES } }],
+      requestBody: body(
+        object({ permissions: arrayOf(string("Permission, or a prefix ending with *")) }, ["permissions"])
+      ),
+      responses: {
+        200: json(
+          "Permissions updated",
+          message({ role: { enum: ROLES }, permissions: arrayOf(string()) }, ["role", "permissions"])
+        ),
+      },
+    }),
+  },
+  "/admin/registry": {
+    get: operation({
+      tag: "Admin",
+      summary: "Registry whitelists, signer counts and interop, rebuilt from its events (admin:registry:read)",
+      parameters: [networkParameter],
+      responses: {
+        200: json(
+          "Registry configuration",
+          message(
+            {
+              network: string(),
+              chainId: ref("ChainId"),
+              registryAddress: ref("Address"),
+              block: { type: "integer", description: "Last block read" },
+              documentTypes: arrayOf(ref("RegistryDocumentType")),
+              interop: arrayOf(
+                object({ fromContract: ref("Address"), toContract: ref("Address") }, ["fromContract", "toContract"])
+              ),
+            },
+            ["network", "chainId", "block", "documentTypes", "interop"]
+          )
+        ),
+      },
+    }),
+  },
+  "/admin/registry/changes": {
+    get: operation({
+      tag: "Admin",
+      summary: "Every registry change, newest first, with the admin who requested it (admin:registry:read)",
+      parameters: [networkParameter, ...pageParameters],
+      responses: {
+        200: json(
+          "Registry changes",
+          message(
+            {
+              network: string(),
+              chainId: ref("ChainId"),
+              changes: arrayOf(ref("RegistryChange")),
+              pagination: ref("PagePagination"),
+            },
+            ["network", "chainId", "changes", "pagination"]
+          )
+        ),
+      },
+    }),
+  },
+  "/admin/registry/issuers": {
+    put: operation({
+      tag: "Admin",
+      summary: "Whitelist an issuer for a document type, or remove it (admin:registry:write)",
+      parameters: [idempotencyKey],
+      requestBody: body(registryWhitelistChange),
+      responses: { 202: json("Registry change queued", ref("QueuedJob")) },
+    }),
+  },
+  "/admin/registry/signers": {
+    put: operation({
+      tag: "Admin",
+      summary: "Whitelist a signer for a document type, or remove it (admin:registry:write)",
+      parameters: [idempotencyKey],
+      requestBody: body(registryWhitelistChange),
+      responses: { 202: json("Registry change queued", ref("QueuedJob")) },
+    }),
+  },
+  "/admin/registry/signer-counts": {
+    put: operation({
+      tag: "Admin",
+      summary: "Set the signers a document type needs (admin:registry:write)",
+      parameters: [idempotencyKey],
+      requestBody: body(
+        object(
+          {
+            documentType: { enum: DOCUMENT_TYPES },
+            count: { type: "integer", minimum: 0, maximum: 255 },
+            network: string("Network name, the default network when omitted"),
+          },
+          ["documentType", "count"]
+        )
+      ),
+      responses: { 202: json("Registry change queued", ref("QueuedJob")) },
+    }),
+  },
+  "/admin/registry/interop": {
+    put: operation({
+      tag: "Admin",
+      summary: "Allow or forbid a contract to call another (admin:registry:write)",
+      parameters: [idempotencyKey],
+      requestBody: body(
+        object(
+          {
+            fromContract: ref("Address"),
+            toContract: ref("Address"),
+            allowed: { type: "boolean" },
+            network: string("Network name, the default network when omitted"),
+          },
+          ["fromContract", "toContract", "allowed"]
+        )
+      ),
+      responses: { 202: json("Registry change queued", ref("QueuedJob")) },
+    }),
+  },
+  "/admin/stores/{store}/roles": {
+    post: operation({
+      tag: "Admin",
+      summary: "Grant a store's issuer, revoker and/or signer role through the factory (admin:registry:write)",
+      parameters: [pathParam("store", "DocumentStore address"), idempotencyKey],
+      requestBody: body({
+        ...object({
+          issuer: ref("Address"),
+          revoker: ref("Address"),
+          signer: ref("Address"),
+          network: string("Network name, the default network when omitted"),
+        }),
+        minProperties: 1,
+      }),
+      responses: { 202: json("Role grant queued", ref("QueuedJob")) },
+    }),
+  },
+  "/admin/audit": {
+    get: operation({
+      tag: "Admin",
+      summary: "Query the audit log, newest first (admin:audit:read)",
+      parameters: [
+        ...["actorId", "actorEmail", "organisationId", "action", "targetId"].map((name) => queryParam(name, string())),
+        queryParam("result", { enum: ["success", "failure"] }),
+        queryParam("from", string("ISO date")),
+        queryParam("to", string("ISO date")),
+        ...pageParameters,
+      ],
+      responses: {
+        200: json(
+          "Audit log entries",
+          message({ entries: arrayOf(ref("AuditLogEntry")), pagination: ref("PagePagination") }, [
+            "entries",
+            "pagination",
+          ])
+        ),
+      },
+    }),
+  },
+  "/admin/audit/verify": {
+    get: operation({
+      tag: "Admin",
+      summary: "Recompute the audit log hash chain (admin:audit:read)",
+      responses: {
+        200: json(
+          "Chain verification",
+          message(
+            {
+              valid: { type: "boolean" },
+              checked: { type: "integer" },
+              brokenAt: nullable({ type: "integer" }),
+              reason: nullable(string()),
+              headHash: string(),
+            },
+            ["valid", "checked"]
+          )
+        ),
+      },
+    }),
+  },
+};
+
+const spec = {
+  openapi: "3.1.0",
+  info: {
+    title: "TradeChain Document API",
+    version: "1.0.0",
+    description:
+      "Issue, sign, revoke and verify trade documents anchored in per-organisation DocumentStore contracts. Every error response has the Error shape.",
+  },
+  servers: [{ url: "/" }],
+  tags: ["System", "Users", "Documents", "Organisations", "Webhooks", "Admin"].map((name) => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+    },
+    responses: {
+      Error: json("Error", ref("Error")),
+    },
+    schemas,
+  },
+};
+
+module.exports = spec;
@@ -0,0 +1,75 @@
+const Ajv = require("ajv");
+
+const commonSchema = require("./common.schema.json");
+
+// One JSON Schema per document type, validated against the full /document/issue body
+const DOCUMENT_SCHEMAS = {
+  "SALES-QUOTE": require("./sales-quote.schema.json"),
+  INVOICE: require("./invoice.schema.json"),
+  "PAYMENT-ORDER": require("./payment-order.schema.json"),
+  "DELIVERY-ORDER": require("./delivery-order.schema.json"),
+};
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addSchema(commonSchema);
+
+const validators = Object.fromEntries(
+  Object.entries(DOCUMENT_SCHEMAS).map(([type, schema]) => [type, ajv.compile(schema)])
+);
+
+/**
+ * Turn Ajv errors into field-level errors with a JSON pointer path
+ * @param {Array} errors - Ajv error objects
+ * @returns {Array<{ path: string, message: string }>} Field errors
+ */
+function toFieldErrors(errors) {
+  return (errors || []).map((err) => ({
+    path:
+      err.keyword === "required"
+        ? `${err.instancePath}/${err.params.missingProperty}`
+        : err.instancePath || "/",
+    message: err.message,
+  }));
+}
+
+/**
+ * Validate a document body against the schema of its document type
+ * @param {string} documentType - e.g. "INVOICE"
+ * @param {Object} body - Document as posted to /document/issue
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }} Validation result
+ */
+function validateDocument(documentType, body) {
+  const validate = validators[documentType];
+  if (!validate) {
+    return {
+      valid: false,
+      errors: [
+        {
+          path: "/docDetails/documentType",
+          message: `must be one of: ${Object.keys(validators).join(", ")}`,
+        },
+      ],
+    };
+  }
+
+  const valid = validate(body);
+  return { valid, errors: valid ? [] : toFieldErrors(validate.errors) };
+}
+
+/**
+ * Get the schema of a document type, or every schema when no type is given
+ * @param {string} [documentType] - e.g. "INVOICE"
+ * @returns {Object|null} Schema(s), or null for an unknown type
+ */
+function getDocumentSchema(documentType) {
+  if (!documentType) {
+    return { common: commonSchema, ...DOCUMENT_SCHEMAS };
+  }
+  return DOCUMENT_SCHEMAS[documentType] ?? null;
+}
+
+module.exports = {
+  DOCUMENT_TYPES: Object.keys(DOCUMENT_SCHEMAS),
+  validateDocument,
+  getDocumentSchema,
+};
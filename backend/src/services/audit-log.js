@@ -0,0 +1,143 @@
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+
+// Action names of the mutating routes, by "METHOD /route/path".
+// Routes mapped to null change nothing and are not audited.
+const ROUTE_ACTIONS = {
+  "POST /user/new": { action: "user.register", targetType: "user" },
+  "POST /user/login": { action: "user.login", targetType: "user" },
+  "POST /auth/refresh": { action: "session.refresh", targetType: "session" },
+  "POST /user/logout": { action: "user.logout", targetType: "user" },
+  "PUT /user/password": { action: "user.password.change", targetType: "user" },
+  "PUT /user/notifications": { action: "user.notifications.update", targetType: "user" },
+  "PUT /user/wallet": { action: "user.wallet.link", targetType: "user" },
+  "DELETE /user/wallet": { action: "user.wallet.unlink", targetType: "user" },
+  "POST /document/issue": { action: "document.issue", targetType: "document" },
+  "POST /document/amend": { action: "document.amend", targetType: "document" },
+  "POST /document/issue/relay": { action: "document.issue.relay", targetType: "document" },
+  "POST /document/issue/batch": { action: "document.issue.batch", targetType: "batch" },
+  "POST /document/sign": { action: "document.sign", targetType: "document" },
+  "POST /document/sign/relay": { action: "document.sign.relay", targetType: "document" },
+  "POST /document/revoke": { action: "document.revoke", targetType: "document" },
+  "PUT /admin/users/:userId/approve": { action: "user.approve", targetType: "user" },
+  "PUT /admin/users/:userId/reject": { action: "user.reject", targetType: "user" },
+  "PUT /organisation/members/:userId/approve": { action: "organisation.member.approve", targetType: "user" },
+  "PUT /organisation/members/:userId/roles": { action: "organisation.member.roles", targetType: "user" },
+  "DELETE /organisation/members/:userId": { action: "organisation.member.remove", targetType: "user" },
+  "POST /organisation/webhooks": { action: "webhook.create", targetType: "webhook" },
+  "DELETE /organisation/webhooks/:webhookId": { action: "webhook.delete", targetType: "webhook" },
+  "POST /organisation/webhooks/:webhookId/deliveries/:deliveryId/replay": {
+    action: "webhook.delivery.replay",
+    targetType: "webhookDelivery",
+  },
+  "PUT /admin/permissions/:role": { action: "permissions.update", targetType: "role" },
+  "PUT /admin/registry/issuers": { action: "registry.issuer.set", targetType: "registry" },
+  "PUT /admin/registry/signers": { action: "registry.signer.set", targetType: "registry" },
+  "PUT /admin/registry/signer-counts": { action: "registry.signerCount.set", targetType: "registry" },
+  "PUT /admin/registry/interop": { action: "registry.interop.set", targetType: "registry" },
+  "POST /admin/stores/:store/roles": { action: "store.roles.grant", targetType: "store" },
+  "POST /document/verify": null,
+  "POST /document/redact": null,
+};
+
+const MUTATING_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// Appends are chained in-process so entries written by this server never race each other
+let appendQueue = Promise.resolve();
+
+/**
+ * Writes an entry to the audit log. Never throws: a failed write is logged so the
+ * action being audited is not affected.
+ * @param {Object} entry - AuditLog fields (actor*, organisationId, action, target*, ip, result, ...)
+ * @returns {Promise<Object|null>} The stored entry, or null when it could not be written
+ */
+function recordAudit(entry) {
+  const write = appendQueue.then(() => AuditLog.append(entry));
+  appendQueue = write.catch(() => {});
+  return write.catch((err) => {
+    console.error(`❌ Failed to write audit entry ${entry.action}:`, err.message);
+    return null;
+  });
+}
+
+/**
+ * Express middleware auditing every mutating request once its response is sent.
+ * Routes may add to the entry through res.locals.audit (targetId, transactionHash,
+ * details, or the actor of an unauthenticated request such as a login).
+ * Request bodies are never stored, since they may contain passwords or signatures.
+ */
+function auditRequests(req, res, next) {
+  if (!MUTATING_METHODS.has(req.method)) return next();
+
+  res.on("finish", () => {
+    // Unknown routes (404 before routing) have no req.route
+    if (!req.route) return;
+    const key = `${req.method} ${req.route.path}`;
+    const route = key in ROUTE_ACTIONS ? ROUTE_ACTIONS[key] : { action: key };
+    if (!route) return;
+
+    const extra = res.locals.audit || {};
+    const actor = extra.actor || {};
+    const actorId = actor.userId ?? req.user?.userId;
+    recordAudit({
+      actorId,
+      actorEmail: actor.email ?? req.user?.email ?? req.body?.email,
+      actorType: actor.userType ?? req.user?.userType,
+      organisationId: actor.organisationId ?? req.user?.organisationId,
+      action: route.action,
+      targetType: extra.targetType ?? route.targetType,
+      targetId:
+        extra.targetId ??
+        req.params?.userId ??
+        req.body?.documentId ??
+        (route.targetType === "user" ? actorId : undefined),
+      ip: req.ip,
+      result: res.statusCode < 400 ? "success" : "failure",
+      statusCode: res.statusCode,
+      transactionHash: extra.transactionHash,
+      details: extra.details,
+    });
+  });
+
+  next();
+}
+
+/**
+ * Audits a finished job, with the transaction hash of its last on-chain step.
+ * Used as the job queue's onSettled hook.
+ * @param {Object} job - Succeeded or finally failed Job
+ */
+async function auditJob(job) {
+  const transactionHash = [...job.steps].reverse().find((step) => step.transactionHash)?.transactionHash;
+  const user = await User.findById(job.userId).select("email userType organisationId").lean();
+  const target =
+    job.type === "issueBatch"
+      ? { targetType: "batch", targetId: job.payload?.batchRoot }
+      : job.type === "setStoreRoles"
+        ? { targetType: "user", targetId: job.payload?.memberId }
+        : job.type === "updateRegistry"
+          ? { targetType: "registry", targetId: job.payload?.setting }
+          : job.type === "grantStoreRoles"
+            ? { targetType: "store", targetId: job.payload?.store }
+            : { targetType: "document", targetId: job.documentId };
+  await recordAudit({
+    actorId: job.userId,
+    actorEmail: user?.email,
+    actorType: user?.userType,
+    organisationId: user?.organisationId,
+    action: `job.${job.type}`,
+    ...target,
+    result: job.status === "succeeded" ? "success" : "failure",
+    transactionHash,
+    details: {
+      jobId: String(job._id),
+      ...(job.chainId !== undefined && { chainId: job.chainId }),
+      attempts: job.attempts,
+      // Registry and store role changes carry no document; record what was changed
+      ...(["updateRegistry", "grantStoreRoles"].includes(job.type) && { change: job.payload }),
+      ...(job.error && { error: job.error }),
+    },
+  });
+}
+
+module.exports = { recordAudit, auditRequests, auditJob, ROUTE_ACTIONS };
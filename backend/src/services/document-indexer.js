@@ -0,0 +1,290 @@
+const { ethers } = require("ethers");
+const Documents = require("../models/Documents");
+const IndexerState = require("../models/IndexerState");
+
+const INDEXER_NAME = "document-indexer";
+const REVOKE_REASONS = ["USER_REQUEST", "FRAUD", "REISSUED", "OTHER"];
+const STORE_EVENTS = [
+  "DocumentIssued",
+  "DocumentSigned",
+  "DocumentFullyExecuted",
+  "DocumentRevoked",
+  "DocumentReissued",
+  "BatchIssued",
+];
+// Fields of a document that lifecycle events are built from
+const EVENT_DOCUMENT_FIELDS =
+  "documentId documentType quoteNumber documentHash issuerDocStore issuedBy signerDocStore signers signatures requiredSignerCount";
+
+/**
+ * Creates a background indexer that mirrors DocumentStore state into MongoDB.
+ * Stores are discovered through DocumentStoreFactory.allStores and StoreCreated,
+ * and the DocumentIssued/Signed/FullyExecuted/Revoked/Reissued and BatchIssued events are followed from a
+ * block cursor persisted in IndexerState, so the indexer resumes cleanly after a restart.
+ * Every update is idempotent, which makes replaying a partially processed range safe.
+ * Issued, signed and revoked documents are reported to onEvent once their event is indexed,
+ * with an id derived from the log, so a replayed event can be recognised.
+ * An indexer follows one network and only updates the documents anchored on it; each
+ * network has its own cursor.
+ *
+ * @param {Object} options
+ * @param {number} options.chainId - Chain of the provider, as stored on its documents
+ * @param {boolean} [options.adoptLegacyCursor=false] - Resume from the cursor saved before indexers were per network
+ * @param {ethers.Provider} options.provider - Provider used to read logs and blocks
+ * @param {ethers.Contract} options.factory - DocumentStoreFactory (read-only)
+ * @param {string|Array} options.storeAbi - DocumentStore ABI
+ * @param {number} [options.startBlock=0] - First block to index on a fresh database
+ * @param {number} [options.batchSize=2000] - Maximum blocks per getLogs request
+ * @param {number} [options.confirmations=0] - Blocks to stay behind the chain head
+ * @param {number} [options.pollIntervalMs=5000] - Delay between sync cycles
+ * @param {Function} [options.onEvent] - async ({ id, type, document, data }) for each confirmed lifecycle event
+ * @returns {{ start: Function, stop: Function, syncOnce: Function }}
+ */
+function createDocumentIndexer({
+  chainId,
+  adoptLegacyCursor = false,
+  provider,
+  factory,
+  storeAbi,
+  startBlock = 0,
+  batchSize = 2000,
+  confirmations = 0,
+  pollIntervalMs = 5000,
+  onEvent,
+}) {
+  const storeInterface = new ethers.Interface(storeAbi);
+  // Older ABIs may lack some events; only follow the ones the ABI declares
+  const storeTopics = STORE_EVENTS.map((name) => storeInterface.getEvent(name))
+    .filter(Boolean)
+    .map((event) => event.topicHash);
+  const storeCreatedTopic = factory.interface.getEvent("StoreCreated").topicHash;
+  const factoryAddress = factory.target;
+  const stateName = `${INDEXER_NAME}:${chainId}`;
+
+  let timer = null;
+  let running = false;
+  let currentCycle = null;
+
+  /**
+   * Load the stores deployed since the known ones from the factory's allStores list.
+   * The list only grows, and known stores (saved or from StoreCreated) are a prefix of it.
+   */
+  async function discoverStores(known) {
+    const count = Number(await factory.storesLength());
+    const stores = [];
+    for (let i = known.length; i < count; i++) {
+      stores.push(ethers.getAddress(await factory.storeAt(i)));
+    }
+    return stores;
+  }
+
+  /** Documents issued before the indexer existed have no documentIdHash yet */
+  async function backfillDocumentIdHashes() {
+    const missing = await Documents.find({ chainId, documentIdHash: { $exists: false } }).select("documentId");
+    for (const doc of missing) {
+      await Documents.updateOne(
+        { _id: doc._id },
+        { $set: { documentIdHash: ethers.id(doc.documentId) } }
+      );
+    }
+    if (missing.length > 0) {
+      console.log(`🗂️  Indexer backfilled documentIdHash for ${missing.length} documents`);
+    }
+  }
+
+  /** Report a lifecycle event of the documents (known to the backend) matching filter */
+  async function emitDocumentEvent(type, log, filter, data = {}) {
+    if (!onEvent) return;
+    const documents = await Documents.find(filter).select(EVENT_DOCUMENT_FIELDS);
+    for (const document of documents) {
+      await onEvent({
+        id: `${log.transactionHash}:${log.index}:${document.documentId}`,
+        type,
+        document,
+        data: { transactionHash: log.transactionHash, blockNumber: log.blockNumber, ...data },
+      });
+    }
+  }
+
+  /** Apply one parsed DocumentStore event to the matching Documents record */
+  async function applyStoreEvent(log, parsed, timestamp) {
+    const documentIdHash = parsed.args.documentId;
+    const filter = { documentIdHash, issuerDocStore: log.address, chainId };
+    const at = new Date(timestamp * 1000);
+
+    switch (parsed.name) {
+      case "DocumentIssued":
+        // Never move a revoked document back to Issued when a range is replayed
+        await Documents.updateOne(
+          { ...filter, onChainState: { $ne: "Revoked" } },
+          { $set: { onChainState: "Issued", issuedAt: at, lastIndexedBlock: log.blockNumber } }
+        );
+        await emitDocumentEvent("document.issued", log, filter, {
+          issuer: parsed.args.issuer,
+          issuedAt: at,
+        });
+        break;
+      case "DocumentSigned": {
+        const signer = ethers.getAddress(parsed.args.signer);
+        await Documents.updateOne(
+          { ...filter, "signatures.signer": { $ne: signer } },
+          {
+            $push: {
+              signatures: { signer, signedAt: at, transactionHash: log.transactionHash },
+            },
+            $set: { lastIndexedBlock: log.blockNumber },
+          }
+        );
+        await emitDocumentEvent("document.signed", log, filter, {
+          signer,
+          signedAt: at,
+        });
+        break;
+      }
+      case "DocumentFullyExecuted":
+        await Documents.updateOne(
+          { ...filter, fullyExecutedAt: { $exists: false } },
+          { $set: { fullyExecutedAt: at, lastIndexedBlock: log.blockNumber } }
+        );
+        break;
+      case "DocumentRevoked":
+        await Documents.updateOne(filter, {
+          $set: {
+            onChainState: "Revoked",
+            revokedAt: at,
+            revokeReason: REVOKE_REASONS[Number(parsed.args.reason)] ?? "OTHER",
+            lastIndexedBlock: log.blockNumber,
+          },
+        });
+        await emitDocumentEvent("document.revoked", log, filter, {
+          revoker: parsed.args.revoker,
+          reason: REVOKE_REASONS[Number(parsed.args.reason)] ?? "OTHER",
+          revokedAt: at,
+        });
+        break;
+      case "DocumentReissued": {
+        // Link both versions; the DocumentRevoked/DocumentIssued events of the same
+        // transaction update their states
+        const previous = await Documents.findOne({
+          documentIdHash: parsed.args.previousDocumentId,
+          issuerDocStore: log.address,
+          chainId,
+        }).select("documentId");
+        const next = await Documents.findOne(filter).select("documentId");
+        if (previous && next) {
+          await Documents.updateOne(
+            { _id: previous._id },
+            { $set: { supersededByDocumentId: next.documentId, lastIndexedBlock: log.blockNumber } }
+          );
+          await Documents.updateOne(
+            { _id: next._id },
+            { $set: { previousDocumentId: previous.documentId } }
+          );
+        }
+        break;
+      }
+      case "BatchIssued": {
+        // Every document of the batch is issued by the one transaction
+        const batchFilter = { batchRoot: parsed.args.batchRoot, issuerDocStore: log.address, chainId };
+        await Documents.updateMany(
+          { ...batchFilter, onChainState: "None" },
+          { $set: { onChainState: "Issued", issuedAt: at, lastIndexedBlock: log.blockNumber } }
+        );
+        await emitDocumentEvent("document.issued", log, batchFilter, {
+          issuer: parsed.args.issuer,
+          issuedAt: at,
+          batchRoot: parsed.args.batchRoot,
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /** Index one block range: new stores first, then their document events in order */
+  async function indexRange(fromBlock, toBlock, stores) {
+    const storeLogs = await provider.getLogs({
+      address: factoryAddress,
+      topics: [storeCreatedTopic],
+      fromBlock,
+      toBlock,
+    });
+    for (const log of storeLogs) {
+      const { store } = factory.interface.parseLog(log).args;
+      const address = ethers.getAddress(store);
+      if (!stores.includes(address)) stores.push(address);
+    }
+
+    if (stores.length === 0) return;
+
+    const logs = await provider.getLogs({
+      address: stores,
+      topics: [storeTopics],
+      fromBlock,
+      toBlock,
+    });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const timestamps = new Map();
+    for (const log of logs) {
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, block.timestamp);
+      }
+      const parsed = storeInterface.parseLog(log);
+      if (parsed) await applyStoreEvent(log, parsed, timestamps.get(log.blockNumber));
+    }
+  }
+
+  /** Catch up from the saved cursor to the current (confirmed) chain head */
+  async function syncOnce() {
+    const state = await IndexerState.findOrCreate(stateName, startBlock);
+    const stores = [...new Set([...state.stores, ...(await discoverStores(state.stores))])];
+
+    const head = (await provider.getBlockNumber()) - confirmations;
+    let fromBlock = state.lastProcessedBlock + 1;
+
+    while (fromBlock <= head) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, head);
+      await indexRange(fromBlock, toBlock, stores);
+      await IndexerState.saveCursor(stateName, toBlock, stores);
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  async function cycle() {
+    try {
+      await syncOnce();
+    } catch (err) {
+      console.error(`❌ Document indexer sync failed on chain ${chainId}:`, err.message);
+    }
+    if (running) {
+      timer = setTimeout(() => {
+        currentCycle = cycle();
+      }, pollIntervalMs);
+    }
+  }
+
+  async function start() {
+    if (running) return;
+    running = true;
+    if (adoptLegacyCursor) {
+      await IndexerState.rename(INDEXER_NAME, stateName);
+    }
+    await backfillDocumentIdHashes();
+    console.log(`🗂️  Document indexer started on chain ${chainId}`);
+    currentCycle = cycle();
+  }
+
+  async function stop() {
+    running = false;
+    if (timer) clearTimeout(timer);
+    await currentCycle;
+    console.log(`🗂️  Document indexer stopped on chain ${chainId}`);
+  }
+
+  return { start, stop, syncOnce };
+}
+
+module.exports = { createDocumentIndexer, REVOKE_REASONS };
@@ -0,0 +1,497 @@
+const { ethers } = require("ethers");
+const Documents = require("../models/Documents");
+const User = require("../models/User");
+const { STORE_ROLES } = User;
+const { REVOKE_REASONS } = require("./document-indexer");
+
+// Documents.transactionHash event name for each kind of job step
+const STEP_EVENTS = {
+  issue: "DocumentIssued",
+  // Signer role grants of issue jobs queued before they went through the factory
+  grantRole: "GrantRole",
+  setSignerForDocument: "SetSignerForDocument",
+  sign: "DocumentSigned",
+  revoke: "DocumentRevoked",
+  setStoreRole: "StoreRoleUpdated",
+  setIssuer: "IssuerWhiteListed",
+  setSigner: "SignerWhiteListed",
+  setRequiredSignerCount: "RequiredSignerCountSet",
+  setInterop: "InteropAllowed",
+  grantStandardRoles: "StoreRoleUpdated",
+  reissue: "DocumentReissued",
+  issueBatch: "BatchIssued",
+};
+
+const REVOKED_STATE = 3;
+
+// Only contract calls are recorded on the document; gas top-ups have no event
+const stepTransactions = (job) =>
+  job.steps
+    .filter((step) => step.transactionHash && step.status === "completed" && STEP_EVENTS[step.name.split(":")[0]])
+    .map((step) => ({
+      transactionHash: step.transactionHash,
+      event: STEP_EVENTS[step.name.split(":")[0]],
+    }));
+
+// Sends DocumentStore.reissue, or reissueWithSig when the issuer signed it in their wallet
+function reissue(documentStoreWrite, document, documentIdHash, { previousDocumentId, signature, deadline, issuer }) {
+  const previousIdHash = ethers.id(previousDocumentId);
+  return signature
+    ? documentStoreWrite.reissueWithSig(
+        previousIdHash,
+        documentIdHash,
+        document.documentHash,
+        issuer,
+        deadline,
+        signature
+      )
+    : documentStoreWrite.reissue(previousIdHash, documentIdHash, document.documentHash);
+}
+
+// Batched documents have no on-chain record of their own until they are revoked
+async function isBatchMemberRevoked(documentStoreWrite, documentIdHash) {
+  const meta = await documentStoreWrite.meta(documentIdHash);
+  return Number(meta.state) === REVOKED_STATE;
+}
+
+/**
+ * Creates the job handlers that run the blockchain side of issuing, signing and
+ * revoking documents. The Documents record is written by the API before the job is
+ * queued; the handlers only send transactions and record their outcome.
+ * When the job payload carries an EIP-712 signature from the user's own wallet, the
+ * user's custodial wallet only relays it through issueWithSig/signWithSig/reissueWithSig.
+ * An issue job with a previousDocumentId amends that document: it is revoked as
+ * REISSUED and the new version is issued in the same transaction.
+ * An issueBatch job anchors the batch root of documents saved with that batchRoot.
+ * A setStoreRoles job brings an organisation member's store roles in line with their record.
+ * An updateRegistry job changes one DocumentRegistry setting (issuer or signer whitelist,
+ * required signer count or interop), and a grantStoreRoles job grants the standard store
+ * roles through the factory; both are sent from the platform wallet by a platform admin.
+ * Every job runs on the network of its chainId, with that network's contracts and wallets.
+ * Before a custodial wallet sends, a fundWallet step tops it up to walletFunding from the
+ * platform wallet when it holds less than half of that, so wallets only get gas once they use it.
+ *
+ * @param {Object} options
+ * @param {Function} options.networkOf - (job) => network the job runs on, see createNetworks
+ * @param {Function} options.getUserSigner - async (user, network) => signer of the user's custodial wallet
+ * @param {Function} options.resetNonceManager - async (signer) => void
+ * @param {bigint} [options.walletFunding=0n] - Wei a custodial wallet is topped up to; 0n disables it
+ * @returns {{ handlers: Object, onFailure: Object }} Handlers and final-failure hooks by job type
+ */
+function createDocumentJobHandlers({
+  networkOf,
+  getUserSigner,
+  resetNonceManager,
+  walletFunding = 0n,
+}) {
+  async function fundWallet(ctx, network, signer) {
+    if (walletFunding === 0n) return;
+    const walletAddress = await signer.getAddress();
+    const balance = () => network.provider.getBalance(walletAddress);
+
+    await resetNonceManager(network.platformSigner);
+    await ctx.step("fundWallet", {
+      check: async () => (await balance()) >= walletFunding / 2n,
+      send: async () =>
+        network.platformSigner.sendTransaction({ to: walletAddress, value: walletFunding - (await balance()) }),
+    });
+  }
+
+  // Without a ctx (failure handlers) the context is only read, so the wallet is not funded
+  async function loadContext(job, ctx) {
+    const network = networkOf(job);
+    const document = await Documents.findOneByDocumentId(job.documentId);
+    if (!document) {
+      throw new Error(`Document ${job.documentId} not found`);
+    }
+    const user = await User.findById(job.userId);
+    if (!user) {
+      throw new Error(`User ${job.userId} not found`);
+    }
+
+    const signer = await getUserSigner(user, network);
+    if (ctx) await fundWallet(ctx, network, signer);
+    await resetNonceManager(signer);
+    const documentStoreWrite = network.connectStore(document.issuerDocStore, signer);
+
+    return {
+      network,
+      document,
+      signer,
+      documentStoreWrite,
+      documentIdHash: document.documentIdHash || ethers.id(document.documentId),
+    };
+  }
+
+  const handlers = {
+    async issue(job, ctx) {
+      const { network, document, documentStoreWrite, documentIdHash } = await loadContext(job, ctx);
+      const { registryWrite, factoryWrite } = network;
+
+      const { signature, deadline, issuer, previousDocumentId } = job.payload;
+      const issueStepName = previousDocumentId ? "reissue" : "issue";
+      await ctx.step(issueStepName, {
+        check: () => documentStoreWrite.isIssued(documentIdHash),
+        send: () =>
+          previousDocumentId
+            ? reissue(documentStoreWrite, document, documentIdHash, job.payload)
+            : signature
+            ? documentStoreWrite.issueWithSig(
+                documentIdHash,
+                document.documentHash,
+                ethers.id(document.documentType),
+                issuer,
+                deadline,
+                signature
+              )
+            : documentStoreWrite.issue(
+                documentIdHash,
+                document.documentHash,
+                ethers.id(document.documentType)
+              ),
+      });
+
+      // --- Whitelist every signer for this document ---
+      // Only the founder and the factory administer the store, so the platform wallet
+      // grants the signer role through the factory, whoever issued the document
+      if (document.signers.length > 0) {
+        await resetNonceManager(factoryWrite.runner);
+        const SIGNER_ROLE = await documentStoreWrite.SIGNER_ROLE();
+        for (const { walletAddress } of document.signers) {
+          await ctx.step(`setStoreRole:${walletAddress}:SIGNER_ROLE`, {
+            check: () => documentStoreWrite.hasRole(SIGNER_ROLE, walletAddress),
+            send: () => factoryWrite.setStoreRole(document.issuerDocStore, SIGNER_ROLE, walletAddress, true),
+          });
+          await ctx.step(`setSignerForDocument:${walletAddress}`, {
+            check: () => registryWrite.allowedSignerForDocument(documentIdHash, walletAddress),
+            send: () => registryWrite.setSignerForDocument(documentIdHash, walletAddress, true),
+          });
+        }
+      }
+
+      const issued = await documentStoreWrite.isIssued(documentIdHash);
+      // The indexer records the same from the DocumentRevoked/DocumentReissued events
+      if (issued && previousDocumentId) {
+        const previous = await Documents.findOneByDocumentId(previousDocumentId);
+        await Documents.updateOne(
+          { documentId: previousDocumentId },
+          {
+            $set: {
+              onChainState: "Revoked",
+              revokedAt: previous?.revokedAt || new Date(),
+              revokeReason: "REISSUED",
+              supersededByDocumentId: document.documentId,
+            },
+          }
+        );
+      }
+
+      await Documents.updateOne(
+        { _id: document._id },
+        {
+          $set: {
+            transactionHash: stepTransactions(job),
+            // The indexer refines these from the DocumentIssued event
+            ...(issued && document.onChainState === "None"
+              ? { onChainState: "Issued", issuedAt: new Date() }
+              : {}),
+          },
+          $unset: { pendingJobId: "", awaitingSignatureUntil: "" },
+        }
+      );
+
+      return {
+        documentId: document.documentId,
+        issued,
+        transactionHash: job.steps.find((s) => s.name === issueStepName)?.transactionHash ?? null,
+        documentHash: document.documentHash,
+        version: document.version,
+        previousDocumentId: previousDocumentId ?? null,
+      };
+    },
+
+    async sign(job, ctx) {
+      const { document, signer, documentStoreWrite, documentIdHash } = await loadContext(job, ctx);
+      const { signature, deadline } = job.payload;
+      const signerAddress = job.payload.signer || (await signer.getAddress());
+
+      const step = await ctx.step("sign", {
+        check: async () => (await documentStoreWrite.signedAt(documentIdHash, signerAddress)) > 0n,
+        send: () =>
+          signature
+            ? documentStoreWrite.signWithSig(documentIdHash, signerAddress, deadline, signature)
+            : documentStoreWrite.sign(documentIdHash),
+      });
+
+      const signedAt = await documentStoreWrite.signedAt(documentIdHash, signerAddress);
+
+      // Record the signature right away; the indexer keeps it in sync with the chain
+      await Documents.updateOne(
+        { _id: document._id },
+        { $addToSet: { transactionHash: { $each: stepTransactions(job) } } }
+      );
+      await Documents.updateOne(
+        { _id: document._id, "signatures.signer": { $ne: signerAddress } },
+        {
+          $push: {
+            signatures: {
+              signer: signerAddress,
+              signedAt: new Date(Number(signedAt) * 1000),
+              transactionHash: step.transactionHash,
+            },
+          },
+        }
+      );
+
+      // The contract marks the document fully executed once enough signers have signed
+      const fullyExecuted = await documentStoreWrite.isFullyExecuted(documentIdHash);
+      if (fullyExecuted) {
+        await Documents.updateOne(
+          { _id: document._id, fullyExecutedAt: { $exists: false } },
+          { $set: { fullyExecutedAt: new Date() } }
+        );
+      }
+
+      return {
+        documentId: document.documentId,
+        signedAt: signedAt.toString(),
+        fullyExecuted,
+        transactionHash: step.transactionHash ?? null,
+      };
+    },
+
+    async revoke(job, ctx) {
+      const { document, documentStoreWrite, documentIdHash } = await loadContext(job, ctx);
+      const reason = REVOKE_REASONS.indexOf(job.payload.reason);
+      const isRevoked = document.batchRoot
+        ? () => isBatchMemberRevoked(documentStoreWrite, documentIdHash)
+        : async () => !(await documentStoreWrite.isIssued(documentIdHash));
+
+      const step = await ctx.step("revoke", {
+        check: isRevoked,
+        send: () =>
+          document.batchRoot
+            ? documentStoreWrite.revokeBatchMember(
+                document.batchRoot,
+                documentIdHash,
+                document.documentHash,
+                document.batchProof.map((hash) => `0x${hash}`),
+                reason
+              )
+            : documentStoreWrite.revoke(documentIdHash, reason),
+      });
+
+      // --- Verify revocation ---
+      if (!(await isRevoked())) {
+        throw new Error("Document is still in Issued state after revocation attempt");
+      }
+
+      const revokedAt = document.revokedAt || new Date();
+      await Documents.updateOne(
+        { _id: document._id },
+        {
+          $addToSet: { transactionHash: { $each: stepTransactions(job) } },
+          $set: {
+            onChainState: "Revoked",
+            revokedAt,
+            revokeReason: job.payload.reason,
+          },
+        }
+      );
+
+      return {
+        documentId: document.documentId,
+        reason: job.payload.reason,
+        revokedAt: Math.floor(revokedAt.getTime() / 1000).toString(),
+        transactionHash: step.transactionHash ?? null,
+      };
+    },
+
+    async issueBatch(job, ctx) {
+      const user = await User.findById(job.userId);
+      if (!user) {
+        throw new Error(`User ${job.userId} not found`);
+      }
+      const network = networkOf(job);
+      const signer = await getUserSigner(user, network);
+      await fundWallet(ctx, network, signer);
+      await resetNonceManager(signer);
+      const documentStoreWrite = network.connectStore(user.documentStoreAddress, signer);
+
+      const { batchRoot, documentType, size } = job.payload;
+      const step = await ctx.step("issueBatch", {
+        check: async () => (await documentStoreWrite.batches(batchRoot)).issuedAt > 0n,
+        send: () => documentStoreWrite.issueBatch(batchRoot, ethers.id(documentType), size),
+      });
+
+      const { issuedAt } = await documentStoreWrite.batches(batchRoot);
+      const filter = { batchRoot, issuerDocStore: user.documentStoreAddress };
+      await Documents.updateMany(filter, {
+        $set: { transactionHash: stepTransactions(job) },
+        $unset: { pendingJobId: "" },
+      });
+      // The indexer refines this from the BatchIssued event
+      await Documents.updateMany(
+        { ...filter, onChainState: "None" },
+        { $set: { onChainState: "Issued", issuedAt: new Date(Number(issuedAt) * 1000) } }
+      );
+
+      return {
+        batchRoot,
+        size,
+        issued: issuedAt > 0n,
+        transactionHash: step.transactionHash ?? null,
+      };
+    },
+
+    // Gives a member's wallets exactly the listed roles in their organisation's store.
+    // The factory administers every store, so the platform wallet sends setStoreRole.
+    async setStoreRoles(job, ctx) {
+      const { store, accounts, roles } = job.payload;
+      const { factoryWrite, connectStore } = networkOf(job);
+      await resetNonceManager(factoryWrite.runner);
+      const documentStoreRead = connectStore(store, factoryWrite.runner);
+
+      for (const account of accounts) {
+        for (const roleName of STORE_ROLES) {
+          const role = await documentStoreRead[roleName]();
+          const grant = roles.includes(roleName);
+          await ctx.step(`setStoreRole:${account}:${roleName}`, {
+            check: async () => (await documentStoreRead.hasRole(role, account)) === grant,
+            send: () => factoryWrite.setStoreRole(store, role, account, grant),
+          });
+        }
+      }
+
+      return { store, accounts, roles };
+    },
+
+    async updateRegistry(job, ctx) {
+      const { setting, documentType, account, active, count, fromContract, toContract, allowed } = job.payload;
+      const { registryWrite } = networkOf(job);
+      await resetNonceManager(registryWrite.runner);
+      const documentTypeHash = documentType && ethers.id(documentType);
+
+      switch (setting) {
+        case "issuer":
+          await ctx.step("setIssuer", {
+            check: async () => (await registryWrite.allowedIssuer(documentTypeHash, account)) === active,
+            send: () => registryWrite.setIssuer(documentTypeHash, account, active),
+          });
+          break;
+        case "signer":
+          await ctx.step("setSigner", {
+            check: async () => (await registryWrite.allowedSigner(documentTypeHash, account)) === active,
+            send: () => registryWrite.setSigner(documentTypeHash, account, active),
+          });
+          break;
+        case "requiredSignerCount":
+          await ctx.step("setRequiredSignerCount", {
+            check: async () => Number(await registryWrite.requiredSignerCount(documentTypeHash)) === count,
+            send: () => registryWrite.setRequiredSignerCount(documentTypeHash, count),
+          });
+          break;
+        case "interop":
+          // Sent to the registry directly: DocumentStoreFactory.setInterop forwards there, but
+          // only works once the factory itself holds REGISTRY_ADMIN_ROLE
+          await ctx.step("setInterop", {
+            check: async () => (await registryWrite.allowCall(fromContract, toContract)) === allowed,
+            send: () => registryWrite.setInterop(fromContract, toContract, allowed),
+          });
+          break;
+        default:
+          throw new Error(`Unknown registry setting ${setting}`);
+      }
+
+      return job.payload;
+    },
+
+    async grantStoreRoles(job, ctx) {
+      const { store, issuer, revoker, signer } = job.payload;
+      const { factoryWrite, connectStore } = networkOf(job);
+      await resetNonceManager(factoryWrite.runner);
+      const documentStoreRead = connectStore(store, factoryWrite.runner);
+
+      const grants = [
+        ["ISSUER_ROLE", issuer],
+        ["REVOKER_ROLE", revoker],
+        ["SIGNER_ROLE", signer],
+      ];
+      await ctx.step("grantStandardRoles", {
+        check: async () => {
+          for (const [roleName, account] of grants) {
+            if (account && !(await documentStoreRead.hasRole(await documentStoreRead[roleName](), account))) {
+              return false;
+            }
+          }
+          return true;
+        },
+        send: () =>
+          factoryWrite.grantStandardRoles(store, issuer || ethers.ZeroAddress, revoker || ethers.ZeroAddress, signer || ethers.ZeroAddress),
+      });
+
+      return job.payload;
+    },
+  };
+
+  const onFailure = {
+    // Drop the draft record when nothing reached the chain, so the document can be issued again
+    async issue(job) {
+      const document = await Documents.findOneByDocumentId(job.documentId);
+      if (!document) return;
+
+      const issueStep = job.steps.find((s) => s.name === "issue" || s.name === "reissue");
+      if (issueStep?.status !== "completed" && issueStep?.status !== "skipped") {
+        const { documentStoreWrite, documentIdHash } = await loadContext(job);
+        if (!(await documentStoreWrite.isIssued(documentIdHash))) {
+          await Documents.deleteOne({ _id: document._id });
+          if (document.parentDocumentId) {
+            await Documents.updateOne(
+              { documentId: document.parentDocumentId },
+              { $pull: { childDocumentIds: document.documentId } }
+            );
+          }
+          console.warn(`⚠️  Removed draft of ${document.documentId}; it was never issued`);
+          return;
+        }
+      }
+
+      await Documents.updateOne(
+        { _id: document._id },
+        { $set: { transactionHash: stepTransactions(job) }, $unset: { pendingJobId: "" } }
+      );
+    },
+
+    // Drop the drafts when the batch root never reached the chain
+    async issueBatch(job) {
+      const user = await User.findById(job.userId);
+      if (!user) return;
+
+      const { batchRoot } = job.payload;
+      const network = networkOf(job);
+      const documentStoreRead = network.connectStore(user.documentStoreAddress, await getUserSigner(user, network));
+      const filter = { batchRoot, issuerDocStore: user.documentStoreAddress };
+      if ((await documentStoreRead.batches(batchRoot)).issuedAt > 0n) {
+        await Documents.updateMany(filter, {
+          $set: { transactionHash: stepTransactions(job) },
+          $unset: { pendingJobId: "" },
+        });
+        return;
+      }
+
+      const drafts = await Documents.find(filter).select("documentId parentDocumentId");
+      await Documents.deleteMany(filter);
+      for (const draft of drafts.filter((d) => d.parentDocumentId)) {
+        await Documents.updateOne(
+          { documentId: draft.parentDocumentId },
+          { $pull: { childDocumentIds: draft.documentId } }
+        );
+      }
+      console.warn(`⚠️  Removed ${drafts.length} drafts of batch ${batchRoot}; it was never issued`);
+    },
+  };
+
+  return { handlers, onFailure };
+}
+
+module.exports = { createDocumentJobHandlers };
@@ -0,0 +1,255 @@
+const crypto = require("crypto");
+const Job = require("../models/Job");
+
+/**
+ * Hash of a request body, used to detect an Idempotency-Key reused for a different request
+ * @param {Object} body - Request body
+ * @returns {string} sha256 hex digest
+ */
+function hashRequest(body) {
+  return crypto.createHash("sha256").update(JSON.stringify(body ?? {})).digest("hex");
+}
+
+/**
+ * Creates a persistent job queue backed by the Job collection.
+ * Jobs are processed one at a time, so transactions from the same wallet never race
+ * for a nonce. A queue only claims the job types it has handlers for, so several
+ * queues can share the collection. A failed job is retried with exponential backoff up to maxAttempts,
+ * and a job left running by a crashed process is resumed once its lock expires.
+ *
+ * Handlers receive the job and a context whose step(name, { check, send }) runs one
+ * blockchain step exactly once: completed steps are skipped, check() lets a step be
+ * skipped when the chain already has the desired state, and the hash of a sent
+ * transaction is saved before waiting so a resumed job waits for it instead of resending.
+ * A transaction is waited for at most txTimeoutMs, with the job's lock kept fresh meanwhile;
+ * a job whose transaction is still pending then is retried, and waits for the same hash again.
+ *
+ * @param {Object} options
+ * @param {ethers.Provider|Function} options.provider - Provider used to wait for pending transactions,
+ *   or (job) => provider of the job's network when jobs run on several networks
+ * @param {Object<string, Function>} options.handlers - async (job, ctx) => result, by job type
+ * @param {Object<string, Function>} [options.onFailure] - async (job, err) called when a job finally fails
+ * @param {Function} [options.onSettled] - async (job) called once a job has succeeded or finally failed
+ * @param {number} [options.pollIntervalMs=1000] - Delay between polls when the queue is empty
+ * @param {number} [options.lockTimeoutMs=300000] - Age after which a running job is considered abandoned
+ * @param {number} [options.txTimeoutMs=120000] - Longest wait for a transaction to be mined
+ * @param {number} [options.retryBaseMs=2000] - First retry delay, doubled on every attempt
+ * @param {number} [options.maxAttempts=5] - Attempts before a job is marked failed
+ * @returns {{ enqueue: Function, start: Function, stop: Function, runOnce: Function }}
+ */
+function createJobQueue({
+  provider,
+  handlers,
+  onFailure = {},
+  onSettled,
+  pollIntervalMs = 1000,
+  lockTimeoutMs = 5 * 60 * 1000,
+  txTimeoutMs = 2 * 60 * 1000,
+  retryBaseMs = 2000,
+  maxAttempts = 5,
+}) {
+  const workerId = `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+  const providerOf = typeof provider === "function" ? provider : () => provider;
+
+  let timer = null;
+  let running = false;
+  let currentCycle = null;
+
+  /**
+   * Adds a job to the queue. With an idempotency key the job already created for
+   * that key is returned instead of a new one.
+   * @param {Object} params
+   * @param {string} [params.jobId] - Id for the new job, when the caller needs it up front
+   * @param {string} params.type - Handler name
+   * @param {string} params.userId - User the job runs for
+   * @param {string} [params.documentId] - Document the job acts on
+   * @param {number} [params.chainId] - Chain the job's transactions are sent on
+   * @param {Object} [params.payload] - Handler input
+   * @param {string} [params.idempotencyKey] - Client Idempotency-Key header
+   * @param {string} [params.requestHash] - Hash of the request the key belongs to
+   * @param {Object} [params.response] - Accepted response to replay for the same key
+   * @returns {Promise<{ job: Object, created: boolean }>} The job and whether it is new
+   */
+  async function enqueue({
+    jobId,
+    type,
+    userId,
+    documentId,
+    chainId,
+    payload,
+    idempotencyKey,
+    requestHash,
+    response,
+  }) {
+    if (!handlers[type]) {
+      throw new Error(`Unknown job type ${type}`);
+    }
+
+    try {
+      const job = await Job.create({
+        _id: jobId,
+        type,
+        userId,
+        documentId,
+        chainId,
+        payload,
+        idempotencyKey,
+        requestHash,
+        response,
+        maxAttempts,
+      });
+      return { job, created: true };
+    } catch (err) {
+      // Two requests with the same key raced; the first one wins
+      if (err.code === 11000 && idempotencyKey) {
+        return { job: await Job.findOneByIdempotencyKey(userId, idempotencyKey), created: false };
+      }
+      throw err;
+    }
+  }
+
+  /** Run fn, refreshing the job's lock meanwhile so a long wait is not taken for a crash */
+  async function whileLocked(job, fn) {
+    const refresh = setInterval(() => {
+      Job.updateOne({ _id: job._id, lockedBy: workerId }, { $set: { lockedAt: new Date() } }).catch((err) =>
+        console.warn(`⚠️  Job ${job._id} could not refresh its lock:`, err.message)
+      );
+    }, Math.max(lockTimeoutMs / 3, 1000));
+    try {
+      return await fn();
+    } finally {
+      clearInterval(refresh);
+    }
+  }
+
+  function createContext(job) {
+    return {
+      async step(name, { check, send }) {
+        const step = job.getStep(name);
+        if (step.status !== "pending") return step;
+
+        // A transaction sent before a crash or a timed-out wait may still be mined; wait for it
+        // first, and retry later rather than resend while the node still has it pending
+        if (step.transactionHash) {
+          const provider = providerOf(job);
+          try {
+            await whileLocked(job, () => provider.waitForTransaction(step.transactionHash, 1, txTimeoutMs));
+          } catch (err) {
+            if (err.code === "TIMEOUT" && (await provider.getTransaction(step.transactionHash))) {
+              throw new Error(`Transaction ${step.transactionHash} of step ${name} is still pending`);
+            }
+            console.warn(`⚠️  Job ${job._id} could not wait for ${step.transactionHash}:`, err.message);
+          }
+        }
+
+        if (check && (await check())) {
+          step.status = step.transactionHash ? "completed" : "skipped";
+          step.completedAt = new Date();
+          await job.save();
+          return step;
+        }
+
+        const tx = await send();
+        step.transactionHash = tx.hash;
+        job.lockedAt = new Date();
+        await job.save();
+
+        // A timeout fails this attempt; the retry resumes from the saved hash
+        await whileLocked(job, () => tx.wait(1, txTimeoutMs));
+        step.status = "completed";
+        step.completedAt = new Date();
+        await job.save();
+        return step;
+      },
+    };
+  }
+
+  async function settle(job) {
+    if (!onSettled) return;
+    try {
+      await onSettled(job);
+    } catch (hookErr) {
+      console.error(`❌ Settled handler of job ${job._id} failed:`, hookErr.message);
+    }
+  }
+
+  async function runJob(job) {
+    try {
+      const result = await handlers[job.type](job, createContext(job));
+      job.status = "succeeded";
+      job.result = result;
+      job.error = undefined;
+      job.completedAt = new Date();
+      job.lockedAt = undefined;
+      job.lockedBy = undefined;
+      await job.save();
+      console.log(`✅ Job ${job._id} (${job.type}) succeeded`);
+      await settle(job);
+    } catch (err) {
+      const msg = err.shortMessage || err.info?.error?.message || err.reason || err.message;
+      job.error = msg;
+      job.lockedAt = undefined;
+      job.lockedBy = undefined;
+
+      if (job.attempts >= job.maxAttempts) {
+        job.status = "failed";
+        job.completedAt = new Date();
+        await job.save();
+        console.error(`❌ Job ${job._id} (${job.type}) failed after ${job.attempts} attempts:`, msg);
+        if (onFailure[job.type]) {
+          try {
+            await onFailure[job.type](job, err);
+          } catch (hookErr) {
+            console.error(`❌ Failure handler of job ${job._id} failed:`, hookErr.message);
+          }
+        }
+        await settle(job);
+      } else {
+        job.status = "queued";
+        job.nextRunAt = new Date(Date.now() + retryBaseMs * 2 ** (job.attempts - 1));
+        await job.save();
+        console.warn(`⚠️  Job ${job._id} (${job.type}) attempt ${job.attempts} failed, retrying:`, msg);
+      }
+    }
+  }
+
+  /** Run the next due job, if any; resolves to whether a job was run */
+  async function runOnce() {
+    const job = await Job.claimNext(workerId, lockTimeoutMs, Object.keys(handlers));
+    if (!job) return false;
+    await runJob(job);
+    return true;
+  }
+
+  async function cycle() {
+    try {
+      // Drain the queue, stopping between jobs when the queue is stopped
+      while (running && (await runOnce()));
+    } catch (err) {
+      console.error("❌ Job queue poll failed:", err.message);
+    }
+    if (running) {
+      timer = setTimeout(() => {
+        currentCycle = cycle();
+      }, pollIntervalMs);
+    }
+  }
+
+  async function start() {
+    if (running) return;
+    running = true;
+    console.log("🧾 Job queue started");
+    currentCycle = cycle();
+  }
+
+  async function stop() {
+    running = false;
+    if (timer) clearTimeout(timer);
+    await currentCycle;
+    console.log("🧾 Job queue stopped");
+  }
+
+  return { enqueue, start, stop, runOnce };
+}
+
+module.exports = { createJobQueue, hashRequest };
@@ -0,0 +1,209 @@
+const nodemailer = require("nodemailer");
+const User = require("../models/User");
+const Organisation = require("../models/Organisation");
+const { renderEmail } = require("../helpers/email-templates");
+const { createJobQueue } = require("./job-queue");
+
+/**
+ * Creates the mail transport selected by EMAIL_TRANSPORT:
+ * - "smtp" sends through SMTP_HOST/SMTP_PORT, e.g. a local catcher such as Mailpit in development
+ * - "log" renders messages to the console without sending them
+ * - "none" drops every message
+ * Anything with a nodemailer-compatible sendMail(message) can be passed to
+ * createNotificationService instead.
+ * @param {Object} env - Environment variables
+ * @returns {{ sendMail: Function }} Transport
+ */
+function createMailTransport(env = process.env) {
+  const transport = env.EMAIL_TRANSPORT || "log";
+  switch (transport) {
+    case "smtp":
+      return nodemailer.createTransport({
+        host: env.SMTP_HOST || "localhost",
+        port: Number(env.SMTP_PORT || 1025),
+        secure: env.SMTP_SECURE === "true",
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined,
+      });
+    case "log": {
+      const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+      return {
+        async sendMail(message) {
+          const info = await jsonTransport.sendMail(message);
+          console.log(`📧 Email to ${message.to}: ${message.subject}`);
+          return info;
+        },
+      };
+    }
+    case "none":
+      return { sendMail: async () => ({ messageId: null }) };
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT ${transport}`);
+  }
+}
+
+/**
+ * Creates the email notification service. Notifications are rendered when an event
+ * happens and sent by a job queue of their own, so a failing mail server is retried
+ * with backoff without holding up blockchain jobs. Each email is keyed by the event
+ * and recipient, so an event reported twice by the indexer is mailed once.
+ * Recipients who turned a notification type off in their preferences are skipped.
+ *
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - Provider handed to the job queue
+ * @param {{ sendMail: Function }} options.transport - Mail transport, see createMailTransport
+ * @param {string} options.from - Sender address
+ * @param {string} options.appUrl - Frontend URL used for links in emails
+ * @param {number} [options.pollIntervalMs=1000] - Delay between polls when no email is due
+ * @param {number} [options.retryBaseMs=60000] - First retry delay, doubled on every attempt
+ * @param {number} [options.maxAttempts=5] - Attempts before an email is given up
+ * @returns {{ notifyDocumentEvent: Function, notifyAccountStatus: Function, start: Function, stop: Function }}
+ */
+function createNotificationService({
+  provider,
+  transport,
+  from,
+  appUrl,
+  pollIntervalMs = 1000,
+  retryBaseMs = 60000,
+  maxAttempts = 5,
+}) {
+  const queue = createJobQueue({
+    provider,
+    handlers: {
+      async sendEmail(job) {
+        const info = await transport.sendMail({ from, ...job.payload });
+        return { messageId: info.messageId };
+      },
+    },
+    pollIntervalMs,
+    retryBaseMs,
+    maxAttempts,
+  });
+
+  /**
+   * Queues one templated email to every user who wants this notification type
+   * @param {Object} params
+   * @param {string} params.eventId - Event the emails are about, used to send each once
+   * @param {string} params.preference - Notification type checked against the users' preferences
+   * @param {string} params.template - Email template
+   * @param {Object[]} params.users - Recipients
+   * @param {Object} params.data - Template data
+   * @param {string} [params.documentId] - Document the emails are about
+   * @returns {Promise<number>} Number of emails queued
+   */
+  async function notify({ eventId, preference, template, users, data, documentId }) {
+    let queued = 0;
+    for (const user of users) {
+      if (!user.wantsNotification(preference)) continue;
+      const { subject, text, html } = renderEmail(template, { ...data, name: user.name });
+      const { created } = await queue.enqueue({
+        type: "sendEmail",
+        userId: user._id,
+        documentId,
+        payload: { to: user.email, subject, text, html },
+        idempotencyKey: `email:${template}:${eventId}`,
+      });
+      if (created) queued++;
+    }
+    return queued;
+  }
+
+  const formatDate = (date) => new Date(date).toUTCString();
+
+  /**
+   * Emails the people concerned by a confirmed DocumentStore event: signers when the
+   * document awaits their signature, and its issuer when it is signed or revoked.
+   * Takes the same event as the webhook service, from the document indexer.
+   * @param {Object} event
+   * @param {string} event.id - Stable event id
+   * @param {string} event.type - document.issued, document.signed or document.revoked
+   * @param {Object} event.document - Documents record
+   * @param {Object} [event.data] - Event specific fields (transactionHash, signer, reason, ...)
+   * @returns {Promise<number>} Number of emails queued
+   */
+  async function notifyDocumentEvent({ id, type, document, data = {} }) {
+    const signers = document.signers || [];
+    const templateData = {
+      documentId: document.documentId,
+      documentType: document.documentType,
+      quoteNumber: document.quoteNumber,
+      documentUrl: `${appUrl}/documents/${encodeURIComponent(document.documentId)}`,
+      transactionHash: data.transactionHash,
+    };
+
+    switch (type) {
+      case "document.issued": {
+        if (signers.length === 0) return 0;
+        const issuer = await Organisation.findOneByDocStore(document.issuerDocStore);
+        return notify({
+          eventId: id,
+          preference: "documentAwaitingSignature",
+          template: "documentAwaitingSignature",
+          users: await User.find({ _id: { $in: signers.map((signer) => signer.userId) } }),
+          data: { ...templateData, issuerName: issuer?.name || document.issuerDocStore },
+          documentId: document.documentId,
+        });
+      }
+      case "document.signed": {
+        if (!document.issuedBy) return 0;
+        const signer = signers.find(
+          (entry) => entry.walletAddress?.toLowerCase() === data.signer?.toLowerCase()
+        );
+        const signedCount = new Set([
+          ...(document.signatures || []).map((signature) => signature.signer?.toLowerCase()),
+          data.signer?.toLowerCase(),
+        ]).size;
+        return notify({
+          eventId: id,
+          preference: "documentSigned",
+          template: "documentSigned",
+          users: await User.find({ _id: document.issuedBy }),
+          data: {
+            ...templateData,
+            signerName: signer?.email || data.signer,
+            signedAt: formatDate(data.signedAt),
+            fullyExecuted: signedCount >= (document.requiredSignerCount || 1),
+          },
+          documentId: document.documentId,
+        });
+      }
+      case "document.revoked":
+        return notify({
+          eventId: id,
+          preference: "documentRevoked",
+          template: "documentRevoked",
+          users: await User.find({
+            _id: { $in: [document.issuedBy, ...signers.map((signer) => signer.userId)].filter(Boolean) },
+          }),
+          data: { ...templateData, reason: data.reason, revokedAt: formatDate(data.revokedAt) },
+          documentId: document.documentId,
+        });
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Emails a user whose account an admin approved or rejected
+   * @param {Object} user - User, with its new status
+   * @returns {Promise<number>} Number of emails queued
+   */
+  async function notifyAccountStatus(user) {
+    return notify({
+      eventId: `${user._id}:${user.updatedAt.getTime()}`,
+      preference: "accountStatus",
+      template: user.status === "approved" ? "accountApproved" : "accountRejected",
+      users: [user],
+      data: { loginUrl: `${appUrl}/login` },
+    });
+  }
+
+  return {
+    notifyDocumentEvent,
+    notifyAccountStatus,
+    start: queue.start,
+    stop: queue.stop,
+  };
+}
+
+module.exports = { createMailTransport, createNotificationService };
@@ -0,0 +1,153 @@
+const { ethers } = require("ethers");
+const { DOCUMENT_TYPES } = require("../schemas");
+
+const REGISTRY_EVENTS = ["IssuerWhiteListed", "SignerWhiteListed", "RequiredSignerCountSet", "InteropAllowed"];
+
+// Document type names by the bytes32 hash the contracts store
+const DOCUMENT_TYPE_NAMES = new Map(DOCUMENT_TYPES.map((documentType) => [ethers.id(documentType), documentType]));
+
+/**
+ * Creates a reader of a network's DocumentRegistry configuration: issuer and signer
+ * whitelists and required signer counts per document type, and the interop table.
+ * The registry has no way to enumerate its mappings, so the state is rebuilt from its
+ * events, whether they were sent by this backend or by a script, and kept in memory;
+ * each read catches up on the blocks mined since the previous one.
+ *
+ * @param {Object} options
+ * @param {Object} options.network - Network whose registry is read, see createNetworks
+ * @param {number} [options.startBlock=0] - First block to read, the registry's deploy block
+ * @param {number} [options.batchSize=2000] - Maximum blocks per getLogs request
+ * @param {number} [options.confirmations=0] - Blocks to stay behind the chain head
+ * @returns {{ read: Function }}
+ */
+function createRegistryState({ network, startBlock = 0, batchSize = 2000, confirmations = 0 }) {
+  const { provider, registry } = network;
+  const registryAddress = registry.target;
+  // Older ABIs may lack some events; only follow the ones the ABI declares
+  const topics = REGISTRY_EVENTS.map((name) => registry.interface.getEvent(name))
+    .filter(Boolean)
+    .map((event) => event.topicHash);
+
+  const state = {
+    lastBlock: startBlock - 1,
+    // documentType hash -> { issuers: Set, signers: Set, requiredSignerCount }
+    documentTypes: new Map(),
+    // "from:to" -> { fromContract, toContract }
+    interop: new Map(),
+    // Every change, oldest first
+    changes: [],
+  };
+  let syncing = null;
+
+  const documentTypeEntry = (hash) => {
+    if (!state.documentTypes.has(hash)) {
+      state.documentTypes.set(hash, { issuers: new Set(), signers: new Set(), requiredSignerCount: 0 });
+    }
+    return state.documentTypes.get(hash);
+  };
+
+  /** Apply one registry event, returning the change it records */
+  function apply(log, sender) {
+    const { name, args } = registry.interface.parseLog(log);
+    const change = {
+      event: name,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      sender,
+    };
+
+    switch (name) {
+      case "IssuerWhiteListed":
+      case "SignerWhiteListed": {
+        const account = ethers.getAddress(name === "IssuerWhiteListed" ? args.issuer : args.signer);
+        const accounts = documentTypeEntry(args.documentType)[name === "IssuerWhiteListed" ? "issuers" : "signers"];
+        if (args.active) accounts.add(account);
+        else accounts.delete(account);
+        return {
+          ...change,
+          documentType: DOCUMENT_TYPE_NAMES.get(args.documentType) ?? null,
+          documentTypeHash: args.documentType,
+          account,
+          active: args.active,
+        };
+      }
+      case "RequiredSignerCountSet":
+        documentTypeEntry(args.documentType).requiredSignerCount = Number(args.count);
+        return {
+          ...change,
+          documentType: DOCUMENT_TYPE_NAMES.get(args.documentType) ?? null,
+          documentTypeHash: args.documentType,
+          count: Number(args.count),
+        };
+      case "InteropAllowed": {
+        const fromContract = ethers.getAddress(args.fromContract);
+        const toContract = ethers.getAddress(args.toContract);
+        const key = `${fromContract}:${toContract}`;
+        if (args.allowed) state.interop.set(key, { fromContract, toContract });
+        else state.interop.delete(key);
+        return { ...change, fromContract, toContract, allowed: args.allowed };
+      }
+    }
+  }
+
+  async function sync() {
+    const head = (await provider.getBlockNumber()) - confirmations;
+    let fromBlock = state.lastBlock + 1;
+
+    while (fromBlock <= head) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, head);
+      const logs = await provider.getLogs({ address: registryAddress, topics: [topics], fromBlock, toBlock });
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      // The account that sent each change: the platform wallet, or whoever ran a script.
+      // Fetched before anything is applied, so a failed read leaves the range to retry.
+      const senders = new Map();
+      for (const log of logs) {
+        if (!senders.has(log.transactionHash)) {
+          const receipt = await provider.getTransactionReceipt(log.transactionHash);
+          senders.set(log.transactionHash, receipt?.from ? ethers.getAddress(receipt.from) : null);
+        }
+      }
+      for (const log of logs) {
+        state.changes.push(apply(log, senders.get(log.transactionHash)));
+      }
+
+      state.lastBlock = toBlock;
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  /**
+   * Current registry configuration, caught up to the chain head (less confirmations).
+   * Every known document type is listed, plus any other type hash the registry has seen.
+   * @returns {Promise<{ block: number, documentTypes: Object[], interop: Object[], changes: Object[] }>}
+   */
+  async function read() {
+    // Concurrent reads share one catch-up
+    syncing ||= sync().finally(() => {
+      syncing = null;
+    });
+    await syncing;
+
+    const hashes = [...new Set([...DOCUMENT_TYPE_NAMES.keys(), ...state.documentTypes.keys()])];
+    return {
+      block: state.lastBlock,
+      documentTypes: hashes.map((hash) => {
+        const entry = state.documentTypes.get(hash);
+        return {
+          documentType: DOCUMENT_TYPE_NAMES.get(hash) ?? null,
+          documentTypeHash: hash,
+          issuers: [...(entry?.issuers ?? [])],
+          signers: [...(entry?.signers ?? [])],
+          requiredSignerCount: entry?.requiredSignerCount ?? 0,
+        };
+      }),
+      interop: [...state.interop.values()],
+      changes: [...state.changes],
+    };
+  }
+
+  return { read };
+}
+
+module.exports = { createRegistryState };
@@ -0,0 +1,229 @@
+const crypto = require("crypto");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const Organisation = require("../models/Organisation");
+const { createJobQueue } = require("./job-queue");
+const { postOutbound } = require("../utils/outbound-http");
+
+// Events an organisation can subscribe to
+const WEBHOOK_EVENTS = [
+  "document.issued",
+  "document.signed",
+  "document.revoked",
+  "user.approved",
+  "user.rejected",
+];
+
+/**
+ * Signature sent in X-Webhook-Signature; receivers recompute it to authenticate a delivery
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time sent in X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Hex HMAC-SHA256 of `${timestamp}.${body}`
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+const newWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString("hex")}`;
+
+/**
+ * Creates the outbound webhook service. Events are turned into one WebhookDelivery per
+ * subscribed endpoint and posted by a job queue of their own, so failed attempts are
+ * retried with exponential backoff and a slow endpoint never holds up blockchain jobs.
+ * Delivery records are unique per event id, so an event published twice is sent once.
+ *
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - Provider handed to the job queue
+ * @param {number} [options.timeoutMs=10000] - Time an endpoint has to answer
+ * @param {number} [options.pollIntervalMs=1000] - Delay between polls when no delivery is due
+ * @param {number} [options.retryBaseMs=30000] - First retry delay, doubled on every attempt
+ * @param {number} [options.maxAttempts=8] - Attempts before a delivery is marked failed
+ * @param {boolean} [options.allowPrivateAddresses=false] - Deliver to loopback and private
+ *   addresses too; endpoints are otherwise resolved on every attempt and must be public
+ * @returns {{ publish: Function, publishDocumentEvent: Function, replay: Function, start: Function, stop: Function }}
+ */
+function createWebhookService({
+  provider,
+  timeoutMs = 10000,
+  pollIntervalMs = 1000,
+  retryBaseMs = 30000,
+  maxAttempts = 8,
+  allowPrivateAddresses = false,
+}) {
+  async function deliver(job) {
+    const delivery = await WebhookDelivery.findById(job.payload.deliveryId);
+    if (!delivery) {
+      throw new Error(`Webhook delivery ${job.payload.deliveryId} not found`);
+    }
+    const webhook = await Webhook.findById(delivery.webhookId).select("+secret");
+    if (!webhook || !webhook.active) {
+      delivery.status = "failed";
+      delivery.error = "Webhook was deleted or disabled";
+      await delivery.save();
+      return { deliveryId: delivery._id.toString(), status: delivery.status };
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date();
+
+    let response;
+    try {
+      response = await postOutbound(webhook.url, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "TradeChain-Webhooks/1.0",
+          "X-Webhook-Id": delivery.eventId,
+          "X-Webhook-Event": delivery.eventType,
+          "X-Webhook-Delivery": delivery._id.toString(),
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${signPayload(webhook.secret, timestamp, delivery.payload)}`,
+        },
+        body: delivery.payload,
+        timeoutMs,
+        allowPrivate: allowPrivateAddresses,
+      });
+    } catch (err) {
+      delivery.responseStatus = undefined;
+      delivery.error = err.message;
+      await delivery.save();
+      throw err;
+    }
+
+    delivery.responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      delivery.error = `Endpoint responded with HTTP ${response.status}`;
+      await delivery.save();
+      throw new Error(delivery.error);
+    }
+
+    delivery.status = "succeeded";
+    delivery.error = undefined;
+    delivery.deliveredAt = new Date();
+    await delivery.save();
+    return { deliveryId: delivery._id.toString(), responseStatus: response.status };
+  }
+
+  const queue = createJobQueue({
+    provider,
+    handlers: { deliverWebhook: deliver },
+    onFailure: {
+      async deliverWebhook(job) {
+        await WebhookDelivery.updateOne(
+          { _id: job.payload.deliveryId, status: "pending" },
+          { $set: { status: "failed", error: job.error } }
+        );
+      },
+    },
+    pollIntervalMs,
+    retryBaseMs,
+    maxAttempts,
+  });
+
+  async function enqueueDelivery(delivery, webhook) {
+    const { job } = await queue.enqueue({
+      type: "deliverWebhook",
+      userId: webhook.createdBy,
+      payload: { deliveryId: delivery._id.toString() },
+    });
+    delivery.jobId = job._id.toString();
+    await delivery.save();
+  }
+
+  /**
+   * Sends an event to every active webhook of the given organisations subscribed to its type.
+   * @param {Object} event
+   * @param {string} event.id - Stable event id; publishing the same id again is a no-op
+   * @param {string} event.type - One of WEBHOOK_EVENTS
+   * @param {Object} event.data - Event body
+   * @param {string[]} event.organisationIds - Organisations concerned by the event
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async function publish({ id, type, data, organisationIds }) {
+    const webhooks = await Webhook.findSubscribers([...new Set(organisationIds.filter(Boolean))], type);
+    const payload = JSON.stringify({ id, type, createdAt: new Date().toISOString(), data });
+
+    let queued = 0;
+    for (const webhook of webhooks) {
+      let delivery;
+      try {
+        delivery = await WebhookDelivery.create({
+          webhookId: webhook._id,
+          organisationId: webhook.organisationId,
+          eventId: id,
+          eventType: type,
+          payload,
+        });
+      } catch (err) {
+        // Already published, e.g. the indexer replayed a block range
+        if (err.code === 11000) continue;
+        throw err;
+      }
+      await enqueueDelivery(delivery, webhook);
+      queued++;
+    }
+    return queued;
+  }
+
+  /**
+   * Publishes a confirmed DocumentStore event to the organisations of the issuer,
+   * the recipient and every signer of the document.
+   * @param {Object} event
+   * @param {string} event.id - Stable event id (transaction, log index and document)
+   * @param {string} event.type - document.issued, document.signed or document.revoked
+   * @param {Object} event.document - Documents record
+   * @param {Object} [event.data] - Event specific fields (transactionHash, signer, reason, ...)
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async function publishDocumentEvent({ id, type, document, data = {} }) {
+    const stores = [
+      document.issuerDocStore,
+      document.signerDocStore,
+      ...(document.signers || []).map((signer) => signer.docStore),
+    ].filter(Boolean);
+    const organisations = await Organisation.find({ documentStoreAddress: { $in: stores } }).select(
+      "organisationId"
+    );
+
+    return publish({
+      id,
+      type,
+      organisationIds: organisations.map((organisation) => organisation.organisationId),
+      data: {
+        documentId: document.documentId,
+        documentType: document.documentType,
+        quoteNumber: document.quoteNumber,
+        documentHash: document.documentHash,
+        documentStore: document.issuerDocStore,
+        ...data,
+      },
+    });
+  }
+
+  /**
+   * Sends a failed delivery again, with the same event id and body
+   * @param {Object} delivery - WebhookDelivery
+   * @returns {Promise<Object>} The delivery, pending again
+   */
+  async function replay(delivery) {
+    const webhook = await Webhook.findById(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      throw new Error("Webhook was deleted or disabled");
+    }
+    delivery.status = "pending";
+    delivery.error = undefined;
+    await enqueueDelivery(delivery, webhook);
+    return delivery;
+  }
+
+  return {
+    publish,
+    publishDocumentEvent,
+    replay,
+    start: queue.start,
+    stop: queue.stop,
+  };
+}
+
+module.exports = { createWebhookService, signPayload, newWebhookSecret, WEBHOOK_EVENTS };
@@ -0,0 +1,170 @@
+const { ethers } = require("ethers");
+
+// Must match ISSUE_TYPEHASH / SIGN_TYPEHASH / REISSUE_TYPEHASH and the EIP712("DocumentStore", "1") domain of DocumentStore.sol
+const ISSUE_TYPES = {
+  Issue: [
+    { name: "documentId", type: "bytes32" },
+    { name: "documentHash", type: "bytes32" },
+    { name: "documentType", type: "bytes32" },
+    { name: "issuer", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const SIGN_TYPES = {
+  Sign: [
+    { name: "documentId", type: "bytes32" },
+    { name: "signer", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const REISSUE_TYPES = {
+  Reissue: [
+    { name: "previousDocumentId", type: "bytes32" },
+    { name: "documentId", type: "bytes32" },
+    { name: "documentHash", type: "bytes32" },
+    { name: "issuer", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// How long a user has to sign the typed data in their wallet
+const SIGNATURE_TTL_SECONDS = Number(process.env.EIP712_SIGNATURE_TTL_SECONDS || 3600);
+
+/**
+ * Builds the EIP-712 domain of a DocumentStore
+ * @param {ethers.Provider} provider - Provider of the store's chain
+ * @param {string} storeAddress - DocumentStore address
+ * @returns {Promise<Object>} Typed data domain
+ */
+async function storeDomain(provider, storeAddress) {
+  const { chainId } = await provider.getNetwork();
+  return {
+    name: "DocumentStore",
+    version: "1",
+    chainId: chainId.toString(),
+    verifyingContract: ethers.getAddress(storeAddress),
+  };
+}
+
+const newDeadline = () => Math.floor(Date.now() / 1000) + SIGNATURE_TTL_SECONDS;
+
+// Shape expected by eth_signTypedData_v4; numbers are strings so it survives JSON unchanged
+const toTypedData = (domain, types, primaryType, message) => ({
+  domain,
+  types,
+  primaryType,
+  message,
+});
+
+/**
+ * Typed data an issuer signs to authorise DocumentStore.issueWithSig,
+ * or reissueWithSig when the document amends a previous version
+ * @param {Object} params
+ * @param {ethers.Contract} params.store - DocumentStore (read-only is enough)
+ * @param {string} params.documentId - Plain document id
+ * @param {string} params.documentHash - bytes32 Merkle root
+ * @param {string} params.documentType - Plain document type
+ * @param {string} params.issuer - Address that will sign
+ * @param {number} [params.deadline] - Unix time the signature expires; defaults to now + TTL
+ * @param {string} [params.previousDocumentId] - Plain id of the version being replaced
+ * @returns {Promise<Object>} { domain, types, primaryType, message }
+ */
+async function buildIssueTypedData({
+  store,
+  documentId,
+  documentHash,
+  documentType,
+  issuer,
+  deadline,
+  previousDocumentId,
+}) {
+  const domain = await storeDomain(store.runner.provider, store.target);
+  const nonce = await store.nonces(issuer);
+  if (previousDocumentId) {
+    // The new version keeps the type of the document it replaces, so it is not signed
+    return toTypedData(domain, REISSUE_TYPES, "Reissue", {
+      previousDocumentId: ethers.id(previousDocumentId),
+      documentId: ethers.id(documentId),
+      documentHash,
+      issuer: ethers.getAddress(issuer),
+      nonce: nonce.toString(),
+      deadline: String(deadline ?? newDeadline()),
+    });
+  }
+  return toTypedData(domain, ISSUE_TYPES, "Issue", {
+    documentId: ethers.id(documentId),
+    documentHash,
+    documentType: ethers.id(documentType),
+    issuer: ethers.getAddress(issuer),
+    nonce: nonce.toString(),
+    deadline: String(deadline ?? newDeadline()),
+  });
+}
+
+/**
+ * Typed data a signer signs to authorise DocumentStore.signWithSig
+ * @param {Object} params
+ * @param {ethers.Contract} params.store - DocumentStore the document was issued in
+ * @param {string} params.documentId - Plain document id
+ * @param {string} params.signer - Address that will sign
+ * @param {number} [params.deadline] - Unix time the signature expires; defaults to now + TTL
+ * @returns {Promise<Object>} { domain, types, primaryType, message }
+ */
+async function buildSignTypedData({ store, documentId, signer, deadline }) {
+  const domain = await storeDomain(store.runner.provider, store.target);
+  const nonce = await store.nonces(signer);
+  return toTypedData(domain, SIGN_TYPES, "Sign", {
+    documentId: ethers.id(documentId),
+    signer: ethers.getAddress(signer),
+    nonce: nonce.toString(),
+    deadline: String(deadline ?? newDeadline()),
+  });
+}
+
+/**
+ * Checks a wallet signature over typed data before it is relayed on-chain
+ * @param {Object} typedData - { domain, types, message } as built above
+ * @param {string} signature - 65 byte signature from eth_signTypedData_v4
+ * @param {string} expectedSigner - Address that must have signed
+ * @returns {boolean} True if the signature recovers to expectedSigner and has not expired
+ */
+function isValidTypedSignature(typedData, signature, expectedSigner) {
+  if (Number(typedData.message.deadline) < Math.floor(Date.now() / 1000)) return false;
+  try {
+    const recovered = ethers.verifyTypedData(
+      typedData.domain,
+      typedData.types,
+      typedData.message,
+      signature
+    );
+    return recovered.toLowerCase() === expectedSigner.toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Message a user signs with personal_sign to prove they control a browser wallet
+ * @param {string} address - Wallet being linked
+ * @param {Object} user - User the wallet is linked to
+ * @returns {string} Message to sign
+ */
+function walletLinkMessage(address, user) {
+  return `TradeChain: link wallet ${ethers.getAddress(address)} to account ${user._id}`;
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  SIGN_TYPES,
+  REISSUE_TYPES,
+  SIGNATURE_TTL_SECONDS,
+  buildIssueTypedData,
+  buildSignTypedData,
+  isValidTypedSignature,
+  walletLinkMessage,
+};
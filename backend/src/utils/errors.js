@@ -0,0 +1,94 @@
+// Default machine-readable code of an error response, by HTTP status.
+// Routes set a more specific code (e.g. VALIDATION_ERROR) when clients need to tell errors apart.
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE_ENTITY',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+/**
+ * Code for an HTTP status without a specific one
+ * @param {number} status - HTTP status
+ * @returns {string} Error code
+ */
+function codeForStatus(status) {
+  return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+/**
+ * Most useful message of an error, including contract reverts and RPC errors,
+ * where err.reason alone is often undefined
+ * @param {Error} err - Error thrown by ethers, mongoose or our code
+ * @returns {string} Message
+ */
+function errorDetails(err) {
+  return err.shortMessage || err.info?.error?.message || err.reason || err.message;
+}
+
+/**
+ * Middleware giving every error response the same shape:
+ * { error: string, code: string, details?: any }, plus any route specific fields.
+ * Routes keep answering with res.status(4xx|5xx).json({ error, details }); the code is
+ * added from the status unless the route set one.
+ */
+function standardErrors(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      const { error, code, details, ...rest } = body;
+      body = {
+        error: typeof error === 'string' ? error : 'Request failed',
+        code: code || codeForStatus(res.statusCode),
+        ...(details !== undefined && { details }),
+        ...rest
+      };
+    }
+    return json(body);
+  };
+  next();
+}
+
+/**
+ * Answers requests no route matched
+ */
+function notFound(req, res) {
+  res.status(404).json({
+    error: 'Route not found',
+    code: 'ROUTE_NOT_FOUND',
+    details: `${req.method} ${req.path}`
+  });
+}
+
+/**
+ * Last error middleware: malformed JSON bodies and anything a route did not catch.
+ * Express recognises error middleware by its four parameters, so next stays.
+ */
+function errorHandler(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Malformed JSON body', code: 'INVALID_JSON', details: err.message });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large', code: 'PAYLOAD_TOO_LARGE', details: err.message });
+  }
+
+  console.error(`❌ Unhandled error on ${req.method} ${req.path}:`, err);
+  res.status(err.status || 500).json({ error: 'Internal server error', details: errorDetails(err) });
+}
+
+module.exports = {
+  codeForStatus,
+  errorDetails,
+  standardErrors,
+  notFound,
+  errorHandler
+};
@@ -1,20 +1,25 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
 
 // JWT secret key - in production, use a strong secret from environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h'; // Token expires in 24 hours
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m'; // Short-lived; renewed with a refresh token
 
 /**
- * Generate a JWT token for a user
+ * Generate a JWT access token for a user
  * @param {Object} user - User object
+ * @param {string} [sessionId] - Session the token belongs to
  * @returns {string} JWT token
  */
-function generateToken(user) {
+function generateToken(user, sessionId) {
   const payload = {
     userId: user._id,
     email: user.email,
     userType: user.userType,
-    organisationId: user.organisationId
+    organisationId: user.organisationId,
+    sid: sessionId ? String(sessionId) : undefined,
+    tv: user.tokenVersion ?? 0
   };
 
   return jwt.sign(payload, JWT_SECRET, {
@@ -56,33 +61,122 @@ function extractTokenFromHeader(authHeader) {
   return parts[1];
 }
 
+/**
+ * Start a session and issue an access token plus a rotating refresh token
+ * @param {Object} user - User object
+ * @param {Object} [meta] - Request metadata ({ userAgent, ip }) stored on the session
+ * @returns {Promise<Object>} apiToken, refreshToken and their expiries
+ */
+async function issueTokenPair(user, meta = {}) {
+  const { session, refreshToken } = await Session.createForUser(user._id, meta);
+  return {
+    apiToken: generateToken(user, session._id),
+    refreshToken,
+    expiresIn: JWT_EXPIRES_IN,
+    refreshExpiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Refresh token from a previous login or refresh
+ * @returns {Promise<Object>} apiToken, refreshToken, their expiries and the user
+ * @throws {Error} If the token is unknown, reused, expired or the account lost access
+ */
+async function refreshTokenPair(refreshToken) {
+  const { session, refreshToken: nextRefreshToken } = await Session.rotate(refreshToken);
+
+  const user = await User.findById(session.userId);
+  if (!user || user.status !== 'approved') {
+    await session.revoke('account no longer approved');
+    throw new Error('Account not approved');
+  }
+
+  return {
+    user,
+    apiToken: generateToken(user, session._id),
+    refreshToken: nextRefreshToken,
+    expiresIn: JWT_EXPIRES_IN,
+    refreshExpiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Immediately cut off every token of a user (access and refresh)
+ * @param {Object} user - User document
+ * @param {string} reason - Why access was revoked
+ */
+async function revokeUserAccess(user, reason) {
+  await Session.revokeAllForUser(user._id, reason);
+  await user.invalidateTokens();
+}
+
+/**
+ * Check that a decoded token still grants access: the account is approved,
+ * the token version is current and its session has not been revoked
+ * @param {Object} decoded - Decoded token payload
+ * @returns {Promise<string|null>} Reason the token was revoked, or null if still valid
+ */
+async function checkTokenRevocation(decoded) {
+  const user = await User.findById(decoded.userId).select('status tokenVersion');
+  if (!user) return 'User no longer exists';
+  if (user.status !== 'approved') return `Account is ${user.status}`;
+  if (decoded.tv !== user.tokenVersion) return 'Token has been revoked';
+
+  if (!decoded.sid) return 'Token has no session';
+  const session = await Session.findById(decoded.sid).select('revokedAt expiresAt');
+  if (!session || session.revokedAt) return 'Session has been revoked';
+
+  return null;
+}
+
 /**
  * Middleware to authenticate requests using JWT token
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = extractTokenFromHeader(authHeader);
 
   if (!token) {
     return res.status(401).json({ 
       error: 'Access token required',
-      message: 'Please provide a valid Bearer token in the Authorization header'
+      code: 'TOKEN_MISSING',
+      details: 'Please provide a valid Bearer token in the Authorization header'
     });
   }
 
+  let decoded;
   try {
-    const decoded = verifyToken(token);
-    req.user = decoded; // Add user info to request object
-    next();
+    decoded = verifyToken(token);
   } catch (error) {
     return res.status(401).json({ 
       error: 'Invalid token',
+      code: 'TOKEN_INVALID',
+      details: error.message
+    });
+  }
+
+  try {
+    const revokedReason = await checkTokenRevocation(decoded);
+    if (revokedReason) {
+      return res.status(401).json({
+        error: 'Token revoked',
+        code: 'TOKEN_REVOKED',
+        details: revokedReason
+      });
+    }
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Failed to authenticate token',
       message: error.message
     });
   }
+
+  req.user = decoded; // Add user info to request object
+  next();
 }
 
 module.exports = {
@@ -90,6 +184,9 @@ module.exports = {
   verifyToken,
   extractTokenFromHeader,
   authenticateToken,
+  issueTokenPair,
+  refreshTokenPair,
+  revokeUserAccess,
   JWT_SECRET,
   JWT_EXPIRES_IN
 };
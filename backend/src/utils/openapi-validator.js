@@ -0,0 +1,204 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const SPEC_ID = 'openapi.json';
+
+// JSON pointer into the spec, with "/" and "~" escaped
+const pointer = (...tokens) =>
+  `${SPEC_ID}#/${tokens.map((token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
+
+// "/jobs/{jobId}" -> /^\/jobs\/([^/]+)$/ and ["jobId"]
+function compilePath(template) {
+  const names = [];
+  const source = template
+    .split('/')
+    .map((segment) => {
+      const match = segment.match(/^\{(.+)\}$/);
+      if (!match) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(match[1]);
+      return '([^/]+)';
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+const toErrors = (location, errors) =>
+  (errors || []).map((err) => ({
+    in: location,
+    path:
+      err.keyword === 'required'
+        ? `${err.instancePath}/${err.params.missingProperty}`
+        : err.instancePath || '/',
+    message: err.message
+  }));
+
+/**
+ * Validates requests and responses against an OpenAPI 3.1 document.
+ * Requests matching an operation are checked (path, query and header parameters, then
+ * the JSON body) before any route runs, and rejected with 400 VALIDATION_ERROR.
+ * Responses are checked against the schema of their status, or "default" for errors;
+ * a mismatch is logged, or turned into a 500 in "strict" mode so tests catch it.
+ * Requests the spec does not describe are passed through untouched.
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} [options]
+ * @param {string} [options.responses='warn'] - 'off', 'warn' or 'strict'
+ * @returns {{ validateRequests: Function, validateResponses: Function }} Express middlewares
+ */
+function createOpenApiValidator(spec, { responses = 'warn' } = {}) {
+  // Parameters arrive as strings, so their validator coerces "5" to 5 before checking
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  const paramAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: 'array' });
+  for (const instance of [ajv, paramAjv]) {
+    addFormats(instance);
+    instance.addSchema(spec, SPEC_ID);
+  }
+
+  // Response objects may be references to components.responses
+  const resolveResponse = (response, tokens) => {
+    if (!response.$ref) return { response, tokens };
+    const name = response.$ref.replace('#/components/responses/', '');
+    return { response: spec.components.responses[name], tokens: ['components', 'responses', name] };
+  };
+
+  const operations = [];
+  for (const [template, pathItem] of Object.entries(spec.paths)) {
+    const { regex, names } = compilePath(template);
+    for (const method of METHODS) {
+      const op = pathItem[method];
+      if (!op) continue;
+
+      // Parameter schemas are referenced by pointer so their own $refs resolve inside the spec
+      const parameters = [
+        ...(pathItem.parameters || []).map((param, i) => ({ param, tokens: ['paths', template, 'parameters', i] })),
+        ...(op.parameters || []).map((param, i) => ({ param, tokens: ['paths', template, method, 'parameters', i] }))
+      ];
+      const paramValidators = {};
+      for (const location of ['path', 'query', 'header']) {
+        const params = parameters.filter(({ param }) => param.in === location);
+        if (params.length === 0) continue;
+        // Header names are case insensitive; Node lowercases them
+        const key = ({ param }) => (location === 'header' ? param.name.toLowerCase() : param.name);
+        paramValidators[location] = paramAjv.compile({
+          type: 'object',
+          properties: Object.fromEntries(
+            params.map((entry) => [key(entry), entry.param.schema ? { $ref: pointer(...entry.tokens, 'schema') } : {}])
+          ),
+          required: params.filter(({ param }) => param.required).map(key)
+        });
+      }
+
+      const jsonBody = op.requestBody?.content?.['application/json'];
+      const bodyValidator = jsonBody && ajv.compile({
+        $ref: pointer('paths', template, method, 'requestBody', 'content', 'application/json', 'schema')
+      });
+
+      const responseValidators = {};
+      for (const [status, declared] of Object.entries(op.responses || {})) {
+        const { response, tokens } = resolveResponse(declared, ['paths', template, method, 'responses', status]);
+        if (!response.content?.['application/json']) continue;
+        responseValidators[status] = ajv.compile({
+          $ref: pointer(...tokens, 'content', 'application/json', 'schema')
+        });
+      }
+
+      operations.push({
+        method: method.toUpperCase(),
+        template,
+        regex,
+        names,
+        paramValidators,
+        bodyValidator,
+        bodyRequired: !!op.requestBody?.required,
+        responseValidators
+      });
+    }
+  }
+  // Literal segments win over parameters, e.g. /document/issue/relay over a /document/issue/{x}
+  operations.sort((a, b) => a.names.length - b.names.length);
+
+  const findOperation = (req) => {
+    for (const op of operations) {
+      if (op.method !== req.method) continue;
+      const match = op.regex.exec(req.path);
+      if (!match) continue;
+      try {
+        return { op, params: Object.fromEntries(op.names.map((name, i) => [name, decodeURIComponent(match[i + 1])])) };
+      } catch {
+        // Malformed escapes are left for Express to reject
+        return null;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Middleware rejecting requests that do not match their operation. Register after express.json().
+   */
+  function validateRequests(req, res, next) {
+    const found = findOperation(req);
+    if (!found) return next();
+    const { op, params } = found;
+    res.locals.operation = op;
+
+    const errors = [];
+    const inputs = { path: params, query: { ...req.query }, header: req.headers };
+    for (const [location, validate] of Object.entries(op.paramValidators)) {
+      // Validate a copy: coercion must not change what the route reads
+      if (!validate(structuredClone(inputs[location]))) {
+        errors.push(...toErrors(location, validate.errors));
+      }
+    }
+
+    const hasBody = req.body !== undefined && !(typeof req.body === 'object' && Object.keys(req.body).length === 0);
+    if (op.bodyValidator && (hasBody || op.bodyRequired)) {
+      if (!op.bodyValidator(req.body ?? {})) {
+        errors.push(...toErrors('body', op.bodyValidator.errors));
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Request does not match the API specification',
+        code: 'VALIDATION_ERROR',
+        details: errors
+      });
+    }
+    next();
+  }
+
+  /**
+   * Middleware checking JSON responses against their declared schema. Register before
+   * validateRequests so it sees every response, including validation errors.
+   */
+  function validateResponses(req, res, next) {
+    if (responses === 'off') return next();
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      const op = res.locals.operation;
+      const validate = op && (op.responseValidators[res.statusCode] || op.responseValidators.default);
+      if (!validate || validate(JSON.parse(JSON.stringify(body ?? null)))) {
+        return json(body);
+      }
+
+      const errors = toErrors('response', validate.errors);
+      console.warn(`⚠️  ${res.statusCode} response of ${op.method} ${op.template} does not match the API specification:`, errors);
+      if (responses !== 'strict') {
+        return json(body);
+      }
+      res.status(500);
+      return json({
+        error: 'Response does not match the API specification',
+        code: 'RESPONSE_VALIDATION_ERROR',
+        details: errors
+      });
+    };
+    next();
+  }
+
+  return { validateRequests, validateResponses };
+}
+
+module.exports = { createOpenApiValidator };
@@ -0,0 +1,141 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Addresses outbound requests must not reach: loopback, private networks, link-local
+// (cloud metadata endpoints live at 169.254.169.254) and other non-routable ranges
+const BLOCKED_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  BLOCKED_RANGES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 128],
+  ['::1', 128],
+  // NAT64 addresses embed an IPv4 address the gateway would reach
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  BLOCKED_RANGES.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for loopback, private, link-local and other reserved addresses
+ */
+function isPublicAddress(address) {
+  // BlockList also applies the IPv4 ranges to IPv4-mapped IPv6 addresses (::ffff:10.0.0.1)
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return family !== null && !BLOCKED_RANGES.check(address, family);
+}
+
+/**
+ * dns.lookup replacement that refuses non-public addresses. The request connects to the
+ * address checked here, so a hostname cannot be re-pointed at a private one afterwards.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to the non-public address ${blocked.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Checks a URL an outbound request may be sent to
+ * @param {string} url - URL to check
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPrivate=false] - Allow loopback and private addresses (development)
+ * @returns {Promise<string|null>} Why the URL is refused, or null
+ */
+async function checkOutboundUrl(url, { allowPrivate = false } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'An http(s) URL is required';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'An http(s) URL is required';
+  }
+  if (parsed.username || parsed.password) {
+    return 'The URL must not carry credentials';
+  }
+  if (allowPrivate) return null;
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname) ? null : `${hostname} is not a public address`;
+  }
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    return blocked ? `${hostname} resolves to the non-public address ${blocked.address}` : null;
+  } catch (err) {
+    return `${hostname} cannot be resolved: ${err.code || err.message}`;
+  }
+}
+
+/**
+ * POSTs a body to a public URL. Redirects are not followed, and the response body is
+ * discarded: only the status is returned.
+ * @param {string} url - Destination
+ * @param {Object} options
+ * @param {Object} options.headers - Request headers
+ * @param {string} options.body - Request body
+ * @param {number} options.timeoutMs - Time the endpoint has to answer
+ * @param {boolean} [options.allowPrivate=false] - Allow loopback and private addresses (development)
+ * @returns {Promise<{ status: number }>}
+ * @throws {Error} If the address is not public, or the request fails or times out
+ */
+async function postOutbound(url, { headers, body, timeoutMs, allowPrivate = false }) {
+  const refused = await checkOutboundUrl(url, { allowPrivate });
+  if (refused) throw new Error(refused);
+
+  const parsed = new URL(url);
+  const transport = parsed.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      parsed,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: allowPrivate ? undefined : publicLookup,
+        signal: AbortSignal.timeout(timeoutMs)
+      },
+      (res) => {
+        // Only the status matters; drain and drop the body
+        res.on('error', () => {});
+        res.resume();
+        resolve({ status: res.statusCode });
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  checkOutboundUrl,
+  postOutbound
+};
@@ -0,0 +1,114 @@
+const RolePermission = require('../models/RolePermission');
+const { DOCUMENT_TYPES } = require('../schemas');
+
+// Every permission a role can be granted
+const PERMISSIONS = [
+  ...DOCUMENT_TYPES.map((documentType) => `document:issue:${documentType}`),
+  'document:sign',
+  'document:revoke',
+  'admin:users:read',
+  'admin:users:approve',
+  'admin:schemas:read',
+  'admin:documents:read',
+  'admin:audit:read',
+  'admin:permissions:read',
+  'admin:permissions:write',
+  'admin:registry:read',
+  'admin:registry:write'
+];
+
+// Used until an admin edits a role's mapping through /admin/permissions
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ['*'],
+  sales: ['document:issue:SALES-QUOTE', 'document:issue:DELIVERY-ORDER', 'document:sign', 'document:revoke'],
+  purchase: ['document:issue:PAYMENT-ORDER', 'document:sign'],
+  invoice: ['document:issue:INVOICE', 'document:sign', 'document:revoke']
+};
+
+const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+/**
+ * Check a permission against granted ones; "document:issue:*" or "*" grant by prefix
+ * @param {string[]} granted - Permissions of the role
+ * @param {string} permission - Permission required
+ * @returns {boolean} True if granted
+ */
+function hasPermission(granted, permission) {
+  return granted.some((entry) =>
+    entry.endsWith('*') ? permission.startsWith(entry.slice(0, -1)) : entry === permission
+  );
+}
+
+/**
+ * Check that a permission entry is known, or is a wildcard covering at least one known permission
+ * @param {string} entry - Permission or wildcard
+ * @returns {boolean} True if valid
+ */
+function isValidPermission(entry) {
+  return typeof entry === 'string' && PERMISSIONS.some((permission) => hasPermission([entry], permission));
+}
+
+/**
+ * Get the permissions of a role, from its stored mapping or the defaults
+ * @param {string} role - userType
+ * @returns {Promise<string[]>} Granted permissions
+ */
+async function getRolePermissions(role) {
+  const record = await RolePermission.findOneByRole(role);
+  return record ? record.permissions : DEFAULT_ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Get the permission mapping of every role
+ * @returns {Promise<Object<string, string[]>>} Permissions by role
+ */
+async function getPermissionMapping() {
+  const records = await RolePermission.find({ role: { $in: ROLES } });
+  const stored = Object.fromEntries(records.map((record) => [record.role, record.permissions]));
+  return Object.fromEntries(ROLES.map((role) => [role, stored[role] ?? DEFAULT_ROLE_PERMISSIONS[role]]));
+}
+
+/**
+ * Middleware factory requiring every listed permission from the user's role.
+ * A permission may be a function of the request, e.g. to include the document type;
+ * it may return several permissions, or nothing when the request is invalid anyway.
+ * Use after authenticateToken.
+ * @param {...(string|Function)} required - Permissions, or (req) => permission(s)
+ * @returns {Function} Express middleware
+ */
+function requirePermission(...required) {
+  return async (req, res, next) => {
+    try {
+      const granted = await getRolePermissions(req.user.userType);
+      const missing = required
+        .flatMap((permission) => (typeof permission === 'function' ? permission(req) : permission))
+        .filter(Boolean)
+        .find((permission) => !hasPermission(granted, permission));
+
+      if (missing) {
+        return res.status(403).json({
+          error: 'Access denied. Missing permission.',
+          code: 'PERMISSION_DENIED',
+          details: `${req.user.userType} users do not have ${missing}`
+        });
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to check permissions',
+        details: error.message
+      });
+    }
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  ROLES,
+  hasPermission,
+  isValidPermission,
+  getRolePermissions,
+  getPermissionMapping,
+  requirePermission
+};
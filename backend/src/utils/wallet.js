@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Custodial wallet keys are encrypted at rest with AES-256-GCM.
+// The encryption key is derived from WALLET_ENCRYPTION_KEY, which must never change
+// once wallets have been created (existing keys could no longer be decrypted).
+const WALLET_ENCRYPTION_KEY = process.env.WALLET_ENCRYPTION_KEY;
+const KEY_DERIVATION_SALT = 'tradechain-custodial-wallet';
+const CIPHER = 'aes-256-gcm';
+
+let derivedKey = null;
+
+/**
+ * Derive (once) the symmetric key used to encrypt wallet private keys
+ * @returns {Buffer} 32 byte key
+ * @throws {Error} If WALLET_ENCRYPTION_KEY is not configured
+ */
+function getEncryptionKey() {
+  if (!WALLET_ENCRYPTION_KEY) {
+    throw new Error('Missing WALLET_ENCRYPTION_KEY in .env');
+  }
+  if (!derivedKey) {
+    derivedKey = crypto.scryptSync(WALLET_ENCRYPTION_KEY, KEY_DERIVATION_SALT, 32);
+  }
+  return derivedKey;
+}
+
+/**
+ * Encrypt a private key into the "iv:authTag:ciphertext" hex format stored on the user
+ * @param {string} privateKey - 0x prefixed private key
+ * @returns {string} Encrypted private key
+ */
+function encryptPrivateKey(privateKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv, authTag, ciphertext].map((b) => b.toString('hex')).join(':');
+}
+
+/**
+ * Decrypt a private key produced by encryptPrivateKey
+ * @param {string} encrypted - Encrypted private key
+ * @returns {string} 0x prefixed private key
+ */
+function decryptPrivateKey(encrypted) {
+  const [iv, authTag, ciphertext] = String(encrypted)
+    .split(':')
+    .map((part) => Buffer.from(part, 'hex'));
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, getEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error(`Failed to decrypt wallet: ${error.message}`);
+  }
+}
+
+/**
+ * Create a fresh custodial wallet for a user
+ * @returns {{ address: string, encryptedPrivateKey: string }} Wallet address and encrypted key
+ */
+function createCustodialWallet() {
+  const wallet = ethers.Wallet.createRandom();
+  return {
+    address: wallet.address,
+    encryptedPrivateKey: encryptPrivateKey(wallet.privateKey),
+  };
+}
+
+/**
+ * Rebuild a user's wallet from its encrypted private key
+ * @param {string} encryptedPrivateKey - Encrypted private key stored on the user
+ * @param {ethers.Provider} provider - Provider to connect the wallet to
+ * @returns {ethers.Wallet} Connected wallet
+ */
+function decryptWallet(encryptedPrivateKey, provider) {
+  return new ethers.Wallet(decryptPrivateKey(encryptedPrivateKey), provider);
+}
+
+module.exports = {
+  createCustodialWallet,
+  decryptWallet,
+  encryptPrivateKey,
+  decryptPrivateKey,
+};
@@ -0,0 +1,283 @@
+const { before, after, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, signUp, waitForJob } = require("./helpers");
+const quoteSample = require("../src/samples/sales-quote-sample.json");
+
+// A sales quote to the buyer, signable by them unless isSignable is false
+const salesQuote = (id, buyerEmail, { isSignable = true } = {}) => ({
+  ...quoteSample,
+  documentId: id,
+  quoteNumber: id,
+  recipient: { ...quoteSample.recipient, emailAddress: buyerEmail, isSignable },
+});
+
+describe("documents on the simulated chain", () => {
+  let request;
+  let stop;
+  let seller;
+  let buyer;
+
+  before(async () => {
+    ({ request, stop } = await startApi());
+    seller = await signUp(request, {
+      name: "Seller Admin",
+      email: "seller@example.com",
+      organisationId: "SELLER",
+      userType: "admin",
+    });
+    buyer = await signUp(request, {
+      name: "Buyer",
+      email: "buyer@example.com",
+      organisationId: "BUYER",
+      // Signs, and may revoke the documents of its own organisation only
+      userType: "invoice",
+    });
+
+    // The seller's store issues sales quotes and the buyer signs them
+    for (const [path, account] of [
+      ["/admin/registry/issuers", seller.storeAddress],
+      ["/admin/registry/signers", buyer.walletAddress],
+    ]) {
+      const { status, body } = await request("PUT", path, {
+        token: seller.token,
+        body: { documentType: "SALES-QUOTE", account, active: true },
+      });
+      assert.equal(status, 202);
+      assert.equal((await waitForJob(request, seller.token, body.jobId)).status, "succeeded");
+    }
+  });
+
+  after(() => stop?.());
+
+  describe("issue, sign and revoke", () => {
+    let issued;
+
+    it("issues a document from the job queue", async () => {
+      const { status, body } = await request("POST", "/document/issue", {
+        token: seller.token,
+        body: salesQuote("QT-1", buyer.user.email),
+      });
+      assert.equal(status, 202);
+      assert.equal(body.documentId, "QT-1");
+      assert.deepEqual(body.signers, [buyer.walletAddress]);
+
+      const job = await waitForJob(request, seller.token, body.jobId);
+      assert.equal(job.status, "succeeded");
+      issued = body;
+    });
+
+    it("verifies the issued copy and returns its fields", async () => {
+      const { status, body } = await request("POST", "/document/verify", {
+        body: { documentId: "QT-1", wrappedDocument: issued.wrappedDocument },
+      });
+      assert.equal(status, 200);
+      assert.equal(body.verified, true);
+      assert.equal(body.anchoredIn, "store");
+      assert.equal(body.redacted, false);
+      assert.equal(body.pathBound, true);
+      assert.equal(body.rawDocument.recipient.emailAddress, buyer.user.email);
+      assert.equal(body.signedAt, "0");
+    });
+
+    it("refuses a signer the registry does not whitelist", async () => {
+      const { status, body } = await request("POST", "/document/sign", {
+        token: seller.token,
+        body: { documentId: "QT-1" },
+      });
+      assert.equal(status, 403);
+      assert.equal(body.code, "SIGNER_NOT_WHITELISTED");
+    });
+
+    it("signs the document as the recipient", async () => {
+      const { status, body } = await request("POST", "/document/sign", {
+        token: buyer.token,
+        body: { documentId: "QT-1" },
+      });
+      assert.equal(status, 202);
+      assert.equal((await waitForJob(request, buyer.token, body.jobId)).status, "succeeded");
+
+      const verified = await request("POST", "/document/verify", {
+        body: { documentId: "QT-1", wrappedDocument: issued.wrappedDocument },
+      });
+      assert.notEqual(verified.body.signedAt, "0");
+      assert.equal(verified.body.fullyExecuted, true);
+    });
+
+    it("only lets the issuing organisation revoke", async () => {
+      const { status } = await request("POST", "/document/revoke", {
+        token: buyer.token,
+        body: { documentId: "QT-1" },
+      });
+      assert.equal(status, 404);
+    });
+
+    it("revokes the document", async () => {
+      const { status, body } = await request("POST", "/document/revoke", {
+        token: seller.token,
+        body: { documentId: "QT-1", reason: "cancelled" },
+      });
+      assert.equal(status, 202);
+      assert.equal(body.reason, "CANCELLED");
+      assert.equal((await waitForJob(request, seller.token, body.jobId)).status, "succeeded");
+
+      const verified = await request("POST", "/document/verify", {
+        body: { documentId: "QT-1", wrappedDocument: issued.wrappedDocument },
+      });
+      assert.notEqual(verified.body.revokedAt, "0");
+    });
+  });
+
+  describe("verify", () => {
+    let issued;
+
+    before(async () => {
+      const { body } = await request("POST", "/document/issue", {
+        token: seller.token,
+        body: salesQuote("QT-2", buyer.user.email, { isSignable: false }),
+      });
+      await waitForJob(request, seller.token, body.jobId);
+      issued = body;
+    });
+
+    it("verifies a redacted copy and discloses only its remaining fields", async () => {
+      const redacted = await request("POST", "/document/redact", {
+        token: seller.token,
+        body: { documentId: "QT-2", fields: ["recipient.phoneNumber", "docDetails.finalAmt"] },
+      });
+      assert.equal(redacted.status, 200);
+      assert.equal(redacted.body.obfuscatedFieldCount, 2);
+
+      const { status, body } = await request("POST", "/document/verify", {
+        body: { documentId: "QT-2", wrappedDocument: redacted.body.wrappedDocument },
+      });
+      assert.equal(status, 200);
+      assert.equal(body.verified, true);
+      assert.equal(body.redacted, true);
+      assert.equal(body.rawDocument.recipient.phoneNumber, undefined);
+      assert.equal(body.rawDocument.docDetails.finalAmt, undefined);
+      assert.equal(body.rawDocument.recipient.name, quoteSample.recipient.name);
+    });
+
+    it("rejects a tampered copy", async () => {
+      const tampered = structuredClone(issued.wrappedDocument);
+      tampered.data.docDetails.finalAmt = tampered.data.docDetails.finalAmt.replace(/:[^:]*$/, ":1");
+
+      const { status } = await request("POST", "/document/verify", {
+        body: { documentId: "QT-2", wrappedDocument: tampered },
+      });
+      assert.equal(status, 400);
+    });
+
+    it("rejects a copy presented under another documentId", async () => {
+      const { status } = await request("POST", "/document/verify", {
+        body: { documentId: "QT-1", wrappedDocument: issued.wrappedDocument },
+      });
+      assert.equal(status, 400);
+    });
+
+    it("returns no document fields for a QR code payload", async () => {
+      const { status, body } = await request("POST", "/document/verify", {
+        body: { documentId: "QT-2", documentHash: issued.documentHash },
+      });
+      assert.equal(status, 200);
+      assert.equal(body.verified, true);
+      assert.equal(body.verifiedBy, "documentHash");
+      assert.equal("rawDocument" in body, false);
+    });
+  });
+
+  describe("batch", () => {
+    let batch;
+
+    before(async () => {
+      const { status, body } = await request("POST", "/document/issue/batch", {
+        token: seller.token,
+        body: {
+          documents: ["QT-B1", "QT-B2"].map((id) => salesQuote(id, buyer.user.email, { isSignable: false })),
+        },
+      });
+      assert.equal(status, 202);
+      assert.equal((await waitForJob(request, seller.token, body.jobId)).status, "succeeded");
+      batch = body;
+    });
+
+    it("verifies a batch member through the batch root", async () => {
+      const { status, body } = await request("POST", "/document/verify", {
+        body: { documentId: "QT-B1", wrappedDocument: batch.wrappedDocuments[0] },
+      });
+      assert.equal(status, 200);
+      assert.equal(body.verified, true);
+      assert.equal(body.anchoredIn, "batch");
+      assert.equal(body.batchRoot, batch.batchRoot);
+    });
+
+    it("verifies a redacted batch member", async () => {
+      const redacted = await request("POST", "/document/redact", {
+        token: seller.token,
+        body: { documentId: "QT-B2", fields: ["recipient.phoneNumber"] },
+      });
+      assert.equal(redacted.status, 200);
+
+      const { body } = await request("POST", "/document/verify", {
+        body: { documentId: "QT-B2", wrappedDocument: redacted.body.wrappedDocument },
+      });
+      assert.equal(body.verified, true);
+      assert.equal(body.redacted, true);
+      assert.equal(body.anchoredIn, "batch");
+    });
+
+    it("refuses to redact the documentId of a batch member", async () => {
+      const { status } = await request("POST", "/document/redact", {
+        token: seller.token,
+        body: { documentId: "QT-B2", fields: ["documentId"] },
+      });
+      assert.equal(status, 400);
+    });
+
+    it("rejects a batch member presented under another member's documentId", async () => {
+      const { status } = await request("POST", "/document/verify", {
+        body: { documentId: "QT-B1", wrappedDocument: batch.wrappedDocuments[1] },
+      });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe("Idempotency-Key", () => {
+    it("replays the job of a retried request", async () => {
+      const body = salesQuote("QT-3", buyer.user.email, { isSignable: false });
+      const headers = { "Idempotency-Key": "issue-QT-3" };
+
+      const first = await request("POST", "/document/issue", { token: seller.token, body, headers });
+      assert.equal(first.status, 202);
+      const retried = await request("POST", "/document/issue", { token: seller.token, body, headers });
+      assert.equal(retried.status, 202);
+      assert.equal(retried.body.replayed, true);
+      assert.equal(retried.body.jobId, first.body.jobId);
+
+      const job = await waitForJob(request, seller.token, first.body.jobId);
+      assert.equal(job.status, "succeeded");
+      assert.equal(job.attempts, 1);
+    });
+
+    it("refuses a key reused for another request", async () => {
+      const { status, body } = await request("POST", "/document/issue", {
+        token: seller.token,
+        body: salesQuote("QT-4", buyer.user.email, { isSignable: false }),
+        headers: { "Idempotency-Key": "issue-QT-3" },
+      });
+      assert.equal(status, 422);
+      assert.equal(body.code, "IDEMPOTENCY_KEY_REUSED");
+    });
+  });
+
+  describe("request validation", () => {
+    it("rejects a body that does not match the API specification before the route runs", async () => {
+      const { status, body } = await request("POST", "/document/verify", {
+        body: { documentId: 42, documentHash: "0x1234" },
+      });
+      assert.equal(status, 400);
+      assert.equal(body.code, "VALIDATION_ERROR");
+      assert.ok(body.details.some((detail) => detail.path === "/documentId"));
+    });
+  });
+});
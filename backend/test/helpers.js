@@ -0,0 +1,112 @@
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+// Settings of the app under test: a throwaway database, an in-process simulated ledger,
+// fast polling, no outbound webhooks or emails, and responses checked against the spec
+const TEST_ENV = {
+  NETWORKS: JSON.stringify([{ name: "test", mode: "simulated", chainId: 31337 }]),
+  WALLET_ENCRYPTION_KEY: "11".repeat(32),
+  JWT_SECRET: "test-secret",
+  OPENAPI_RESPONSE_VALIDATION: "strict",
+  INDEXER_POLL_INTERVAL_MS: "50",
+  JOB_POLL_INTERVAL_MS: "50",
+  JOB_RETRY_BASE_MS: "50",
+  WEBHOOKS_ENABLED: "false",
+  EMAIL_ENABLED: "false",
+  EMAIL_TRANSPORT: "none",
+};
+
+/**
+ * Starts an in-memory MongoDB, for tests using the models directly
+ * @returns {Promise<{ uri: string, stop: Function }>}
+ */
+async function startDatabase() {
+  const mongo = await MongoMemoryServer.create();
+  return { uri: mongo.getUri(), stop: () => mongo.stop() };
+}
+
+/**
+ * Starts the whole API on a free port, backed by an in-memory MongoDB and a simulated chain
+ * @returns {Promise<{ request: Function, stop: Function }>} request(method, path, { token, body, headers })
+ *   resolves to { status, body }
+ */
+async function startApi() {
+  const database = await startDatabase();
+  Object.assign(process.env, TEST_ENV, { MONGODB_URI: database.uri });
+
+  // Loaded once the environment is set, since app.js reads it on load
+  const api = require("../app");
+  const server = await api.start({ port: 0 });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  async function stop() {
+    await api.stop();
+    await database.stop();
+  }
+
+  return { request, stop };
+}
+
+/**
+ * Signs up the founder of a new organisation, approves the account and logs in
+ * @param {Function} request - See startApi
+ * @param {Object} user - { name, email, organisationId, userType }
+ * @returns {Promise<Object>} { token, user, storeAddress, walletAddress }
+ */
+async function signUp(request, { name, email, organisationId, userType }) {
+  const password = "password123";
+  const created = await request("POST", "/user/new", {
+    body: { name, email, password, organisationId, userType },
+  });
+  if (created.status !== 201) {
+    throw new Error(`Sign-up of ${email} failed: ${JSON.stringify(created.body)}`);
+  }
+
+  // Accounts are approved by a platform admin; there is none yet in a fresh database
+  const User = require("../src/models/User");
+  await User.updateOne({ email }, { status: "approved" });
+
+  const login = await request("POST", "/user/login", { body: { email, password } });
+  if (login.status !== 200) {
+    throw new Error(`Login of ${email} failed: ${JSON.stringify(login.body)}`);
+  }
+  return {
+    token: login.body.apiToken,
+    user: login.body.user,
+    storeAddress: created.body.storeAddress,
+    walletAddress: created.body.walletAddress,
+  };
+}
+
+/**
+ * Polls a job until it succeeds or fails
+ * @param {Function} request - See startApi
+ * @param {string} token - Token of the user who queued the job
+ * @param {string} jobId - Job to wait for
+ * @param {number} [timeoutMs=10000] - Time the job has to settle
+ * @returns {Promise<Object>} Job status
+ */
+async function waitForJob(request, token, jobId, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const { body } = await request("GET", `/jobs/${jobId}`, { token });
+    if (body.job && ["succeeded", "failed"].includes(body.job.status)) return body.job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not settle within ${timeoutMs}ms`);
+}
+
+module.exports = { startDatabase, startApi, signUp, waitForJob };
@@ -0,0 +1,204 @@
+const { before, after, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { startDatabase } = require("./helpers");
+const Job = require("../src/models/Job");
+const { createJobQueue } = require("../src/services/job-queue");
+
+// Transaction as ctx.step expects send() to return one
+const fakeTransaction = (hash) => ({ hash, wait: async () => ({ hash, status: 1 }) });
+
+describe("job queue", () => {
+  let database;
+  const userId = new mongoose.Types.ObjectId();
+
+  before(async () => {
+    database = await startDatabase();
+    await mongoose.connect(database.uri);
+    // The idempotency key index must exist before two jobs race for a key
+    await Job.init();
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await database?.stop();
+  });
+
+  beforeEach(() => Job.deleteMany({}));
+
+  // A queue whose retries are due at once, so runOnce() picks them up
+  const queueOf = (handlers, options = {}) =>
+    createJobQueue({
+      provider: { waitForTransaction: async () => null },
+      handlers,
+      retryBaseMs: 0,
+      maxAttempts: 3,
+      ...options,
+    });
+
+  it("retries a failed job without resending the steps it completed", async () => {
+    const sent = [];
+    let failures = 1;
+    const queue = queueOf({
+      anchor: async (job, ctx) => {
+        await ctx.step("anchor", {
+          send: async () => {
+            sent.push("anchor");
+            return fakeTransaction("0x01");
+          },
+        });
+        if (failures-- > 0) throw new Error("node went away");
+        await ctx.step("grant", {
+          send: async () => {
+            sent.push("grant");
+            return fakeTransaction("0x02");
+          },
+        });
+        return { done: true };
+      },
+    });
+
+    const { job } = await queue.enqueue({ type: "anchor", userId });
+    assert.equal(await queue.runOnce(), true);
+
+    const retrying = await Job.findById(job._id);
+    assert.equal(retrying.status, "queued");
+    assert.equal(retrying.error, "node went away");
+
+    assert.equal(await queue.runOnce(), true);
+    const succeeded = await Job.findById(job._id);
+    assert.equal(succeeded.status, "succeeded");
+    assert.equal(succeeded.attempts, 2);
+    assert.deepEqual(succeeded.result, { done: true });
+    assert.deepEqual(sent, ["anchor", "grant"]);
+    assert.deepEqual(
+      succeeded.steps.map(({ name, status, transactionHash }) => ({ name, status, transactionHash })),
+      [
+        { name: "anchor", status: "completed", transactionHash: "0x01" },
+        { name: "grant", status: "completed", transactionHash: "0x02" },
+      ]
+    );
+  });
+
+  it("skips a step the chain already has", async () => {
+    let sent = false;
+    const queue = queueOf({
+      anchor: async (job, ctx) => {
+        await ctx.step("anchor", {
+          check: async () => true,
+          send: async () => {
+            sent = true;
+            return fakeTransaction("0x01");
+          },
+        });
+      },
+    });
+
+    const { job } = await queue.enqueue({ type: "anchor", userId });
+    await queue.runOnce();
+
+    const settled = await Job.findById(job._id);
+    assert.equal(settled.status, "succeeded");
+    assert.equal(settled.steps[0].status, "skipped");
+    assert.equal(sent, false);
+  });
+
+  it("retries a step whose transaction is not mined in time without resending it", async () => {
+    let sent = 0;
+    let pending = true;
+    const timeout = () => Object.assign(new Error("timeout"), { code: "TIMEOUT" });
+    const queue = queueOf(
+      {
+        anchor: async (job, ctx) => {
+          await ctx.step("anchor", {
+            check: async () => !pending,
+            send: async () => {
+              sent++;
+              return {
+                hash: "0x01",
+                wait: async () => {
+                  throw timeout();
+                },
+              };
+            },
+          });
+        },
+      },
+      {
+        provider: {
+          waitForTransaction: async () => {
+            if (pending) throw timeout();
+            return { status: 1 };
+          },
+          getTransaction: async () => ({ hash: "0x01" }),
+        },
+      }
+    );
+
+    const { job } = await queue.enqueue({ type: "anchor", userId });
+    await queue.runOnce();
+    const timedOut = await Job.findById(job._id);
+    assert.equal(timedOut.status, "queued");
+    assert.equal(timedOut.steps[0].transactionHash, "0x01");
+
+    // Still pending on the node: the retry waits again instead of resending
+    await queue.runOnce();
+    const stillPending = await Job.findById(job._id);
+    assert.equal(stillPending.status, "queued");
+    assert.match(stillPending.error, /still pending/);
+
+    pending = false;
+    await queue.runOnce();
+    const mined = await Job.findById(job._id);
+    assert.equal(mined.status, "succeeded");
+    assert.equal(mined.steps[0].status, "completed");
+    assert.equal(sent, 1);
+  });
+
+  it("marks a job failed after maxAttempts and runs its failure handler", async () => {
+    const failed = [];
+    const settled = [];
+    const queue = queueOf(
+      {
+        anchor: async () => {
+          throw new Error("execution reverted");
+        },
+      },
+      {
+        onFailure: { anchor: async (job, err) => failed.push(err.message) },
+        onSettled: async (job) => settled.push(job.status),
+      }
+    );
+
+    const { job } = await queue.enqueue({ type: "anchor", userId });
+    while (await queue.runOnce());
+
+    const final = await Job.findById(job._id);
+    assert.equal(final.status, "failed");
+    assert.equal(final.attempts, 3);
+    assert.deepEqual(failed, ["execution reverted"]);
+    assert.deepEqual(settled, ["failed"]);
+  });
+
+  it("returns the existing job for a repeated idempotency key", async () => {
+    const queue = queueOf({ anchor: async () => {} });
+    const params = { type: "anchor", userId, idempotencyKey: "key-1", requestHash: "hash" };
+
+    const first = await queue.enqueue(params);
+    const second = await queue.enqueue(params);
+
+    assert.equal(first.created, true);
+    assert.equal(second.created, false);
+    assert.equal(String(second.job._id), String(first.job._id));
+    assert.equal(await Job.countDocuments(), 1);
+  });
+
+  it("only claims the job types it has handlers for", async () => {
+    const other = queueOf({ deliver: async () => {} });
+    const queue = queueOf({ anchor: async () => {} });
+    await queue.enqueue({ type: "anchor", userId });
+
+    assert.equal(await other.runOnce(), false);
+    assert.equal(await queue.runOnce(), true);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { verifyWrappedMerkle, collectWrappedLeaves, leafHash } = require("verifier");
+const {
+  saltDocument,
+  merkleRoot,
+  wrapDocument,
+  unsaltDocument,
+  obfuscateDocument,
+  wrapDocumentBatch,
+} = require("../src/helpers/merkle-root");
+
+const invoice = {
+  documentId: "INV-1",
+  docDetails: {
+    total: 100,
+    discount: 5,
+    items: [
+      { name: "bolt", unitPrice: 2 },
+      { name: "nut", unitPrice: 1 },
+    ],
+  },
+};
+
+describe("Merkle leaves", () => {
+  it("verifies a wrapped document as bound to its field paths", () => {
+    const result = verifyWrappedMerkle(wrapDocument(invoice));
+    assert.equal(result.ok, true);
+    assert.equal(result.pathBound, true);
+  });
+
+  it("rejects values swapped between fields", () => {
+    const swapped = wrapDocument(invoice);
+    const { total, discount } = swapped.data.docDetails;
+    swapped.data.docDetails.total = discount;
+    swapped.data.docDetails.discount = total;
+
+    const result = verifyWrappedMerkle(swapped);
+    assert.equal(result.ok, false);
+    assert.equal(unsaltDocument(swapped.data).docDetails.total, 5);
+  });
+
+  it("rejects array elements swapped between indices", () => {
+    const swapped = wrapDocument(invoice);
+    swapped.data.docDetails.items.reverse();
+    assert.equal(verifyWrappedMerkle(swapped).ok, false);
+  });
+
+  it("rejects a path-bound document relabelled as a legacy one", () => {
+    const relabelled = wrapDocument(invoice);
+    relabelled.signature.type = "SHA3MerkleProof";
+    assert.equal(verifyWrappedMerkle(relabelled).ok, false);
+  });
+
+  it("verifies a redacted copy, keeping the index of later array elements", () => {
+    const wrapped = wrapDocument(invoice);
+    const redacted = obfuscateDocument(wrapped, ["docDetails.discount", "docDetails.items.0"]);
+
+    const result = verifyWrappedMerkle(redacted);
+    assert.equal(result.ok, true);
+    assert.equal(result.obfuscatedCount, 3);
+    assert.deepEqual(result.disclosedFields.sort(), [
+      "docDetails.items.1.name",
+      "docDetails.items.1.unitPrice",
+      "docDetails.total",
+      "documentId",
+    ]);
+    assert.deepEqual(unsaltDocument(redacted.data).docDetails.items, [null, { name: "nut", unitPrice: 1 }]);
+
+    // A redacted copy can be redacted further
+    assert.equal(verifyWrappedMerkle(obfuscateDocument(redacted, ["docDetails.total"])).ok, true);
+  });
+
+  it("still verifies a legacy document, without binding its fields", () => {
+    const salted = saltDocument(invoice);
+    const leaves = collectWrappedLeaves(salted)
+      .map(({ value }) => leafHash(value))
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const { root } = merkleRoot(leaves);
+    const legacy = {
+      data: salted,
+      signature: { type: "SHA3MerkleProof", targetHash: root, proof: [], merkleRoot: root },
+    };
+
+    const result = verifyWrappedMerkle(legacy);
+    assert.equal(result.ok, true);
+    assert.equal(result.pathBound, false);
+    assert.equal(verifyWrappedMerkle(obfuscateDocument(legacy, ["docDetails.total"])).ok, true);
+  });
+});
+
+describe("batch leaves", () => {
+  const { documents } = wrapDocumentBatch(
+    ["DO-1", "DO-2", "DO-3"].map((documentId) => ({ ...invoice, documentId }))
+  );
+
+  it("verifies every member under its own documentId", () => {
+    for (const [i, member] of documents.entries()) {
+      const result = verifyWrappedMerkle(member);
+      assert.equal(result.ok, true);
+      assert.equal(result.documentId, `DO-${i + 1}`);
+    }
+  });
+
+  it("rejects a member carrying another member's documentId", () => {
+    const moved = structuredClone(documents[0]);
+    moved.data.documentId = documents[1].data.documentId;
+    assert.equal(verifyWrappedMerkle(moved).ok, false);
+  });
+
+  it("rejects a member whose documentId was redacted", () => {
+    const result = verifyWrappedMerkle(obfuscateDocument(documents[2], ["documentId"]));
+    assert.equal(result.ok, false);
+    assert.equal(result.reason, "A document issued in a batch must disclose its documentId");
+  });
+});
@@ -0,0 +1,206 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const spec = require("../src/openapi");
+const { createOpenApiValidator } = require("../src/utils/openapi-validator");
+const { standardErrors } = require("../src/utils/errors");
+
+// The smallest spec exercising parameters, a request body and the responses
+const miniSpec = {
+  openapi: "3.1.0",
+  info: { title: "test", version: "1" },
+  paths: {
+    "/items/{itemId}": {
+      post: {
+        parameters: [
+          { name: "itemId", in: "path", required: true, schema: { type: "string", pattern: "^[a-z]+$" } },
+          { name: "limit", in: "query", schema: { type: "integer", maximum: 10 } },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: { name: { type: "string" } },
+                required: ["name"],
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: "Item",
+            content: {
+              "application/json": {
+                schema: { type: "object", properties: { name: { type: "string" } }, required: ["name"] },
+              },
+            },
+          },
+          default: {
+            description: "Error",
+            content: {
+              "application/json": {
+                schema: { type: "object", properties: { error: { type: "string" } }, required: ["error"] },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Serves routes behind the validator, registered as app.js does, on a free port
+ * @param {Object} apiSpec - OpenAPI document
+ * @param {string} responses - Response validation mode
+ * @param {Function} route - (app) => registers the routes
+ * @returns {Promise<{ post: Function, close: Function }>}
+ */
+async function serve(apiSpec, responses, route) {
+  const app = express();
+  app.use(express.json());
+  const { validateRequests, validateResponses } = createOpenApiValidator(apiSpec, { responses });
+  app.use(validateResponses);
+  app.use(standardErrors);
+  app.use(validateRequests);
+  route(app);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return {
+    async post(path, body) {
+      const res = await fetch(`${baseUrl}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      return { status: res.status, body: await res.json() };
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+describe("OpenAPI validator", () => {
+  describe("requests", () => {
+    let api;
+    let reached;
+
+    before(async () => {
+      api = await serve(miniSpec, "strict", (app) => {
+        app.post("/items/:itemId", (req, res) => {
+          reached = { limit: req.query.limit };
+          res.json({ name: req.body.name });
+        });
+        app.post("/undocumented", (req, res) => res.json({ anything: true }));
+      });
+    });
+
+    after(() => api.close());
+
+    it("passes a request matching its operation", async () => {
+      reached = null;
+      const { status, body } = await api.post("/items/abc?limit=5", { name: "bolt" });
+      assert.equal(status, 200);
+      assert.deepEqual(body, { name: "bolt" });
+      // Parameters are coerced for validation only; the route still reads the string
+      assert.deepEqual(reached, { limit: "5" });
+    });
+
+    it("rejects invalid parameters and bodies with every error before the route runs", async () => {
+      reached = null;
+      const { status, body } = await api.post("/items/ABC?limit=50", { name: 7 });
+      assert.equal(status, 400);
+      assert.equal(body.code, "VALIDATION_ERROR");
+      assert.equal(reached, null);
+      assert.deepEqual(body.details.map(({ in: location, path }) => `${location} ${path}`).sort(), [
+        "body /name",
+        "path /itemId",
+        "query /limit",
+      ]);
+    });
+
+    it("reports a missing required property at its path", async () => {
+      const { body } = await api.post("/items/abc", { other: true });
+      assert.deepEqual(
+        body.details.map(({ in: location, path }) => ({ in: location, path })),
+        [{ in: "body", path: "/name" }]
+      );
+    });
+
+    it("passes requests the spec does not describe", async () => {
+      const { status, body } = await api.post("/undocumented", { any: "thing" });
+      assert.equal(status, 200);
+      assert.deepEqual(body, { anything: true });
+    });
+  });
+
+  describe("responses", () => {
+    const wrongShape = (app) =>
+      app.post("/items/:itemId", (req, res) => res.json({ title: "not a name" }));
+
+    it("turns a response that does not match its schema into a 500 in strict mode", async () => {
+      const api = await serve(miniSpec, "strict", wrongShape);
+      try {
+        const { status, body } = await api.post("/items/abc", { name: "bolt" });
+        assert.equal(status, 500);
+        assert.equal(body.code, "RESPONSE_VALIDATION_ERROR");
+        assert.deepEqual(body.details, [{ in: "response", path: "/name", message: "must have required property 'name'" }]);
+      } finally {
+        await api.close();
+      }
+    });
+
+    it("only logs the mismatch in warn mode", async () => {
+      const api = await serve(miniSpec, "warn", wrongShape);
+      try {
+        const { status, body } = await api.post("/items/abc", { name: "bolt" });
+        assert.equal(status, 200);
+        assert.deepEqual(body, { title: "not a name" });
+      } finally {
+        await api.close();
+      }
+    });
+
+    it("checks error responses against the default response", async () => {
+      const api = await serve(miniSpec, "strict", (app) =>
+        app.post("/items/:itemId", (req, res) => res.status(404).json({ error: "Item not found" }))
+      );
+      try {
+        const { status, body } = await api.post("/items/abc", { name: "bolt" });
+        assert.equal(status, 404);
+        assert.equal(body.error, "Item not found");
+        assert.equal(body.code, "NOT_FOUND");
+      } finally {
+        await api.close();
+      }
+    });
+  });
+
+  describe("API specification", () => {
+    it("compiles every operation of the served spec", () => {
+      assert.doesNotThrow(() => createOpenApiValidator(spec, { responses: "strict" }));
+    });
+
+    it("rejects a malformed verify request", async () => {
+      const api = await serve(spec, "strict", (app) =>
+        app.post("/document/verify", () => assert.fail("the route must not run"))
+      );
+      try {
+        const { status, body } = await api.post("/document/verify", {
+          documentId: 42,
+          documentHash: "0x1234",
+          chainId: "mainnet",
+        });
+        assert.equal(status, 400);
+        assert.equal(body.code, "VALIDATION_ERROR");
+        assert.deepEqual(body.details.map(({ path }) => path).sort(), ["/chainId", "/documentId"]);
+      } finally {
+        await api.close();
+      }
+    });
+  });
+});
@@ -3,6 +3,9 @@ pragma solidity ^0.8.24;
 
 import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
 import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {MerkleProof} from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import {Nonces} from "@openzeppelin/contracts/utils/Nonces.sol";
 
 interface IDocumentRegistry {
     function allowedIssuer(bytes32, address) external view returns (bool);
@@ -19,12 +22,32 @@ interface IDocumentRegistry {
  * @dev Each instance may represent a company or organization.
  *      The contract integrates with a central DocumentRegistry for access control,
  *      whitelisting, and signer threshold configuration.
+ *      Issuing and signing can also be authorised off-chain with an EIP-712 signature
+ *      and relayed by anyone, so users can sign with their own wallet.
+ *      Many documents can be anchored at once by issuing the Merkle root of their
+ *      ids and hashes as a batch; each document then proves its inclusion under its id.
+ *      The registry whitelists organisations, i.e. stores, as issuers of a document type;
+ *      within a store, the ISSUER_ROLE holders issue. Signers are whitelisted as accounts,
+ *      per document type and per document.
  */
-contract DocumentStore is AccessControl {
+contract DocumentStore is AccessControl, EIP712, Nonces {
     bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
     bytes32 public constant SIGNER_ROLE = keccak256("SIGNER_ROLE");
     bytes32 public constant REVOKER_ROLE = keccak256("REVOKER_ROLE");
 
+    bytes32 public constant ISSUE_TYPEHASH =
+        keccak256(
+            "Issue(bytes32 documentId,bytes32 documentHash,bytes32 documentType,address issuer,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 public constant SIGN_TYPEHASH =
+        keccak256(
+            "Sign(bytes32 documentId,address signer,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 public constant REISSUE_TYPEHASH =
+        keccak256(
+            "Reissue(bytes32 previousDocumentId,bytes32 documentId,bytes32 documentHash,address issuer,uint256 nonce,uint256 deadline)"
+        );
+
     enum State {
         None,
         Issued,
@@ -47,11 +70,32 @@ contract DocumentStore is AccessControl {
         State state; // Lifecycle state
     }
 
+    struct BatchMeta {
+        bytes32 documentType; // Type shared by every document of the batch
+        address issuer; // Address that issued the batch
+        uint64 issuedAt; // Timestamp of issuance
+        uint32 size; // Number of documents in the batch
+    }
+
     IDocumentRegistry public registry;
 
     mapping(bytes32 => DocumentMeta) public meta;
     mapping(bytes32 => mapping(address => uint64)) public signedAt;
 
+    // Signer threshold snapshotted from the registry at issuance
+    mapping(bytes32 => uint8) public requiredSigners;
+    // Number of distinct signers that have signed each document
+    mapping(bytes32 => uint8) public signatureCount;
+    // Timestamp at which the signer threshold was reached, 0 if not yet
+    mapping(bytes32 => uint64) public executedAt;
+
+    // Version links between a reissued document and the document replacing it
+    mapping(bytes32 => bytes32) public predecessorOf;
+    mapping(bytes32 => bytes32) public successorOf;
+
+    // Batch Merkle root => batch anchored with issueBatch
+    mapping(bytes32 => BatchMeta) public batches;
+
     event DocumentIssued(
         bytes32 indexed documentId,
         bytes32 indexed documentType,
@@ -60,23 +104,46 @@ contract DocumentStore is AccessControl {
     );
 
     event DocumentSigned(bytes32 indexed documentId, address indexed signer);
+    event DocumentFullyExecuted(
+        bytes32 indexed documentId,
+        uint8 signatureCount
+    );
     event DocumentRevoked(
         bytes32 indexed documentId,
         address indexed revoker,
         RevokeReason reason
     );
+    event BatchIssued(
+        bytes32 indexed batchRoot,
+        bytes32 indexed documentType,
+        address issuer,
+        uint32 size
+    );
+    event DocumentReissued(
+        bytes32 indexed previousDocumentId,
+        bytes32 indexed documentId,
+        address issuer
+    );
 
-    constructor(address admin, address registry_) {
+    constructor(
+        address admin,
+        address registry_
+    ) EIP712("DocumentStore", "1") {
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
         _grantRole(ISSUER_ROLE, admin);
         _grantRole(REVOKER_ROLE, admin);
         _grantRole(SIGNER_ROLE, admin);
+        // The deploying factory stays an admin so it can manage member roles (setStoreRole)
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         registry = IDocumentRegistry(registry_);
     }
 
     /**
      * @notice Issues a new document on-chain by recording its metadata and hash.
-     * @dev Requires the caller to hold the ISSUER_ROLE and be whitelisted in the registry.
+     * @dev Requires the caller to hold the ISSUER_ROLE, and this store to be whitelisted in the
+     *      registry as an issuer of `documentType`. The registry's requiredSignerCount for the
+     *      type is snapshotted here (0 counts as 1), so later registry changes do not alter
+     *      documents already issued.
      * @param documentId The unique identifier (hash) representing the issued document.
      * @param documentHash The keccak256 hash of the off-chain document (e.g., JSON/PDF).
      * @param documentType The category of the document (e.g., "INVOICE", "PO").
@@ -88,60 +155,290 @@ contract DocumentStore is AccessControl {
         bytes32 documentHash,
         bytes32 documentType
     ) external onlyRole(ISSUER_ROLE) {
+        _issue(documentId, documentHash, documentType, msg.sender);
+    }
+
+    /**
+     * @notice Issues a document on behalf of an issuer who authorised it with an EIP-712 signature.
+     * @dev The recovered issuer must hold ISSUER_ROLE; anyone may relay the transaction.
+     *      Each signature carries the issuer's current nonce and is valid until `deadline`.
+     * @param documentId The unique identifier (hash) representing the issued document.
+     * @param documentHash The keccak256 hash of the off-chain document (e.g., JSON/PDF).
+     * @param documentType The category of the document (e.g., "INVOICE", "PO").
+     * @param issuer The account that signed the Issue typed data.
+     * @param deadline Timestamp after which the signature is no longer accepted.
+     * @param signature The issuer's EIP-712 signature.
+     *
+     * Emits a {DocumentIssued} event.
+     */
+    function issueWithSig(
+        bytes32 documentId,
+        bytes32 documentHash,
+        bytes32 documentType,
+        address issuer,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                ISSUE_TYPEHASH,
+                documentId,
+                documentHash,
+                documentType,
+                issuer,
+                _useNonce(issuer),
+                deadline
+            )
+        );
+        _checkTypedSignature(structHash, issuer, deadline, signature);
+        _checkRole(ISSUER_ROLE, issuer);
+
+        _issue(documentId, documentHash, documentType, issuer);
+    }
+
+    function _issue(
+        bytes32 documentId,
+        bytes32 documentHash,
+        bytes32 documentType,
+        address issuer
+    ) internal {
         require(
             meta[documentId].state == State.None,
             "Document Already Exists"
         );
+        require(
+            registry.allowedIssuer(documentType, address(this)),
+            "Issuer not allowed for type"
+        );
 
         meta[documentId] = DocumentMeta({
             documentHash: documentHash,
             documentType: documentType,
-            issuer: msg.sender,
+            issuer: issuer,
             issuedAt: uint64(block.timestamp),
             revokedAt: 0,
             state: State.Issued
         });
 
+        uint8 required = registry.requiredSignerCount(documentType);
+        requiredSigners[documentId] = required == 0 ? 1 : required;
+
         emit DocumentIssued(
             documentId,
             documentType,
-            msg.sender,
+            issuer,
             documentHash
         );
     }
 
+    /**
+     * @notice Anchors a batch of documents with a single Merkle root.
+     * @dev The batch tree hashes sibling pairs in sorted order (OpenZeppelin MerkleProof) and
+     *      each leaf is keccak256(abi.encode(documentId, documentHash)), so a member only
+     *      verifies under its own id. Batched documents have no signer threshold and no
+     *      per-document record until one of them is revoked with revokeBatchMember.
+     *      Like issue, requires this store to be whitelisted as an issuer of `documentType`.
+     * @param batchRoot The Merkle root over the leaves of the batch.
+     * @param documentType The category shared by all documents of the batch.
+     * @param size The number of documents in the batch.
+     *
+     * Emits a {BatchIssued} event.
+     */
+    function issueBatch(
+        bytes32 batchRoot,
+        bytes32 documentType,
+        uint32 size
+    ) external onlyRole(ISSUER_ROLE) {
+        require(size > 0, "Empty batch");
+        require(batches[batchRoot].issuedAt == 0, "Batch Already Exists");
+        require(
+            registry.allowedIssuer(documentType, address(this)),
+            "Issuer not allowed for type"
+        );
+
+        batches[batchRoot] = BatchMeta({
+            documentType: documentType,
+            issuer: msg.sender,
+            issuedAt: uint64(block.timestamp),
+            size: size
+        });
+
+        emit BatchIssued(batchRoot, documentType, msg.sender, size);
+    }
+
+    /**
+     * @notice Checks that a document belongs to an issued batch and has not been revoked.
+     * @dev The proof is checked from the leaf of `documentId` and `documentHash`, so a member
+     *      cannot be presented under another id, e.g. to escape its revocation record.
+     * @param batchRoot The batch the document was issued in.
+     * @param documentId The document identifier.
+     * @param documentHash The document's own hash.
+     * @param proof Sibling hashes from the leaf up to the batch root.
+     * @return bool True if the proof is valid for an issued batch and the document is not revoked.
+     */
+    function isIssuedInBatch(
+        bytes32 batchRoot,
+        bytes32 documentId,
+        bytes32 documentHash,
+        bytes32[] calldata proof
+    ) external view returns (bool) {
+        return
+            batches[batchRoot].issuedAt != 0 &&
+            meta[documentId].state == State.None &&
+            MerkleProof.verifyCalldata(proof, batchRoot, _batchLeaf(documentId, documentHash));
+    }
+
+    /**
+     * @notice Revokes a single document of a batch; the rest of the batch stays valid.
+     * @dev Requires REVOKER_ROLE. The document gets its own record, copied from the batch,
+     *      in the Revoked state. The proof must lead from the leaf of `documentId` and
+     *      `documentHash`, so the record is kept under the id the member was issued with.
+     * @param batchRoot The batch the document was issued in.
+     * @param documentId The identifier of the document to revoke.
+     * @param documentHash The document's own hash.
+     * @param proof Sibling hashes from the leaf up to the batch root.
+     * @param reason The reason for revocation.
+     *
+     * Emits a {DocumentRevoked} event.
+     */
+    function revokeBatchMember(
+        bytes32 batchRoot,
+        bytes32 documentId,
+        bytes32 documentHash,
+        bytes32[] calldata proof,
+        RevokeReason reason
+    ) external onlyRole(REVOKER_ROLE) {
+        BatchMeta storage batch = batches[batchRoot];
+        require(batch.issuedAt != 0, "Batch not found");
+        require(meta[documentId].state == State.None, "Document not revocable");
+        require(
+            MerkleProof.verifyCalldata(proof, batchRoot, _batchLeaf(documentId, documentHash)),
+            "Invalid batch proof"
+        );
+
+        meta[documentId] = DocumentMeta({
+            documentHash: documentHash,
+            documentType: batch.documentType,
+            issuer: batch.issuer,
+            issuedAt: batch.issuedAt,
+            revokedAt: uint64(block.timestamp),
+            state: State.Revoked
+        });
+        emit DocumentRevoked(documentId, msg.sender, reason);
+    }
+
+    /**
+     * @dev The batch leaf of a document, binding its id to its hash.
+     */
+    function _batchLeaf(
+        bytes32 documentId,
+        bytes32 documentHash
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(documentId, documentHash));
+    }
+
     /**
      * @notice Signs a previously issued document to attest its validity or approval.
-     * @dev Requires SIGNER_ROLE and that the signer is whitelisted for the given document type.
+     * @dev Requires SIGNER_ROLE and that the signer is whitelisted in the registry both for the
+     *      document's type and for the document itself.
      *      Can only be executed once per signer for each document.
+     *      The signature that reaches the document's required signer count marks it fully executed.
      * @param documentId The document ID to be signed.
      *
-     * Emits a {DocumentSigned} event.
+     * Emits a {DocumentSigned} event, and a {DocumentFullyExecuted} event on reaching the threshold.
      */
     function sign(bytes32 documentId) external onlyRole(SIGNER_ROLE) {
+        _sign(documentId, msg.sender);
+    }
+
+    /**
+     * @notice Signs a document on behalf of a signer who authorised it with an EIP-712 signature.
+     * @dev The recovered signer must hold SIGNER_ROLE and be whitelisted for the document's type
+     *      and for the document; anyone may relay the transaction.
+     * @param documentId The document ID to be signed.
+     * @param signer The account that signed the Sign typed data.
+     * @param deadline Timestamp after which the signature is no longer accepted.
+     * @param signature The signer's EIP-712 signature.
+     *
+     * Emits a {DocumentSigned} event, and a {DocumentFullyExecuted} event on reaching the threshold.
+     */
+    function signWithSig(
+        bytes32 documentId,
+        address signer,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                SIGN_TYPEHASH,
+                documentId,
+                signer,
+                _useNonce(signer),
+                deadline
+            )
+        );
+        _checkTypedSignature(structHash, signer, deadline, signature);
+        _checkRole(SIGNER_ROLE, signer);
+
+        _sign(documentId, signer);
+    }
+
+    function _sign(bytes32 documentId, address signer) internal {
         DocumentMeta storage docMeta = meta[documentId];
         require(
             docMeta.state == State.Issued || docMeta.state == State.Signed,
             "Document not signable"
         );
 
+        require(
+            registry.allowedSigner(docMeta.documentType, signer),
+            "Signer not allowed for type"
+        );
         bool allowed = registry.allowedSignerForDocument(
             documentId,
-            msg.sender
+            signer
         );
 
         require(allowed, "Signer not allowed");
         require(
-            signedAt[documentId][msg.sender] == 0,
+            signedAt[documentId][signer] == 0,
             "Document already signed"
         );
 
-        signedAt[documentId][msg.sender] = uint64(block.timestamp);
+        signedAt[documentId][signer] = uint64(block.timestamp);
         if (docMeta.state == State.None || docMeta.state == State.Revoked) {
             revert("Document not signable");
         }
 
-        emit DocumentSigned(documentId, msg.sender);
+        emit DocumentSigned(documentId, signer);
+
+        uint8 count = ++signatureCount[documentId];
+        if (executedAt[documentId] == 0 && count >= requiredSigners[documentId]) {
+            executedAt[documentId] = uint64(block.timestamp);
+            emit DocumentFullyExecuted(documentId, count);
+        }
+    }
+
+    /**
+     * @dev Reverts unless `signature` is `expectedSigner`'s EIP-712 signature of `structHash`
+     *      and `deadline` has not passed.
+     */
+    function _checkTypedSignature(
+        bytes32 structHash,
+        address expectedSigner,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal view {
+        require(block.timestamp <= deadline, "Signature expired");
+        address recovered = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        require(recovered == expectedSigner, "Invalid signature");
+    }
+
+    /**
+     * @notice Returns the EIP-712 domain separator used for issueWithSig/signWithSig/reissueWithSig.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
     }
 
     /**
@@ -156,6 +453,14 @@ contract DocumentStore is AccessControl {
         bytes32 documentId,
         RevokeReason reason
     ) external onlyRole(REVOKER_ROLE) {
+        _revoke(documentId, msg.sender, reason);
+    }
+
+    function _revoke(
+        bytes32 documentId,
+        address revoker,
+        RevokeReason reason
+    ) internal {
         DocumentMeta storage docMeta = meta[documentId];
         require(
             docMeta.state == State.Issued || docMeta.state == State.Signed,
@@ -163,7 +468,81 @@ contract DocumentStore is AccessControl {
         );
         docMeta.state = State.Revoked;
         docMeta.revokedAt = uint64(block.timestamp);
-        emit DocumentRevoked(documentId, msg.sender, reason);
+        emit DocumentRevoked(documentId, revoker, reason);
+    }
+
+    /**
+     * @notice Replaces a document with a new version: the old one is revoked as REISSUED
+     *         and the new one is issued with the same document type, linked to its predecessor.
+     * @dev Requires the caller to hold both ISSUER_ROLE and REVOKER_ROLE.
+     *      A revoked document cannot be reissued, so each version has at most one successor.
+     * @param previousDocumentId The document being replaced (must be Issued or Signed).
+     * @param documentId The identifier of the new version.
+     * @param documentHash The keccak256 hash of the new version's off-chain document.
+     *
+     * Emits {DocumentRevoked}, {DocumentIssued} and {DocumentReissued} events.
+     */
+    function reissue(
+        bytes32 previousDocumentId,
+        bytes32 documentId,
+        bytes32 documentHash
+    ) external onlyRole(ISSUER_ROLE) {
+        _checkRole(REVOKER_ROLE);
+        _reissue(previousDocumentId, documentId, documentHash, msg.sender);
+    }
+
+    /**
+     * @notice Reissues a document on behalf of an issuer who authorised it with an EIP-712 signature.
+     * @dev The recovered issuer must hold ISSUER_ROLE and REVOKER_ROLE; anyone may relay the transaction.
+     * @param previousDocumentId The document being replaced (must be Issued or Signed).
+     * @param documentId The identifier of the new version.
+     * @param documentHash The keccak256 hash of the new version's off-chain document.
+     * @param issuer The account that signed the Reissue typed data.
+     * @param deadline Timestamp after which the signature is no longer accepted.
+     * @param signature The issuer's EIP-712 signature.
+     *
+     * Emits {DocumentRevoked}, {DocumentIssued} and {DocumentReissued} events.
+     */
+    function reissueWithSig(
+        bytes32 previousDocumentId,
+        bytes32 documentId,
+        bytes32 documentHash,
+        address issuer,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                REISSUE_TYPEHASH,
+                previousDocumentId,
+                documentId,
+                documentHash,
+                issuer,
+                _useNonce(issuer),
+                deadline
+            )
+        );
+        _checkTypedSignature(structHash, issuer, deadline, signature);
+        _checkRole(ISSUER_ROLE, issuer);
+        _checkRole(REVOKER_ROLE, issuer);
+
+        _reissue(previousDocumentId, documentId, documentHash, issuer);
+    }
+
+    function _reissue(
+        bytes32 previousDocumentId,
+        bytes32 documentId,
+        bytes32 documentHash,
+        address issuer
+    ) internal {
+        require(previousDocumentId != documentId, "Same document id");
+
+        _revoke(previousDocumentId, issuer, RevokeReason.REISSUED);
+        _issue(documentId, documentHash, meta[previousDocumentId].documentType, issuer);
+
+        predecessorOf[documentId] = previousDocumentId;
+        successorOf[previousDocumentId] = documentId;
+        emit DocumentReissued(previousDocumentId, documentId, issuer);
     }
 
     /**
@@ -183,4 +562,15 @@ contract DocumentStore is AccessControl {
     function isSigned(bytes32 documentId) external view returns (bool) {
         return signedAt[documentId][msg.sender] > 0;
     }
+
+    /**
+     * @notice Checks if a document has collected its required number of signatures.
+     * @param documentId The document identifier to verify.
+     * @return bool True if the signer threshold was reached and the document is not Revoked.
+     */
+    function isFullyExecuted(bytes32 documentId) external view returns (bool) {
+        return
+            executedAt[documentId] > 0 &&
+            meta[documentId].state != State.Revoked;
+    }
 }   
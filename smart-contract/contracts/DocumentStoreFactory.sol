@@ -70,8 +70,9 @@ contract DocumentStoreFactory is AccessControl {
 
     /**
      * @notice Deploys a new DocumentStore for a given organization identifier.
-     * @dev Reverts if an org already has a store. The deployed store admin will receive
-     *      DEFAULT_ADMIN_ROLE within that store (as set by the store's constructor).
+     * @dev Reverts if an org already has a store; members of an organisation share its store.
+     *      The deployed store admin will receive DEFAULT_ADMIN_ROLE within that store (as set by
+     *      the store's constructor), and so does this factory, for setStoreRole.
      * @param organisationId A stable, unique identifier for the organization (e.g., keccak256(DID) or business ID).
      * @param storeAdmin The admin address for the new DocumentStore (will hold all roles initially).
      * @return store The address of the newly deployed DocumentStore.
@@ -85,7 +86,7 @@ contract DocumentStoreFactory is AccessControl {
     {
         require(organisationId != bytes32(0), "Invalid Organisation ID");
         require(storeAdmin != address(0), "Invalid Admin Address");
-        // require(organisationAddress[organisationId] == address(0), "Document Store already exists");
+        require(organisationAddress[organisationId] == address(0), "Document Store already exists");
 
         DocumentStore newStore = new DocumentStore(storeAdmin, address(registry));
         store = address(newStore);
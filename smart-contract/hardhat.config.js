@@ -3,7 +3,14 @@ require("hardhat-ethernal");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    // DocumentStoreFactory embeds the DocumentStore bytecode; without the optimizer
+    // it exceeds the 24 KB contract size limit
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
   localhost: {
     url: "http://127.0.0.1:8545"
   },
@@ -1,8 +1,95 @@
 // scripts/deploy.js
-const { ethers, network, run } = require("hardhat");
+//
+// Deploys DocumentRegistry and DocumentStoreFactory, optionally seeds the registry and
+// writes a deployment manifest the backend loads its contracts from.
+//
+//   DEPLOY_CONFIG=deploy.config.json npx hardhat run scripts/deploy.js --network localhost
+//
+// DEPLOY_CONFIG   registry seed (issuers, signers and signer counts per document type),
+//                 see deploy.config.example.json; issuers are organisations, given by the
+//                 address of their store or by their organisation id (e.g. ORG:MAERSK)
+// DEPLOY_MANIFEST where to write the manifest, deployments/<network>.json by default
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { ethers, network, artifacts } = require("hardhat");
+
+// Bump when the manifest layout changes; the backend refuses versions it does not know
+const MANIFEST_VERSION = 1;
 
 const toBytes32 = (s) => ethers.keccak256(ethers.toUtf8Bytes(s));
 
+function gitCommit() {
+  try {
+    return execSync("git rev-parse HEAD", { stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads and checks the registry seed. Document types are the backend's names
+ * (SALES-QUOTE, INVOICE, ...), hashed the way the backend hashes them. Issuers that are
+ * not addresses are organisation ids, resolved to their store once it is deployed.
+ * @param {string} file - Path of the seed config
+ * @returns {{ issuers: Object, signers: Object, requiredSignerCounts: Object }}
+ */
+function readSeedConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  const seed = {
+    issuers: config.issuers || {},
+    signers: config.signers || {},
+    requiredSignerCounts: config.requiredSignerCounts || {},
+  };
+
+  for (const key of ["issuers", "signers"]) {
+    for (const [documentType, accounts] of Object.entries(seed[key])) {
+      if (!Array.isArray(accounts)) {
+        throw new Error(`${file}: ${key}.${documentType} must be an array of addresses`);
+      }
+      seed[key][documentType] = accounts.map((account) => {
+        if (key === "issuers" && typeof account === "string" && !account.startsWith("0x")) {
+          return account;
+        }
+        if (!ethers.isAddress(account)) {
+          throw new Error(`${file}: ${key}.${documentType} has an invalid address ${account}`);
+        }
+        return ethers.getAddress(account);
+      });
+    }
+  }
+  for (const [documentType, count] of Object.entries(seed.requiredSignerCounts)) {
+    if (!Number.isInteger(count) || count < 0 || count > 255) {
+      throw new Error(`${file}: requiredSignerCounts.${documentType} must be an integer from 0 to 255`);
+    }
+  }
+  return seed;
+}
+
+async function seedRegistry(registry, factory, seed) {
+  for (const [documentType, issuers] of Object.entries(seed.issuers)) {
+    for (const issuer of issuers) {
+      // The registry whitelists the organisation's store, which must already exist
+      const store = ethers.isAddress(issuer) ? issuer : await factory.organisationAddress(toBytes32(issuer));
+      if (store === ethers.ZeroAddress) {
+        throw new Error(`Cannot whitelist ${issuer} for ${documentType}: the organisation has no store`);
+      }
+      await (await registry.setIssuer(toBytes32(documentType), store, true)).wait();
+      console.log(`Issuer ${issuer} whitelisted for ${documentType}${store === issuer ? "" : ` (store ${store})`}`);
+    }
+  }
+  for (const [documentType, signers] of Object.entries(seed.signers)) {
+    for (const signer of signers) {
+      await (await registry.setSigner(toBytes32(documentType), signer, true)).wait();
+      console.log(`Signer ${signer} whitelisted for ${documentType}`);
+    }
+  }
+  for (const [documentType, count] of Object.entries(seed.requiredSignerCounts)) {
+    await (await registry.setRequiredSignerCount(toBytes32(documentType), count)).wait();
+    console.log(`${documentType} requires ${count} signer(s)`);
+  }
+}
+
 async function main() {
   const [adminSigner, storeAdminSigner] = await ethers.getSigners();
   const admin = await adminSigner.getAddress();
@@ -12,12 +99,15 @@ async function main() {
   const orgId = toBytes32(orgString);
   const createOrgStore = true;
 
+  // Fail on a bad seed before spending gas on the deployment
+  const seed = process.env.DEPLOY_CONFIG ? readSeedConfig(process.env.DEPLOY_CONFIG) : null;
 
   // Deploy Registry
   const Registry = await ethers.getContractFactory("DocumentRegistry");
   const registry = await Registry.deploy(admin);
   await registry.waitForDeployment();
   const registryAddr = await registry.getAddress();
+  const registryReceipt = await registry.deploymentTransaction().wait();
   console.log("DocumentRegistry deployed at:", registryAddr);
 
   // Deploy Factory
@@ -25,6 +115,7 @@ async function main() {
   const factory = await Factory.deploy(admin, registryAddr);
   await factory.waitForDeployment();
   const factoryAddr = await factory.getAddress();
+  const factoryReceipt = await factory.deploymentTransaction().wait();
   console.log("DocumentStoreFactory deployed at:", factoryAddr);
 
   // Create first store
@@ -33,6 +124,45 @@ async function main() {
     const rc = await tx.wait();
     console.log("createStore tx deployed at:", rc.hash);
   }
+
+  // Seeded after the store, so issuers can name its organisation
+  if (seed) {
+    await seedRegistry(registry, factory, seed);
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    network: { name: network.name, chainId: Number(chainId) },
+    deployedAt: new Date().toISOString(),
+    // The backend's indexer starts reading store events from here
+    deployBlock: registryReceipt.blockNumber,
+    gitCommit: gitCommit(),
+    deployer: admin,
+    contracts: {
+      DocumentRegistry: {
+        address: registryAddr,
+        transactionHash: registryReceipt.hash,
+        abi: (await artifacts.readArtifact("DocumentRegistry")).abi,
+      },
+      DocumentStoreFactory: {
+        address: factoryAddr,
+        transactionHash: factoryReceipt.hash,
+        abi: (await artifacts.readArtifact("DocumentStoreFactory")).abi,
+      },
+      // Deployed per organisation by the factory
+      DocumentStore: {
+        abi: (await artifacts.readArtifact("DocumentStore")).abi,
+      },
+    },
+    seed: seed && { config: path.basename(process.env.DEPLOY_CONFIG), ...seed },
+  };
+
+  const manifestPath =
+    process.env.DEPLOY_MANIFEST || path.join(__dirname, "..", "deployments", `${network.name}.json`);
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+  console.log("Deployment manifest written to:", manifestPath);
 }
 
 main().catch((e) => { console.error(e); process.exit(1); });
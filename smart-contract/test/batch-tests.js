@@ -0,0 +1,232 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const keccak = (s) => ethers.keccak256(ethers.toUtf8Bytes(s));
+
+// A member's leaf binds its id to its hash, as DocumentStore computes it
+const batchLeaf = ({ documentId, documentHash }) =>
+  ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "bytes32"], [documentId, documentHash]));
+
+// Sorted-pair tree matching OpenZeppelin's MerkleProof; odd nodes are carried up
+function buildBatch(leaves) {
+  const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+  const proofs = leaves.map(() => []);
+  let level = leaves.map((hash, i) => ({ hash, members: [i] }));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const [left, right] = [level[i], level[i + 1]];
+      if (!right) {
+        next.push(left);
+        continue;
+      }
+      left.members.forEach((m) => proofs[m].push(right.hash));
+      right.members.forEach((m) => proofs[m].push(left.hash));
+      next.push({ hash: hashPair(left.hash, right.hash), members: [...left.members, ...right.members] });
+    }
+    level = next;
+  }
+  return { root: level[0].hash, proofs };
+}
+
+const STATE = { None: 0, Issued: 1, Signed: 2, Revoked: 3 };
+const FRAUD = 1;
+
+describe("DocumentStore — batch issuance", function () {
+  async function deployAll() {
+    const [admin, storeAdmin, issuer, outsider] = await ethers.getSigners();
+
+    const Registry = await ethers.getContractFactory("DocumentRegistry");
+    const registry = await Registry.deploy(admin.address);
+    await registry.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("DocumentStoreFactory");
+    const factory = await Factory.deploy(admin.address, await registry.getAddress());
+    await factory.waitForDeployment();
+
+    const ORG_ID = keccak("ORG:BATCH");
+    await (await factory.connect(admin).createStore(ORG_ID, storeAdmin.address)).wait();
+    const store = await ethers.getContractAt(
+      "DocumentStore",
+      await factory.organisationAddress(ORG_ID)
+    );
+
+    // `issuer` may issue but not revoke
+    await (await store.connect(storeAdmin).grantRole(await store.ISSUER_ROLE(), issuer.address)).wait();
+    // The organisation may issue delivery orders
+    await (await registry.connect(admin).setIssuer(DELIVERY_ORDER, await store.getAddress(), true)).wait();
+
+    const docs = Array.from({ length: 5 }, (_, i) => ({
+      documentId: keccak(`DO-${i}`),
+      documentHash: keccak(`HASH:DO-${i}`),
+    }));
+    const batch = buildBatch(docs.map(batchLeaf));
+
+    return { accounts: { admin, storeAdmin, issuer, outsider }, registry, store, docs, batch };
+  }
+
+  const DELIVERY_ORDER = keccak("DELIVERY-ORDER");
+
+  it("anchors a batch root with one transaction", async function () {
+    const { store, accounts, batch } = await deployAll();
+
+    await expect(store.connect(accounts.issuer).issueBatch(batch.root, DELIVERY_ORDER, 5))
+      .to.emit(store, "BatchIssued")
+      .withArgs(batch.root, DELIVERY_ORDER, accounts.issuer.address, 5);
+
+    const meta = await store.batches(batch.root);
+    expect(meta.documentType).to.equal(DELIVERY_ORDER);
+    expect(meta.issuer).to.equal(accounts.issuer.address);
+    expect(meta.issuedAt).to.be.gt(0);
+    expect(meta.size).to.equal(5);
+  });
+
+  it("rejects empty, duplicate and unauthorised batches", async function () {
+    const { store, accounts, batch } = await deployAll();
+
+    await expect(
+      store.connect(accounts.issuer).issueBatch(batch.root, DELIVERY_ORDER, 0)
+    ).to.be.revertedWith("Empty batch");
+    await expect(
+      store.connect(accounts.outsider).issueBatch(batch.root, DELIVERY_ORDER, 5)
+    ).to.be.revertedWithCustomError(store, "AccessControlUnauthorizedAccount");
+
+    await (await store.connect(accounts.issuer).issueBatch(batch.root, DELIVERY_ORDER, 5)).wait();
+    await expect(
+      store.connect(accounts.issuer).issueBatch(batch.root, DELIVERY_ORDER, 5)
+    ).to.be.revertedWith("Batch Already Exists");
+  });
+
+  it("rejects batches of a type the organisation is not whitelisted to issue", async function () {
+    const { store, registry, accounts, batch } = await deployAll();
+    const INVOICE = keccak("INVOICE");
+
+    await expect(
+      store.connect(accounts.issuer).issueBatch(batch.root, INVOICE, 5)
+    ).to.be.revertedWith("Issuer not allowed for type");
+
+    await (await registry.connect(accounts.admin).setIssuer(DELIVERY_ORDER, await store.getAddress(), false)).wait();
+    await expect(
+      store.connect(accounts.issuer).issueBatch(batch.root, DELIVERY_ORDER, 5)
+    ).to.be.revertedWith("Issuer not allowed for type");
+  });
+
+  it("verifies every member through its inclusion proof", async function () {
+    const { store, accounts, docs, batch } = await deployAll();
+
+    // Not anchored yet
+    expect(
+      await store.isIssuedInBatch(batch.root, docs[0].documentId, docs[0].documentHash, batch.proofs[0])
+    ).to.equal(false);
+
+    await (await store.connect(accounts.issuer).issueBatch(batch.root, DELIVERY_ORDER, 5)).wait();
+
+    for (const [i, doc] of docs.entries()) {
+      expect(
+        await store.isIssuedInBatch(batch.root, doc.documentId, doc.documentHash, batch.proofs[i])
+      ).to.equal(true);
+    }
+
+    // A hash outside the batch, a member under another id, or a proof of another member
+    // does not verify
+    expect(
+      await store.isIssuedInBatch(batch.root, docs[0].documentId, keccak("HASH:other"), batch.proofs[0])
+    ).to.equal(false);
+    expect(
+      await store.isIssuedInBatch(batch.root, keccak("DO-other"), docs[0].documentHash, batch.proofs[0])
+    ).to.equal(false);
+    expect(
+      await store.isIssuedInBatch(batch.root, docs[0].documentId, docs[0].documentHash, batch.proofs[1])
+    ).to.equal(false);
+  });
+
+  it("revokes a single member and leaves the rest of the batch valid", async function () {
+    const { store, accounts, docs, batch } = await deployAll();
+    await (await store.connect(accounts.issuer).issueBatch(batch.root, DELIVERY_ORDER, 5)).wait();
+    const [revoked, kept] = [docs[2], docs[3]];
+
+    await expect(
+      store
+        .connect(accounts.storeAdmin)
+        .revokeBatchMember(batch.root, revoked.documentId, revoked.documentHash, batch.proofs[2], FRAUD)
+    )
+      .to.emit(store, "DocumentRevoked")
+      .withArgs(revoked.documentId, accounts.storeAdmin.address, FRAUD);
+
+    // The revoked member gets its own record, copied from the batch
+    const meta = await store.meta(revoked.documentId);
+    expect(meta.state).to.equal(STATE.Revoked);
+    expect(meta.documentHash).to.equal(revoked.documentHash);
+    expect(meta.documentType).to.equal(DELIVERY_ORDER);
+    expect(meta.issuer).to.equal(accounts.issuer.address);
+    expect(meta.revokedAt).to.be.gt(0);
+
+    expect(
+      await store.isIssuedInBatch(batch.root, revoked.documentId, revoked.documentHash, batch.proofs[2])
+    ).to.equal(false);
+    expect(
+      await store.isIssuedInBatch(batch.root, kept.documentId, kept.documentHash, batch.proofs[3])
+    ).to.equal(true);
+
+    await expect(
+      store
+        .connect(accounts.storeAdmin)
+        .revokeBatchMember(batch.root, revoked.documentId, revoked.documentHash, batch.proofs[2], FRAUD)
+    ).to.be.revertedWith("Document not revocable");
+  });
+
+  it("does not verify a revoked member under another documentId", async function () {
+    const { store, accounts, docs, batch } = await deployAll();
+    await (await store.connect(accounts.issuer).issueBatch(batch.root, DELIVERY_ORDER, 5)).wait();
+    const revoked = docs[2];
+    await (
+      await store
+        .connect(accounts.storeAdmin)
+        .revokeBatchMember(batch.root, revoked.documentId, revoked.documentHash, batch.proofs[2], FRAUD)
+    ).wait();
+
+    // A fresh id has no revocation record, but its leaf is not in the batch
+    expect(
+      await store.isIssuedInBatch(batch.root, keccak("DO-fresh"), revoked.documentHash, batch.proofs[2])
+    ).to.equal(false);
+  });
+
+  it("only revokes a member under the id it was issued with", async function () {
+    const { store, accounts, docs, batch } = await deployAll();
+    await (await store.connect(accounts.issuer).issueBatch(batch.root, DELIVERY_ORDER, 5)).wait();
+    const doc = docs[1];
+
+    await expect(
+      store
+        .connect(accounts.storeAdmin)
+        .revokeBatchMember(batch.root, keccak("DO-other"), doc.documentHash, batch.proofs[1], FRAUD)
+    ).to.be.revertedWith("Invalid batch proof");
+    expect(await store.isIssuedInBatch(batch.root, doc.documentId, doc.documentHash, batch.proofs[1])).to.equal(
+      true
+    );
+  });
+
+  it("rejects revocations with a bad proof, an unknown batch or without REVOKER_ROLE", async function () {
+    const { store, accounts, docs, batch } = await deployAll();
+    const doc = docs[1];
+
+    await expect(
+      store
+        .connect(accounts.storeAdmin)
+        .revokeBatchMember(batch.root, doc.documentId, doc.documentHash, batch.proofs[1], FRAUD)
+    ).to.be.revertedWith("Batch not found");
+
+    await (await store.connect(accounts.issuer).issueBatch(batch.root, DELIVERY_ORDER, 5)).wait();
+
+    await expect(
+      store
+        .connect(accounts.storeAdmin)
+        .revokeBatchMember(batch.root, doc.documentId, doc.documentHash, batch.proofs[0], FRAUD)
+    ).to.be.revertedWith("Invalid batch proof");
+    await expect(
+      store
+        .connect(accounts.issuer)
+        .revokeBatchMember(batch.root, doc.documentId, doc.documentHash, batch.proofs[1], FRAUD)
+    ).to.be.revertedWithCustomError(store, "AccessControlUnauthorizedAccount");
+  });
+});
@@ -46,6 +46,14 @@ describe("DocumentStore (new ABI) — issue → whitelist → sign → revoke",
 
     const store = await ethers.getContractAt("DocumentStore", storeAddr);
 
+    // Whitelist the organisation as an invoice issuer and the signer as an invoice signer
+    await expect(registry.connect(admin).setIssuer(documentType, storeAddr, true))
+      .to.emit(registry, "IssuerWhiteListed")
+      .withArgs(documentType, storeAddr, true);
+    await expect(registry.connect(admin).setSigner(documentType, signerAddr, true))
+      .to.emit(registry, "SignerWhiteListed")
+      .withArgs(documentType, signerAddr, true);
+
     // Grant Roles for the Document Store
     const ISSUER_ROLE  = await store.ISSUER_ROLE();
     const SIGNER_ROLE  = await store.SIGNER_ROLE();
@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const keccak = (s) => ethers.keccak256(ethers.toUtf8Bytes(s));
+
+const ISSUE_TYPES = {
+  Issue: [
+    { name: "documentId", type: "bytes32" },
+    { name: "documentHash", type: "bytes32" },
+    { name: "documentType", type: "bytes32" },
+    { name: "issuer", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const SIGN_TYPES = {
+  Sign: [
+    { name: "documentId", type: "bytes32" },
+    { name: "signer", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+describe("DocumentStore — EIP-712 relayed issue and sign", function () {
+  async function deployAll() {
+    const [admin, storeAdmin, issuer, signer, relayer, outsider] =
+      await ethers.getSigners();
+
+    const Registry = await ethers.getContractFactory("DocumentRegistry");
+    const registry = await Registry.deploy(admin.address);
+    await registry.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("DocumentStoreFactory");
+    const factory = await Factory.deploy(admin.address, await registry.getAddress());
+    await factory.waitForDeployment();
+
+    const ORG_ID = keccak("ORG:EIP712");
+    await (await factory.connect(admin).createStore(ORG_ID, storeAdmin.address)).wait();
+    const store = await ethers.getContractAt(
+      "DocumentStore",
+      await factory.organisationAddress(ORG_ID)
+    );
+
+    await (await store.connect(storeAdmin).grantRole(await store.ISSUER_ROLE(), issuer.address)).wait();
+    await (await store.connect(storeAdmin).grantRole(await store.SIGNER_ROLE(), signer.address)).wait();
+    await (await registry.connect(admin).setIssuer(keccak("INVOICE"), await store.getAddress(), true)).wait();
+    await (await registry.connect(admin).setSigner(keccak("INVOICE"), signer.address, true)).wait();
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "DocumentStore",
+      version: "1",
+      chainId,
+      verifyingContract: await store.getAddress(),
+    };
+
+    return {
+      accounts: { admin, storeAdmin, issuer, signer, relayer, outsider },
+      registry,
+      store,
+      domain,
+    };
+  }
+
+  async function deadlineIn(seconds) {
+    return BigInt(await time.latest()) + BigInt(seconds);
+  }
+
+  async function signIssue({ store, domain }, wallet, doc, deadline) {
+    const nonce = await store.nonces(wallet.address);
+    return wallet.signTypedData(domain, ISSUE_TYPES, {
+      ...doc,
+      issuer: wallet.address,
+      nonce,
+      deadline,
+    });
+  }
+
+  async function signSign({ store, domain }, wallet, documentId, deadline) {
+    const nonce = await store.nonces(wallet.address);
+    return wallet.signTypedData(domain, SIGN_TYPES, {
+      documentId,
+      signer: wallet.address,
+      nonce,
+      deadline,
+    });
+  }
+
+  const newDoc = (id) => ({
+    documentId: keccak(id),
+    documentHash: keccak(`HASH:${id}`),
+    documentType: keccak("INVOICE"),
+  });
+
+  it("issues a relayed document in the name of the signing issuer", async function () {
+    const ctx = await deployAll();
+    const { store, accounts } = ctx;
+    const doc = newDoc("INV-712-1");
+    const deadline = await deadlineIn(3600);
+    const signature = await signIssue(ctx, accounts.issuer, doc, deadline);
+
+    await expect(
+      store
+        .connect(accounts.relayer)
+        .issueWithSig(doc.documentId, doc.documentHash, doc.documentType, accounts.issuer.address, deadline, signature)
+    )
+      .to.emit(store, "DocumentIssued")
+      .withArgs(doc.documentId, doc.documentType, accounts.issuer.address, doc.documentHash);
+
+    const meta = await store.meta(doc.documentId);
+    expect(meta.issuer).to.equal(accounts.issuer.address);
+    expect(await store.isIssued(doc.documentId)).to.equal(true);
+    expect(await store.nonces(accounts.issuer.address)).to.equal(1);
+  });
+
+  it("rejects replayed, expired and tampered issue signatures", async function () {
+    const ctx = await deployAll();
+    const { store, accounts } = ctx;
+    const doc = newDoc("INV-712-2");
+    const deadline = await deadlineIn(3600);
+    const signature = await signIssue(ctx, accounts.issuer, doc, deadline);
+    const args = [doc.documentId, doc.documentHash, doc.documentType, accounts.issuer.address, deadline];
+
+    // Tampered document hash
+    await expect(
+      store
+        .connect(accounts.relayer)
+        .issueWithSig(doc.documentId, keccak("OTHER"), doc.documentType, accounts.issuer.address, deadline, signature)
+    ).to.be.revertedWith("Invalid signature");
+
+    await (await store.connect(accounts.relayer).issueWithSig(...args, signature)).wait();
+
+    // The nonce was used, so the same signature no longer recovers to the issuer
+    await expect(
+      store.connect(accounts.relayer).issueWithSig(...args, signature)
+    ).to.be.revertedWith("Invalid signature");
+
+    const expiredDoc = newDoc("INV-712-3");
+    const expired = await deadlineIn(60);
+    const expiredSig = await signIssue(ctx, accounts.issuer, expiredDoc, expired);
+    await time.increase(120);
+    await expect(
+      store
+        .connect(accounts.relayer)
+        .issueWithSig(expiredDoc.documentId, expiredDoc.documentHash, expiredDoc.documentType, accounts.issuer.address, expired, expiredSig)
+    ).to.be.revertedWith("Signature expired");
+  });
+
+  it("requires the recovered issuer to hold ISSUER_ROLE", async function () {
+    const ctx = await deployAll();
+    const { store, accounts } = ctx;
+    const doc = newDoc("INV-712-4");
+    const deadline = await deadlineIn(3600);
+    const signature = await signIssue(ctx, accounts.outsider, doc, deadline);
+
+    await expect(
+      store
+        .connect(accounts.relayer)
+        .issueWithSig(doc.documentId, doc.documentHash, doc.documentType, accounts.outsider.address, deadline, signature)
+    ).to.be.revertedWithCustomError(store, "AccessControlUnauthorizedAccount");
+  });
+
+  it("applies the registry whitelists to relayed issues and signatures", async function () {
+    const ctx = await deployAll();
+    const { store, registry, accounts } = ctx;
+    const deadline = await deadlineIn(3600);
+
+    // The organisation is not whitelisted to issue this type
+    const other = { ...newDoc("PO-712-1"), documentType: keccak("PAYMENT-ORDER") };
+    const issueSignature = await signIssue(ctx, accounts.issuer, other, deadline);
+    await expect(
+      store
+        .connect(accounts.relayer)
+        .issueWithSig(other.documentId, other.documentHash, other.documentType, accounts.issuer.address, deadline, issueSignature)
+    ).to.be.revertedWith("Issuer not allowed for type");
+
+    // Whitelisted for this document but no longer for its type
+    const doc = newDoc("INV-712-6");
+    await (await store.connect(accounts.issuer).issue(doc.documentId, doc.documentHash, doc.documentType)).wait();
+    await (
+      await registry.connect(accounts.admin).setSignerForDocument(doc.documentId, accounts.signer.address, true)
+    ).wait();
+    await (await registry.connect(accounts.admin).setSigner(doc.documentType, accounts.signer.address, false)).wait();
+    const signature = await signSign(ctx, accounts.signer, doc.documentId, deadline);
+    await expect(
+      store.connect(accounts.relayer).signWithSig(doc.documentId, accounts.signer.address, deadline, signature)
+    ).to.be.revertedWith("Signer not allowed for type");
+  });
+
+  it("signs a relayed document and applies the registry whitelist", async function () {
+    const ctx = await deployAll();
+    const { store, registry, accounts } = ctx;
+    const doc = newDoc("INV-712-5");
+    await (await store.connect(accounts.issuer).issue(doc.documentId, doc.documentHash, doc.documentType)).wait();
+
+    const deadline = await deadlineIn(3600);
+    let signature = await signSign(ctx, accounts.signer, doc.documentId, deadline);
+
+    // Not yet whitelisted for this document
+    await expect(
+      store.connect(accounts.relayer).signWithSig(doc.documentId, accounts.signer.address, deadline, signature)
+    ).to.be.revertedWith("Signer not allowed");
+
+    await (
+      await registry.connect(accounts.admin).setSignerForDocument(doc.documentId, accounts.signer.address, true)
+    ).wait();
+    signature = await signSign(ctx, accounts.signer, doc.documentId, deadline);
+
+    await expect(
+      store.connect(accounts.relayer).signWithSig(doc.documentId, accounts.signer.address, deadline, signature)
+    )
+      .to.emit(store, "DocumentSigned")
+      .withArgs(doc.documentId, accounts.signer.address)
+      .and.to.emit(store, "DocumentFullyExecuted")
+      .withArgs(doc.documentId, 1);
+
+    expect(await store.signedAt(doc.documentId, accounts.signer.address)).to.be.gt(0);
+    // The relayer did not sign anything itself
+    expect(await store.signedAt(doc.documentId, accounts.relayer.address)).to.equal(0);
+  });
+
+  it("exposes the EIP-712 domain", async function () {
+    const { store, domain } = await deployAll();
+    expect(await store.DOMAIN_SEPARATOR()).to.equal(
+      ethers.TypedDataEncoder.hashDomain(domain)
+    );
+  });
+});
@@ -55,6 +55,15 @@ describe("DocumentStore — negative and edge cases", function () {
       await registry.connect(admin).setInterop(cAAddr, cBAddr, true)
     ).wait();
 
+    // The organisation issues invoices, which `signer` may sign
+    const INVOICE = ethers.encodeBytes32String("INVOICE");
+    await (
+      await registry.connect(admin).setIssuer(INVOICE, storeAddr, true)
+    ).wait();
+    await (
+      await registry.connect(admin).setSigner(INVOICE, signerAddr, true)
+    ).wait();
+
     return {
       accounts: { admin, storeAdmin, issuer, signer, revoker, rando },
       addresses: {
@@ -94,6 +103,61 @@ describe("DocumentStore — negative and edge cases", function () {
       .to.be.reverted; // duplicate
   });
 
+  it("ISSUE: organisation must be whitelisted to issue the document type", async function () {
+    const { store, registry, accounts } = await deployAll();
+    const docHash = keccak("HASH-11");
+
+    await expect(
+      store
+        .connect(accounts.issuer)
+        .issue(keccak("PO-NEG-11"), docHash, ethers.encodeBytes32String("PAYMENT-ORDER"))
+    ).to.be.revertedWith("Issuer not allowed for type");
+
+    // Whitelisting the issuing account instead of its organisation is not enough
+    const docType = ethers.encodeBytes32String("DELIVERY-ORDER");
+    await (
+      await registry.connect(accounts.admin).setIssuer(docType, await accounts.issuer.getAddress(), true)
+    ).wait();
+    await expect(
+      store.connect(accounts.issuer).issue(keccak("DO-NEG-11"), docHash, docType)
+    ).to.be.revertedWith("Issuer not allowed for type");
+  });
+
+  it("ISSUE: removing the organisation from the whitelist prevents issuing", async function () {
+    const { store, registry, accounts } = await deployAll();
+    const docType = ethers.encodeBytes32String("INVOICE");
+
+    await (
+      await registry.connect(accounts.admin).setIssuer(docType, await store.getAddress(), false)
+    ).wait();
+    await expect(
+      store.connect(accounts.issuer).issue(keccak("INV-NEG-12"), keccak("HASH-12"), docType)
+    ).to.be.revertedWith("Issuer not allowed for type");
+  });
+
+  it("SIGN: signer must be whitelisted for the document type in registry", async function () {
+    const { store, registry, accounts, addresses } = await deployAll();
+    const { issuer, signer } = accounts;
+
+    const docId = keccak("INV-NEG-13");
+    const docType = ethers.encodeBytes32String("INVOICE");
+
+    await (await store.connect(issuer).issue(docId, keccak("HASH-13"), docType)).wait();
+    await (
+      await registry
+        .connect(accounts.admin)
+        .setSignerForDocument(docId, addresses.signerAddr, true)
+    ).wait();
+    await (
+      await registry.connect(accounts.admin).setSigner(docType, addresses.signerAddr, false)
+    ).wait();
+
+    // Whitelisted for the document, but not for invoices
+    await expect(store.connect(signer).sign(docId)).to.be.revertedWith(
+      "Signer not allowed for type"
+    );
+  });
+
   it("SIGN: signer must have SIGNER_ROLE on the store", async function () {
     const { store, registry, accounts, addresses } = await deployAll();
     const { issuer, rando } = accounts;
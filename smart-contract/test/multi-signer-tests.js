@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const keccak = (s) => ethers.keccak256(ethers.toUtf8Bytes(s));
+
+describe("DocumentStore — multi-signer documents", function () {
+  async function deployAll() {
+    const [admin, storeAdmin, issuer, carrier, consignee, inspector] =
+      await ethers.getSigners();
+
+    const adminAddr = await admin.getAddress();
+    const storeAdminAddr = await storeAdmin.getAddress();
+
+    // Registry
+    const Registry = await ethers.getContractFactory("DocumentRegistry");
+    const registry = await Registry.deploy(adminAddr);
+    await registry.waitForDeployment();
+    const registryAddr = await registry.getAddress();
+
+    // Factory
+    const Factory = await ethers.getContractFactory("DocumentStoreFactory");
+    const factory = await Factory.deploy(adminAddr, registryAddr);
+    await factory.waitForDeployment();
+
+    // Create one org store
+    const ORG_ID = keccak("ORG:MULTI-SIGNER");
+    await (
+      await factory.connect(admin).createStore(ORG_ID, storeAdminAddr)
+    ).wait();
+    const storeAddr = await factory.organisationAddress(ORG_ID);
+    const store = await ethers.getContractAt("DocumentStore", storeAddr);
+
+    // Roles
+    const ISSUER_ROLE = await store.ISSUER_ROLE();
+    const SIGNER_ROLE = await store.SIGNER_ROLE();
+
+    await (
+      await store.connect(storeAdmin).grantRole(ISSUER_ROLE, await issuer.getAddress())
+    ).wait();
+    for (const signer of [carrier, consignee, inspector]) {
+      await (
+        await store.connect(storeAdmin).grantRole(SIGNER_ROLE, await signer.getAddress())
+      ).wait();
+    }
+
+    // The organisation issues delivery orders and invoices, which every signer may sign
+    for (const docType of [keccak("DELIVERY-ORDER"), keccak("INVOICE")]) {
+      await (await registry.connect(admin).setIssuer(docType, storeAddr, true)).wait();
+      for (const signer of [carrier, consignee, inspector]) {
+        await (await registry.connect(admin).setSigner(docType, await signer.getAddress(), true)).wait();
+      }
+    }
+
+    return {
+      accounts: { admin, storeAdmin, issuer, carrier, consignee, inspector },
+      registry,
+      store,
+    };
+  }
+
+  async function issueWithSigners({ store, registry, accounts }, docId, docType, signers) {
+    await (
+      await store.connect(accounts.issuer).issue(docId, keccak(`HASH:${docId}`), docType)
+    ).wait();
+    for (const signer of signers) {
+      await (
+        await registry
+          .connect(accounts.admin)
+          .setSignerForDocument(docId, await signer.getAddress(), true)
+      ).wait();
+    }
+  }
+
+  it("is fully executed only once the required signer count is reached", async function () {
+    const ctx = await deployAll();
+    const { store, registry, accounts } = ctx;
+    const { carrier, consignee, inspector } = accounts;
+
+    const docType = keccak("DELIVERY-ORDER");
+    await (await registry.connect(accounts.admin).setRequiredSignerCount(docType, 3)).wait();
+
+    const docId = keccak("DO-MULTI-1");
+    await issueWithSigners(ctx, docId, docType, [carrier, consignee, inspector]);
+    expect(await store.requiredSigners(docId)).to.equal(3);
+
+    await (await store.connect(carrier).sign(docId)).wait();
+    await (await store.connect(consignee).sign(docId)).wait();
+    expect(await store.signatureCount(docId)).to.equal(2);
+    expect(await store.isFullyExecuted(docId)).to.equal(false);
+
+    await expect(store.connect(inspector).sign(docId))
+      .to.emit(store, "DocumentFullyExecuted")
+      .withArgs(docId, 3);
+
+    expect(await store.isFullyExecuted(docId)).to.equal(true);
+    expect(await store.executedAt(docId)).to.be.gt(0);
+    // Signing does not clear the Issued state
+    expect(await store.isIssued(docId)).to.equal(true);
+  });
+
+  it("defaults to a single required signer when the registry has no count", async function () {
+    const ctx = await deployAll();
+    const { store, accounts } = ctx;
+
+    const docType = keccak("INVOICE");
+    const docId = keccak("INV-MULTI-2");
+    await issueWithSigners(ctx, docId, docType, [accounts.carrier]);
+    expect(await store.requiredSigners(docId)).to.equal(1);
+
+    await expect(store.connect(accounts.carrier).sign(docId))
+      .to.emit(store, "DocumentFullyExecuted")
+      .withArgs(docId, 1);
+  });
+
+  it("snapshots the signer count at issuance", async function () {
+    const ctx = await deployAll();
+    const { store, registry, accounts } = ctx;
+    const { carrier, consignee } = accounts;
+
+    const docType = keccak("DELIVERY-ORDER");
+    await (await registry.connect(accounts.admin).setRequiredSignerCount(docType, 2)).wait();
+
+    const docId = keccak("DO-MULTI-3");
+    await issueWithSigners(ctx, docId, docType, [carrier, consignee]);
+
+    // Raising the count later does not affect the document already issued
+    await (await registry.connect(accounts.admin).setRequiredSignerCount(docType, 3)).wait();
+
+    await (await store.connect(carrier).sign(docId)).wait();
+    await expect(store.connect(consignee).sign(docId))
+      .to.emit(store, "DocumentFullyExecuted")
+      .withArgs(docId, 2);
+  });
+
+  it("a revoked document is no longer fully executed", async function () {
+    const ctx = await deployAll();
+    const { store, accounts } = ctx;
+
+    const docType = keccak("INVOICE");
+    const docId = keccak("INV-MULTI-4");
+    await issueWithSigners(ctx, docId, docType, [accounts.carrier]);
+    await (await store.connect(accounts.carrier).sign(docId)).wait();
+    expect(await store.isFullyExecuted(docId)).to.equal(true);
+
+    // The store admin holds REVOKER_ROLE from the store constructor
+    await (await store.connect(accounts.storeAdmin).revoke(docId, 0)).wait();
+    expect(await store.isFullyExecuted(docId)).to.equal(false);
+  });
+});
@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const keccak = (s) => ethers.keccak256(ethers.toUtf8Bytes(s));
+
+describe("DocumentStoreFactory — organisation stores", function () {
+  async function deployAll() {
+    const [admin, storeAdmin, member, outsider] = await ethers.getSigners();
+
+    const Registry = await ethers.getContractFactory("DocumentRegistry");
+    const registry = await Registry.deploy(admin.address);
+    await registry.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("DocumentStoreFactory");
+    const factory = await Factory.deploy(admin.address, await registry.getAddress());
+    await factory.waitForDeployment();
+
+    const ORG_ID = keccak("ORG:ACME");
+    await (await factory.connect(admin).createStore(ORG_ID, storeAdmin.address)).wait();
+    const store = await ethers.getContractAt(
+      "DocumentStore",
+      await factory.organisationAddress(ORG_ID)
+    );
+    await (await registry.connect(admin).setIssuer(keccak("INVOICE"), await store.getAddress(), true)).wait();
+
+    return { accounts: { admin, storeAdmin, member, outsider }, factory, store, ORG_ID };
+  }
+
+  const INVOICE = keccak("INVOICE");
+
+  it("deploys a single store per organisation", async function () {
+    const { factory, accounts, store, ORG_ID } = await deployAll();
+
+    await expect(
+      factory.connect(accounts.admin).createStore(ORG_ID, accounts.member.address)
+    ).to.be.revertedWith("Document Store already exists");
+
+    expect(await factory.organisationAddress(ORG_ID)).to.equal(await store.getAddress());
+    expect(await factory.orgIdOf(await store.getAddress())).to.equal(ORG_ID);
+    expect(await factory.storesLength()).to.equal(1);
+  });
+
+  it("leaves the factory an admin of the stores it deploys", async function () {
+    const { factory, accounts, store } = await deployAll();
+    const DEFAULT_ADMIN_ROLE = await store.DEFAULT_ADMIN_ROLE();
+
+    expect(await store.hasRole(DEFAULT_ADMIN_ROLE, await factory.getAddress())).to.equal(true);
+    expect(await store.hasRole(DEFAULT_ADMIN_ROLE, accounts.storeAdmin.address)).to.equal(true);
+  });
+
+  it("grants and revokes member roles through setStoreRole", async function () {
+    const { factory, accounts, store } = await deployAll();
+    const storeAddress = await store.getAddress();
+    const ISSUER_ROLE = await store.ISSUER_ROLE();
+
+    await expect(
+      factory.connect(accounts.admin).setStoreRole(storeAddress, ISSUER_ROLE, accounts.member.address, true)
+    )
+      .to.emit(factory, "StoreRoleUpdated")
+      .withArgs(storeAddress, ISSUER_ROLE, accounts.member.address, true);
+    await expect(store.connect(accounts.member).issue(keccak("INV-ORG-1"), keccak("HASH:1"), INVOICE))
+      .to.emit(store, "DocumentIssued");
+
+    await (
+      await factory.connect(accounts.admin).setStoreRole(storeAddress, ISSUER_ROLE, accounts.member.address, false)
+    ).wait();
+    expect(await store.hasRole(ISSUER_ROLE, accounts.member.address)).to.equal(false);
+    await expect(
+      store.connect(accounts.member).issue(keccak("INV-ORG-2"), keccak("HASH:2"), INVOICE)
+    ).to.be.revertedWithCustomError(store, "AccessControlUnauthorizedAccount");
+  });
+
+  it("grants the standard roles in one call", async function () {
+    const { factory, accounts, store } = await deployAll();
+    const { member } = accounts;
+
+    await (
+      await factory
+        .connect(accounts.admin)
+        .grantStandardRoles(await store.getAddress(), member.address, member.address, ethers.ZeroAddress)
+    ).wait();
+
+    expect(await store.hasRole(await store.ISSUER_ROLE(), member.address)).to.equal(true);
+    expect(await store.hasRole(await store.REVOKER_ROLE(), member.address)).to.equal(true);
+    expect(await store.hasRole(await store.SIGNER_ROLE(), member.address)).to.equal(false);
+  });
+
+  it("only lets factory admins manage store roles", async function () {
+    const { factory, accounts, store } = await deployAll();
+
+    await expect(
+      factory
+        .connect(accounts.outsider)
+        .setStoreRole(await store.getAddress(), await store.ISSUER_ROLE(), accounts.outsider.address, true)
+    ).to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+  });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const keccak = (s) => ethers.keccak256(ethers.toUtf8Bytes(s));
+
+const REISSUE_TYPES = {
+  Reissue: [
+    { name: "previousDocumentId", type: "bytes32" },
+    { name: "documentId", type: "bytes32" },
+    { name: "documentHash", type: "bytes32" },
+    { name: "issuer", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const REISSUED = 2;
+const STATE = { None: 0, Issued: 1, Signed: 2, Revoked: 3 };
+
+describe("DocumentStore — versioned reissue", function () {
+  async function deployAll() {
+    const [admin, storeAdmin, issuer, relayer, outsider] = await ethers.getSigners();
+
+    const Registry = await ethers.getContractFactory("DocumentRegistry");
+    const registry = await Registry.deploy(admin.address);
+    await registry.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("DocumentStoreFactory");
+    const factory = await Factory.deploy(admin.address, await registry.getAddress());
+    await factory.waitForDeployment();
+
+    const ORG_ID = keccak("ORG:REISSUE");
+    await (await factory.connect(admin).createStore(ORG_ID, storeAdmin.address)).wait();
+    const store = await ethers.getContractAt(
+      "DocumentStore",
+      await factory.organisationAddress(ORG_ID)
+    );
+
+    // `issuer` may issue but not revoke
+    await (await store.connect(storeAdmin).grantRole(await store.ISSUER_ROLE(), issuer.address)).wait();
+    await (await registry.connect(admin).setIssuer(keccak("INVOICE"), await store.getAddress(), true)).wait();
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "DocumentStore",
+      version: "1",
+      chainId,
+      verifyingContract: await store.getAddress(),
+    };
+
+    return { accounts: { admin, storeAdmin, issuer, relayer, outsider }, store, domain };
+  }
+
+  const V1 = keccak("INV-R-1");
+  const V2 = keccak("INV-R-1-v2");
+  const V3 = keccak("INV-R-1-v3");
+  const INVOICE = keccak("INVOICE");
+
+  async function issueV1(store, account) {
+    await (await store.connect(account).issue(V1, keccak("HASH:v1"), INVOICE)).wait();
+  }
+
+  it("revokes the old version as REISSUED and links the new one to it", async function () {
+    const { store, accounts } = await deployAll();
+    await issueV1(store, accounts.storeAdmin);
+
+    await expect(store.connect(accounts.storeAdmin).reissue(V1, V2, keccak("HASH:v2")))
+      .to.emit(store, "DocumentRevoked")
+      .withArgs(V1, accounts.storeAdmin.address, REISSUED)
+      .and.to.emit(store, "DocumentIssued")
+      .withArgs(V2, INVOICE, accounts.storeAdmin.address, keccak("HASH:v2"))
+      .and.to.emit(store, "DocumentReissued")
+      .withArgs(V1, V2, accounts.storeAdmin.address);
+
+    expect((await store.meta(V1)).state).to.equal(STATE.Revoked);
+    expect((await store.meta(V2)).state).to.equal(STATE.Issued);
+    // The new version keeps the document type of its predecessor
+    expect((await store.meta(V2)).documentType).to.equal(INVOICE);
+    expect(await store.predecessorOf(V2)).to.equal(V1);
+    expect(await store.successorOf(V1)).to.equal(V2);
+    expect(await store.predecessorOf(V1)).to.equal(ethers.ZeroHash);
+  });
+
+  it("builds a lineage across several versions and never reissues a superseded one", async function () {
+    const { store, accounts } = await deployAll();
+    await issueV1(store, accounts.storeAdmin);
+    await (await store.connect(accounts.storeAdmin).reissue(V1, V2, keccak("HASH:v2"))).wait();
+
+    await expect(
+      store.connect(accounts.storeAdmin).reissue(V1, V3, keccak("HASH:v3"))
+    ).to.be.revertedWith("Document not revocable");
+
+    await (await store.connect(accounts.storeAdmin).reissue(V2, V3, keccak("HASH:v3"))).wait();
+    expect(await store.predecessorOf(V3)).to.equal(V2);
+    expect(await store.successorOf(V2)).to.equal(V3);
+    expect(await store.isIssued(V3)).to.equal(true);
+  });
+
+  it("requires both ISSUER_ROLE and REVOKER_ROLE", async function () {
+    const { store, accounts } = await deployAll();
+    await issueV1(store, accounts.storeAdmin);
+
+    await expect(
+      store.connect(accounts.issuer).reissue(V1, V2, keccak("HASH:v2"))
+    ).to.be.revertedWithCustomError(store, "AccessControlUnauthorizedAccount");
+    await expect(
+      store.connect(accounts.outsider).reissue(V1, V2, keccak("HASH:v2"))
+    ).to.be.revertedWithCustomError(store, "AccessControlUnauthorizedAccount");
+
+    await (await store.connect(accounts.storeAdmin).grantRole(await store.REVOKER_ROLE(), accounts.issuer.address)).wait();
+    await expect(store.connect(accounts.issuer).reissue(V1, V2, keccak("HASH:v2")))
+      .to.emit(store, "DocumentReissued");
+  });
+
+  it("rejects reissuing unknown documents or onto an existing id", async function () {
+    const { store, accounts } = await deployAll();
+
+    await expect(
+      store.connect(accounts.storeAdmin).reissue(V1, V2, keccak("HASH:v2"))
+    ).to.be.revertedWith("Document not revocable");
+
+    await issueV1(store, accounts.storeAdmin);
+    await (await store.connect(accounts.storeAdmin).issue(V2, keccak("HASH:other"), INVOICE)).wait();
+    await expect(
+      store.connect(accounts.storeAdmin).reissue(V1, V2, keccak("HASH:v2"))
+    ).to.be.revertedWith("Document Already Exists");
+    await expect(
+      store.connect(accounts.storeAdmin).reissue(V1, V1, keccak("HASH:v2"))
+    ).to.be.revertedWith("Same document id");
+
+    // The failed attempts left the original untouched
+    expect(await store.isIssued(V1)).to.equal(true);
+  });
+
+  it("reissues on behalf of an issuer who signed the Reissue typed data", async function () {
+    const { store, accounts, domain } = await deployAll();
+    await issueV1(store, accounts.storeAdmin);
+    await (await store.connect(accounts.storeAdmin).grantRole(await store.REVOKER_ROLE(), accounts.issuer.address)).wait();
+
+    const deadline = BigInt(await time.latest()) + 3600n;
+    const message = {
+      previousDocumentId: V1,
+      documentId: V2,
+      documentHash: keccak("HASH:v2"),
+      issuer: accounts.issuer.address,
+      nonce: await store.nonces(accounts.issuer.address),
+      deadline,
+    };
+    const signature = await accounts.issuer.signTypedData(domain, REISSUE_TYPES, message);
+
+    // A different new version hash does not match the signature
+    await expect(
+      store
+        .connect(accounts.relayer)
+        .reissueWithSig(V1, V2, keccak("HASH:forged"), accounts.issuer.address, deadline, signature)
+    ).to.be.revertedWith("Invalid signature");
+
+    await expect(
+      store
+        .connect(accounts.relayer)
+        .reissueWithSig(V1, V2, message.documentHash, accounts.issuer.address, deadline, signature)
+    )
+      .to.emit(store, "DocumentReissued")
+      .withArgs(V1, V2, accounts.issuer.address);
+
+    expect((await store.meta(V2)).issuer).to.equal(accounts.issuer.address);
+    expect(await store.predecessorOf(V2)).to.equal(V1);
+  });
+});
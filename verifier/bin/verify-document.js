@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { verifyDocument } = require("..");
+
+const USAGE = `Usage: verify-document <wrapped-document.json> --rpc <url> --store <address> [options]
+
+Verifies a wrapped document against its DocumentStore without the platform backend.
+
+Options:
+  --rpc <url>           JSON-RPC endpoint of the chain the store is deployed on (or RPC_URL)
+  --store <address>     DocumentStore address the document was issued in
+  --document-id <id>    Document id, required when it is redacted from the document
+  --from-block <n>      First block searched for signature/revocation events (default 0)
+  --json                Print the full result as JSON
+  -h, --help            Show this help
+
+Exit codes: 0 valid, 1 invalid, 2 usage or network error`;
+
+function printReport(result) {
+  const mark = (ok) => (ok ? "✅" : "❌");
+  const { checks, onChain } = result;
+
+  console.log(`Document ${result.documentId} in store ${result.storeAddress}`);
+  const disclosed = result.pathBound ? `${result.disclosedFields.length} disclosed, ` : "";
+  console.log(`${mark(checks.integrity)} Merkle integrity (${disclosed}${result.obfuscatedFieldCount} redacted fields)`);
+  if (!result.pathBound) {
+    console.log("⚠️  Legacy document: its values are anchored, but not which field holds which value");
+  }
+  const anchoredBy = onChain.anchoredIn === "batch" ? ` through batch of ${onChain.batch.size}` : "";
+  console.log(`${mark(checks.anchored)} Document hash anchored on-chain${anchoredBy} (${onChain.documentHash})`);
+  console.log(`${mark(checks.issued)} Issued by ${onChain.issuer} at ${onChain.issuedAt}`);
+  console.log(
+    `${mark(checks.notRevoked)} ${checks.notRevoked ? "Not revoked" : `Revoked at ${onChain.revokedAt} (${onChain.revokeReason ?? "unknown reason"})`}`
+  );
+
+  const required = onChain.requiredSignerCount ?? "?";
+  console.log(`ℹ️  Signatures: ${onChain.signatureCount}/${required}${onChain.fullyExecuted ? " (fully executed)" : ""}`);
+  for (const signer of onChain.signers) {
+    console.log(`   - ${signer.address} signed at ${signer.signedAt}`);
+  }
+
+  if (onChain.supersededByDocumentIdHash) {
+    console.log(`ℹ️  Superseded by a newer version (${onChain.supersededByDocumentIdHash})`);
+  }
+
+  for (const error of result.errors) {
+    console.log(`⚠️  ${error}`);
+  }
+  console.log(result.valid ? "\n✅ Document is valid" : "\n❌ Document is NOT valid");
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        rpc: { type: "string" },
+        store: { type: "string" },
+        "document-id": { type: "string" },
+        "from-block": { type: "string" },
+        json: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const rpcUrl = values.rpc || process.env.RPC_URL;
+  if (positionals.length !== 1 || !rpcUrl || !values.store) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  let wrappedDocument;
+  try {
+    wrappedDocument = JSON.parse(fs.readFileSync(positionals[0], "utf8"));
+  } catch (err) {
+    console.error(`❌ Cannot read ${positionals[0]}: ${err.message}`);
+    return 2;
+  }
+
+  try {
+    const result = await verifyDocument({
+      wrappedDocument,
+      rpcUrl,
+      storeAddress: values.store,
+      documentId: values["document-id"],
+      fromBlock: Number(values["from-block"] || 0),
+    });
+
+    if (values.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      printReport(result);
+    }
+    return result.valid ? 0 : 1;
+  } catch (err) {
+    console.error(`❌ Verification failed: ${err.shortMessage || err.message}`);
+    return 2;
+  }
+}
+
+main().then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,122 @@
+const { ethers } = require("ethers");
+const {
+  PATH_BOUND_PROOF_TYPE,
+  verifyWrappedMerkle,
+  collectWrappedLeaves,
+  leafHash,
+  isPathBound,
+  unsaltValue,
+  readDocumentId,
+} = require("./src/merkle");
+const { readOnChainRecord, DOCUMENT_STORE_ABI } = require("./src/chain");
+const { batchLeaf, batchRootFromProof, hashBatchPair } = require("./src/batch");
+
+/**
+ * Verifies a wrapped document against the chain without any backend:
+ *  - integrity: the disclosed fields and obfuscated hashes rebuild signature.merkleRoot
+ *  - anchored:  the store's meta.documentHash equals that Merkle root, or for a document
+ *               issued in a batch, signature.proof leads from its leaf (documentId and
+ *               Merkle root) to a batch root issued in the store
+ *  - issued:    the document was issued in the store and has not been revoked
+ * Signer status is reported alongside but does not affect `valid`.
+ *
+ * @param {Object} params
+ * @param {Object} params.wrappedDocument - Wrapped (optionally redacted) document JSON
+ * @param {string} params.storeAddress - DocumentStore the document was issued in
+ * @param {string} [params.rpcUrl] - JSON-RPC endpoint, used when no provider is given
+ * @param {ethers.Provider} [params.provider] - Provider to read the chain with
+ * @param {string} [params.documentId] - Required when documentId was redacted from the document
+ * @param {number} [params.fromBlock=0] - First block searched for events
+ * @returns {Promise<Object>} { valid, checks, documentId, merkleRoot, batchRoot, pathBound, disclosedFields, obfuscatedFieldCount, onChain, errors }
+ */
+async function verifyDocument({
+  wrappedDocument,
+  storeAddress,
+  rpcUrl,
+  provider,
+  documentId,
+  fromBlock = 0,
+}) {
+  if (!storeAddress || !ethers.isAddress(storeAddress)) {
+    throw new Error("Invalid store address");
+  }
+  if (!provider && !rpcUrl) {
+    throw new Error("Missing rpcUrl or provider");
+  }
+
+  const errors = [];
+  const local = verifyWrappedMerkle(wrappedDocument);
+  if (!local.ok) errors.push(local.reason);
+
+  const id = documentId || readDocumentId(wrappedDocument);
+  if (!id) {
+    throw new Error("documentId is redacted from the document; pass it explicitly");
+  }
+  // A batch member is only anchored under the id its batch leaf commits to
+  const sameBatchId = !local.documentId || local.documentId === id;
+  if (!sameBatchId) errors.push("The document was issued in its batch under another documentId");
+
+  // A provider created here is destroyed afterwards so a CLI run can exit
+  const chainProvider = provider || new ethers.JsonRpcProvider(rpcUrl);
+  let onChain;
+  try {
+    onChain = await readOnChainRecord({
+      provider: chainProvider,
+      storeAddress,
+      documentId: id,
+      fromBlock,
+      batchRoot: local.batchRoot ?? undefined,
+    });
+  } finally {
+    if (!provider) chainProvider.destroy();
+  }
+
+  // A revoked batch member has its own record holding the document's own hash
+  const expectedHash =
+    onChain.anchoredIn === "batch"
+      ? local.batchRoot
+      : local.computedRoot && `0x${local.computedRoot}`;
+  const checks = {
+    integrity: local.ok,
+    anchored:
+      sameBatchId && !!expectedHash && onChain.documentHash.toLowerCase() === expectedHash.toLowerCase(),
+    issued: onChain.state !== "None",
+    notRevoked: onChain.state !== "Revoked",
+  };
+  if (sameBatchId && expectedHash && !checks.anchored) {
+    errors.push("Merkle root does not match the document hash stored on-chain");
+  }
+  if (!checks.issued) errors.push("Document was never issued in this store");
+  if (!checks.notRevoked) errors.push(`Document was revoked (${onChain.revokeReason ?? "unknown reason"})`);
+
+  return {
+    valid: Object.values(checks).every(Boolean),
+    checks,
+    documentId: id,
+    storeAddress: ethers.getAddress(storeAddress),
+    merkleRoot: local.computedRoot ? `0x${local.computedRoot}` : null,
+    batchRoot: local.batchRoot ?? null,
+    // Field names are only authenticated when the leaves commit to their paths
+    pathBound: !!local.pathBound,
+    disclosedFields: local.pathBound ? local.disclosedFields : null,
+    obfuscatedFieldCount: local.obfuscatedCount ?? 0,
+    onChain,
+    errors,
+  };
+}
+
+module.exports = {
+  PATH_BOUND_PROOF_TYPE,
+  verifyDocument,
+  verifyWrappedMerkle,
+  collectWrappedLeaves,
+  leafHash,
+  isPathBound,
+  readOnChainRecord,
+  unsaltValue,
+  readDocumentId,
+  batchLeaf,
+  batchRootFromProof,
+  hashBatchPair,
+  DOCUMENT_STORE_ABI,
+};
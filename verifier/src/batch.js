@@ -0,0 +1,48 @@
+const { ethers } = require("ethers");
+
+const with0x = (hex) => (hex.startsWith("0x") ? hex : `0x${hex}`).toLowerCase();
+
+/**
+ * Hash two batch tree nodes in sorted order, as OpenZeppelin's MerkleProof does,
+ * so a proof needs no left/right flags.
+ */
+function hashBatchPair(a, b) {
+  const [left, right] = [with0x(a), with0x(b)].sort();
+  return ethers.keccak256(ethers.concat([left, right]));
+}
+
+/**
+ * The batch leaf of a document: keccak256(abi.encode(documentIdHash, documentHash)), as
+ * DocumentStore computes it, so a member only proves its inclusion under its own id.
+ * @param {string} documentIdHash - keccak256 of the plain document id
+ * @param {string} documentHash - The document's own Merkle root
+ * @returns {string} 0x-prefixed leaf
+ */
+function batchLeaf(documentIdHash, documentHash) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["bytes32", "bytes32"],
+      [with0x(documentIdHash), with0x(documentHash)]
+    )
+  );
+}
+
+/**
+ * Fold a batch inclusion proof from a document's leaf up to the batch root.
+ * @param {string} documentIdHash - keccak256 of the plain document id
+ * @param {string} documentHash - The document's own Merkle root
+ * @param {string[]} proof - Sibling hashes from the leaf to the root
+ * @returns {string} 0x-prefixed batch root; the leaf itself for an empty proof
+ */
+function batchRootFromProof(documentIdHash, documentHash, proof = []) {
+  return proof.reduce(
+    (node, sibling) => hashBatchPair(node, sibling),
+    batchLeaf(documentIdHash, documentHash)
+  );
+}
+
+module.exports = {
+  hashBatchPair,
+  batchLeaf,
+  batchRootFromProof,
+};
@@ -0,0 +1,123 @@
+const { ethers } = require("ethers");
+
+// The parts of the DocumentStore ABI the verifier reads. Stores deployed before
+// multi-signer support lack requiredSigners/signatureCount/isFullyExecuted,
+// stores deployed before versioned reissue lack predecessorOf/successorOf,
+// and stores deployed before batch issuance lack batches.
+const DOCUMENT_STORE_ABI = [
+  "function meta(bytes32) view returns (bytes32 documentHash, bytes32 documentType, address issuer, uint64 issuedAt, uint64 revokedAt, uint8 state)",
+  "function isIssued(bytes32) view returns (bool)",
+  "function signedAt(bytes32, address) view returns (uint64)",
+  "function requiredSigners(bytes32) view returns (uint8)",
+  "function signatureCount(bytes32) view returns (uint8)",
+  "function isFullyExecuted(bytes32) view returns (bool)",
+  "function predecessorOf(bytes32) view returns (bytes32)",
+  "function successorOf(bytes32) view returns (bytes32)",
+  "function batches(bytes32) view returns (bytes32 documentType, address issuer, uint64 issuedAt, uint32 size)",
+  "event DocumentSigned(bytes32 indexed documentId, address indexed signer)",
+  "event DocumentRevoked(bytes32 indexed documentId, address indexed revoker, uint8 reason)",
+];
+
+const STATES = ["None", "Issued", "Signed", "Revoked"];
+const REVOKE_REASONS = ["USER_REQUEST", "FRAUD", "REISSUED", "OTHER"];
+
+/** Call an optional view, returning null when the deployed store does not have it */
+async function optionalCall(fn) {
+  try {
+    return await fn();
+  } catch {
+    return null;
+  }
+}
+
+/** Read an issued batch, or null when the root was never anchored in the store */
+async function readBatch(store, batchRoot) {
+  const batch = await optionalCall(() => store.batches(batchRoot));
+  if (!batch || batch.issuedAt === 0n) return null;
+  return {
+    batchRoot,
+    documentType: batch.documentType,
+    issuer: batch.issuer,
+    issuedAt: batch.issuedAt.toString(),
+    size: Number(batch.size),
+  };
+}
+
+/**
+ * Reads the on-chain record of a document straight from its DocumentStore.
+ * Signers are discovered from DocumentSigned events, so no off-chain database is needed.
+ * A document issued in a batch has no record of its own until it is revoked, so while
+ * it is not, its record is taken from the batch (`anchoredIn: "batch"`).
+ * @param {Object} params
+ * @param {ethers.Provider} params.provider - Provider of the chain the store lives on
+ * @param {string} params.storeAddress - DocumentStore address
+ * @param {string} params.documentId - Plain document id (hashed with keccak256 on-chain)
+ * @param {number} [params.fromBlock=0] - First block searched for signature and revocation events
+ * @param {string} [params.batchRoot] - Batch root the document claims to be issued in
+ * @returns {Promise<Object>} meta, state, signer status, revocation details and version links
+ */
+async function readOnChainRecord({ provider, storeAddress, documentId, fromBlock = 0, batchRoot }) {
+  const store = new ethers.Contract(storeAddress, DOCUMENT_STORE_ABI, provider);
+  const documentIdHash = ethers.id(documentId);
+
+  const meta = await store.meta(documentIdHash);
+  const ownState = STATES[Number(meta.state)] ?? "None";
+  const batch = batchRoot ? await readBatch(store, batchRoot) : null;
+  const inBatch = ownState === "None" && !!batch;
+  const state = inBatch ? "Issued" : ownState;
+
+  const signedLogs = await store.queryFilter(
+    store.filters.DocumentSigned(documentIdHash),
+    fromBlock
+  );
+  const signerAddresses = [...new Set(signedLogs.map((log) => ethers.getAddress(log.args.signer)))];
+  const signers = await Promise.all(
+    signerAddresses.map(async (address) => ({
+      address,
+      signedAt: (await store.signedAt(documentIdHash, address)).toString(),
+    }))
+  );
+
+  let revokeReason = null;
+  if (state === "Revoked") {
+    const revokedLogs = await store.queryFilter(
+      store.filters.DocumentRevoked(documentIdHash),
+      fromBlock
+    );
+    const last = revokedLogs[revokedLogs.length - 1];
+    revokeReason = last ? REVOKE_REASONS[Number(last.args.reason)] ?? "OTHER" : null;
+  }
+
+  const requiredSigners = await optionalCall(() => store.requiredSigners(documentIdHash));
+  const signatureCount = await optionalCall(() => store.signatureCount(documentIdHash));
+  // Version links are bytes32 ids; ZeroHash means there is no such version
+  const versionLink = async (fn) => {
+    const id = await optionalCall(fn);
+    return id && id !== ethers.ZeroHash ? id : null;
+  };
+
+  return {
+    documentIdHash,
+    documentHash: inBatch ? batch.batchRoot : meta.documentHash,
+    documentType: inBatch ? batch.documentType : meta.documentType,
+    issuer: inBatch ? batch.issuer : meta.issuer,
+    issuedAt: inBatch ? batch.issuedAt : meta.issuedAt.toString(),
+    revokedAt: meta.revokedAt.toString(),
+    state,
+    anchoredIn: inBatch ? "batch" : ownState !== "None" ? "store" : null,
+    batch,
+    isIssued: inBatch || (await store.isIssued(documentIdHash)),
+    revokeReason,
+    signers,
+    requiredSignerCount: requiredSigners === null ? null : Number(requiredSigners),
+    signatureCount: signatureCount === null ? signers.length : Number(signatureCount),
+    fullyExecuted: await optionalCall(() => store.isFullyExecuted(documentIdHash)),
+    previousDocumentIdHash: await versionLink(() => store.predecessorOf(documentIdHash)),
+    supersededByDocumentIdHash: await versionLink(() => store.successorOf(documentIdHash)),
+  };
+}
+
+module.exports = {
+  DOCUMENT_STORE_ABI,
+  readOnChainRecord,
+};
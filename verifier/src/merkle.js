@@ -0,0 +1,204 @@
+const { ethers } = require("ethers");
+const { batchRootFromProof } = require("./batch");
+
+// signature.type of documents whose leaves commit to their field path. Leaves of older
+// documents ("SHA3MerkleProof") hash the salted value alone, so their values could be
+// moved between fields without changing the root.
+const PATH_BOUND_PROOF_TYPE = "SHA3MerkleProofV2";
+
+/**
+ * Collect every wrapped leaf string ("uuid:type:value") in DFS order, with its path:
+ * object keys as strings and array indices as numbers, e.g. ["orderInfo", 0, "itemAmt"].
+ */
+function collectWrappedLeaves(obj, path = [], out = []) {
+  if (obj === null || obj === undefined) return out;
+  if (Array.isArray(obj)) {
+    obj.forEach((v, i) => collectWrappedLeaves(v, [...path, i], out));
+  } else if (typeof obj === "object") {
+    Object.entries(obj).forEach(([k, v]) => collectWrappedLeaves(v, [...path, k], out));
+  } else if (typeof obj === "string") {
+    out.push({ path, value: obj });
+  }
+  return out;
+}
+
+/**
+ * Collect the dot paths of every wrapped leaf that is still present, i.e. the
+ * fields disclosed by a (possibly redacted) wrapped document.
+ */
+function collectDisclosedPaths(obj, prefix = "", out = []) {
+  if (obj === null || obj === undefined) return out;
+  if (Array.isArray(obj)) {
+    obj.forEach((v, i) => collectDisclosedPaths(v, prefix ? `${prefix}.${i}` : String(i), out));
+  } else if (typeof obj === "object") {
+    Object.entries(obj).forEach(([k, v]) =>
+      collectDisclosedPaths(v, prefix ? `${prefix}.${k}` : k, out)
+    );
+  } else if (typeof obj === "string") {
+    out.push(prefix);
+  }
+  return out;
+}
+
+/** Normalise privacy.obfuscatedData into 0x-prefixed leaf hashes, or null if malformed */
+function collectObfuscatedHashes(privacy) {
+  const list = privacy?.obfuscatedData ?? [];
+  if (!Array.isArray(list)) return null;
+  const hashes = [];
+  for (const h of list) {
+    const hex = typeof h === "string" && h.startsWith("0x") ? h : `0x${h}`;
+    if (!/^0x[0-9a-fA-F]{64}$/.test(hex)) return null;
+    hashes.push(hex.toLowerCase());
+  }
+  return hashes;
+}
+
+/**
+ * Hash one leaf -> 0x-prefixed hex string.
+ * A path-bound leaf is keccak256 of '<JSON path>:uuid:type:value'; the JSON array is
+ * self-delimiting and tells keys from indices, so no two fields share a preimage.
+ * Without a path it is the legacy keccak256 of "uuid:type:value".
+ * @param {string} leafStr - Salted value
+ * @param {Array<string|number>} [path] - Field path, for path-bound documents
+ */
+function leafHash(leafStr, path) {
+  const preimage = path ? `${JSON.stringify(path)}:${leafStr}` : leafStr;
+  return ethers.keccak256(ethers.toUtf8Bytes(preimage)); // 0x...
+}
+
+/** Whether a wrapped document's leaves commit to their field paths */
+function isPathBound(wrapped) {
+  return wrapped?.signature?.type === PATH_BOUND_PROOF_TYPE;
+}
+
+/** Build a keccak256 Merkle root from leaf hashes, matching the generation logic exactly */
+function merkleRootFromLeafHashes(leafHashes) {
+  if (leafHashes.length === 0) {
+    const empty = ethers.keccak256(ethers.toUtf8Bytes(""));
+    return ethers.hexlify(empty).slice(2); // strip 0x
+  }
+
+  // Sort leaves lexicographically (same as generation)
+  const sortedLeaves = [...leafHashes].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  
+  let level = sortedLeaves.slice();
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const left = level[i];
+      const right = level[i + 1] ?? level[i]; // duplicate last if odd
+      const combined = ethers.concat([left, right]); // 32B + 32B
+      const parent = ethers.keccak256(combined);
+      next.push(parent);
+    }
+    level = next;
+  }
+  
+  return ethers.hexlify(level[0]).slice(2); // strip 0x
+}
+
+/**
+ * Verify the wrapped doc's own signature.merkleRoot.
+ * Redacted fields are accepted as long as their leaf hashes are listed in
+ * privacy.obfuscatedData, so a partly disclosed document still rebuilds the root.
+ * Only a path-bound document (pathBound: true) shows which field holds which value;
+ * a legacy one only shows that its values were anchored.
+ * A document issued in a batch rebuilds signature.targetHash, and signature.proof
+ * must lead from its batch leaf to the batch root in signature.merkleRoot. The leaf
+ * commits to the documentId as well, which the document must therefore disclose.
+ */
+function verifyWrappedMerkle(wrapped) {
+  if (!wrapped?.data || !wrapped?.signature?.merkleRoot) {
+    return { ok: false, reason: "Missing data or signature.merkleRoot" };
+  }
+  const obfuscatedHashes = collectObfuscatedHashes(wrapped.privacy);
+  if (!obfuscatedHashes) {
+    return { ok: false, reason: "Malformed privacy.obfuscatedData" };
+  }
+  const proof = wrapped.signature.proof ?? [];
+  if (!Array.isArray(proof) || !proof.every((h) => /^(0x)?[0-9a-fA-F]{64}$/.test(h))) {
+    return { ok: false, reason: "Malformed signature.proof" };
+  }
+  const leaves = collectWrappedLeaves(wrapped.data);
+  if (leaves.length === 0 && obfuscatedHashes.length === 0) {
+    return { ok: false, reason: "No wrapped leaves found" };
+  }
+
+  const pathBound = isPathBound(wrapped);
+  const leafHashes = [
+    ...leaves.map(({ path, value }) => leafHash(value, pathBound ? path : undefined)),
+    ...obfuscatedHashes,
+  ]; // hex with 0x
+  const root = merkleRootFromLeafHashes(leafHashes); // hex without 0x
+
+  const targetRoot = wrapped.signature.merkleRoot.toLowerCase();
+  const targetHash = (wrapped.signature.targetHash || targetRoot).toLowerCase();
+  const matches = root === targetHash;
+
+  // A batch of one has no proof, but its root is still the leaf rather than the document hash
+  const batched = proof.length > 0 || targetHash !== targetRoot;
+  // Only a path-bound documentId field is known to hold the id the leaf was built with
+  const documentId = batched && pathBound ? readDocumentId(wrapped) : null;
+  const included = !batched
+    ? matches
+    : matches &&
+      documentId !== null &&
+      batchRootFromProof(ethers.id(documentId), `0x${root}`, proof) === `0x${targetRoot}`;
+  return {
+    ok: included,
+    computedRoot: root,
+    targetRoot,
+    batchRoot: batched ? `0x${targetRoot}` : null,
+    proof,
+    documentId,
+    pathBound,
+    disclosedFields: collectDisclosedPaths(wrapped.data),
+    obfuscatedCount: obfuscatedHashes.length,
+    reason: !matches
+      ? "Computed root does not match signature.targetHash"
+      : batched && documentId === null
+      ? "A document issued in a batch must disclose its documentId"
+      : !included
+      ? "signature.proof does not lead to signature.merkleRoot"
+      : undefined,
+  };
+}
+
+/** Turn one "uuid:type:value" leaf back into its original value */
+function unsaltValue(salted) {
+  const str = String(salted);
+  const first = str.indexOf(":");
+  const second = str.indexOf(":", first + 1);
+  if (first < 0 || second < 0) return str;
+
+  const tag = str.slice(first + 1, second);
+  const val = str.slice(second + 1);
+  switch (tag) {
+    case "integer":
+    case "number":
+      return Number(val);
+    case "boolean":
+      return val === "true";
+    case "null":
+      return null;
+    default:
+      return val;
+  }
+}
+
+/** Read the documentId disclosed in a wrapped document, or null if it was redacted */
+function readDocumentId(wrapped) {
+  const salted = wrapped?.data?.documentId;
+  return typeof salted === "string" ? String(unsaltValue(salted)) : null;
+}
+
+module.exports = {
+  PATH_BOUND_PROOF_TYPE,
+  verifyWrappedMerkle,
+  merkleRootFromLeafHashes,
+  collectWrappedLeaves,
+  leafHash,
+  isPathBound,
+  unsaltValue,
+  readDocumentId,
+};
\ No newline at end of file